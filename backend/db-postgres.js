@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const bcrypt = require('bcrypt');
+const { normalizeStoredLicences } = require('./utils/licence');
 
 // PostgreSQL connection
 const pool = new Pool({
@@ -81,6 +82,9 @@ async function initializeDatabase() {
     await client.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS gdpr_consent_date TIMESTAMP`);
     await client.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS gdpr_consent_version VARCHAR(10)`);
 
+    // Preferred language of player communications (NULL: French, see utils/i18n.js)
+    await client.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS language VARCHAR(5)`);
+
     // Migrations that depend on player_accounts - check if table exists first
     const tableCheck = await client.query(`
       SELECT EXISTS (
@@ -244,6 +248,12 @@ async function initializeDatabase() {
       ALTER TABLE tournament_results ADD COLUMN IF NOT EXISTS position INTEGER DEFAULT 0
     `);
 
+    // Points weighted to the reference distance (handicap / reduced distance), set by the
+    // match finalization; the ranking moyenne uses them (NULL for imported results: raw points)
+    await client.query(`
+      ALTER TABLE tournament_results ADD COLUMN IF NOT EXISTS weighted_points REAL
+    `);
+
     // Rankings table
     await client.query(`
       CREATE TABLE IF NOT EXISTS rankings (
@@ -263,6 +273,51 @@ async function initializeDatabase() {
       )
     `);
 
+    // Per-round ranking points keyed by tournament_number (migration - more than 3 qualifying rounds)
+    // tournament_1/2/3_points are still filled for the first three rounds
+    await client.query(`ALTER TABLE rankings ADD COLUMN IF NOT EXISTS tournament_points JSONB`);
+    // Points and reprises of the counted tournaments, avg_moyenne is computed from them (migration)
+    await client.query(`ALTER TABLE rankings ADD COLUMN IF NOT EXISTS cumulated_points INTEGER`);
+    await client.query(`ALTER TABLE rankings ADD COLUMN IF NOT EXISTS cumulated_reprises INTEGER`);
+
+    // Ranking rules per category/season (NULL category or season = applies to all)
+    // rules: { qualifying_rounds, points_system, position_points, best_of, attendance_bonus, tiebreaks }
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ranking_rules (
+        id SERIAL PRIMARY KEY,
+        category_id INTEGER REFERENCES categories(id),
+        season TEXT,
+        rules JSONB NOT NULL,
+        updated_by TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_ranking_rules_scope
+      ON ranking_rules(COALESCE(category_id, 0), COALESCE(season, ''))
+    `);
+
+    // Ranking snapshots: standings saved after each recalculation, keyed by the latest
+    // qualifying tournament included (standings "after T1", "after T2", ...)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ranking_snapshots (
+        id SERIAL PRIMARY KEY,
+        category_id INTEGER NOT NULL REFERENCES categories(id),
+        season TEXT NOT NULL,
+        tournament_number INTEGER NOT NULL,
+        licence TEXT NOT NULL,
+        player_name TEXT,
+        rank_position INTEGER NOT NULL,
+        total_match_points INTEGER DEFAULT 0,
+        avg_moyenne REAL DEFAULT 0,
+        best_serie INTEGER DEFAULT 0,
+        tournament_points JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(category_id, season, tournament_number, licence)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_scope ON ranking_snapshots(category_id, season)`);
+
     // Clubs table
     await client.query(`
       CREATE TABLE IF NOT EXISTS clubs (
@@ -289,6 +344,10 @@ async function initializeDatabase() {
       }
     }
 
+    // Table inventory of each club, per table size (NULL = not filled in)
+    await client.query(`ALTER TABLE clubs ADD COLUMN IF NOT EXISTS tables_grand_coin INTEGER`);
+    await client.query(`ALTER TABLE clubs ADD COLUMN IF NOT EXISTS tables_petit_coin INTEGER`);
+
     // Initialize default calendar codes for existing clubs
     const defaultCalendarCodes = [
       { name_pattern: '%COURBEVOIE%', code: 'A' },
@@ -346,6 +405,15 @@ async function initializeDatabase() {
     // Controls whether date/location changes trigger automatic email notifications
     await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS notify_on_changes BOOLEAN DEFAULT TRUE`);
 
+    // Distance played (normale/reduite, chosen on the convocation) and handicap scoring for mixed-level tournaments
+    await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS selected_distance VARCHAR(10)`);
+    await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS handicap_distances BOOLEAN DEFAULT FALSE`);
+
+    // Waiting list: maximum number of players (taille is the distance, not a capacity) and
+    // order of the waiting list ('timestamp' = inscription order, 'ranking' = seeding order)
+    await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS max_players INTEGER`);
+    await client.query(`ALTER TABLE tournoi_ext ADD COLUMN IF NOT EXISTS waitlist_order VARCHAR(20) DEFAULT 'timestamp'`);
+
     // Player inscriptions table (from CDBHS external DB)
     await client.query(`
       CREATE TABLE IF NOT EXISTS inscriptions (
@@ -378,6 +446,10 @@ async function initializeDatabase() {
     // Note: forfait is separate - used only after official convocation is sent
     await client.query(`ALTER TABLE inscriptions ADD COLUMN IF NOT EXISTS statut VARCHAR(20) DEFAULT 'inscrit'`);
 
+    // Player's answer through the links of the convocation (confirmed / declined), reset by each new convocation
+    await client.query(`ALTER TABLE inscriptions ADD COLUMN IF NOT EXISTS convocation_response VARCHAR(20)`);
+    await client.query(`ALTER TABLE inscriptions ADD COLUMN IF NOT EXISTS convocation_response_at TIMESTAMP`);
+
     // Add unique constraint on (normalized licence, tournoi_id) to prevent duplicates
     // This ensures a player can only be inscribed once per tournament regardless of source
     await client.query(`
@@ -489,6 +561,20 @@ async function initializeDatabase() {
       ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS outro_template TEXT
     `);
 
+    // Per-language variants of email templates (the email_templates row is the French version)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_template_translations (
+        id SERIAL PRIMARY KEY,
+        template_key TEXT NOT NULL,
+        language VARCHAR(5) NOT NULL,
+        subject_template TEXT NOT NULL,
+        body_template TEXT NOT NULL,
+        outro_template TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(template_key, language)
+      )
+    `);
+
     // Player contacts table - centralized contact information
     await client.query(`
       CREATE TABLE IF NOT EXISTS player_contacts (
@@ -512,6 +598,16 @@ async function initializeDatabase() {
       )
     `);
 
+    // Deliverability: email_status is valid, soft_bounce, bounced or complained (from provider
+    // events); unsubscribed_at is set when the player opts out through an unsubscribe link
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS email_status TEXT DEFAULT 'valid'`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS email_status_at TIMESTAMP`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS email_status_detail TEXT`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS soft_bounce_count INTEGER DEFAULT 0`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS last_delivered_at TIMESTAMP`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS last_opened_at TIMESTAMP`);
+    await client.query(`ALTER TABLE player_contacts ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP`);
+
     // Email campaigns table - history of sent emails
     await client.query(`
       CREATE TABLE IF NOT EXISTS email_campaigns (
@@ -542,6 +638,50 @@ async function initializeDatabase() {
     await client.query(`ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS sent_by TEXT`);
     await client.query(`ALTER TABLE email_campaigns ADD COLUMN IF NOT EXISTS test_mode BOOLEAN DEFAULT FALSE`);
 
+    // Email outbox - one row per recipient message, delivered by the outbox worker
+    // (throttled, retried with exponential backoff, resumed after a restart)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id SERIAL PRIMARY KEY,
+        campaign_id INTEGER REFERENCES email_campaigns(id) ON DELETE CASCADE,
+        recipient_email TEXT NOT NULL,
+        recipient_name TEXT,
+        subject TEXT,
+        message JSONB NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 4,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        provider_message_id TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, next_attempt_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_outbox_campaign ON email_outbox(campaign_id)`);
+    // Completion hook - follow-up run once the message is sent or failed (see registerOutboxHook)
+    await client.query(`ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS hook JSONB`);
+    await client.query(`ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS hook_done BOOLEAN DEFAULT FALSE`);
+
+    // Email events - delivery events received from the provider webhook (or the simulator)
+    // and unsubscriptions, kept for the contact history
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_events (
+        id SERIAL PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        email TEXT NOT NULL,
+        provider_message_id TEXT,
+        detail TEXT,
+        payload JSONB,
+        source TEXT DEFAULT 'webhook',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_events_email ON email_events(LOWER(email))`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_events_message ON email_events(provider_message_id)`);
+
     // Scheduled emails table - for future email sending
     await client.query(`
       CREATE TABLE IF NOT EXISTS scheduled_emails (
@@ -641,6 +781,8 @@ async function initializeDatabase() {
     // Add GDPR consent columns to player_accounts (migration - January 2026)
     await client.query(`ALTER TABLE player_accounts ADD COLUMN IF NOT EXISTS gdpr_consent_date TIMESTAMP`);
     await client.query(`ALTER TABLE player_accounts ADD COLUMN IF NOT EXISTS gdpr_consent_version VARCHAR(10)`);
+    // Language chosen by the player in the Player App (takes precedence over players.language)
+    await client.query(`ALTER TABLE player_accounts ADD COLUMN IF NOT EXISTS language VARCHAR(5)`);
 
     // Announcements table (for Player App notifications)
     await client.query(`
@@ -682,6 +824,67 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_convocation_poules_tournoi ON convocation_poules(tournoi_id)
     `);
 
+    // Poule matches table - one row per game played inside a poule (schedule from convocation_poules)
+    // player1/player2 licences are resolved when the result is entered (dynamic winner/loser pairings)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS matches (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id),
+        poule_number INTEGER NOT NULL,
+        match_number INTEGER NOT NULL,
+        player1_licence VARCHAR(50) NOT NULL,
+        player2_licence VARCHAR(50) NOT NULL,
+        player1_points INTEGER DEFAULT 0,
+        player1_reprises INTEGER DEFAULT 0,
+        player1_serie INTEGER DEFAULT 0,
+        player1_match_points INTEGER DEFAULT 0,
+        player2_points INTEGER DEFAULT 0,
+        player2_reprises INTEGER DEFAULT 0,
+        player2_serie INTEGER DEFAULT 0,
+        player2_match_points INTEGER DEFAULT 0,
+        entered_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tournoi_id, poule_number, match_number)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_matches_tournoi ON matches(tournoi_id)
+    `);
+    // Distance each player had to reach (utils/match-distance)
+    await client.query(`ALTER TABLE matches ADD COLUMN IF NOT EXISTS player1_distance INTEGER`);
+    await client.query(`ALTER TABLE matches ADD COLUMN IF NOT EXISTS player2_distance INTEGER`);
+
+    // Finale knockout bracket - one row per bracket match (round: R16/QF/SF/3P/F)
+    // First round players are seeded at generation, later rounds are filled from the winners
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bracket_matches (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id),
+        round VARCHAR(5) NOT NULL,
+        match_number INTEGER NOT NULL,
+        player1_licence VARCHAR(50),
+        player2_licence VARCHAR(50),
+        player1_seed INTEGER,
+        player2_seed INTEGER,
+        player1_points INTEGER,
+        player1_reprises INTEGER,
+        player1_serie INTEGER,
+        player1_match_points INTEGER,
+        player2_points INTEGER,
+        player2_reprises INTEGER,
+        player2_serie INTEGER,
+        player2_match_points INTEGER,
+        winner_licence VARCHAR(50),
+        entered_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tournoi_id, round, match_number)
+      )
+    `);
+    await client.query(`ALTER TABLE bracket_matches ADD COLUMN IF NOT EXISTS player1_distance INTEGER`);
+    await client.query(`ALTER TABLE bracket_matches ADD COLUMN IF NOT EXISTS player2_distance INTEGER`);
+
     // Convocation files archive table (stores PDF versions)
     await client.query(`
       CREATE TABLE IF NOT EXISTS convocation_files (
@@ -706,6 +909,23 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_convocation_files_lookup
         ON convocation_files(category_id, tournament_num, season)
     `);
+    await client.query(`ALTER TABLE convocation_files ADD COLUMN IF NOT EXISTS version INTEGER`);
+
+    // Convocation versions - composition (poule, venue, time of each player) of every convocation send
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS convocation_versions (
+        id SERIAL PRIMARY KEY,
+        tournoi_id INTEGER NOT NULL REFERENCES tournoi_ext(tournoi_id),
+        version INTEGER NOT NULL,
+        composition JSONB NOT NULL,
+        changes JSONB,
+        sent_count INTEGER DEFAULT 0,
+        sent_by TEXT,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(tournoi_id, version)
+      )
+    `);
 
     // Game modes reference table (Modes de jeu)
     await client.query(`
@@ -1054,6 +1274,115 @@ async function initializeDatabase() {
       console.log('Player rankings migration completed');
     }
 
+    // FFB classification proposals (end of season promotion/demotion from the season moyenne)
+    // status: pending -> accepted / rejected -> applied (accepted ones written to player_rankings)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS classification_proposals (
+        id SERIAL PRIMARY KEY,
+        season TEXT NOT NULL,
+        licence TEXT NOT NULL,
+        player_name TEXT,
+        game_mode_id INTEGER NOT NULL REFERENCES game_modes(id) ON DELETE CASCADE,
+        current_ranking TEXT NOT NULL,
+        proposed_ranking TEXT NOT NULL,
+        direction VARCHAR(10) NOT NULL,
+        season_moyenne DECIMAL(7,3) NOT NULL,
+        total_points INTEGER DEFAULT 0,
+        total_reprises INTEGER DEFAULT 0,
+        tournaments_count INTEGER DEFAULT 0,
+        moyenne_mini DECIMAL(6,3),
+        moyenne_maxi DECIMAL(6,3),
+        status VARCHAR(10) DEFAULT 'pending',
+        reviewed_by TEXT,
+        reviewed_at TIMESTAMP,
+        applied_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(season, licence, game_mode_id)
+      )
+    `);
+
+    // Player ratings (Elo per game mode) - fully recomputed from tournament_results (utils/player-rating.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS player_ratings (
+        id SERIAL PRIMARY KEY,
+        licence TEXT NOT NULL,
+        game_mode_id INTEGER NOT NULL REFERENCES game_modes(id) ON DELETE CASCADE,
+        player_name TEXT,
+        rating DECIMAL(7,2) NOT NULL,
+        peak_rating DECIMAL(7,2),
+        tournaments_played INTEGER DEFAULT 0,
+        last_tournament_id INTEGER,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(licence, game_mode_id)
+      )
+    `);
+
+    // One row per player and tournament: rating before / after the tournament
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS player_rating_history (
+        id SERIAL PRIMARY KEY,
+        licence TEXT NOT NULL,
+        game_mode_id INTEGER NOT NULL REFERENCES game_modes(id) ON DELETE CASCADE,
+        tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        season TEXT NOT NULL,
+        poule_number INTEGER,
+        position INTEGER,
+        moyenne_score DECIMAL(5,3),
+        expected_score DECIMAL(5,3),
+        rating_before DECIMAL(7,2) NOT NULL,
+        rating_after DECIMAL(7,2) NOT NULL,
+        rating_delta DECIMAL(7,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(licence, tournament_id)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_player_rating_history_licence ON player_rating_history(licence, game_mode_id)
+    `);
+
+    // Duplicate players merged into another licence (utils/player-merge.js), with what is needed to undo it:
+    // merged_player / kept_player: players rows before the merge, moved: [{ table, key, column, ids }],
+    // deleted: [{ table, rows }] rows dropped because the kept player already had one
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS player_merges (
+        id SERIAL PRIMARY KEY,
+        kept_licence TEXT NOT NULL,
+        merged_licence TEXT NOT NULL,
+        kept_player JSONB NOT NULL,
+        merged_player JSONB NOT NULL,
+        moved JSONB NOT NULL DEFAULT '[]',
+        deleted JSONB NOT NULL DEFAULT '[]',
+        merged_by TEXT,
+        merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        undone_by TEXT,
+        undone_at TIMESTAMP
+      )
+    `);
+
+    // Rows written by each import, to roll it back (utils/import-batch.js): operation insert | update | delete,
+    // row_key: primary key value, before_image: the row before an update or delete (NULL for an insert),
+    // after_image: the row as the import left it after an insert or update (rollback refused if it changed since)
+    await client.query(`ALTER TABLE import_history ADD COLUMN IF NOT EXISTS tracked BOOLEAN DEFAULT FALSE`);
+    await client.query(`ALTER TABLE import_history ADD COLUMN IF NOT EXISTS rolled_back_by TEXT`);
+    await client.query(`ALTER TABLE import_history ADD COLUMN IF NOT EXISTS rolled_back_at TIMESTAMP`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS import_history_rows (
+        id SERIAL PRIMARY KEY,
+        import_id INTEGER NOT NULL REFERENCES import_history(id) ON DELETE CASCADE,
+        table_name TEXT NOT NULL,
+        row_key TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        before_image JSONB
+      )
+    `);
+    await client.query(`ALTER TABLE import_history_rows ADD COLUMN IF NOT EXISTS after_image JSONB`);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_import_history_rows_import ON import_history_rows(import_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_import_history_rows_row ON import_history_rows(table_name, row_key)
+    `);
+
     // Initialize ffb_rankings reference data
     const rankingResult = await client.query('SELECT COUNT(*) as count FROM ffb_rankings');
     if (rankingResult.rows[0].count == 0) {
@@ -1566,6 +1895,23 @@ Sportivement,
       console.log(`Direct-normalized ${directContactsResult.rowCount} club names in player_contacts table`);
     }
 
+    // Migration: canonical licences (no whitespace, upper case) so joins can use plain equality
+    // Rows whose canonical licence is already used are left as they are (see GET /api/players/licences/validate)
+    try {
+      await client.query('BEGIN');
+      const licenceReport = await normalizeStoredLicences(client);
+      await client.query('COMMIT');
+      if (licenceReport.total > 0) {
+        console.log(`Normalized ${licenceReport.total} licences: ${licenceReport.tables.map(t => `${t.table}.${t.column}=${t.normalized}`).join(', ')}`);
+      }
+    } catch (licenceError) {
+      await client.query('ROLLBACK');
+      console.error('Error normalizing licences:', licenceError.message);
+    }
+    for (const table of ['inscriptions', 'tournament_results', 'rankings', 'convocation_poules']) {
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_licence ON ${table}(licence)`);
+    }
+
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('Error initializing database:', err);
@@ -1579,6 +1925,25 @@ const db = {
   // Direct query method (Promise-based, returns { rows })
   query: (query, params) => pool.query(query, params),
 
+  // Run callback(tx) inside a transaction on a dedicated connection
+  // tx.query() has the same API as db.query(); any error rolls everything back
+  transaction: async (callback) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback({ query: (query, params) => client.query(query, params) });
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(rollbackErr => {
+        console.error('Error rolling back transaction:', rollbackErr.message);
+      });
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
   // For SELECT queries that return multiple rows
   all: (query, params, callback) => {
     // Convert SQLite ? placeholders to PostgreSQL $1, $2, etc.
@@ -92,6 +92,14 @@ function initializeDatabase() {
       )
     `);
 
+    // Position, game points and reprises used by the ranking computation, points weighted to the
+    // reference distance set by the match finalization (migration for existing databases)
+    ['position INTEGER DEFAULT 0', 'points INTEGER DEFAULT 0', 'reprises INTEGER DEFAULT 0', 'weighted_points REAL'].forEach(column => {
+      db.run(`ALTER TABLE tournament_results ADD COLUMN ${column}`, [], (err) => {
+        // Ignore error if column already exists
+      });
+    });
+
     // Rankings table (cumulative)
     db.run(`
       CREATE TABLE IF NOT EXISTS rankings (
@@ -113,6 +121,55 @@ function initializeDatabase() {
       )
     `);
 
+    // Per-round ranking points keyed by tournament_number, JSON (migration for existing databases)
+    db.run(`ALTER TABLE rankings ADD COLUMN tournament_points TEXT`, [], (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Points and reprises of the counted tournaments, avg_moyenne is computed from them (migration)
+    ['cumulated_points INTEGER', 'cumulated_reprises INTEGER'].forEach(column => {
+      db.run(`ALTER TABLE rankings ADD COLUMN ${column}`, [], (err) => {
+        // Ignore error if column already exists
+      });
+    });
+
+    // Ranking rules per category/season (NULL category or season = applies to all), rules as JSON
+    db.run(`
+      CREATE TABLE IF NOT EXISTS ranking_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER,
+        season TEXT,
+        rules TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      )
+    `);
+    db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_ranking_rules_scope
+      ON ranking_rules(COALESCE(category_id, 0), COALESCE(season, ''))
+    `);
+
+    // Ranking snapshots (standings after each qualifying tournament)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS ranking_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL,
+        season TEXT NOT NULL,
+        tournament_number INTEGER NOT NULL,
+        licence TEXT NOT NULL,
+        player_name TEXT,
+        rank_position INTEGER NOT NULL,
+        total_match_points INTEGER DEFAULT 0,
+        avg_moyenne REAL DEFAULT 0,
+        best_serie INTEGER DEFAULT 0,
+        tournament_points TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id),
+        UNIQUE(category_id, season, tournament_number, licence)
+      )
+    `);
+
     // Clubs table
     db.run(`
       CREATE TABLE IF NOT EXISTS clubs (
@@ -336,4 +393,51 @@ function initializeDatabase() {
   });
 }
 
+// Promise-based query with PostgreSQL-style $1, $2 placeholders (same API as db-postgres.js)
+// Resolves to { rows, rowCount }
+function runQuery(query, params = []) {
+  const sqliteQuery = query.replace(/\$(\d+)/g, '?$1');
+  const returnsRows = /^\s*(SELECT|WITH|PRAGMA)\b/i.test(query) || /\bRETURNING\b/i.test(query);
+
+  return new Promise((resolve, reject) => {
+    if (returnsRows) {
+      db.all(sqliteQuery, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve({ rows, rowCount: rows.length });
+      });
+    } else {
+      db.run(sqliteQuery, params, function(err) {
+        if (err) reject(err);
+        else resolve({ rows: [], rowCount: this.changes, lastID: this.lastID });
+      });
+    }
+  });
+}
+
+db.query = runQuery;
+
+// Run callback(tx) inside a transaction; any error rolls everything back
+// SQLite has a single connection, so transactions are queued one after the other
+let transactionQueue = Promise.resolve();
+
+db.transaction = (callback) => {
+  const run = async () => {
+    await runQuery('BEGIN IMMEDIATE');
+    try {
+      const result = await callback({ query: runQuery });
+      await runQuery('COMMIT');
+      return result;
+    } catch (err) {
+      await runQuery('ROLLBACK').catch(rollbackErr => {
+        console.error('Error rolling back transaction:', rollbackErr.message);
+      });
+      throw err;
+    }
+  };
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
 module.exports = db;
@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db-postgres');
 const { authenticateToken, requireViewer, requireAdmin } = require('./auth');
+const { canonicalSql } = require('../utils/licence');
 
 /**
  * GET /api/activity-logs
@@ -203,20 +204,21 @@ router.get('/stats', authenticateToken, requireViewer, async (req, res) => {
     `);
 
     // Recent active users (join with players to get real names)
-    // Group by normalized licence to avoid duplicates
+    // Group by normalized licence to avoid duplicates: activity_logs is written by the Player App,
+    // its licences are not rewritten by the licence migration
     // Exclude test accounts (licence starting with TEST)
     const activeUsers = await db.query(`
       SELECT
-        REPLACE(a.licence, ' ', '') as licence,
-        COALESCE(p.last_name || ' ' || p.first_name, MAX(a.user_name), REPLACE(a.licence, ' ', '')) as user_name,
+        ${canonicalSql('a.licence')} as licence,
+        COALESCE(p.last_name || ' ' || p.first_name, MAX(a.user_name), ${canonicalSql('a.licence')}) as user_name,
         COUNT(*) as action_count,
         MAX(a.created_at) as last_activity
       FROM activity_logs a
-      LEFT JOIN players p ON REPLACE(p.licence, ' ', '') = REPLACE(a.licence, ' ', '')
+      LEFT JOIN players p ON p.licence = ${canonicalSql('a.licence')}
       WHERE ${dateFilter.replace('created_at', 'a.created_at')}
         AND a.licence IS NOT NULL
         AND UPPER(a.licence) NOT LIKE 'TEST%'
-      GROUP BY REPLACE(a.licence, ' ', ''), p.last_name, p.first_name
+      GROUP BY ${canonicalSql('a.licence')}, p.last_name, p.first_name
       ORDER BY action_count DESC
       LIMIT 10
     `);
@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticateToken, requireAdmin } = require('./auth');
+const { normalizeLicence } = require('../utils/licence');
 
 const router = express.Router();
 
@@ -13,7 +14,7 @@ router.get('/audience-count', authenticateToken, (req, res) => {
   db.get(
     `SELECT COUNT(*) as count
      FROM player_accounts pa
-     LEFT JOIN players p ON REPLACE(pa.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+     LEFT JOIN players p ON pa.licence = p.licence
      WHERE p.player_app_role IS NULL OR p.player_app_role != 'test'`,
     [],
     (err, row) => {
@@ -49,8 +50,7 @@ router.get('/active', (req, res) => {
   const db = getDb();
   const { licence } = req.query;
 
-  // Normalize licence (remove spaces)
-  const normalizedLicence = licence ? licence.replace(/\s+/g, '') : null;
+  const normalizedLicence = licence ? normalizeLicence(licence) : null;
 
   db.all(
     `SELECT id, title, message, type, created_at, test_licence, target_licence
@@ -59,8 +59,8 @@ router.get('/active', (req, res) => {
        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
        AND (
          (test_licence IS NULL AND target_licence IS NULL)
-         OR REPLACE(test_licence, ' ', '') = $1
-         OR REPLACE(target_licence, ' ', '') = $1
+         OR test_licence = $1
+         OR target_licence = $1
        )
      ORDER BY created_at DESC`,
     [normalizedLicence],
@@ -85,9 +85,8 @@ router.post('/', authenticateToken, (req, res) => {
   }
 
   const announcementType = type || 'info';
-  // Normalize licences if provided
-  const normalizedTestLicence = test_licence ? test_licence.replace(/\s+/g, '') : null;
-  const normalizedTargetLicence = target_licence ? target_licence.replace(/\s+/g, '') : null;
+  const normalizedTestLicence = test_licence ? normalizeLicence(test_licence) : null;
+  const normalizedTargetLicence = target_licence ? normalizeLicence(target_licence) : null;
 
   db.run(
     `INSERT INTO announcements (title, message, type, expires_at, created_by, test_licence, target_licence)
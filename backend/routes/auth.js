@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const db = require('../db-loader');
 const appSettings = require('../utils/app-settings');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const { getMailTransport } = require('../utils/mail-transport');
 
 const router = express.Router();
 
@@ -320,8 +321,10 @@ router.post('/forgot-password', async (req, res) => {
 
         // Send email with reset link
         try {
-          const { Resend } = require('resend');
-          const resend = new Resend(process.env.RESEND_API_KEY);
+          const mailer = getMailTransport();
+          if (!mailer) {
+            throw new Error('Email not configured');
+          }
 
           // Get dynamic settings for email branding
           const emailSettings = await appSettings.getSettingsBatch([
@@ -337,7 +340,7 @@ router.post('/forgot-password', async (req, res) => {
           const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
           const resetLink = `${baseUrl}/reset-password.html?token=${resetToken}`;
 
-          await resend.emails.send({
+          await mailer.send({
             from: `${senderName} <${senderEmail}>`,
             to: user.email,
             subject: `Réinitialisation de votre mot de passe ${orgShortName}`,
@@ -451,8 +454,7 @@ router.post('/forgot', async (req, res) => {
 
     // Send email with code
     try {
-      const { Resend } = require('resend');
-      const resend = new Resend(process.env.RESEND_API_KEY);
+      const mailer = getMailTransport();
 
       // Get dynamic settings for email branding
       const emailSettings = await appSettings.getSettingsBatch([
@@ -466,8 +468,8 @@ router.post('/forgot', async (req, res) => {
       const orgShortName = emailSettings.organization_short_name || 'CDBHS';
       const replyToEmail = emailSettings.summary_email || 'cdbhs92@gmail.com';
 
-      if (resend) {
-        await resend.emails.send({
+      if (mailer) {
+        await mailer.send({
           from: `${senderName} <${senderEmail}>`,
           replyTo: replyToEmail,
           to: [normalizedEmail],
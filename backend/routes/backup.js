@@ -2,6 +2,8 @@ const express = require('express');
 const ExcelJS = require('exceljs');
 const { authenticateToken } = require('./auth');
 const db = require('../db-loader');
+const { getQualifyingTournamentNumbers, getTournamentLabel } = require('../utils/qualifying-rounds');
+const { getRankingRules } = require('../utils/ranking-rules');
 
 const router = express.Router();
 
@@ -180,6 +182,7 @@ router.get('/export-rankings', authenticateToken, async (req, res) => {
     const query = `
       SELECT
         r.season,
+        r.category_id,
         c.display_name as category,
         r.licence,
         p.first_name,
@@ -189,6 +192,7 @@ router.get('/export-rankings', authenticateToken, async (req, res) => {
         r.total_match_points,
         r.avg_moyenne,
         r.best_serie,
+        r.tournament_points,
         r.tournament_1_points,
         r.tournament_2_points,
         r.tournament_3_points
@@ -203,6 +207,21 @@ router.get('/export-rankings', authenticateToken, async (req, res) => {
         return res.status(500).json({ error: err.message });
       }
 
+      // Qualifying rounds of each category/season (ranking rules): one points column per round, up to the largest count
+      const roundNumbers = {};
+      try {
+        for (const r of rankings) {
+          const scope = `${r.category_id}|${r.season}`;
+          if (!roundNumbers[scope]) {
+            const rules = await getRankingRules(r.category_id, r.season);
+            roundNumbers[scope] = getQualifyingTournamentNumbers(rules.qualifying_rounds);
+          }
+        }
+      } catch (rulesError) {
+        return res.status(500).json({ error: rulesError.message });
+      }
+      const columnNumbers = Object.values(roundNumbers).reduce((longest, numbers) => numbers.length > longest.length ? numbers : longest, getQualifyingTournamentNumbers());
+
       const workbook = new ExcelJS.Workbook();
       const worksheet = workbook.addWorksheet('Classements');
 
@@ -217,9 +236,7 @@ router.get('/export-rankings', authenticateToken, async (req, res) => {
         { header: 'Total Points', key: 'total_match_points', width: 12 },
         { header: 'Moyenne', key: 'avg_moyenne', width: 12 },
         { header: 'Meilleure Série', key: 'best_serie', width: 15 },
-        { header: 'Points T1', key: 'tournament_1_points', width: 12 },
-        { header: 'Points T2', key: 'tournament_2_points', width: 12 },
-        { header: 'Points T3', key: 'tournament_3_points', width: 12 }
+        ...columnNumbers.map(number => ({ header: `Points ${getTournamentLabel(number, true)}`, key: `round_${number}_points`, width: 12 }))
       ];
 
       worksheet.getRow(1).font = { bold: true };
@@ -230,8 +247,14 @@ router.get('/export-rankings', authenticateToken, async (req, res) => {
       };
       worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
 
+      // Points per round: tournament_points JSONB, legacy columns for rankings computed before it
       rankings.forEach(r => {
-        worksheet.addRow(r);
+        const points = typeof r.tournament_points === 'string' ? JSON.parse(r.tournament_points) : r.tournament_points;
+        const row = { ...r };
+        roundNumbers[`${r.category_id}|${r.season}`].forEach(number => {
+          row[`round_${number}_points`] = points ? points[number] ?? null : (number <= 3 ? r[`tournament_${number}_points`] : null);
+        });
+        worksheet.addRow(row);
       });
 
       const filename = `Classements_Backup_${new Date().toISOString().split('T')[0]}.xlsx`;
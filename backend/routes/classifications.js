@@ -0,0 +1,255 @@
+/**
+ * FFB Classification Proposals Routes
+ *
+ * End of season promotion/demotion proposals computed from the season moyennes
+ * (tournament_results) and the game_parameters bounds, reviewed by an admin
+ * then applied to player_rankings.
+ *
+ * GET    /api/classifications/proposals            - List proposals (season, status)
+ * POST   /api/classifications/proposals/generate   - Compute the proposals of a season
+ * PUT    /api/classifications/proposals/:id        - Accept / reject a proposal
+ * POST   /api/classifications/proposals/apply      - Apply the accepted proposals to player_rankings
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db-loader');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const { getSeasonFromDate } = require('../utils/tournament-context');
+const { normalizeLicence } = require('../utils/licence');
+const {
+  DEFAULT_MIN_TOURNAMENTS,
+  DEFAULT_MAX_STEPS,
+  getClassificationLadder,
+  buildProposals
+} = require('../utils/classification-proposals');
+
+const REVIEW_STATUSES = ['pending', 'accepted', 'rejected'];
+
+/**
+ * Season statistics per player and game mode, with the current classification
+ * Licences are compared in their canonical form (utils/licence.js), as when the proposals are applied
+ */
+async function getSeasonStats(season) {
+  const result = await db.query(`
+    SELECT
+      tr.licence,
+      MAX(tr.player_name) as player_name,
+      gm.id as game_mode_id,
+      UPPER(REPLACE(gm.code, ' ', '')) as mode_code,
+      pr.ranking as current_ranking,
+      SUM(tr.points) as total_points,
+      SUM(tr.reprises) as total_reprises,
+      COUNT(DISTINCT t.id) as tournaments_count
+    FROM tournament_results tr
+    JOIN tournaments t ON tr.tournament_id = t.id
+    JOIN categories c ON t.category_id = c.id
+    JOIN game_modes gm ON UPPER(REPLACE(gm.code, ' ', '')) = UPPER(REPLACE(c.game_type, ' ', ''))
+    JOIN player_rankings pr ON pr.licence = tr.licence
+      AND pr.game_mode_id = gm.id
+    WHERE t.season = $1 AND pr.ranking IS NOT NULL AND pr.ranking != ''
+    GROUP BY tr.licence, gm.id, gm.code, pr.ranking
+  `, [season]);
+  return result.rows;
+}
+
+/**
+ * Classification ladders (game_parameters bounds) keyed by mode code
+ */
+async function getLaddersByMode() {
+  const [paramsResult, levelsResult] = await Promise.all([
+    db.query('SELECT mode, categorie, moyenne_mini, moyenne_maxi FROM game_parameters'),
+    db.query('SELECT code, level_order FROM ffb_rankings')
+  ]);
+
+  const levelOrder = {};
+  levelsResult.rows.forEach(r => { levelOrder[r.code.toUpperCase()] = r.level_order; });
+
+  const parametersByMode = {};
+  paramsResult.rows.forEach(p => {
+    const mode = p.mode.toUpperCase().replace(/ /g, '');
+    (parametersByMode[mode] = parametersByMode[mode] || []).push(p);
+  });
+
+  const ladders = {};
+  Object.entries(parametersByMode).forEach(([mode, parameters]) => {
+    ladders[mode] = getClassificationLadder(parameters, levelOrder);
+  });
+  return ladders;
+}
+
+// List proposals
+router.get('/proposals', authenticateToken, async (req, res) => {
+  const season = req.query.season || getSeasonFromDate();
+  const { status } = req.query;
+
+  try {
+    const params = [season];
+    let query = `
+      SELECT cp.*, gm.display_name as game_mode_name, gm.color as game_mode_color
+      FROM classification_proposals cp
+      JOIN game_modes gm ON cp.game_mode_id = gm.id
+      WHERE cp.season = $1
+    `;
+    if (status) {
+      params.push(status);
+      query += ` AND cp.status = $${params.length}`;
+    }
+    query += ' ORDER BY gm.display_order, cp.direction DESC, cp.player_name';
+
+    const result = await db.query(query, params);
+    res.json({ season, proposals: result.rows });
+  } catch (error) {
+    console.error('Error fetching classification proposals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compute the proposals of a season
+// Pending proposals are replaced; reviewed or applied ones are kept as they are
+router.post('/proposals/generate', authenticateToken, requireAdmin, async (req, res) => {
+  const season = req.body.season || getSeasonFromDate();
+  const minTournaments = req.body.minTournaments !== undefined ? parseInt(req.body.minTournaments, 10) : DEFAULT_MIN_TOURNAMENTS;
+  const maxSteps = req.body.maxSteps !== undefined ? parseInt(req.body.maxSteps, 10) : DEFAULT_MAX_STEPS;
+
+  if (!Number.isInteger(minTournaments) || minTournaments < 1 || !Number.isInteger(maxSteps) || maxSteps < 1) {
+    return res.status(400).json({ error: 'Paramètres invalides (nombre de tournois et de niveaux >= 1)' });
+  }
+
+  try {
+    const [seasonStats, ladders] = await Promise.all([getSeasonStats(season), getLaddersByMode()]);
+    const proposals = buildProposals(seasonStats, ladders, { minTournaments, maxSteps });
+
+    let created = 0;
+    await db.transaction(async (tx) => {
+      await tx.query(`DELETE FROM classification_proposals WHERE season = $1 AND status = 'pending'`, [season]);
+
+      for (const p of proposals) {
+        const inserted = await tx.query(`
+          INSERT INTO classification_proposals (
+            season, licence, player_name, game_mode_id, current_ranking, proposed_ranking, direction,
+            season_moyenne, total_points, total_reprises, tournaments_count, moyenne_mini, moyenne_maxi
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          ON CONFLICT (season, licence, game_mode_id) DO NOTHING
+        `, [
+          season, p.licence, p.player_name, p.game_mode_id, p.current_ranking, p.proposed_ranking, p.direction,
+          p.season_moyenne, p.total_points, p.total_reprises, p.tournaments_count, p.moyenne_mini, p.moyenne_maxi
+        ]);
+        created += inserted.rowCount;
+      }
+    });
+
+    res.json({
+      success: true,
+      season,
+      playersReviewed: seasonStats.length,
+      proposals: proposals.length,
+      promotions: proposals.filter(p => p.direction === 'promotion').length,
+      demotions: proposals.filter(p => p.direction === 'demotion').length,
+      created,
+      alreadyReviewed: proposals.length - created
+    });
+  } catch (error) {
+    console.error('Error generating classification proposals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept / reject a proposal
+router.put('/proposals/:id', authenticateToken, requireAdmin, async (req, res) => {
+  const { status } = req.body;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Statut invalide (${REVIEW_STATUSES.join(', ')})` });
+  }
+
+  try {
+    const result = await db.query(`
+      UPDATE classification_proposals
+      SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND status != 'applied'
+      RETURNING *
+    `, [status, req.user?.username || 'unknown', req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Proposition introuvable ou déjà appliquée' });
+    }
+    res.json({ success: true, proposal: result.rows[0] });
+  } catch (error) {
+    console.error('Error reviewing classification proposal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply the accepted proposals of a season to player_rankings
+// A proposal whose player classification changed since it was computed is not applied
+router.post('/proposals/apply', authenticateToken, requireAdmin, async (req, res) => {
+  const season = req.body.season || getSeasonFromDate();
+
+  try {
+    const accepted = (await db.query(`
+      SELECT cp.*, gm.display_name as game_mode_name
+      FROM classification_proposals cp
+      JOIN game_modes gm ON cp.game_mode_id = gm.id
+      WHERE cp.season = $1 AND cp.status = 'accepted'
+    `, [season])).rows;
+
+    const applied = [];
+    const conflicts = [];
+
+    await db.transaction(async (tx) => {
+      for (const proposal of accepted) {
+        const current = (await tx.query(
+          `SELECT ranking FROM player_rankings WHERE licence = $1 AND game_mode_id = $2`,
+          [normalizeLicence(proposal.licence), proposal.game_mode_id]
+        )).rows[0];
+
+        if (!current || (current.ranking || '').toUpperCase() !== proposal.current_ranking) {
+          conflicts.push({ ...proposal, actual_ranking: current ? current.ranking : null });
+          continue;
+        }
+
+        await tx.query(`
+          UPDATE player_rankings SET ranking = $1, updated_at = CURRENT_TIMESTAMP
+          WHERE licence = $2 AND game_mode_id = $3
+        `, [proposal.proposed_ranking, normalizeLicence(proposal.licence), proposal.game_mode_id]);
+        await tx.query(
+          `UPDATE classification_proposals SET status = 'applied', applied_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [proposal.id]
+        );
+        applied.push(proposal);
+      }
+    });
+
+    // Audit trail, one entry per classification change
+    applied.forEach(p => {
+      logAdminAction({
+        req,
+        action: ACTION_TYPES.UPDATE_CLASSIFICATION,
+        details: `${p.game_mode_name}: ${p.current_ranking} → ${p.proposed_ranking} (${p.direction === 'promotion' ? 'montée' : 'descente'}, moyenne ${Number(p.season_moyenne).toFixed(3)}, saison ${season})`,
+        targetType: 'player',
+        targetId: p.licence,
+        targetName: p.player_name
+      });
+    });
+
+    res.json({
+      success: true,
+      season,
+      applied: applied.length,
+      conflicts: conflicts.map(c => ({
+        id: c.id,
+        licence: c.licence,
+        player_name: c.player_name,
+        expected_ranking: c.current_ranking,
+        actual_ranking: c.actual_ranking
+      }))
+    });
+  } catch (error) {
+    console.error('Error applying classification proposals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
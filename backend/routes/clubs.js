@@ -37,6 +37,13 @@ const upload = multer({
   }
 });
 
+// Table counts come from a form: empty means the inventory is not filled in
+const parseTableCount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) || count < 0 ? null : count;
+};
+
 // Get all clubs
 router.get('/', authenticateToken, (req, res) => {
   db.all('SELECT * FROM clubs ORDER BY name', [], (err, rows) => {
@@ -151,7 +158,7 @@ router.get('/:id', authenticateToken, (req, res) => {
 
 // Add new club
 router.post('/', authenticateToken, upload.single('logo'), (req, res) => {
-  const { name, display_name, street, city, zip_code, phone, email, calendar_code } = req.body;
+  const { name, display_name, street, city, zip_code, phone, email, calendar_code, tables_grand_coin, tables_petit_coin } = req.body;
   const logo_filename = req.file ? req.file.filename : null;
 
   if (!name || !display_name) {
@@ -159,8 +166,9 @@ router.post('/', authenticateToken, upload.single('logo'), (req, res) => {
   }
 
   db.run(
-    'INSERT INTO clubs (name, display_name, logo_filename, street, city, zip_code, phone, email, calendar_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-    [name, display_name, logo_filename, street || null, city || null, zip_code || null, phone || null, email || null, calendar_code || null],
+    'INSERT INTO clubs (name, display_name, logo_filename, street, city, zip_code, phone, email, calendar_code, tables_grand_coin, tables_petit_coin) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [name, display_name, logo_filename, street || null, city || null, zip_code || null, phone || null, email || null, calendar_code || null,
+      parseTableCount(tables_grand_coin), parseTableCount(tables_petit_coin)],
     function(err) {
       if (err) {
         if (err.message.includes('UNIQUE')) {
@@ -178,7 +186,9 @@ router.post('/', authenticateToken, upload.single('logo'), (req, res) => {
         zip_code,
         phone,
         email,
-        calendar_code
+        calendar_code,
+        tables_grand_coin: parseTableCount(tables_grand_coin),
+        tables_petit_coin: parseTableCount(tables_petit_coin)
       });
     }
   );
@@ -186,7 +196,7 @@ router.post('/', authenticateToken, upload.single('logo'), (req, res) => {
 
 // Update club
 router.put('/:id', authenticateToken, upload.single('logo'), (req, res) => {
-  const { name, display_name, street, city, zip_code, phone, email, calendar_code } = req.body;
+  const { name, display_name, street, city, zip_code, phone, email, calendar_code, tables_grand_coin, tables_petit_coin } = req.body;
   const clubId = req.params.id;
 
   // Get current club data
@@ -207,10 +217,12 @@ router.put('/:id', authenticateToken, upload.single('logo'), (req, res) => {
     const newPhone = phone !== undefined ? phone : club.phone;
     const newEmail = email !== undefined ? email : club.email;
     const newCalendarCode = calendar_code !== undefined ? (calendar_code || null) : club.calendar_code;
+    const newTablesGrandCoin = tables_grand_coin !== undefined ? parseTableCount(tables_grand_coin) : club.tables_grand_coin;
+    const newTablesPetitCoin = tables_petit_coin !== undefined ? parseTableCount(tables_petit_coin) : club.tables_petit_coin;
 
     db.run(
-      'UPDATE clubs SET name = ?, display_name = ?, logo_filename = ?, street = ?, city = ?, zip_code = ?, phone = ?, email = ?, calendar_code = ? WHERE id = ?',
-      [newName, newDisplayName, newLogoFilename, newStreet, newCity, newZipCode, newPhone, newEmail, newCalendarCode, clubId],
+      'UPDATE clubs SET name = ?, display_name = ?, logo_filename = ?, street = ?, city = ?, zip_code = ?, phone = ?, email = ?, calendar_code = ?, tables_grand_coin = ?, tables_petit_coin = ? WHERE id = ?',
+      [newName, newDisplayName, newLogoFilename, newStreet, newCity, newZipCode, newPhone, newEmail, newCalendarCode, newTablesGrandCoin, newTablesPetitCoin, clubId],
       function(err) {
         if (err) {
           if (err.message.includes('UNIQUE')) {
@@ -237,7 +249,9 @@ router.put('/:id', authenticateToken, upload.single('logo'), (req, res) => {
           zip_code: newZipCode,
           phone: newPhone,
           email: newEmail,
-          calendar_code: newCalendarCode
+          calendar_code: newCalendarCode,
+          tables_grand_coin: newTablesGrandCoin,
+          tables_petit_coin: newTablesPetitCoin
         });
       }
     );
@@ -0,0 +1,117 @@
+/**
+ * Email Events Routes
+ *
+ * POST /api/email-events/webhook - Delivery events from the mail provider (public, signed)
+ * POST /api/email-events/simulate - Simulate a provider event for a contact (admin)
+ * GET  /api/email-events/unsubscribe/:token - Unsubscribe link details (public)
+ * POST /api/email-events/unsubscribe/:token - Unsubscribe, from the page or the one-click header (public)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('./auth');
+const {
+  EMAIL_EVENT_TYPES,
+  ingestProviderEvent,
+  verifyWebhookRequest,
+  buildSimulatedPayload,
+  verifyUnsubscribeToken,
+  unsubscribeEmail,
+  isUnsubscribed
+} = require('../utils/email-deliverability');
+
+// j***@example.com - the unsubscribe page must not disclose the full address
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+/**
+ * POST /api/email-events/webhook
+ * Provider delivery events (Resend webhook format), authenticated by EMAIL_WEBHOOK_SECRET
+ */
+router.post('/webhook', async (req, res) => {
+  if (!process.env.EMAIL_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Webhook non configuré (EMAIL_WEBHOOK_SECRET)' });
+  }
+  if (!verifyWebhookRequest(req)) {
+    return res.status(401).json({ error: 'Signature invalide' });
+  }
+
+  try {
+    const result = await ingestProviderEvent(req.body, 'webhook');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error processing email event:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/email-events/simulate
+ * Body: { email, type: 'delivered' | 'opened' | 'bounced' | 'complained', soft, detail }
+ * Goes through the same processing as the webhook, to test without a provider
+ */
+router.post('/simulate', authenticateToken, requireAdmin, async (req, res) => {
+  const { email, type, soft, detail } = req.body;
+
+  if (!email || !email.includes('@')) {
+    return res.status(400).json({ error: 'Adresse email invalide' });
+  }
+  if (!EMAIL_EVENT_TYPES.includes(type) || type === 'unsubscribed') {
+    return res.status(400).json({ error: 'Type d\'événement invalide (delivered, opened, bounced, complained)' });
+  }
+
+  try {
+    const payload = buildSimulatedPayload(type, email, { soft: !!soft, detail });
+    const result = await ingestProviderEvent(payload, 'simulator');
+    res.json({ success: true, payload, ...result });
+  } catch (error) {
+    console.error('Error simulating email event:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/email-events/unsubscribe/:token
+ * Details shown on unsubscribe.html (no change: mail scanners open links)
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+  const email = verifyUnsubscribeToken(req.params.token);
+  if (!email) {
+    return res.status(410).json({ error: 'Lien invalide' });
+  }
+
+  try {
+    res.json({
+      email: maskEmail(email),
+      unsubscribed: await isUnsubscribed(email)
+    });
+  } catch (error) {
+    console.error('Error loading unsubscribe link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/email-events/unsubscribe/:token
+ * From unsubscribe.html, or directly by the mail client (List-Unsubscribe-Post: List-Unsubscribe=One-Click)
+ */
+router.post('/unsubscribe/:token', async (req, res) => {
+  const email = verifyUnsubscribeToken(req.params.token);
+  if (!email) {
+    return res.status(410).json({ error: 'Lien invalide' });
+  }
+
+  try {
+    const source = req.body?.['List-Unsubscribe'] === 'One-Click' ? 'one_click' : 'link';
+    await unsubscribeEmail(email, source);
+    console.log(`[Unsubscribe] ${maskEmail(email)} unsubscribed (${source})`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,21 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { Resend } = require('resend');
+const { getMailTransport } = require('../utils/mail-transport');
 const PDFDocument = require('pdfkit');
 const { authenticateToken } = require('./auth');
 const appSettings = require('../utils/app-settings');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const { FINALE_TOURNAMENT_NUMBER, isFinaleTournament } = require('../utils/qualifying-rounds');
+const { MODE_TO_GAME_TYPE, resolveTournamentContext } = require('../utils/tournament-context');
+const { planReplacement, applyReplacement } = require('../utils/waiting-list');
+const { buildComposition, getLatestVersion, diffCompositions, saveVersion, recordDelivery } = require('../utils/convocation-versions');
+const { normalizeLicence } = require('../utils/licence');
+const { createResponseToken, buildResponseLinks } = require('../utils/convocation-response');
+const { enqueueEmail, deliverQueued, refreshCampaign, registerOutboxHook } = require('../utils/email-outbox');
+const { renderTemplate } = require('../utils/template-engine');
+const { buildConvocationVariables } = require('../utils/email-template-context');
+const { DEFAULT_LANGUAGE, normalizeLanguage, translate, formatDate, getLanguagesByLicence, getLanguageByEmail, resolveTemplate, createTemplateResolver } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -13,9 +23,6 @@ const router = express.Router();
 const FRENCH_BILLARD_ICON_BASE64 = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAADAAAAAwCAYAAABXAvmHAAABY2lDQ1BrQ0dDb2xvclNwYWNlRGlzcGxheVAzAAAokX2QsUvDUBDGv1aloHUQHRwcMolDlJIKuji0FURxCFXB6pS+pqmQxkeSIgU3/4GC/4EKzm4Whzo6OAiik+jm5KTgouV5L4mkInqP435877vjOCA5bnBu9wOoO75bXMorm6UtJfWMBL0gDObxnK6vSv6uP+P9PvTeTstZv///jcGK6TGqn5QZxl0fSKjE+p7PJe8Tj7m0FHFLshXyieRyyOeBZ71YIL4mVljNqBC/EKvlHt3q4brdYNEOcvu06WysyTmUE1jEDjxw2DDQhAId2T/8s4G/gF1yN+FSn4UafOrJkSInmMTLcMAwA5VYQ4ZSk3eO7ncX3U+NtYMnYKEjhLiItZUOcDZHJ2vH2tQ8MDIEXLW54RqB1EeZrFaB11NguASM3lDPtlfNauH26Tww8CjE2ySQOgS6LSE+joToHlPzA3DpfAEDp2ITpJYOWwAAAARjSUNQDA0AAW4D4+8AAACKZVhJZk1NACoAAAAIAAQBGgAFAAAAAQAAAD4BGwAFAAAAAQAAAEYBKAADAAAAAQACAACHaQAEAAAAAQAAAE4AAAAAAAAAkAAAAAEAAACQAAAAAQADkoYABwAAABIAAAB4oAIABAAAAAEAAAAwoAMABAAAAAEAAAAwAAAAAEFTQ0lJAAAAU2NyZWVuc2hvdA73nrsAAAAJcEhZcwAAFiUAABYlAUlSJPAAAAKpaVRYdFhNTDpjb20uYWRvYmUueG1wAAAAAAA8eDp4bXBtZXRhIHhtbG5zOng9ImFkb2JlOm5zOm1ldGEvIiB4OnhtcHRrPSJYTVAgQ29yZSA2LjAuMCI+CiAgIDxyZGY6UkRGIHhtbG5zOnJkZj0iaHR0cDovL3d3dy53My5vcmcvMTk5OS8wMi8yMi1yZGYtc3ludGF4LW5zIyI+CiAgICAgIDxyZGY6RGVzY3JpcHRpb24gcmRmOmFib3V0PSIiCiAgICAgICAgICAgIHhtbG5zOnRpZmY9Imh0dHA6Ly9ucy5hZG9iZS5jb20vdGlmZi8xLjAvIgogICAgICAgICAgICB4bWxuczpleGlmPSJodHRwOi8vbnMuYWRvYmUuY29tL2V4aWYvMS4wLyI+CiAgICAgICAgIDx0aWZmOllSZXNvbHV0aW9uPjE0NDwvdGlmZjpZUmVzb2x1dGlvbj4KICAgICAgICAgPHRpZmY6WFJlc29sdXRpb24+MTQ0PC90aWZmOlhSZXNvbHV0aW9uPgogICAgICAgICA8dGlmZjpSZXNvbHV0aW9uVW5pdD4yPC90aWZmOlJlc29sdXRpb25Vbml0PgogICAgICAgICA8ZXhpZjpQaXhlbFlEaW1lbnNpb24+MTA3NDwvZXhpZjpQaXhlbFlEaW1lbnNpb24+CiAgICAgICAgIDxleGlmOlVzZXJDb21tZW50PlNjcmVlbnNob3Q8L2V4aWY6VXNlckNvbW1lbnQ+CiAgICAgICAgIDxleGlmOlBpeGVsWERpbWVuc2lvbj4xMDM2PC9leGlmOlBpeGVsWERpbWVuc2lvbj4KICAgICAgPC9yZGY6RGVzY3JpcHRpb24+CiAgIDwvcmRmOlJERj4KPC94OnhtcG1ldGE+CgAevfgAAA+0SURBVGgF1VpbrF1Hef7WZZ99OTef4+uxY8eOHbuAE4dGEBFISMAuKAgkQESQlkqoElXVl1YiSKkqtS9IvJAH4AGJF15aCKh9QS0CEZRYJAIZmijkQhxi4+PEJ/a57XP2fe+11+73/bNm7bVtJ88wx2utmX9m/vm+f/75Z9baDkZM+DNO8Tthv7q5iosrf8Ta9jqSYYIgCMbNmQ34l6ebZ/NqZSYsVSiMVFMs06alqIR9i3tx7MBtmJ+em9BTLNyUwK9f+Q2+/+SP8NvXnke9VccwHVofETASAm95iY3JBLkxT8/KoSvOtU28iQlf+O3mns4pApKIsWfHbpz+ywfxxTOfx/5dS0XsDhMb59w7vQ4e/+G38MRT/41+MkA5LiEMwwxsBjQDTKGzv4ldndEZo79hMAny4QQ6s7zjYYKxjLDUdpim6A16WFrch69+4Z/x0D1/NaE38AQE/tHv/Ct+eu5J1MpVhAISBggjEWAfAc4u42B5L5dO1euZpYkCZWM7ZVlneRVUZcSyp8tTno6Q8gKvQZqY4sce+Qr++vTDfhSEPvf4j75t4Kcz8EEcToAPSSawi7zy/JiU6oykZoyXmx6n3Yjn8kxPZgynk4bKdKusvNOVGTCiO4UxwYb4+n9+A0/+9ikP2xH4zavP4Ylf/BctX3FWJvjcxzlQrjAb1JRPAHDt5W4JLTUYDlCi+2nxzfGKowjJKEHKv9wljdDYAEWdyo/HJBe1pSdEJJaOUnz9+49jbWvdSNgi/gEXbC/po1oqs6HzA+pwVlDGg81kY+W+rVM8pPJTR+7BR05+GCf2H8NsZQZJkmBl7SpeuPgifnXhHC5tXqY6AvdTJP30oUCeknIoC0fZXVWCoZWhSeWtNIpx6eqyGfwfP/1lxPVm3aLNFC2Wu0ERtKaWinTpVgTv10TCKDVbm8Hfn/kSPnbXR7n4pzgLiYEfDodYnF7Agbl9uHP3u3D2/LN4evlZ9IZ9LrHQ+T5VCygNXSAhAQclKSPBm5FIA0xR/0/P/Rx/94m/Rfzm2go2SSKiMvNHgvTu44Gr/Hbg5RZzBP/vDz+Ge46/D30CG2pUdckAKBCUyiVUq1XcvXQKYT/AL956hgtzwGayjEuTJCSjxFcLgxJ1xqMIb6xdwfK1NxC2Oi3ISmZiA89GGtyjd4W87K1u9bQYJxdfpuXff/vdBj6OY5RKJUT0e/m793nJ4xI9NgJuqS3hPdXb3ThyDRvXGU44bj622jkCygwY5uvNLYRibRjdw+6mQDkjUnz62eGTltAGd/LQe/DRkw+gy1itfgLuwVNFnoogNWv7oz1YiOYx0hjUVay/flwpcZjYTnkT0HhcO+SfJauRNl92SsXCOmdPl2cbtktp/fvfda9teClXoC4tWp/XABbT2VwyzbRdJB4Q+b5wtxvPxmb2urGKYxsqa8ebnlmKnczuaj9xqY1k7ukzbiDJKoxaR3bdaru2XElJQAXEA/bPXq8HXYPBwC4RmQunEaWRuaFAmQ65PfuLuMbmw2HIhnfgsxnjePlZyANl83EPE7qyt45/qlmJfh0yKiT0RzeKIyAiAiDwurrdLprNJtrttl2dTsfieSlgfwYPzouBVj8HkP0NfVaWbUTAbOSIWZ6y2CpUaSnPeDz2FOiJahV5Ke6vb66jMb8XlWols5pr6wl0CH6rXsfW1hYajYYRESGlPFrRnUbaCApAbUzK/Azo6dIklnwGrJJ1wpo1yUn4uvxp7RgJuOteuPpHLM2QQK1iYVLRRoPLRQS01Wphe3sb9YyE8qpjjEIbXQwDuZyDlltZ5Qyw6oyEmijv22ZdJglkwpyBdXI9dHfkFAnGPvjCyks4NnPYCFQqFYiAkkD2+31zmQbdZ5szsLm5aaRUL3xr2LChzNrewtlMWNGjVwcB8G1UNkG+Bq6jZQ3GjVxRC4uWVYE3ha+Q5/WL25fxuzdewuH5Q4inGOsLBLRg5e+aBbmPFrGSDmWb2CaBLRa4BgiMW5+DxDXlkkd7A/Ks3j3MXL7LRE2hoAH6yQjzVYY+vhzNVXi8pXCtE2CjP8LZ1f/DqM0deWo2P0tp8YqAQGsmVFYS+C56eDm+xLe8FAudFLMdvu0lKRrc5DbLEXqMjfozZgUcxazHbAQ812IDn+8R+IEdIT5zagr3HwmxdwaYot8mgyGurPXx/OUhfn6lh2dbz+FE6zYsYNr2B50abQ+Qco4mQDysoB62cT64iL+4to37VgY4uM0Xp16CoXZWXq8HCZ5fnMLLR+bRqXE96X3gJslLszXgi5MtBf7B4yV85fQMlhZijOg68u0RD2oKX/t3ci+g8GDYwtNX2jjb7mBxtA970wVUR2UuVJpUhiSlbtDBSkTHGV7Dw+eb+CBPw2EQYcBz0oBWT7gb7+DwRzkbtdfq2Pn6Os6d2oONg/MkMYmrWMoIFEXMk0+PYB88EeNrn5pDpTzF8zzB2NnHvRnJuhHfG0qVGFPVCKeqHQwaK3gqSvFWaRVVlDGVbTN9JOgEPGrQwv/wchd3N+n3FZ5+CT6mGxG9zZbcrMJz1FRlCovNFk6cvYgX7j2E1uEF+rCtvgJQZ/TxUUJVlClk0R2xfz7AV0/XUC7ROgQTzvAUOfNeDlqmVWVZ9xJTKvF0SCJ8a8EtozaONTdIdsQQ2UadC1WX8lwFeOhCD3fV6X5c7OUDt2D2gdMoL+13hz6S0YtLzKvE2YhYniKWXc9cQLDV4VFaQcRhLLCQTYtCtYAt0M+e4meNeb1hURZOIaiKwP08Tc6yRTantpJsuTlXIakD/IpR48FupGiSXUNGrz2NBPe+2UFfL0xEUjp0GLUH+O7w7pPyS+o0ZRp+nNMMbXdRfXHFCFilj6UOKuc4yxg7tkiZmS0HuI8LNtVUyAGTBtLGMwjinRgN6m6atEhJLmGbAddKoouRqcT1sdht4vL0IleAI5ownh+/1sFMl4u1xi8dBNx+6QUuoAq651+xMVMe8EZ0oYR6B9JLHAnLQ5q4cmkDrfceRMpZUPJYhT0WfosW2bYtgy9Wgd28RGAU0ef5b9R8kS0JSNu+LKbBWN/uaMcdMlymDJdu65/tcwZqWRSSfl576j0SZL/s3JSuraL7kx9bnYw25Cl2SPKdhOTYrsurx/UxYF3U6iFs95DO6rhCZewlzMqOF7Gv4ATGJNNTNCiTvhqGmgnnbTSTgR9xoGYzQWM7QbM1RKstIgTN/hEjk30ScaNpRCSdPt8Z+lwvNIAsy/cG7cBqp8imMNruM5Ryz2hw/2iSUEukqMOi0MDNppnDsJpaR0Dj6IyhZ0DwTW6YbzHGa23WGIsVbWy7Zx8xT6isQfAbG31s1gc86wy40yboD9wLRp+LXN9z+NHJRtHJcpUo1ro9zMglYp6FuFi1emRHzUx7QH0Ev96jTj63SKZJImZpkk0ZTETWsBqOAgGTakKMAHfDDvD7N7nBUFCdHqJaiZzl2Efg5TYiUCf4jU1dnImGXMYprUdTbjApVGLF8lwJV3ismKUbTvO4UeYCFQVZWO7SoLXrBL1BAmu8Nki2T7mORslcBSnXDheLYXQ3p3vChcRWHfqcjl8uj7Av7jLGczC6kk29lHGxyuflMtt0H81AvT60Bawl1ub5aDWqctrlTi4FdKmVvdN4na64u9nm5xvuHQqb/JP/99hW7rJNi2+SxLpOscxbIujOkV1I2Z7hkbagVinOlDMKaVrcZVNO8Ip059YjHI17uHVuwEOa3nNdBNDC7fUY50mg0XREaChLIdfHH+Id3LTYXtPtxHbv1Xg8OL6Io79apkG4WRUI9ElAC1e+36D7dLm+lAIu4v6uabSO76HlFEAoLOCVwGZApJTswYJOsV3G8P+5VsGZZgM7SrQGCajdkKFSvq6Io9lQEjW9GP4BNVyMZriIM4VW624Cs/ruvRiubmPHi2/ZyVXrSjMwIIEeCYiIytKnw10yU8bmfceQ8qjBRs7QmU4bgsM4F2LJuU9mNZLlGsPqMML/Nmdxd9DAHrgp5euHEdEoPADYTshPVHi1NIvzpXkMOc0Dhj09RwStgWQQ+zTImbz6/lvR4nP6OX6h61EnB1IAscS2oTrwX3dpDvV7b8NgcZrWd67j3MdhdSAyAt6vbDBqEg2tBXLgiT3CWR6zDvAsc5DHYEJkmJV/BzyghVgLy7gc1bDOj1WdK/whpMPIQUsKRDGp6Ik0DuzA3IF5zFxYR+nNOmN8n2uG79AklizU0D6yE93DO+n3ZCZ3ygwsncLonm4A28g0kGenvC0uKtQsyDiMBbiECpaDKo/S3G15KTQOSGDIK2I+4UtLj2cW+xonpNKTPa1gIBhIeCgbbjTRvWUBo/uO0tTcJTkTAV0zZbgekoQxFXDz++wTu4F31jesVCoKdpTwAoUpfX9UKpJQ2Ynpr6wZsGQzxFuoXYaaKvMVRIzV/WYXCc/3tovLXBqFfPT1ISTAuMwIxB21VC1hxHaqG/Fkahg4vtaKdXM320+8xX0b4bE8dWeL2DEz5uqYJU/CDCmj8lJem50y1lI31fFWYqwuTbs9wIxBXVLn+rARzzI2K5LLWJkCe0rGsgem5/V5K3OkvI75WN/w9eOBayzPdrujICkVy8JpY6pCGQl4aWCRGg1dC084oNUl8b1sYAJXWX0sGVDlMllWdnik2xGZLCsoMhBUaogP7TuIpZ37sHz1DX6oInjze0UaoaLezKWKgCeBs43DLRQ5IVfwKF3J7iYiKBV4s3Esfx0Bq2S9zZTTY21ZThlyF+YW7Ee/UCzOvO8j9kOaGvhL2i0vBZkSX2dlytjA1Umpb6PnO13sY22zNkUduf6CXslyLJLz0o8xd91+J3bOLzr7/s3H3E+YdtzNB3cmypWafGwRySdASznD5w1ks0FNj+nQIs1IFnV4mWKC2mX9DHwm8+sq5nHlkTOfE0BHQL+/PvrIP9nncu2EZpWCcl/2AxctWLT2BKHcEBnYDNQ79i0Czwh4ncKg1OKvqZ++/5P44B0fsHJ+mJPwCn+tefyJb/H1lh+oQsZjJusnH3er0WR2kz7v+9c/x61uyJGOjOqSZV25KJehzGhqZXnXpd1t40N3fgD/8sVHXTRjdf47sdMI/MfPfohv/OCb2Gxs2udz/cKiZOGPQBWVPJmJjcpCj9eSN8kFHvNYMJYYYFUYF7sRt6uXR+hHd9nokx96CP/2pcewY2Y+V3MDAdW8uvwavvvj7+Dp53+Jje1N+np23GSdJ2JUpNXLXLZwzypzyRiwF3mQDuskcLXR5jdTm8Ydt52E1unH7zntu+bPmxLwtXKply6+Av0QqM+EueV9g+usLvFNRL61PTPDTsicnzo3cY24QfGlZ+/Cbpw4dDuO8j98vF16RwJv1+lPSf7/qaeUuU3IAtgAAAAASUVORK5CYII=';
 const FRENCH_BILLARD_ICON_IMG = `<img src="${FRENCH_BILLARD_ICON_BASE64}" alt="🎯" style="height: 18px; width: 18px; vertical-align: middle;">`;
 
-// Helper function to add delay between emails (avoid rate limiting)
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 // Get organization logo as buffer from database (for PDFs)
 async function getOrganizationLogoBuffer() {
   const db = require('../db-loader');
@@ -269,14 +276,6 @@ function buildFromAddress(settings, type = 'noreply') {
   return `${senderName} <${email}>`;
 }
 
-// Initialize Resend
-const getResend = () => {
-  if (!process.env.RESEND_API_KEY) {
-    return null;
-  }
-  return new Resend(process.env.RESEND_API_KEY);
-};
-
 // Fetch ranking data for players in a category/season
 async function getRankingDataForCategory(categoryId, season) {
   const db = require('../db-loader');
@@ -286,18 +285,9 @@ async function getRankingDataForCategory(categoryId, season) {
       SELECT
         r.licence,
         r.rank_position,
-        COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
-                  JOIN tournaments t ON tr.tournament_id = t.id
-                  WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-                  AND t.category_id = r.category_id
-                  AND t.season = r.season
-                  AND t.tournament_number <= 3), 0) as cumulated_points,
-        COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
-                  JOIN tournaments t ON tr.tournament_id = t.id
-                  WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-                  AND t.category_id = r.category_id
-                  AND t.season = r.season
-                  AND t.tournament_number <= 3), 0) as cumulated_reprises
+        r.avg_moyenne,
+        COALESCE(r.cumulated_points, 0) as cumulated_points,
+        COALESCE(r.cumulated_reprises, 0) as cumulated_reprises
       FROM rankings r
       WHERE r.category_id = $1 AND r.season = $2
     `;
@@ -310,9 +300,9 @@ async function getRankingDataForCategory(categoryId, season) {
         // Build a map by licence (normalized)
         const rankingMap = {};
         (rows || []).forEach(r => {
-          const normLicence = (r.licence || '').replace(/\s+/g, '');
+          const normLicence = normalizeLicence(r.licence);
           const moyenne = r.cumulated_reprises > 0
-            ? (r.cumulated_points / r.cumulated_reprises).toFixed(3)
+            ? (Number(r.avg_moyenne) || 0).toFixed(3)
             : null;
           rankingMap[normLicence] = {
             rank: r.rank_position,
@@ -364,27 +354,28 @@ async function getRankingDataByCategoryName(categoryDisplayName, season) {
 // Generate match schedule for a poule based on its size
 // For 4 players: 1v4, 2v3 first (based on seeding), then winners vs winners, losers vs losers
 // For 5 players: 1v5, 2v4 first, then J3 plays losers, finally winners play
-function generateMatchSchedule(pouleSize) {
+function generateMatchSchedule(pouleSize, language = DEFAULT_LANGUAGE) {
+  const vs = (p1, p2) => `${translate(language, 'schedule.player', { number: p1 })} vs ${translate(language, 'schedule.player', { number: p2 })}`;
   if (pouleSize === 3) {
     return [
-      { player1: 2, player2: 3, description: 'Joueur 2 vs Joueur 3' },
-      { player1: 1, player2: 0, description: 'Joueur 1 vs Perdant Match 1', dynamic: true },
-      { player1: 1, player2: 0, description: 'Joueur 1 vs Gagnant Match 1', dynamic: true }
+      { player1: 2, player2: 3, description: vs(2, 3) },
+      { player1: 1, player2: 0, description: translate(language, 'schedule.player_vs_loser', { player: 1, match: 1 }), dynamic: true },
+      { player1: 1, player2: 0, description: translate(language, 'schedule.player_vs_winner', { player: 1, match: 1 }), dynamic: true }
     ];
   } else if (pouleSize === 4) {
     return [
-      { player1: 1, player2: 4, description: 'Joueur 1 vs Joueur 4' },
-      { player1: 2, player2: 3, description: 'Joueur 2 vs Joueur 3' },
-      { player1: 0, player2: 0, description: 'Perdants Match 1 et 2', dynamic: true },
-      { player1: 0, player2: 0, description: 'Gagnants Match 1 et 2', dynamic: true }
+      { player1: 1, player2: 4, description: vs(1, 4) },
+      { player1: 2, player2: 3, description: vs(2, 3) },
+      { player1: 0, player2: 0, description: translate(language, 'schedule.losers'), dynamic: true },
+      { player1: 0, player2: 0, description: translate(language, 'schedule.winners'), dynamic: true }
     ];
   } else if (pouleSize === 5) {
     return [
-      { player1: 1, player2: 5, description: 'Joueur 1 vs Joueur 5' },
-      { player1: 2, player2: 4, description: 'Joueur 2 vs Joueur 4' },
-      { player1: 3, player2: 0, description: 'Joueur 3 vs Perdant Match 1', dynamic: true },
-      { player1: 3, player2: 0, description: 'Joueur 3 vs Perdant Match 2', dynamic: true },
-      { player1: 0, player2: 0, description: 'Gagnants Match 1 et 2', dynamic: true }
+      { player1: 1, player2: 5, description: vs(1, 5) },
+      { player1: 2, player2: 4, description: vs(2, 4) },
+      { player1: 3, player2: 0, description: translate(language, 'schedule.player_vs_loser', { player: 3, match: 1 }), dynamic: true },
+      { player1: 3, player2: 0, description: translate(language, 'schedule.player_vs_loser', { player: 3, match: 2 }), dynamic: true },
+      { player1: 0, player2: 0, description: translate(language, 'schedule.winners'), dynamic: true }
     ];
   }
   // For other sizes, no fixed schedule displayed
@@ -422,6 +413,8 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
       const redColor = '#DC3545';
       const greenColor = '#28A745';
       const lightGray = '#F8F9FA';
+      const language = normalizeLanguage(tournamentInfo.language);
+      const t = (key, params) => translate(language, key, params);
 
       // Find player's poule
       let playerPouleNumber = null;
@@ -435,15 +428,15 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
       // Helper to get location for a poule
       const getLocationForPoule = (poule) => {
         const locNum = poule.locationNum || '1';
-        return locations.find(l => l.locationNum === locNum) || locations[0] || { name: 'A definir', startTime: '14:00' };
+        return locations.find(l => l.locationNum === locNum) || locations[0] || { name: t('common.tbd'), startTime: '14:00' };
       };
 
       const pageWidth = doc.page.width - 80;
       let y = 40;
 
       // Header - CONVOCATION
-      const isFinale = tournamentInfo.tournamentNum === '4' || tournamentInfo.tournamentNum === 'Finale' || tournamentInfo.isFinale;
-      const tournamentLabel = isFinale ? 'FINALE DEPARTEMENTALE' : `TOURNOI N°${tournamentInfo.tournamentNum}`;
+      const isFinale = tournamentInfo.isFinale || isFinaleTournament(tournamentInfo.tournamentNum);
+      const tournamentLabel = isFinale ? t('pdf.finale') : t('pdf.tournament', { number: tournamentInfo.tournamentNum });
       const headerColor = isFinale ? '#D4AF37' : primaryColor; // Gold for finals
       const headerTextColor = isFinale ? primaryColor : 'white';
       doc.rect(40, y, pageWidth, 45).fill(headerColor);
@@ -459,19 +452,19 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
 
       // Title text - offset to avoid logo overlap, slightly smaller font
       doc.fillColor(headerTextColor).fontSize(20).font('Helvetica-Bold')
-         .text(`CONVOCATION ${tournamentLabel}`, 90, y + 14, { width: pageWidth - 60, align: 'center' });
+         .text(t('pdf.title', { label: tournamentLabel }), 90, y + 14, { width: pageWidth - 60, align: 'center' });
       y += 50;
 
       // Season
       doc.rect(40, y, pageWidth, 30).fill(secondaryColor);
       doc.fillColor('white').fontSize(14).font('Helvetica-Bold')
-         .text(`SAISON ${tournamentInfo.season}`, 40, y + 8, { width: pageWidth, align: 'center' });
+         .text(t('pdf.season', { season: tournamentInfo.season }), 40, y + 8, { width: pageWidth, align: 'center' });
       y += 40;
 
       // Date - prominent in red
       const dateStr = tournamentInfo.date
-        ? new Date(tournamentInfo.date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).toUpperCase()
-        : 'DATE A DEFINIR';
+        ? formatDate(language, tournamentInfo.date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).toUpperCase()
+        : t('pdf.date_tbd');
       doc.fillColor(redColor).fontSize(16).font('Helvetica-Bold')
          .text(dateStr, 40, y, { width: pageWidth, align: 'center' });
       y += 30;
@@ -487,21 +480,21 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
         const distance = selectedDistance === 'reduite' && gameParams.distance_reduite
           ? gameParams.distance_reduite
           : gameParams.distance_normale;
-        const coinLabel = gameParams.coin === 'GC' ? 'Grand Coin' : 'Petit Coin';
+        const coinLabel = gameParams.coin === 'GC' ? t('pdf.grand_coin') : t('pdf.petit_coin');
 
         // Line 1: Distance / Coin / Reprises
         doc.fillColor('#333333').fontSize(10).font('Helvetica-Bold')
-           .text(`${distance} points  /  ${coinLabel}  /  en ${gameParams.reprises} reprises`, 40, y, { width: pageWidth, align: 'center' });
+           .text(t('pdf.game_params', { distance, coin: coinLabel, reprises: gameParams.reprises }), 40, y, { width: pageWidth, align: 'center' });
         y += 15;
 
         // Line 2: Moyenne qualificative
         doc.fillColor('#666666').fontSize(9).font('Helvetica-Oblique')
-           .text(`La moyenne qualificative pour cette catégorie est entre ${parseFloat(gameParams.moyenne_mini).toFixed(3)} et ${parseFloat(gameParams.moyenne_maxi).toFixed(3)}`, 40, y, { width: pageWidth, align: 'center' });
+           .text(t('pdf.average_range', { min: parseFloat(gameParams.moyenne_mini).toFixed(3), max: parseFloat(gameParams.moyenne_maxi).toFixed(3) }), 40, y, { width: pageWidth, align: 'center' });
         y += 12;
 
         // Line 3: Explanation of Moyenne and Classement columns
         doc.fillColor('#666666').fontSize(8).font('Helvetica-Oblique')
-           .text(`Les colonnes Moyenne et Classement en face du nom de chaque joueur correspondent aux positions cumulées à la suite du dernier tournoi joué`, 40, y, { width: pageWidth, align: 'center' });
+           .text(t('pdf.ranking_columns'), 40, y, { width: pageWidth, align: 'center' });
         y += 15;
       } else {
         y += 5;
@@ -510,10 +503,21 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
       // Player info box - highlight their assignment
       doc.rect(40, y, pageWidth, 35).fill('#E3F2FD');
       doc.fillColor(primaryColor).fontSize(12).font('Helvetica-Bold')
-         .text(`${player.first_name} ${player.last_name} - Vous etes en POULE ${playerPouleNumber}`.toUpperCase(),
+         .text(t('pdf.player_poule', { name: `${player.first_name} ${player.last_name}`, number: playerPouleNumber }).toUpperCase(),
                 40, y + 10, { width: pageWidth, align: 'center' });
       y += 50;
 
+      // Confirm / decline links of this player's convocation
+      if (player.responseLinks) {
+        const halfWidth = pageWidth / 2;
+        doc.fontSize(10).font('Helvetica-Bold');
+        doc.fillColor(greenColor)
+           .text(t('pdf.confirm'), 40, y - 8, { width: halfWidth, align: 'center', link: player.responseLinks.confirmUrl, underline: true });
+        doc.fillColor(redColor)
+           .text(t('pdf.decline'), 40 + halfWidth, y - 8, { width: halfWidth, align: 'center', link: player.responseLinks.declineUrl, underline: true });
+        y += 18;
+      }
+
       // ALL POULES
       for (const poule of allPoules) {
         // Check if we need a new page
@@ -525,7 +529,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
 
         const isPlayerPoule = poule.number === playerPouleNumber;
         const loc = getLocationForPoule(poule);
-        const locName = loc?.name || 'A definir';
+        const locName = loc?.name || t('common.tbd');
         const locStreet = loc?.street || '';
         const locZipCode = loc?.zip_code || '';
         const locCity = loc?.city || '';
@@ -543,13 +547,9 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
         // Poule title
         const pouleColor = isPlayerPoule ? greenColor : primaryColor;
         const isFinalePoule = tournamentInfo.isFinale && allPoules.length === 1;
-        let pouleTitle;
-        if (isFinalePoule) {
-          pouleTitle = isPlayerPoule ? 'POULE UNIQUE (VOTRE POULE)' : 'POULE UNIQUE';
-        } else if (isPlayerPoule) {
-          pouleTitle = `POULE ${poule.number} (VOTRE POULE)`;
-        } else {
-          pouleTitle = `POULE ${poule.number}`;
+        let pouleTitle = isFinalePoule ? t('pdf.single_poule') : t('pdf.poule', { number: poule.number });
+        if (isPlayerPoule) {
+          pouleTitle = t('pdf.your_poule', { title: pouleTitle });
         }
         doc.rect(40, y, pageWidth, 22).fill(pouleColor);
         doc.fillColor('white').fontSize(11).font('Helvetica-Bold')
@@ -560,12 +560,12 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
         doc.rect(40, y, pageWidth, 20).fill(secondaryColor);
         doc.fillColor('white').fontSize(8).font('Helvetica-Bold');
         doc.text('#', 45, y + 5, { width: 20 });
-        doc.text('Licence', 65, y + 5, { width: 60 });
-        doc.text('Prenom', 130, y + 5, { width: 80 });
-        doc.text('Nom', 215, y + 5, { width: 100 });
-        doc.text('Club', 320, y + 5, { width: 120 });
-        doc.text('Moy.', 445, y + 5, { width: 40, align: 'center' });
-        doc.text('Class.', 490, y + 5, { width: 40, align: 'center' });
+        doc.text(t('pdf.col_licence'), 65, y + 5, { width: 60 });
+        doc.text(t('pdf.col_first_name'), 130, y + 5, { width: 80 });
+        doc.text(t('pdf.col_last_name'), 215, y + 5, { width: 100 });
+        doc.text(t('pdf.col_club'), 320, y + 5, { width: 120 });
+        doc.text(t('pdf.col_average'), 445, y + 5, { width: 40, align: 'center' });
+        doc.text(t('pdf.col_rank'), 490, y + 5, { width: 40, align: 'center' });
         y += 22;
 
         // Players
@@ -575,7 +575,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
           const rowColor = isCurrentPlayer ? '#E3F2FD' : (isEven ? '#FFFFFF' : lightGray);
 
           // Get ranking info for this player
-          const normLicence = (p.licence || '').replace(/\s+/g, '');
+          const normLicence = normalizeLicence(p.licence);
           const playerRanking = rankingData[normLicence] || {};
 
           doc.rect(40, y, pageWidth, 20).fill(rowColor);
@@ -604,14 +604,14 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
           let tableInfo = '';
 
           if (pouleSize === 3) {
-            tableInfo = '(1 table)';
+            tableInfo = t('pdf.tables', { count: 1, plural: '' });
             finaleMatches = [
               { p1: 1, p2: 2 },
               { p1: 1, p2: 3 },
               { p1: 2, p2: 3 }
             ];
           } else if (pouleSize === 4) {
-            tableInfo = '(2 tables)';
+            tableInfo = t('pdf.tables', { count: 2, plural: 's' });
             finaleMatches = [
               { p1: 2, p2: 3 },
               { p1: 1, p2: 4 },
@@ -621,7 +621,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
               { p1: 2, p2: 4 }
             ];
           } else if (pouleSize === 6) {
-            tableInfo = '(3 tables)';
+            tableInfo = t('pdf.tables', { count: 3, plural: 's' });
             // 6 players: round-robin across 3 tables in rounds
             finaleMatches = [
               // Round 1
@@ -647,7 +647,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
           // Header - gold for finale
           doc.rect(40, y, pageWidth, 20).fill('#D4AF37');
           doc.fillColor(primaryColor).fontSize(10).font('Helvetica-Bold')
-             .text(`PROGRAMME DES MATCHS ${tableInfo} - Tous contre tous`, 50, y + 5, { width: pageWidth - 20 });
+             .text(t('pdf.finale_schedule', { tables: tableInfo }), 50, y + 5, { width: pageWidth - 20 });
           y += 22;
 
           // Match rows
@@ -657,8 +657,8 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
 
             const p1 = poule.players[match.p1 - 1];
             const p2 = poule.players[match.p2 - 1];
-            const p1Name = p1 ? `${p1.first_name || ''} ${(p1.last_name || '').toUpperCase()}`.trim() : `Joueur ${match.p1}`;
-            const p2Name = p2 ? `${p2.first_name || ''} ${(p2.last_name || '').toUpperCase()}`.trim() : `Joueur ${match.p2}`;
+            const p1Name = p1 ? `${p1.first_name || ''} ${(p1.last_name || '').toUpperCase()}`.trim() : t('schedule.player', { number: match.p1 });
+            const p2Name = p2 ? `${p2.first_name || ''} ${(p2.last_name || '').toUpperCase()}`.trim() : t('schedule.player', { number: match.p2 });
 
             doc.fillColor('#666666').fontSize(8).font('Helvetica');
             const matchLabel = match.table ? `T${match.table}:` : `${idx + 1}:`;
@@ -670,7 +670,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
 
         } else if (pouleSize === 4 || pouleSize === 5) {
           // Regular tournament: knockout-style matches
-          const matches = generateMatchSchedule(pouleSize);
+          const matches = generateMatchSchedule(pouleSize, language);
           if (matches.length > 0) {
             y += 8;
 
@@ -684,7 +684,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
             // Match schedule header
             doc.rect(40, y, pageWidth, 18).fill('#E8E8E8');
             doc.fillColor('#333333').fontSize(9).font('Helvetica-Bold')
-               .text('ORDRE DES MATCHS', 50, y + 4);
+               .text(t('pdf.match_order'), 50, y + 4);
             y += 20;
 
             // Match rows
@@ -694,7 +694,7 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
               doc.rect(40, y, pageWidth, 15).fill(bgColor);
 
               doc.fillColor('#666666').fontSize(8).font('Helvetica');
-              doc.text(`Match ${matchNum}:`, 50, y + 3, { width: 50 });
+              doc.text(t('pdf.match', { number: matchNum }), 50, y + 3, { width: 50 });
 
               if (match.dynamic) {
                 // Dynamic match (depends on previous results)
@@ -727,13 +727,13 @@ async function generatePlayerConvocationPDF(player, tournamentInfo, allPoules, l
 
       if (!isFinale) {
         doc.fillColor('#666666').fontSize(9).font('Helvetica-Oblique')
-           .text("Les joueurs d'un meme club jouent ensemble au 1er tour", 40, y, { width: pageWidth, align: 'center' });
+           .text(t('pdf.same_club'), 40, y, { width: pageWidth, align: 'center' });
         y += 25;
       }
 
       // Footer
       doc.fillColor('#999999').fontSize(9).font('Helvetica-Oblique')
-         .text(`${orgName} - ${new Date().toLocaleDateString('fr-FR')}`,
+         .text(`${orgName} - ${formatDate(language, new Date())}`,
                 40, y, { width: pageWidth, align: 'center' });
 
       doc.end();
@@ -784,7 +784,7 @@ async function generateSummaryConvocationPDF(tournamentInfo, allPoules, location
       let y = 40;
 
       // Header - CONVOCATION
-      const isFinale = tournamentInfo.tournamentNum === '4' || tournamentInfo.tournamentNum === 'Finale' || tournamentInfo.isFinale;
+      const isFinale = tournamentInfo.isFinale || isFinaleTournament(tournamentInfo.tournamentNum);
       const tournamentLabel = isFinale ? 'FINALE DEPARTEMENTALE' : `TOURNOI N°${tournamentInfo.tournamentNum}`;
       const headerColor = isFinale ? '#D4AF37' : primaryColor; // Gold for finals
       const headerTextColor = isFinale ? primaryColor : 'white';
@@ -902,7 +902,7 @@ async function generateSummaryConvocationPDF(tournamentInfo, allPoules, location
           const rowColor = isEven ? '#FFFFFF' : lightGray;
 
           // Get ranking info for this player
-          const normLicence = (p.licence || '').replace(/\s+/g, '');
+          const normLicence = normalizeLicence(p.licence);
           const playerRanking = rankingData[normLicence] || {};
 
           doc.rect(40, y, pageWidth, 20).fill(rowColor);
@@ -1133,27 +1133,128 @@ async function getEmailTemplate(templateType = 'convocation') {
   });
 }
 
-// Replace template variables with actual values
-function replaceTemplateVariables(template, variables) {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    result = result.replace(new RegExp(`\\{${key}\\}`, 'g'), value || '');
+// Send convocation emails
+// Convocation delivered or failed: the delivery is recorded in the convocation version, and a
+// delivered player is marked as convoqué with the details of the convocation
+// (outbox completion hook, so it is also done when the delivery ends after a restart)
+registerOutboxHook('convocation', async (data, { status }) => {
+  if (data.version) {
+    await recordDelivery(data.tournoiId, data.version, { [normalizeLicence(data.licence)]: status });
+  }
+  if (status !== 'sent') {
+    return;
   }
-  return result;
+  const db = require('../db-loader');
+  await db.query(
+    `UPDATE inscriptions
+     SET convoque = 1,
+         convocation_poule = $1,
+         convocation_lieu = $2,
+         convocation_adresse = $3,
+         convocation_heure = $4,
+         convocation_notes = $5,
+         convocation_phone = $6,
+         convocation_response = NULL,
+         convocation_response_at = NULL
+     WHERE tournoi_id = $7
+     AND licence = $8`,
+    [data.poule, data.lieu, data.adresse, data.heure, data.notes, data.phone, data.tournoiId, normalizeLicence(data.licence)]
+  );
+});
+
+// Times are shown as in the convocations (14H00)
+function formatChangeValue(field, value) {
+  const text = value === null || value === undefined || value === '' ? '-' : String(value);
+  return field === 'start_time' ? text.replace(':', 'H') : text;
+}
+
+/**
+ * HTML of a player's convocation email, shared by the convocations and the waiting-list replacement
+ * t translates in the email language, poule is { pouleNumber, players }, changes lists what changed
+ * since the previous version (re-send) and notice is shown above the details (special note, waiting list)
+ */
+function buildConvocationEmailHtml({ t, categoryName, tournamentLabel, dateStr, location, poule, responseLinks, changes, notice, bodyText, isFinale }, emailSettings, contactEmail, baseUrl) {
+  const primaryColor = emailSettings.primary_color || '#1F4788';
+  const orgShortName = emailSettings.organization_short_name || 'CDBHS';
+  const fullAddress = location?.street
+    ? [location.street, location.zip_code, location.city].filter(Boolean).join(' ')
+    : '';
+
+  const changesHtml = changes
+    ? `<div style="background: #f8d7da; border: 1px solid #dc3545; border-radius: 4px; padding: 15px; margin-bottom: 20px;">
+         <p style="margin: 0 0 8px 0; color: #721c24;"><strong>⚠️ ${t('email.convocation_modified_notice')}</strong></p>
+         ${changes.map(change => `<p style="margin: 3px 0; color: #721c24;">${t(`change.${change.field}`)} : <span style="text-decoration: line-through;">${formatChangeValue(change.field, change.before)}</span> → <strong>${formatChangeValue(change.field, change.after)}</strong></p>`).join('')}
+       </div>`
+    : '';
+
+  const noticeHtml = notice
+    ? `<div style="background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; padding: 15px; margin-bottom: 20px;">
+         <p style="margin: 0; color: #856404;">${notice.replace(/\n/g, '<br>')}</p>
+       </div>`
+    : '';
+
+  return `
+
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
+          <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="${orgShortName}" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 10px;" onerror="this.style.display='none'">
+          <h1 style="margin: 0; font-size: 24px;">${orgShortName}</h1>
+          <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">${changes ? t('email.convocation_modified') : t('email.convocation')}</p>
+        </div>
+
+        <div style="padding: 20px; background: #f8f9fa;">
+          ${changesHtml}
+          ${noticeHtml}
+
+          <div style="margin-bottom: 20px; padding: 15px; background: white; border-radius: 4px; border-left: 4px solid ${primaryColor};">
+            <p style="margin: 5px 0;"><strong>${t('email.category')} :</strong> ${categoryName}</p>
+            <p style="margin: 5px 0;"><strong>${t('email.competition')} :</strong> ${tournamentLabel}</p>
+            <p style="margin: 5px 0;"><strong>${t('email.date')} :</strong> ${dateStr}</p>
+            <p style="margin: 5px 0;"><strong>${t('email.time')} :</strong> ${location?.startTime?.replace(':', 'H') || '14H00'}</p>
+            <p style="margin: 5px 0;"><strong>${t('email.location')} :</strong> ${location?.name || t('common.tbd')}</p>
+            ${fullAddress ? `<p style="margin: 5px 0; color: #666;">📍 ${fullAddress}</p>` : ''}
+            ${location?.phone ? `<p style="margin: 5px 0; color: #666;">📞 ${location.phone}</p>` : ''}
+            <p style="margin: 5px 0;"><strong>${t('email.your_poule')} :</strong> ${poule.pouleNumber}</p>
+          </div>
+
+          ${responseLinks ? `
+          <div style="margin-bottom: 20px; padding: 15px; background: white; border-radius: 4px; text-align: center;">
+            <p style="margin: 0 0 10px 0;"><strong>${t('email.response_question')}</strong></p>
+            <a href="${responseLinks.confirmUrl}" style="display: inline-block; margin: 5px; padding: 10px 20px; background: #28a745; color: white; text-decoration: none; border-radius: 4px;">✅ ${t('email.confirm')}</a>
+            <a href="${responseLinks.declineUrl}" style="display: inline-block; margin: 5px; padding: 10px 20px; background: #dc3545; color: white; text-decoration: none; border-radius: 4px;">❌ ${t('email.decline')}</a>
+          </div>` : ''}
+
+          ${isFinale ? generateFinaleMatchScheduleHtml(poule.players.length, poule.players, primaryColor) : ''}
+
+          <div style="line-height: 1.6;">
+            ${bodyText.replace(/\n/g, '<br>')}
+          </div>
+
+          <p style="margin-top: 20px; padding: 10px; background: #fff3cd; border-left: 4px solid #ffc107; font-size: 13px;">
+            📧 <strong>${t('email.contact_label')} :</strong> ${t('email.contact_text')}
+            <a href="mailto:${contactEmail}" style="color: ${primaryColor};">${contactEmail}</a>
+          </p>
+        </div>
+
+        <div style="background: ${primaryColor}; color: white; padding: 10px; text-align: center; font-size: 12px;">
+          <p style="margin: 0;">${orgShortName} - <a href="mailto:${contactEmail}" style="color: white;">${contactEmail}</a></p>
+        </div>
+      </div>
+    
+  `;
 }
 
-// Send convocation emails
 router.post('/send-convocations', authenticateToken, async (req, res) => {
   const { players, poules, category, season, tournament, tournamentDate, tournoiId, locations, sendToAll, specialNote, gameParams, selectedDistance, mockRankingData, isFinale, isTestMode, skipSavePoules } = req.body;
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({
-      error: 'Email not configured. Please set RESEND_API_KEY environment variable.'
+      error: 'Email not configured. Please set MAIL_TRANSPORT (or RESEND_API_KEY) environment variable.'
     });
   }
 
-  console.log('Using Resend API for email sending');
+  console.log(`Using ${mailer.name} mail transport for email sending`);
   console.log(`Competition type: ${isFinale ? 'FINALE' : 'TOURNAMENT'}`);
 
   // Fetch email template - use finale template if isFinale
@@ -1180,17 +1281,43 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   const results = {
     sent: [],
     failed: [],
-    skipped: []
+    skipped: [],
+    unchanged: []
   };
 
-  const tournamentLabel = (isFinale || tournament === 'Finale' || tournament === '4') ? 'Finale Departementale' : `Tournoi ${tournament}`;
-  const dateStr = tournamentDate
-    ? new Date(tournamentDate).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
-    : 'Date a definir';
+  // Re-send: compare with the latest convocation version, only the players whose poule,
+  // venue or time changed are emailed (a "convocation modifiée"), unless sendToAll is set
+  const trackVersions = tournoiId && !isTestMode && !skipSavePoules;
+  const composition = buildComposition(poules, locations);
+  let versionDiff = null;
+  if (trackVersions) {
+    try {
+      const previousVersion = await getLatestVersion(tournoiId);
+      if (previousVersion) {
+        versionDiff = diffCompositions(previousVersion.composition, composition);
+        results.previousVersion = previousVersion.version;
+        results.removed = versionDiff.removed.map(r => ({ name: r.player_name, licence: r.licence }));
+      }
+    } catch (versionError) {
+      console.error('Error loading previous convocation version:', versionError);
+    }
+  }
+  const changesByLicence = {};
+  (versionDiff ? versionDiff.changed : []).forEach(c => { changesByLicence[c.licence] = c.changes; });
+  const unchangedLicences = new Set(versionDiff && !sendToAll ? versionDiff.unchanged : []);
+
+  const isFinaleLabel = isFinale || isFinaleTournament(tournament);
+  const labelsFor = (language) => ({
+    tournamentLabel: isFinaleLabel ? translate(language, 'common.finale') : translate(language, 'common.tournament', { number: tournament }),
+    dateStr: tournamentDate
+      ? formatDate(language, tournamentDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      : translate(language, 'common.date_tbd')
+  });
+  const { tournamentLabel, dateStr } = labelsFor(DEFAULT_LANGUAGE);
 
   // Create campaign record for history tracking
   const db = require('../db-loader');
-  const campaignSubject = `Convocation ${category.display_name} - ${tournamentLabel}`;
+  const campaignSubject = `${versionDiff ? 'Convocation modifiée' : 'Convocation'} ${category.display_name} - ${tournamentLabel}`;
   const campaignBody = `Convocations pour ${category.display_name} - ${tournamentLabel} - ${dateStr}`;
 
   // Determine campaign type - finale_convocation enables relance functionality
@@ -1206,7 +1333,8 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     campaignId = await new Promise((resolve, reject) => {
       db.run(
         `INSERT INTO email_campaigns (subject, body, template_key, recipients_count, status, campaign_type, mode, category, tournament_id, sent_by, test_mode)
-         VALUES ($1, $2, $3, $4, 'sending', $5, $6, $7, $8, $9, false)`,
+         VALUES ($1, $2, $3, $4, 'sending', $5, $6, $7, $8, $9, false)
+         RETURNING id`,
         [campaignSubject, campaignBody, campaignType, players.length, campaignType, categoryMode, categoryLevel, tournoiId || null, sentBy],
         function(err) {
           if (err) reject(err);
@@ -1227,10 +1355,46 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   const orgShortName = emailSettings.organization_short_name || 'CDBHS';
   const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
 
-  // Process each player
+  // Inscriptions of the tournament, for the confirm/decline links (none in test mode)
+  const inscriptionByLicence = {};
+  if (tournoiId && !isTestMode) {
+    try {
+      const inscriptionsResult = await db.query(
+        'SELECT inscription_id, tournoi_id, licence FROM inscriptions WHERE tournoi_id = $1',
+        [tournoiId]
+      );
+      inscriptionsResult.rows.forEach(i => { inscriptionByLicence[normalizeLicence(i.licence)] = i; });
+    } catch (inscriptionsError) {
+      console.error('Error loading inscriptions for response links:', inscriptionsError);
+    }
+  }
+
+  // Language preference of each player (French when not set)
+  const templateFor = createTemplateResolver(templateType, emailTemplate);
+  let languageByLicence = {};
+  try {
+    languageByLicence = await getLanguagesByLicence(players.map(p => p.licence));
+  } catch (languageError) {
+    console.error('Error loading player languages:', languageError);
+  }
+
+  // Process each player: the convocations are prepared, stored with the version, queued in
+  // the outbox, then delivered. Delivery of each player's convocation, for the version
+  const prepared = [];
+  const deliveryByLicence = {};
   for (const player of players) {
+    if (unchangedLicences.has(normalizeLicence(player.licence))) {
+      deliveryByLicence[normalizeLicence(player.licence)] = 'unchanged';
+      results.unchanged.push({
+        name: `${player.first_name} ${player.last_name}`,
+        reason: 'Convocation inchangée'
+      });
+      continue;
+    }
+
     // Skip if no email
     if (!player.email || !player.email.includes('@')) {
+      deliveryByLicence[normalizeLicence(player.licence)] = 'skipped';
       results.skipped.push({
         name: `${player.first_name} ${player.last_name}`,
         reason: 'Pas d\'email valide'
@@ -1264,15 +1428,28 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     }
 
     try {
+      // Signed links to confirm or decline, in the email and the PDF
+      const inscription = inscriptionByLicence[normalizeLicence(player.licence)];
+      const responseLinks = inscription
+        ? buildResponseLinks(baseUrl, createResponseToken(inscription, tournamentDate))
+        : null;
+
+      // Recipient language: always for the PDF labels, for the email when the template has a variant in it
+      const playerLanguage = languageByLicence[normalizeLicence(player.licence)] || DEFAULT_LANGUAGE;
+      const playerTemplate = await templateFor(playerLanguage);
+      const t = (key, params) => translate(playerTemplate.language, key, params);
+      const labels = labelsFor(playerTemplate.language);
+
       // Generate personalized PDF with ALL poules
       const pdfBuffer = await generatePlayerConvocationPDF(
-        player,
+        { ...player, responseLinks },
         {
           categoryName: category.display_name,
           season,
           tournamentNum: tournament,
           date: tournamentDate,
-          isFinale: isFinale
+          isFinale: isFinale,
+          language: playerLanguage
         },
         poules,
         locations,
@@ -1289,98 +1466,77 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
         ? [playerLocation.street, playerLocation.zip_code, playerLocation.city].filter(Boolean).join(' ')
         : '';
 
-      // Build special note HTML if provided
-      const specialNoteHtml = specialNote
-        ? `<div style="background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; padding: 15px; margin-bottom: 20px;">
-             <p style="margin: 0; color: #856404;">${specialNote.replace(/\n/g, '<br>')}</p>
-           </div>`
-        : '';
+      // Re-send: what changed since the previous version for this player
+      const playerChanges = changesByLicence[normalizeLicence(player.licence)];
 
       // Prepare template variables
-      const templateVariables = {
-        player_name: `${player.first_name} ${player.last_name}`,
-        first_name: player.first_name,
-        last_name: player.last_name,
+      const templateVariables = buildConvocationVariables({
+        player,
         category: category.display_name,
-        tournament: tournamentLabel,
-        date: dateStr,
-        time: playerLocation?.startTime?.replace(':', 'H') || '14H00',
-        location: playerLocation?.name || 'A definir',
-        poule: playerPoule.pouleNumber,
-        organization_name: emailSettings.organization_name || 'Comité Départemental de Billard',
-        organization_short_name: emailSettings.organization_short_name || 'CDB',
-        organization_email: emailSettings.summary_email || contactEmail
-      };
+        tournament: labels.tournamentLabel,
+        date: labels.dateStr,
+        tournamentDate,
+        location: playerLocation,
+        pouleNumber: playerPoule.pouleNumber,
+        poules,
+        locations,
+        isFinale
+      }, emailSettings, contactEmail);
 
       // Generate subject and body from template
-      const emailSubject = replaceTemplateVariables(emailTemplate.subject, templateVariables);
-      const emailBodyText = replaceTemplateVariables(emailTemplate.body, templateVariables);
-      // Convert newlines to <br> for HTML
-      const emailBodyHtml = emailBodyText.replace(/\n/g, '<br>');
-
-      // Send email using Resend (no CC - summary email sent at the end)
-      const emailResult = await resend.emails.send({
+      const templateSubject = renderTemplate(playerTemplate.subject, templateVariables);
+      const emailSubject = playerChanges ? t('email.convocation_modified_subject', { subject: templateSubject }) : templateSubject;
+      const html = buildConvocationEmailHtml({
+        t,
+        categoryName: category.display_name,
+        tournamentLabel: labels.tournamentLabel,
+        dateStr: labels.dateStr,
+        location: playerLocation,
+        poule: playerPoule,
+        responseLinks,
+        changes: playerChanges,
+        notice: specialNote,
+        bodyText: renderTemplate(playerTemplate.body, templateVariables),
+        isFinale
+      }, emailSettings, contactEmail, baseUrl);
+
+      // Email to queue (no CC - summary email sent at the end)
+      const message = {
         from: buildFromAddress(emailSettings, 'noreply'),
         replyTo: contactEmail,
         to: [player.email],
         subject: emailSubject,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
-              <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="${orgShortName}" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 10px;" onerror="this.style.display='none'">
-              <h1 style="margin: 0; font-size: 24px;">${orgShortName}</h1>
-              <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">CONVOCATION</p>
-            </div>
-
-            <div style="padding: 20px; background: #f8f9fa;">
-              ${specialNoteHtml}
-
-              <div style="margin-bottom: 20px; padding: 15px; background: white; border-radius: 4px; border-left: 4px solid ${primaryColor};">
-                <p style="margin: 5px 0;"><strong>Categorie :</strong> ${category.display_name}</p>
-                <p style="margin: 5px 0;"><strong>Competition :</strong> ${tournamentLabel}</p>
-                <p style="margin: 5px 0;"><strong>Date :</strong> ${dateStr}</p>
-                <p style="margin: 5px 0;"><strong>Heure :</strong> ${playerLocation?.startTime?.replace(':', 'H') || '14H00'}</p>
-                <p style="margin: 5px 0;"><strong>Lieu :</strong> ${playerLocation?.name || 'A definir'}</p>
-                ${fullAddress ? `<p style="margin: 5px 0; color: #666;">📍 ${fullAddress}</p>` : ''}
-                ${playerLocation?.phone ? `<p style="margin: 5px 0; color: #666;">📞 ${playerLocation.phone}</p>` : ''}
-                <p style="margin: 5px 0;"><strong>Votre poule :</strong> ${playerPoule.pouleNumber}</p>
-              </div>
-
-              ${isFinale ? generateFinaleMatchScheduleHtml(playerPoule.players.length, playerPoule.players, primaryColor) : ''}
-
-              <div style="line-height: 1.6;">
-                ${emailBodyHtml}
-              </div>
-
-              <p style="margin-top: 20px; padding: 10px; background: #fff3cd; border-left: 4px solid #ffc107; font-size: 13px;">
-                📧 <strong>Contact :</strong> Pour toute question ou en cas d'empêchement, contactez-nous à
-                <a href="mailto:${contactEmail}" style="color: ${primaryColor};">${contactEmail}</a>
-              </p>
-            </div>
-
-            <div style="background: ${primaryColor}; color: white; padding: 10px; text-align: center; font-size: 12px;">
-              <p style="margin: 0;">${orgShortName} - <a href="mailto:${contactEmail}" style="color: white;">${contactEmail}</a></p>
-            </div>
-          </div>
-        `,
+        html,
         attachments: [{
           filename: `Convocation_${player.last_name}_${player.first_name}_${category.display_name.replace(/\s+/g, '_')}_T${tournament}.pdf`,
           content: base64Content
         }]
-      });
-
-      console.log('Email sent:', emailResult);
+      };
 
-      results.sent.push({
-        name: `${player.first_name} ${player.last_name}`,
-        email: player.email
+      deliveryByLicence[normalizeLicence(player.licence)] = 'queued';
+      prepared.push({
+        message,
+        // Convocation details stored on the inscription once delivered
+        convocation: {
+          tournoiId,
+          licence: player.licence,
+          poule: String(playerPoule.pouleNumber),
+          lieu: playerLocation?.name || null,
+          adresse: fullAddress || null,
+          heure: playerLocation?.startTime || null,
+          notes: specialNote || null,
+          phone: playerLocation?.phone || null
+        },
+        entry: {
+          name: `${player.first_name} ${player.last_name}`,
+          email: player.email,
+          modified: !!playerChanges
+        }
       });
 
-      // Add delay between emails to avoid rate limiting (1.5 seconds)
-      await delay(1500);
-
     } catch (error) {
-      console.error(`Error sending email to ${player.email}:`, error);
+      console.error(`Error preparing convocation for ${player.email}:`, error);
+      deliveryByLicence[normalizeLicence(player.licence)] = 'failed';
       results.failed.push({
         name: `${player.first_name} ${player.last_name}`,
         email: player.email,
@@ -1389,6 +1545,121 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     }
   }
 
+  // Store the convocation before queueing: the poule composition, the version and the sent
+  // mark are kept even if the delivery ends after a restart (the outbox hook records each
+  // delivery in the version and marks the players as convoqués as their email is sent)
+  if (trackVersions && prepared.length > 0) {
+    try {
+      // Save full poule composition to convocation_poules table
+      // First, clear any existing poule data for this tournament
+      await new Promise((resolve, reject) => {
+        db.run(
+          `DELETE FROM convocation_poules WHERE tournoi_id = $1`,
+          [tournoiId],
+          (err) => {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      });
+
+      // Insert all players from all poules
+      for (const poule of poules) {
+        const locNum = poule.locationNum || '1';
+        const loc = locations.find(l => l.locationNum === locNum) || locations[0];
+        const fullAddress = loc ? [loc.street, loc.zip_code, loc.city].filter(Boolean).join(' ') : '';
+
+        for (let i = 0; i < poule.players.length; i++) {
+          const p = poule.players[i];
+          await new Promise((resolve, reject) => {
+            db.run(
+              `INSERT INTO convocation_poules (tournoi_id, poule_number, licence, player_name, club, location_name, location_address, start_time, player_order)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+               ON CONFLICT (tournoi_id, poule_number, licence) DO UPDATE SET
+                 player_name = $4, club = $5, location_name = $6, location_address = $7, start_time = $8, player_order = $9`,
+              [
+                tournoiId,
+                poule.number,
+                normalizeLicence(p.licence),
+                `${p.first_name} ${p.last_name}`,
+                p.club || '',
+                loc?.name || '',
+                fullAddress,
+                loc?.startTime || '',
+                i + 1
+              ],
+              (err) => {
+                if (err) reject(err);
+                else resolve();
+              }
+            );
+          });
+        }
+      }
+      console.log(`Saved ${poules.reduce((sum, p) => sum + p.players.length, 0)} players across ${poules.length} poules for tournament ${tournoiId}`);
+
+      composition.forEach(entry => { entry.delivery = deliveryByLicence[entry.licence] || 'skipped'; });
+      results.version = await saveVersion(tournoiId, composition, {
+        changes: versionDiff,
+        sentBy: req.user?.username,
+        notes: specialNote || null
+      });
+      console.log(`Saved convocation version ${results.version} for tournament ${tournoiId}`);
+
+      // Mark convocation as sent on tournoi_ext, with the distance used for match scoring
+      await new Promise((resolve, reject) => {
+        db.run(
+          `UPDATE tournoi_ext SET convocation_sent_at = CURRENT_TIMESTAMP, selected_distance = $2 WHERE tournoi_id = $1`,
+          [tournoiId, selectedDistance === 'reduite' ? 'reduite' : 'normale'],
+          (err) => {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      });
+      console.log(`Marked convocation_sent_at for tournament ${tournoiId}`);
+    } catch (saveError) {
+      console.error('Error saving convocation:', saveError);
+      // Don't fail the whole operation if the convocation record fails
+    }
+  }
+
+  // Queue the convocations in the outbox
+  const queued = [];
+  const enqueueFailures = {};
+  for (const { message, convocation, entry } of prepared) {
+    try {
+      const outboxId = await enqueueEmail(message, {
+        campaignId,
+        recipientName: entry.name,
+        hook: trackVersions ? { name: 'convocation', data: { ...convocation, version: results.version } } : null
+      });
+      queued.push({ outboxId, entry });
+    } catch (error) {
+      console.error(`Error queueing convocation for ${entry.email}:`, error);
+      enqueueFailures[normalizeLicence(convocation.licence)] = 'failed';
+      results.failed.push({ name: entry.name, email: entry.email, error: error.message });
+    }
+  }
+  if (results.version && Object.keys(enqueueFailures).length > 0) {
+    try {
+      await recordDelivery(tournoiId, results.version, enqueueFailures);
+    } catch (versionError) {
+      console.error('Error recording convocation delivery:', versionError);
+    }
+  }
+
+  // Deliver the queued convocations (throttled, retried on failure)
+  const deliveries = await deliverQueued(queued.map(q => q.outboxId));
+  queued.forEach(({ outboxId, entry }) => {
+    const delivery = deliveries[outboxId];
+    if (delivery?.status === 'sent') {
+      results.sent.push(entry);
+    } else {
+      results.failed.push({ name: entry.name, email: entry.email, error: delivery?.last_error || 'Envoi non abouti' });
+    }
+  });
+
   // Send summary email after all individual emails (even if all failed)
   const summaryEmailAddress = await getSummaryEmail();
   const totalAttempted = results.sent.length + results.failed.length + results.skipped.length;
@@ -1459,6 +1730,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
               <p><strong>Compétition :</strong> ${tournamentLabel}</p>
               <p><strong>Date :</strong> ${dateStr}</p>
               ${specialNote ? `<p style="color: #856404;"><strong>Note spéciale :</strong> ${specialNote}</p>` : ''}
+              ${versionDiff ? `<p style="color: #856404;"><strong>Convocation modifiée :</strong> ${versionDiff.changed.length} joueur(s) modifié(s), ${versionDiff.added.length} ajouté(s), ${versionDiff.removed.length} retiré(s)${versionDiff.undelivered.length > 0 ? `, ${versionDiff.undelivered.length} convocation(s) non reçue(s) renvoyée(s)` : ''}${results.unchanged.length > 0 ? `, ${results.unchanged.length} convocation(s) inchangée(s) non renvoyée(s)` : ''}</p>` : ''}
             </div>
 
             <h3 style="color: ${primaryColor};">📧 Convocations Envoyées (${results.sent.length})</h3>
@@ -1500,7 +1772,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
         </div>
       `;
 
-      await resend.emails.send({
+      await mailer.send({
         from: buildFromAddress(emailSettings, 'noreply'),
         replyTo: contactEmail,
         to: [summaryEmailAddress],
@@ -1522,166 +1794,11 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
     results.summaryError = !summaryEmailAddress ? 'No summary email configured' : 'No emails attempted';
   }
 
-  // Update campaign record with results
-  if (campaignId) {
-    try {
-      await new Promise((resolve, reject) => {
-        db.run(
-          `UPDATE email_campaigns
-           SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP
-           WHERE id = $3`,
-          [results.sent.length, results.failed.length, campaignId],
-          function(err) {
-            if (err) {
-              console.error('Database error updating campaign:', err);
-              reject(err);
-            } else {
-              console.log(`Campaign ${campaignId} updated: sent=${results.sent.length}, failed=${results.failed.length}, status=completed`);
-              resolve();
-            }
-          }
-        );
-      });
-    } catch (updateError) {
-      console.error('Error updating campaign record:', updateError);
-    }
-  }
-
-  // Update convoque status and store convocation details for players who received their convocation email
-  // Skip in test mode to avoid modifying real data
-  if (tournoiId && results.sent.length > 0 && !isTestMode && !skipSavePoules) {
-    try {
-      // Get players who received emails with their convocation details
-      const sentPlayers = players.filter(p => results.sent.some(s => s.email === p.email));
-
-      for (const player of sentPlayers) {
-        // Find which poule and location this player is in
-        let playerPouleNumber = null;
-        let playerLocation = null;
-
-        // Normalize licence for comparison (remove spaces)
-        const playerLicenceNorm = (player.licence || '').replace(/\s+/g, '');
-
-        for (const poule of poules) {
-          const found = poule.players.find(p => (p.licence || '').replace(/\s+/g, '') === playerLicenceNorm);
-          if (found) {
-            playerPouleNumber = poule.number;
-            const locNum = poule.locationNum || '1';
-            playerLocation = locations.find(l => l.locationNum === locNum) || locations[0];
-            break;
-          }
-        }
-
-        // Build full address
-        const fullAddress = playerLocation
-          ? [playerLocation.street, playerLocation.zip_code, playerLocation.city].filter(Boolean).join(' ')
-          : '';
-
-        // Update inscription with convocation details
-        await new Promise((resolve, reject) => {
-          db.run(
-            `UPDATE inscriptions
-             SET convoque = 1,
-                 convocation_poule = $1,
-                 convocation_lieu = $2,
-                 convocation_adresse = $3,
-                 convocation_heure = $4,
-                 convocation_notes = $5,
-                 convocation_phone = $6
-             WHERE tournoi_id = $7
-             AND REPLACE(licence, ' ', '') = REPLACE($8, ' ', '')`,
-            [
-              playerPouleNumber ? String(playerPouleNumber) : null,
-              playerLocation?.name || null,
-              fullAddress || null,
-              playerLocation?.startTime || null,
-              specialNote || null,
-              playerLocation?.phone || null,
-              tournoiId,
-              player.licence
-            ],
-            (err) => {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        });
-      }
-
-      console.log(`Updated convoque status and convocation details for ${sentPlayers.length} players in tournament ${tournoiId}`);
-
-      // Skip saving poules in test mode
-      if (!isTestMode && !skipSavePoules) {
-        // Save full poule composition to convocation_poules table
-        // First, clear any existing poule data for this tournament
-        await new Promise((resolve, reject) => {
-          db.run(
-            `DELETE FROM convocation_poules WHERE tournoi_id = $1`,
-            [tournoiId],
-            (err) => {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        });
-
-        // Insert all players from all poules
-        for (const poule of poules) {
-          const locNum = poule.locationNum || '1';
-          const loc = locations.find(l => l.locationNum === locNum) || locations[0];
-          const fullAddress = loc ? [loc.street, loc.zip_code, loc.city].filter(Boolean).join(' ') : '';
-
-          for (let i = 0; i < poule.players.length; i++) {
-            const p = poule.players[i];
-            await new Promise((resolve, reject) => {
-              db.run(
-                `INSERT INTO convocation_poules (tournoi_id, poule_number, licence, player_name, club, location_name, location_address, start_time, player_order)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                 ON CONFLICT (tournoi_id, poule_number, licence) DO UPDATE SET
-                   player_name = $4, club = $5, location_name = $6, location_address = $7, start_time = $8, player_order = $9`,
-                [
-                  tournoiId,
-                  poule.number,
-                  p.licence,
-                  `${p.first_name} ${p.last_name}`,
-                  p.club || '',
-                  loc?.name || '',
-                  fullAddress,
-                  loc?.startTime || '',
-                  i + 1
-                ],
-                (err) => {
-                  if (err) reject(err);
-                  else resolve();
-                }
-              );
-            });
-          }
-        }
-        console.log(`Saved ${poules.reduce((sum, p) => sum + p.players.length, 0)} players across ${poules.length} poules for tournament ${tournoiId}`);
-      } else {
-        console.log('Test mode - skipping poule save to database');
-      }
-
-      // Mark convocation as sent on tournoi_ext (skip in test mode)
-      if (!isTestMode && !skipSavePoules) {
-        await new Promise((resolve, reject) => {
-          db.run(
-            `UPDATE tournoi_ext SET convocation_sent_at = CURRENT_TIMESTAMP WHERE tournoi_id = $1`,
-            [tournoiId],
-            (err) => {
-              if (err) reject(err);
-              else resolve();
-            }
-          );
-        });
-        console.log(`Marked convocation_sent_at for tournament ${tournoiId}`);
-      }
-
-    } catch (convoqueError) {
-      console.error('Error updating convoque status:', convoqueError);
-      // Don't fail the whole operation if convoque update fails
-    }
+  // Update campaign record from the outbox
+  try {
+    await refreshCampaign(campaignId);
+  } catch (updateError) {
+    console.error('Error updating campaign record:', updateError);
   }
 
   // Archive the convocation PDF (if not test mode and emails were sent)
@@ -1693,7 +1810,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
         tournamentNum: tournament,
         season: season,
         date: tournamentDate,
-        isFinale: isFinale || tournament === 'Finale' || tournament === '4'
+        isFinale: isFinaleLabel
       };
 
       // Get branding settings
@@ -1713,16 +1830,16 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
       );
 
       // Build filename with timestamp
-      const tournamentNumForFile = (isFinale || tournament === 'Finale' || tournament === '4') ? 'Finale' : `T${tournament}`;
+      const tournamentNumForFile = isFinaleLabel ? 'Finale' : `T${tournament}`;
       const filename = `Convocation_${category.display_name.replace(/\s+/g, '_')}_${tournamentNumForFile}_${season}_${Date.now()}.pdf`;
-      const tournamentNumInt = (isFinale || tournament === 'Finale' || tournament === '4') ? 4 : parseInt(tournament);
+      const tournamentNumInt = isFinaleLabel ? FINALE_TOURNAMENT_NUMBER : parseInt(tournament);
 
       // Save to convocation_files table
       await new Promise((resolve, reject) => {
         db.run(
           `INSERT INTO convocation_files
-           (category_id, tournament_num, season, tournoi_ext_id, pdf_data, filename, file_size, is_sent, sent_at, created_by, notes)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, CURRENT_TIMESTAMP, $8, $9)`,
+           (category_id, tournament_num, season, tournoi_ext_id, pdf_data, filename, file_size, is_sent, sent_at, created_by, notes, version)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, CURRENT_TIMESTAMP, $8, $9, $10)`,
           [
             category.id,
             tournamentNumInt,
@@ -1732,7 +1849,10 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
             filename,
             archivePdfBuffer.length,
             req.user?.username || 'system',
-            `Convocations envoyees a ${results.sent.length} joueur(s)`
+            results.version
+              ? `Version ${results.version} - convocations envoyees a ${results.sent.length} joueur(s)`
+              : `Convocations envoyees a ${results.sent.length} joueur(s)`,
+            results.version || null
           ],
           (err) => {
             if (err) reject(err);
@@ -1752,7 +1872,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   logAdminAction({
     req,
     action: ACTION_TYPES.SEND_CONVOCATION,
-    details: `Convocations ${category.display_name} - ${tournamentLabel}: ${results.sent.length} envoyés, ${results.failed.length} échecs, ${results.skipped.length} ignorés`,
+    details: `Convocations ${category.display_name} - ${tournamentLabel}${results.version ? ` (version ${results.version})` : ''}: ${results.sent.length} envoyés, ${results.failed.length} échecs, ${results.skipped.length} ignorés${results.unchanged.length > 0 ? `, ${results.unchanged.length} inchangés` : ''}`,
     targetType: 'tournament',
     targetId: tournoiId,
     targetName: `${category.display_name} - ${tournamentLabel}`
@@ -1761,7 +1881,7 @@ router.post('/send-convocations', authenticateToken, async (req, res) => {
   const summaryStatus = results.summarySent ? ' + récapitulatif envoyé' : (results.summaryError ? ` (récap: ${results.summaryError})` : '');
   res.json({
     success: true,
-    message: `Emails envoyes: ${results.sent.length}, Echecs: ${results.failed.length}, Ignores: ${results.skipped.length}${summaryStatus}`,
+    message: `Emails envoyes: ${results.sent.length}, Echecs: ${results.failed.length}, Ignores: ${results.skipped.length}${results.unchanged.length > 0 ? `, Inchanges: ${results.unchanged.length}` : ''}${summaryStatus}`,
     results
   });
 });
@@ -1813,7 +1933,7 @@ router.post('/save-poules', authenticateToken, async (req, res) => {
             [
               tournoiId,
               poule.number,
-              p.licence,
+              normalizeLicence(p.licence),
               playerName,
               p.club || '',
               loc?.name || '',
@@ -1850,6 +1970,24 @@ router.post('/save-poules', authenticateToken, async (req, res) => {
 // CONVOCATION FILES ARCHIVE ENDPOINTS
 // ============================================
 
+// Versions of a tournament's convocation (latest first), with the changes of each re-send
+router.get('/convocation-versions/:tournoiId', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+
+  try {
+    const result = await db.query(`
+      SELECT version, composition, changes, sent_count, sent_by, notes, created_at
+      FROM convocation_versions
+      WHERE tournoi_id = $1
+      ORDER BY version DESC
+    `, [req.params.tournoiId]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching convocation versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get convocation file history with filters
 router.get('/convocation-files', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
@@ -1858,7 +1996,7 @@ router.get('/convocation-files', authenticateToken, async (req, res) => {
   let query = `
     SELECT cf.id, cf.category_id, cf.tournament_num, cf.season, cf.tournoi_ext_id,
            cf.filename, cf.file_size, cf.is_sent, cf.sent_at, cf.created_by,
-           cf.created_at, cf.notes,
+           cf.created_at, cf.notes, cf.version,
            c.display_name as category_name,
            t.nom as tournament_name, t.mode, t.categorie as tournament_category
     FROM convocation_files cf
@@ -2057,8 +2195,8 @@ router.post('/send-club-reminder', authenticateToken, async (req, res) => {
     ccEmail          // CC to organization
   } = req.body;
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email non configuré' });
   }
 
@@ -2133,7 +2271,7 @@ router.post('/send-club-reminder', authenticateToken, async (req, res) => {
       : 'Date à confirmer';
 
     // Build tournament label
-    const tournamentLabel = tournament === 'Finale' || tournament === '4'
+    const tournamentLabel = isFinaleTournament(tournament)
       ? 'Finale Départementale'
       : `Tournoi ${tournament}`;
 
@@ -2225,7 +2363,7 @@ Le {organization_short_name}`;
       recipients.push(ccEmail);
     }
 
-    await resend.emails.send({
+    await mailer.send({
       from: buildFromAddress(emailSettings, 'convocations'),
       to: recipients,
       subject: subject,
@@ -2267,7 +2405,7 @@ router.post('/generate-summary-pdf', authenticateToken, async (req, res) => {
     const db = require('../db-loader');
 
     // Determine if this is a finale
-    const isFinaleCompetition = isFinale || tournament === 'Finale' || tournament === '4';
+    const isFinaleCompetition = isFinale || isFinaleTournament(tournament);
 
     // Build tournament info
     const tournamentInfo = {
@@ -2467,15 +2605,15 @@ Sportivement,
 
 // Send inscription confirmation email (called by Player App)
 router.post('/inscription-confirmation', async (req, res) => {
-  const { player_email, player_name, tournament_name, mode, category, tournament_date, location, api_key } = req.body;
+  const { player_email, player_name, tournament_name, mode, category, tournament_date, location, language, api_key } = req.body;
 
   // Verify API key (shared secret between apps)
   if (api_key !== process.env.PLAYER_APP_API_KEY) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -2510,13 +2648,21 @@ router.post('/inscription-confirmation', async (req, res) => {
       );
     });
 
+    // Recipient language: sent by the Player App, or the preference of the player with this email
+    const localized = await resolveTemplate(
+      'inscription_confirmation',
+      language ? normalizeLanguage(language) : await getLanguageByEmail(player_email),
+      template
+    );
+    const t = (key, params) => translate(localized.language, key, params);
+
     // Look up club phone from location name
     const locationPhone = await getClubPhoneByLocation(location);
 
     // Format date for display
     const dateStr = tournament_date
-      ? new Date(tournament_date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
-      : 'Date à définir';
+      ? formatDate(localized.language, tournament_date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      : t('email.date_tbd');
 
     // Build universal variables (all common variables available)
     const variables = buildUniversalVariables({
@@ -2526,14 +2672,14 @@ router.post('/inscription-confirmation', async (req, res) => {
       mode,
       category,
       tournament_date: dateStr,
-      location: location || 'Lieu à définir'
+      location: location || t('email.location_tbd')
     }, emailSettings, contactEmail);
 
-    const subject = replaceTemplateVariables(template.subject, variables);
-    const bodyText = replaceTemplateVariables(template.body, variables);
+    const subject = renderTemplate(localized.subject, variables);
+    const bodyText = renderTemplate(localized.body, variables);
     const bodyHtml = bodyText.replace(/\n/g, '<br>').replace(/🎯/g, FRENCH_BILLARD_ICON_IMG);
 
-    await resend.emails.send({
+    await mailer.send({
       from: buildFromAddress(emailSettings, 'noreply'),
       replyTo: contactEmail,
       to: [player_email],
@@ -2543,15 +2689,15 @@ router.post('/inscription-confirmation', async (req, res) => {
           <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
             <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="${orgShortName}" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 10px;" onerror="this.style.display='none'">
             <h1 style="margin: 0; font-size: 24px;">${orgShortName}</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">INSCRIPTION CONFIRMÉE</p>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">${t('email.inscription_confirmed')}</p>
           </div>
           <div style="padding: 20px; background: #f8f9fa;">
             <div style="margin-bottom: 20px; padding: 15px; background: white; border-radius: 4px; border-left: 4px solid ${primaryColor};">
-              <p style="margin: 5px 0;"><strong>Tournoi :</strong> ${tournament_name}</p>
-              <p style="margin: 5px 0;"><strong>Mode :</strong> ${mode || '-'}</p>
-              <p style="margin: 5px 0;"><strong>Catégorie :</strong> ${category || '-'}</p>
-              <p style="margin: 5px 0;"><strong>Date :</strong> ${dateStr}</p>
-              <p style="margin: 5px 0;"><strong>Lieu :</strong> ${location || 'À définir'}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.tournament')} :</strong> ${tournament_name}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.mode')} :</strong> ${mode || '-'}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.category')} :</strong> ${category || '-'}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.date')} :</strong> ${dateStr}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.location')} :</strong> ${location || t('common.tbd')}</p>
               ${locationPhone ? `<p style="margin: 5px 0; color: #666;">📞 ${locationPhone}</p>` : ''}
             </div>
             <div style="line-height: 1.6;">
@@ -2593,15 +2739,15 @@ router.post('/inscription-confirmation', async (req, res) => {
 
 // Send inscription cancellation email (called by Player App)
 router.post('/inscription-cancellation', async (req, res) => {
-  const { player_email, player_name, tournament_name, mode, category, tournament_date, location, api_key } = req.body;
+  const { player_email, player_name, tournament_name, mode, category, tournament_date, location, language, api_key } = req.body;
 
   // Verify API key (shared secret between apps)
   if (api_key !== process.env.PLAYER_APP_API_KEY) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -2636,13 +2782,21 @@ router.post('/inscription-cancellation', async (req, res) => {
       );
     });
 
+    // Recipient language: sent by the Player App, or the preference of the player with this email
+    const localized = await resolveTemplate(
+      'inscription_cancellation',
+      language ? normalizeLanguage(language) : await getLanguageByEmail(player_email),
+      template
+    );
+    const t = (key, params) => translate(localized.language, key, params);
+
     // Look up club phone from location name
     const locationPhone = await getClubPhoneByLocation(location);
 
     // Format date for display
     const dateStr = tournament_date
-      ? new Date(tournament_date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
-      : 'Date à définir';
+      ? formatDate(localized.language, tournament_date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+      : t('email.date_tbd');
 
     // Build universal variables (all common variables available)
     const variables = buildUniversalVariables({
@@ -2652,14 +2806,14 @@ router.post('/inscription-cancellation', async (req, res) => {
       mode,
       category,
       tournament_date: dateStr,
-      location: location || 'Non défini'
+      location: location || t('email.location_undefined')
     }, emailSettings, contactEmail);
 
-    const subject = replaceTemplateVariables(template.subject, variables);
-    const bodyText = replaceTemplateVariables(template.body, variables);
+    const subject = renderTemplate(localized.subject, variables);
+    const bodyText = renderTemplate(localized.body, variables);
     const bodyHtml = bodyText.replace(/\n/g, '<br>').replace(/🎯/g, FRENCH_BILLARD_ICON_IMG);
 
-    await resend.emails.send({
+    await mailer.send({
       from: buildFromAddress(emailSettings, 'noreply'),
       replyTo: contactEmail,
       to: [player_email],
@@ -2669,15 +2823,15 @@ router.post('/inscription-cancellation', async (req, res) => {
           <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
             <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="${orgShortName}" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 10px;" onerror="this.style.display='none'">
             <h1 style="margin: 0; font-size: 24px;">${orgShortName}</h1>
-            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">DÉSINSCRIPTION CONFIRMÉE</p>
+            <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">${t('email.inscription_cancelled')}</p>
           </div>
           <div style="padding: 20px; background: #f8f9fa;">
             <div style="margin-bottom: 20px; padding: 15px; background: white; border-radius: 4px; border-left: 4px solid ${primaryColor};">
-              <p style="margin: 5px 0;"><strong>Tournoi :</strong> ${tournament_name}</p>
-              <p style="margin: 5px 0;"><strong>Mode :</strong> ${mode || '-'}</p>
-              <p style="margin: 5px 0;"><strong>Catégorie :</strong> ${category || '-'}</p>
-              <p style="margin: 5px 0;"><strong>Date :</strong> ${dateStr}</p>
-              <p style="margin: 5px 0;"><strong>Lieu :</strong> ${location || 'Non défini'}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.tournament')} :</strong> ${tournament_name}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.mode')} :</strong> ${mode || '-'}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.category')} :</strong> ${category || '-'}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.date')} :</strong> ${dateStr}</p>
+              <p style="margin: 5px 0;"><strong>${t('email.location')} :</strong> ${location || t('email.location_undefined')}</p>
               ${locationPhone ? `<p style="margin: 5px 0; color: #666;">📞 ${locationPhone}</p>` : ''}
             </div>
             <div style="line-height: 1.6;">
@@ -2726,8 +2880,8 @@ router.post('/contact', async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -2755,7 +2909,7 @@ router.post('/contact', async (req, res) => {
       : '';
 
     // Send email to organization
-    await resend.emails.send({
+    await mailer.send({
       from: `${shortName} Espace Joueur <${emailSettings.email_noreply || 'noreply@cdbhs.net'}>`,
       replyTo: player_email,
       to: [contactEmail],
@@ -2786,7 +2940,7 @@ router.post('/contact', async (req, res) => {
     });
 
     // Send confirmation email to player
-    await resend.emails.send({
+    await mailer.send({
       from: buildFromAddress(emailSettings, 'noreply'),
       replyTo: contactEmail,
       to: [player_email],
@@ -2960,7 +3114,7 @@ router.post('/fix-corrupted-names', authenticateToken, async (req, res) => {
         SET player_name = (
           SELECT CONCAT(p.first_name, ' ', p.last_name)
           FROM players p
-          WHERE REPLACE(p.licence, ' ', '') = REPLACE(convocation_poules.licence, ' ', '')
+          WHERE p.licence = convocation_poules.licence
         )
         WHERE player_name = 'undefined undefined'
           OR player_name IS NULL
@@ -3039,7 +3193,7 @@ router.get('/poules/:tournoiId', authenticateToken, async (req, res) => {
       });
     });
 
-    const forfaitLicences = new Set(forfaits.map(f => f.licence?.replace(/\s/g, '')));
+    const forfaitLicences = new Set(forfaits.map(f => normalizeLicence(f.licence)));
 
     // Group by poule number and add forfait status
     const poulesGrouped = {};
@@ -3055,7 +3209,7 @@ router.get('/poules/:tournoiId', authenticateToken, async (req, res) => {
       }
       poulesGrouped[p.poule_number].players.push({
         ...p,
-        isForfait: forfaitLicences.has(p.licence?.replace(/\s/g, ''))
+        isForfait: forfaitLicences.has(normalizeLicence(p.licence))
       });
     });
 
@@ -3128,7 +3282,7 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
                  COALESCE(p.first_name, '') as first_name,
                  COALESCE(p.last_name, '') as last_name
           FROM rankings r
-          LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+          LEFT JOIN players p ON r.licence = p.licence
           WHERE r.category_id = $1 AND r.season = $2
           ORDER BY r.rank_position
         `, [category.id, season], (err, rows) => {
@@ -3144,7 +3298,7 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
     // Create a map of licence -> rank_position for quick lookup
     const rankingMap = new Map();
     rankings.forEach(r => {
-      const normLicence = r.licence?.replace(/\s/g, '');
+      const normLicence = normalizeLicence(r.licence);
       rankingMap.set(normLicence, r.rank_position);
     });
 
@@ -3177,13 +3331,13 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
 
     // Get ALL inscribed players from inscriptions table (not from stored poules)
     // This ensures reinstated players like Eric are included
-    const forfaitSet = new Set((forfaitLicences || []).map(l => l?.replace(/\s/g, '')));
+    const forfaitSet = new Set((forfaitLicences || []).map(normalizeLicence));
 
     const inscribedPlayers = await new Promise((resolve, reject) => {
       db.all(`
         SELECT i.licence, p.last_name, p.first_name, p.club
         FROM inscriptions i
-        LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+        LEFT JOIN players p ON i.licence = p.licence
         WHERE i.tournoi_id = $1
           AND (i.statut IS NULL OR i.statut = 'inscrit')
           AND (i.forfait IS NULL OR i.forfait = 0)
@@ -3196,7 +3350,7 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
 
     // Transform to expected format and filter out newly selected forfaits
     let activePlayers = inscribedPlayers
-      .filter(p => !forfaitSet.has(p.licence?.replace(/\s/g, '')))
+      .filter(p => !forfaitSet.has(normalizeLicence(p.licence)))
       .map(p => ({
         licence: p.licence,
         player_name: `${p.first_name || ''} ${p.last_name || ''}`.trim() || p.licence,
@@ -3206,7 +3360,7 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
     // Remove duplicates (same player might appear in list)
     const seenLicences = new Set();
     activePlayers = activePlayers.filter(p => {
-      const normLicence = p.licence?.replace(/\s/g, '');
+      const normLicence = normalizeLicence(p.licence);
       if (seenLicences.has(normLicence)) return false;
       seenLicences.add(normLicence);
       return true;
@@ -3224,7 +3378,7 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
     // Sort players by their ranking position
     // Ranked players first (sorted by rank), then nouveaux at the end
     activePlayers = activePlayers.map(p => {
-      const normLicence = p.licence?.replace(/\s/g, '');
+      const normLicence = normalizeLicence(p.licence);
       const rank = rankingMap.get(normLicence);
       return {
         ...p,
@@ -3249,8 +3403,8 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
           db.run(`
             UPDATE inscriptions
             SET forfait = 1
-            WHERE tournoi_id = $1 AND REPLACE(licence, ' ', '') = REPLACE($2, ' ', '')
-          `, [tournoiId, licence], (err) => {
+            WHERE tournoi_id = $1 AND licence = $2
+          `, [tournoiId, normalizeLicence(licence)], (err) => {
             if (err) reject(err);
             else resolve();
           });
@@ -3325,7 +3479,7 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
             db.run(`
               INSERT INTO convocation_poules (tournoi_id, poule_number, licence, player_name, club, location_name, location_address, start_time, player_order)
               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            `, [tournoiId, poule.number, player.licence, player.player_name, player.club, loc?.name || '', loc?.address || '', loc?.startTime || '', i], (err) => {
+            `, [tournoiId, poule.number, normalizeLicence(player.licence), player.player_name, player.club, loc?.name || '', loc?.address || '', loc?.startTime || '', i], (err) => {
               if (err) reject(err);
               else resolve();
             });
@@ -3369,6 +3523,263 @@ router.post('/poules/:tournoiId/regenerate', authenticateToken, async (req, res)
   }
 });
 
+/**
+ * Rebuild the poules and locations of a sent convocation from convocation_poules,
+ * in the format used by the convocation PDFs
+ */
+async function loadSavedConvocation(tournoiId) {
+  const db = require('../db-loader');
+  const result = await db.query(`
+    SELECT cp.*, p.first_name, p.last_name
+    FROM convocation_poules cp
+    LEFT JOIN players p ON cp.licence = p.licence
+    WHERE cp.tournoi_id = $1
+    ORDER BY cp.poule_number, cp.player_order
+  `, [tournoiId]);
+
+  const locations = [];
+  const poulesByNumber = {};
+  for (const row of result.rows) {
+    const locationKey = `${row.location_name}|${row.location_address}|${row.start_time}`;
+    let location = locations.find(l => l.key === locationKey);
+    if (!location) {
+      location = {
+        key: locationKey,
+        locationNum: String(locations.length + 1),
+        name: row.location_name,
+        street: row.location_address,
+        startTime: row.start_time,
+        phone: await getClubPhoneByLocation(row.location_name)
+      };
+      locations.push(location);
+    }
+
+    if (!poulesByNumber[row.poule_number]) {
+      poulesByNumber[row.poule_number] = { number: row.poule_number, locationNum: location.locationNum, players: [] };
+    }
+    // Players unknown in the players table only have the stored "first last" name
+    const nameParts = (row.player_name || '').trim().split(' ');
+    poulesByNumber[row.poule_number].players.push({
+      licence: row.licence,
+      first_name: row.first_name || nameParts[0] || '',
+      last_name: row.last_name || nameParts.slice(1).join(' '),
+      club: row.club
+    });
+  }
+
+  return { poules: Object.values(poulesByNumber), locations };
+}
+
+/**
+ * POST /api/email/poules/:tournoiId/replace
+ * Replace a convoked player who withdrew by the first player of the waiting list
+ * Body: { withdrawnLicence, replacementLicence, previewOnly?, sendEmail? }
+ * previewOnly returns the proposed replacement (confirmation step); the confirmation
+ * must send back the replacementLicence that was shown, and is refused if the waiting list changed meanwhile.
+ * The email is the same convocation as the one of /send-convocations, with the waiting-list notice.
+ * The replacement takes the withdrawn player's place in the poule and receives a convocation.
+ */
+router.post('/poules/:tournoiId/replace', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const { tournoiId } = req.params;
+  const { withdrawnLicence, replacementLicence, previewOnly, sendEmail = true } = req.body;
+
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  if (!withdrawnLicence) {
+    return res.status(400).json({ error: 'withdrawnLicence requis' });
+  }
+
+  try {
+    const tournoi = (await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [tournoiId])).rows[0];
+    if (!tournoi) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const plan = await planReplacement(tournoi, withdrawnLicence);
+    if (!plan) {
+      return res.status(404).json({ error: 'Ce joueur ne figure pas dans les poules enregistrées de ce tournoi' });
+    }
+    if (!plan.replacement) {
+      return res.status(409).json({ error: 'Aucun joueur en liste d\'attente pour ce tournoi', withdrawn: plan.withdrawn });
+    }
+
+    const replacement = {
+      licence: plan.replacement.licence,
+      first_name: plan.replacement.first_name,
+      last_name: plan.replacement.last_name,
+      name: `${plan.replacement.first_name} ${plan.replacement.last_name}`.trim(),
+      club: plan.replacement.club,
+      email: plan.replacement.email || null,
+      waitlist_position: plan.replacement.waitlist_position
+    };
+
+    if (previewOnly) {
+      return res.json({
+        success: true,
+        preview: true,
+        withdrawn: plan.withdrawn,
+        replacement,
+        waitingCount: plan.waitingCount
+      });
+    }
+
+    if (!replacementLicence) {
+      return res.status(400).json({ error: 'replacementLicence requis : confirmez le remplaçant proposé', replacement });
+    }
+    if (normalizeLicence(replacementLicence) !== normalizeLicence(replacement.licence)) {
+      return res.status(409).json({
+        error: 'La liste d\'attente a changé depuis la prévisualisation, veuillez vérifier le remplaçant proposé',
+        replacement
+      });
+    }
+
+    await applyReplacement(tournoi, plan);
+    const { poules, locations } = await loadSavedConvocation(tournoi.tournoi_id);
+
+    // Replacement convocation, same PDF as the original convocations
+    const convocation = { generated: false, sent: false, error: null };
+    try {
+      const { category, season, tournamentNumber } = await resolveTournamentContext(tournoi);
+      const isFinale = tournamentNumber === FINALE_TOURNAMENT_NUMBER;
+      const categoryName = category ? category.display_name : `${tournoi.mode} ${tournoi.categorie}`;
+
+      const rawMode = (tournoi.mode || '').toUpperCase().trim();
+      const gameType = (MODE_TO_GAME_TYPE[rawMode] || rawMode).replace(/\s/g, '');
+      const gameParams = (await db.query(
+        `SELECT * FROM game_parameters WHERE UPPER(REPLACE(mode, ' ', '')) = $1 AND UPPER(categorie) = $2`,
+        [gameType, (tournoi.categorie || '').toUpperCase()]
+      )).rows[0] || null;
+      const rankingData = category ? await getRankingDataForCategory(category.id, season) : {};
+      const replacementLanguage = (await getLanguagesByLicence([replacement.licence]))[normalizeLicence(replacement.licence)] || DEFAULT_LANGUAGE;
+      const emailSettings = await getEmailTemplateSettings();
+      const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+      const responseLinks = buildResponseLinks(baseUrl, createResponseToken({
+        inscription_id: plan.replacement.inscription_id,
+        tournoi_id: tournoi.tournoi_id,
+        licence: replacement.licence
+      }, tournoi.debut));
+
+      const pdfBuffer = await generatePlayerConvocationPDF(
+        { ...replacement, responseLinks },
+        {
+          categoryName,
+          season,
+          tournamentNum: String(tournamentNumber || ''),
+          date: tournoi.debut,
+          isFinale,
+          language: replacementLanguage
+        },
+        poules,
+        locations,
+        gameParams,
+        tournoi.selected_distance,
+        rankingData,
+        emailSettings
+      );
+      convocation.generated = true;
+
+      const mailer = getMailTransport();
+      if (sendEmail && mailer && replacement.email) {
+        const contactEmail = await getContactEmail();
+        const templateType = isFinale ? 'convocation-finale' : 'convocation';
+        const emailTemplate = await resolveTemplate(templateType, replacementLanguage, await getEmailTemplate(templateType));
+        const t = (key, params) => translate(emailTemplate.language, key, params);
+        const tournamentLabel = isFinale ? t('common.finale') : t('common.tournament', { number: tournamentNumber || '' }).trim();
+        const dateStr = tournoi.debut
+          ? formatDate(emailTemplate.language, tournoi.debut, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+          : t('common.date_tbd');
+        const poule = poules.find(p => p.number === plan.slot.poule_number);
+        const location = locations.find(l => l.locationNum === poule?.locationNum) || locations[0];
+
+        const templateVariables = buildConvocationVariables({
+          player: replacement,
+          category: categoryName,
+          tournament: tournamentLabel,
+          date: dateStr,
+          tournamentDate: tournoi.debut,
+          location,
+          pouleNumber: plan.slot.poule_number,
+          poules,
+          locations,
+          isFinale
+        }, emailSettings, contactEmail);
+
+        await mailer.send({
+          from: buildFromAddress(emailSettings, 'noreply'),
+          replyTo: contactEmail,
+          to: [replacement.email],
+          subject: renderTemplate(emailTemplate.subject, templateVariables),
+          html: buildConvocationEmailHtml({
+            t,
+            categoryName,
+            tournamentLabel,
+            dateStr,
+            location,
+            poule: { pouleNumber: plan.slot.poule_number, players: poule?.players || [] },
+            responseLinks,
+            notice: t('email.waitlist_notice'),
+            bodyText: renderTemplate(emailTemplate.body, templateVariables),
+            isFinale
+          }, emailSettings, contactEmail, baseUrl),
+          attachments: [{
+            filename: `Convocation_${replacement.last_name}_${replacement.first_name}_${categoryName.replace(/\s+/g, '_')}_${isFinale ? 'Finale' : `T${tournamentNumber}`}.pdf`,
+            content: pdfBuffer.toString('base64')
+          }]
+        });
+        convocation.sent = true;
+      } else if (sendEmail) {
+        convocation.error = !mailer ? 'Email non configuré' : 'Pas d\'email pour ce joueur';
+      }
+    } catch (convocationError) {
+      console.error('Error sending replacement convocation:', convocationError);
+      convocation.error = convocationError.message;
+    }
+
+    // The replacement is a new version of the convocation: a later re-send is compared with it.
+    // The other players keep their delivered convocation when it did not change
+    const previousVersion = await getLatestVersion(tournoi.tournoi_id);
+    const composition = buildComposition(poules, locations);
+    const changes = previousVersion ? diffCompositions(previousVersion.composition, composition) : null;
+    const replacementDelivery = convocation.sent ? 'sent' : (sendEmail && replacement.email ? 'failed' : 'skipped');
+    composition.forEach(entry => {
+      if (entry.licence === normalizeLicence(replacement.licence)) {
+        entry.delivery = replacementDelivery;
+      } else {
+        entry.delivery = changes && changes.unchanged.includes(entry.licence) ? 'unchanged' : 'skipped';
+      }
+    });
+    const version = await saveVersion(tournoi.tournoi_id, composition, {
+      changes,
+      sentBy: req.user?.username,
+      notes: `Remplacement de ${plan.withdrawn.name} par ${replacement.name} (liste d'attente)`
+    });
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.WAITLIST_REPLACEMENT,
+      details: `Poule ${plan.slot.poule_number}: ${plan.withdrawn.name} remplacé par ${replacement.name} (liste d'attente n°${replacement.waitlist_position})${convocation.sent ? ', convocation envoyée' : ''}`,
+      targetType: 'tournament',
+      targetId: tournoiId,
+      targetName: `${tournoi.mode} ${tournoi.categorie} - ${tournoi.nom}`
+    });
+
+    res.json({
+      success: true,
+      preview: false,
+      withdrawn: plan.withdrawn,
+      replacement,
+      poule_number: plan.slot.poule_number,
+      version,
+      convocation
+    });
+  } catch (error) {
+    console.error('Error replacing player from waiting list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ ENROLLMENT REQUEST EMAILS ============
 
 /**
@@ -3383,8 +3794,8 @@ router.post('/enrollment-acknowledgment', async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -3465,7 +3876,7 @@ router.post('/enrollment-acknowledgment', async (req, res) => {
       </html>
     `;
 
-    await resend.emails.send({
+    await mailer.send({
       from: `${senderName} <${emailFrom}>`,
       to: player_email,
       subject: `Confirmation de votre demande d'inscription - ${orgShortName}`,
@@ -3493,8 +3904,8 @@ router.post('/enrollment-notification', async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -3582,7 +3993,7 @@ router.post('/enrollment-notification', async (req, res) => {
       </html>
     `;
 
-    await resend.emails.send({
+    await mailer.send({
       from: `${senderName} <${emailFrom}>`,
       to: summaryEmail,
       subject: `Nouvelle demande d'inscription - ${player_name}`,
@@ -3613,8 +4024,8 @@ router.post('/enrollment-approved', async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -3694,7 +4105,7 @@ router.post('/enrollment-approved', async (req, res) => {
       </html>
     `;
 
-    await resend.emails.send({
+    await mailer.send({
       from: `${senderName} <${emailFrom}>`,
       to: player_email,
       subject: `Demande acceptée - ${game_mode} ${requested_ranking} T${tournament_number}`,
@@ -3725,8 +4136,8 @@ router.post('/enrollment-rejected', async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({ error: 'Email not configured' });
   }
 
@@ -3813,7 +4224,7 @@ router.post('/enrollment-rejected', async (req, res) => {
       </html>
     `;
 
-    await resend.emails.send({
+    await mailer.send({
       from: `${senderName} <${emailFrom}>`,
       to: player_email,
       subject: `Demande refusée - ${game_mode} ${requested_ranking} T${tournament_number}`,
@@ -1,11 +1,20 @@
 const express = require('express');
-const { Resend } = require('resend');
+const { getMailTransport, isMailConfigured } = require('../utils/mail-transport');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { authenticateToken } = require('./auth');
 const appSettings = require('../utils/app-settings');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const { FINALE_TOURNAMENT_NUMBER, getTournamentLabel, getQualifyingTournamentNumbers } = require('../utils/qualifying-rounds');
+const { getRankingRules } = require('../utils/ranking-rules');
+const { getPreviousPositions, applyMovement } = require('../utils/ranking-history');
+const { normalizeLicence } = require('../utils/licence');
+const { enqueueEmail, deliverQueued, refreshCampaign, getCampaignDeliveries, retryFailed, runOutboxWorker, registerOutboxHook } = require('../utils/email-outbox');
+const { filterMarketingRecipients, withUnsubscribe } = require('../utils/email-deliverability');
+const { TemplateError, renderTemplate } = require('../utils/template-engine');
+const { getTemplateVariables, checkTemplate, buildResultsVariables, buildPreviewVariables } = require('../utils/email-template-context');
+const { SUPPORTED_LANGUAGES, LANGUAGE_LABELS, normalizeLanguage, isSupportedLanguage, translate, formatDate, DEFAULT_LANGUAGE, getLanguagesByLicence, getTemplateTranslation, createTemplateResolver } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -40,9 +49,6 @@ const imageUpload = multer({
   }
 });
 
-// Helper function to add delay between emails (avoid rate limiting)
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 // Helper function to convert email addresses to mailto links in HTML
 function convertEmailsToMailtoLinks(text, primaryColor = '#1F4788') {
   // Match email addresses and convert to mailto links
@@ -349,14 +355,6 @@ router.delete('/campaigns/purge', authenticateToken, async (req, res) => {
   }
 });
 
-// Initialize Resend
-const getResend = () => {
-  if (!process.env.RESEND_API_KEY) {
-    return null;
-  }
-  return new Resend(process.env.RESEND_API_KEY);
-};
-
 // Default email template for general communications
 const DEFAULT_GENERAL_TEMPLATE = {
   subject: 'Information {organization_short_name}',
@@ -392,42 +390,6 @@ async function getEmailTemplate(templateKey = 'general') {
   });
 }
 
-// Replace a single template variable
-// Handles: plain {var}, HTML-encoded &#123;var&#125;, and vars with HTML tags inside {<strong>var</strong>}
-// PRESERVES formatting tags so {<strong>var</strong>} becomes <strong>value</strong>
-function replaceVar(text, varName, value) {
-  if (!text || typeof text !== 'string') return text || '';
-  const val = (value !== null && value !== undefined) ? String(value) : '';
-
-  let result = text;
-
-  // 1. Replace plain {varName}
-  result = result.replace(new RegExp(`\\{${varName}\\}`, 'g'), val);
-
-  // 2. Replace HTML-encoded &#123;varName&#125;
-  result = result.replace(new RegExp(`&#123;${varName}&#125;`, 'g'), val);
-
-  // 3. Handle HTML tags INSIDE braces and PRESERVE the formatting
-  // Pattern: {<tag>varName</tag>} -> <tag>value</tag>
-  // Captures the opening tag(s) and closing tag(s) to wrap around the value
-  const htmlInsidePattern = new RegExp(`\\{((?:<[^>]+>)*)${varName}((?:<\\/[^>]+>)*)\\}`, 'gi');
-  result = result.replace(htmlInsidePattern, (match, openTags, closeTags) => {
-    return (openTags || '') + val + (closeTags || '');
-  });
-
-  return result;
-}
-
-// Replace template variables with actual values
-// Handles both plain {var} and HTML-encoded &#123;var&#125; from Quill
-function replaceTemplateVariables(template, variables) {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    result = replaceVar(result, key, value);
-  }
-  return result;
-}
-
 // Convert plain text to HTML (only if content is not already HTML)
 // Detects HTML by checking for common HTML tags
 function textToHtml(content) {
@@ -448,11 +410,11 @@ function textToHtml(content) {
 async function syncContacts() {
   const db = require('../db-loader');
 
-  // First, sync all players (normalize licence by removing spaces)
+  // First, sync all players (licences are stored in canonical form, see utils/licence.js)
   await new Promise((resolve, reject) => {
     db.run(`
       INSERT INTO player_contacts (licence, first_name, last_name, club, rank_libre, rank_cadre, rank_bande, rank_3bandes, statut)
-      SELECT REPLACE(p.licence, ' ', ''), p.first_name, p.last_name, p.club, p.rank_libre, p.rank_cadre, p.rank_bande, p.rank_3bandes,
+      SELECT p.licence, p.first_name, p.last_name, p.club, p.rank_libre, p.rank_cadre, p.rank_bande, p.rank_3bandes,
              CASE WHEN p.is_active = 1 THEN 'Actif' ELSE 'Inactif' END
       FROM players p
       ON CONFLICT (licence) DO UPDATE SET
@@ -472,20 +434,19 @@ async function syncContacts() {
   });
 
   // Then, update emails and phones from inscriptions (take the most recent, only if not empty)
-  // Use REPLACE to normalize licence comparison (handle spaces)
   await new Promise((resolve, reject) => {
     db.run(`
       UPDATE player_contacts
       SET email = COALESCE(
         (SELECT i.email FROM inscriptions i
-         WHERE REPLACE(i.licence, ' ', '') = REPLACE(player_contacts.licence, ' ', '')
+         WHERE i.licence = player_contacts.licence
          AND i.email IS NOT NULL AND i.email != '' AND i.email LIKE '%@%'
          ORDER BY i.timestamp DESC LIMIT 1),
         player_contacts.email
       ),
       telephone = COALESCE(
         (SELECT i.telephone FROM inscriptions i
-         WHERE REPLACE(i.licence, ' ', '') = REPLACE(player_contacts.licence, ' ', '')
+         WHERE i.licence = player_contacts.licence
          AND i.telephone IS NOT NULL AND i.telephone != ''
          ORDER BY i.timestamp DESC LIMIT 1),
         player_contacts.telephone
@@ -511,6 +472,7 @@ router.get('/contacts', authenticateToken, async (req, res) => {
   let query = `
     SELECT pc.* FROM player_contacts pc
     WHERE pc.email_optin = 1 AND pc.email IS NOT NULL AND pc.email != '' AND pc.email LIKE '%@%'
+      AND COALESCE(pc.email_status, 'valid') NOT IN ('bounced', 'complained')
   `;
   const params = [];
   let paramIndex = 1;
@@ -522,7 +484,7 @@ router.get('/contacts', authenticateToken, async (req, res) => {
 
   // Filter by Player App users (those with accounts in player_accounts)
   if (playerAppUsers === 'true' || playerAppUsers === '1') {
-    query += ` AND REPLACE(pc.licence, ' ', '') IN (SELECT REPLACE(pa.licence, ' ', '') FROM player_accounts pa)`;
+    query += ` AND pc.licence IN (SELECT pa.licence FROM player_accounts pa)`;
   }
 
   // Filter by club using club_aliases for proper canonical name resolution
@@ -582,7 +544,7 @@ router.get('/contacts', authenticateToken, async (req, res) => {
 
   // Filter by tournament (players registered) - normalize licence comparison
   if (tournoiId) {
-    query += ` AND REPLACE(pc.licence, ' ', '') IN (SELECT REPLACE(i.licence, ' ', '') FROM inscriptions i WHERE i.tournoi_id = $${paramIndex++} AND i.forfait != 1)`;
+    query += ` AND pc.licence IN (SELECT i.licence FROM inscriptions i WHERE i.tournoi_id = $${paramIndex++} AND i.forfait != 1)`;
     params.push(parseInt(tournoiId));
   }
 
@@ -620,9 +582,15 @@ router.put('/contacts/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
   const { email, telephone, statut, comments, email_optin } = req.body;
 
+  // A new address starts with a clean deliverability status; opting in again clears the unsubscription
   db.run(
     `UPDATE player_contacts
-     SET email = $1, telephone = $2, statut = $3, comments = $4, email_optin = $5, updated_at = CURRENT_TIMESTAMP
+     SET email = $1, telephone = $2, statut = $3, comments = $4, email_optin = $5,
+         email_status = CASE WHEN email IS DISTINCT FROM $1 THEN 'valid' ELSE email_status END,
+         email_status_detail = CASE WHEN email IS DISTINCT FROM $1 THEN NULL ELSE email_status_detail END,
+         soft_bounce_count = CASE WHEN email IS DISTINCT FROM $1 THEN 0 ELSE soft_bounce_count END,
+         unsubscribed_at = CASE WHEN $5 = 1 THEN NULL ELSE unsubscribed_at END,
+         updated_at = CURRENT_TIMESTAMP
      WHERE id = $6`,
     [email, telephone, statut, comments, email_optin, id],
     function(err) {
@@ -874,7 +842,7 @@ router.get('/ranking-contacts', authenticateToken, async (req, res) => {
         r.rank_position,
         c.display_name as category_name
       FROM rankings r
-      LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+      LEFT JOIN player_contacts pc ON r.licence = pc.licence
       JOIN categories c ON r.category_id = c.id
       WHERE r.category_id = $1 AND r.season = $2
         AND pc.email IS NOT NULL AND pc.email != '' AND pc.email LIKE '%@%'
@@ -937,6 +905,11 @@ router.put('/templates/:key', authenticateToken, async (req, res) => {
   const { key } = req.params;
   const { subject_template, body_template } = req.body;
 
+  const check = checkTemplate(key, { Objet: subject_template, Message: body_template });
+  if (!check.valid) {
+    return res.status(400).json({ error: check.errors.join(' - '), errors: check.errors });
+  }
+
   db.run(
     `INSERT INTO email_templates (template_key, subject_template, body_template)
      VALUES ($1, $2, $3)
@@ -950,22 +923,201 @@ router.put('/templates/:key', authenticateToken, async (req, res) => {
         console.error('Error saving template:', err);
         return res.status(500).json({ error: err.message });
       }
-      res.json({ success: true });
+      res.json({ success: true, warnings: check.unknownVariables });
     }
   );
 });
 
+// ==================== TEMPLATE TRANSLATIONS ====================
+
+/**
+ * GET /api/emailing/template-languages
+ * Languages in which templates can be translated (French is the email_templates entry itself)
+ */
+router.get('/template-languages', authenticateToken, (req, res) => {
+  res.json(SUPPORTED_LANGUAGES.map(code => ({ code, label: LANGUAGE_LABELS[code] })));
+});
+
+/**
+ * GET /api/emailing/templates/:key/translations
+ * Languages for which the template has a variant
+ */
+router.get('/templates/:key/translations', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+
+  try {
+    const result = await db.query(
+      'SELECT language, updated_at FROM email_template_translations WHERE template_key = $1 ORDER BY language',
+      [req.params.key]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching template translations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/emailing/templates/:key/translations/:language
+ * Variant of a template in a language
+ */
+router.get('/templates/:key/translations/:language', authenticateToken, async (req, res) => {
+  const { key, language } = req.params;
+
+  if (!isSupportedLanguage(language) || normalizeLanguage(language) === 'fr') {
+    return res.status(400).json({ error: 'Langue non prise en charge' });
+  }
+
+  try {
+    const translation = await getTemplateTranslation(key, language);
+    if (!translation) {
+      return res.status(404).json({ error: 'Traduction introuvable' });
+    }
+    res.json({
+      template_key: key,
+      language: normalizeLanguage(language),
+      subject_template: translation.subject,
+      body_template: translation.body,
+      outro_template: translation.outro
+    });
+  } catch (error) {
+    console.error('Error fetching template translation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/emailing/templates/:key/translations/:language
+ * Body: { subject_template, body_template, outro_template }
+ * Creates or updates the variant of a template in a language
+ */
+router.put('/templates/:key/translations/:language', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const { key, language } = req.params;
+  const { subject_template, body_template, outro_template } = req.body;
+
+  if (!isSupportedLanguage(language) || normalizeLanguage(language) === 'fr') {
+    return res.status(400).json({ error: 'Langue non prise en charge' });
+  }
+  if (!subject_template || !body_template) {
+    return res.status(400).json({ error: 'Objet et message requis' });
+  }
+
+  const check = checkTemplate(key, { Objet: subject_template, Message: body_template, Conclusion: outro_template });
+  if (!check.valid) {
+    return res.status(400).json({ error: check.errors.join(' - '), errors: check.errors });
+  }
+
+  try {
+    await db.query(
+      `INSERT INTO email_template_translations (template_key, language, subject_template, body_template, outro_template)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (template_key, language) DO UPDATE SET
+         subject_template = EXCLUDED.subject_template,
+         body_template = EXCLUDED.body_template,
+         outro_template = EXCLUDED.outro_template,
+         updated_at = CURRENT_TIMESTAMP`,
+      [key, normalizeLanguage(language), subject_template, body_template, outro_template || null]
+    );
+    res.json({ success: true, warnings: check.unknownVariables });
+  } catch (error) {
+    console.error('Error saving template translation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/emailing/templates/:key/translations/:language
+ * Removes a variant: recipients in that language get the French template again
+ */
+router.delete('/templates/:key/translations/:language', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const { key, language } = req.params;
+
+  try {
+    const result = await db.query(
+      'DELETE FROM email_template_translations WHERE template_key = $1 AND language = $2',
+      [key, normalizeLanguage(language)]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Traduction introuvable' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting template translation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/emailing/templates/validate
+ * Body: { templateKey, subject, body, outro }
+ * Syntax errors, unknown variables and the variables available for the template
+ */
+router.post('/templates/validate', authenticateToken, (req, res) => {
+  const { templateKey, subject, body, outro } = req.body;
+  const check = checkTemplate(templateKey, { Objet: subject, Message: body, Conclusion: outro });
+  res.json({ ...check, availableVariables: getTemplateVariables(templateKey) });
+});
+
+/**
+ * POST /api/emailing/templates/preview
+ * Body: { templateKey, subject, body, outro, tournoiId, licence }
+ * Renders the template with the data of a real tournament (tournoi_ext) and one of its players
+ */
+router.post('/templates/preview', authenticateToken, async (req, res) => {
+  const { templateKey, subject, body, outro, tournoiId, licence } = req.body;
+
+  const check = checkTemplate(templateKey, { Objet: subject, Message: body, Conclusion: outro });
+  if (!check.valid) {
+    return res.status(400).json({ error: check.errors.join(' - '), errors: check.errors });
+  }
+
+  try {
+    const { variables, player, warnings } = await buildPreviewVariables(templateKey, { tournoiId, licence });
+    res.json({
+      subject: renderTemplate(subject || '', variables),
+      body: renderTemplate(body || '', variables),
+      outro: renderTemplate(outro || '', variables),
+      player,
+      variables,
+      warnings,
+      unknownVariables: check.unknownVariables
+    });
+  } catch (error) {
+    if (error instanceof TemplateError || error.message === 'Tournoi introuvable') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error previewing template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== SEND EMAILS ====================
 
+// Message delivered: the contact's last_contacted date, by contact id or licence
+// (outbox completion hook, so it is also done when the delivery ends after a restart)
+registerOutboxHook('last_contacted', async (data, { status }) => {
+  if (status !== 'sent') {
+    return;
+  }
+  const db = require('../db-loader');
+  if (data.contactId) {
+    await db.query('UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE id = $1', [data.contactId]);
+  } else if (data.licence) {
+    await db.query('UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE licence = $1', [normalizeLicence(data.licence)]);
+  }
+});
+
 // Send emails immediately
 router.post('/send', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const { recipientIds, subject, body, templateKey, imageUrl, testMode, testEmail, ccEmail } = req.body;
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({
-      error: 'Email non configure. Veuillez definir RESEND_API_KEY.'
+      error: 'Email non configure. Veuillez definir MAIL_TRANSPORT (ou RESEND_API_KEY).'
     });
   }
 
@@ -1030,10 +1182,19 @@ router.post('/send', authenticateToken, async (req, res) => {
     });
 
     // In test mode, only send to the test email address
-    const recipientsToEmail = testMode
+    let recipientsToEmail = testMode
       ? [{ ...recipients[0], email: testEmail, first_name: 'TEST', last_name: 'MODE' }]
       : recipients;
 
+    // Unsubscribed, bounced and complained contacts do not receive campaigns
+    if (!testMode) {
+      const { allowed, excluded } = await filterMarketingRecipients(recipientsToEmail);
+      recipientsToEmail = allowed;
+      excluded.forEach(({ recipient, reason }) => {
+        results.skipped.push({ name: `${recipient.first_name} ${recipient.last_name}`, reason });
+      });
+    }
+
     // Get dynamic sender info and branding
     const senderName = await appSettings.getSetting('email_sender_name') || 'CDBHS';
     const senderEmail = await appSettings.getSetting('email_noreply') || 'noreply@cdbhs.net';
@@ -1048,7 +1209,19 @@ router.post('/send', authenticateToken, async (req, res) => {
     const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
     const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
 
-    // Send emails
+    // Saved templates are sent in each recipient's language when a variant exists
+    const templateFor = templateKey ? createTemplateResolver(templateKey, { subject, body }) : null;
+    let languageByLicence = {};
+    if (templateFor && !testMode) {
+      try {
+        languageByLicence = await getLanguagesByLicence(recipientsToEmail.map(r => r.licence));
+      } catch (langError) {
+        console.error('Error loading language preferences:', langError.message);
+      }
+    }
+
+    // Queue one message per recipient in the outbox
+    const queued = [];
     for (const recipient of recipientsToEmail) {
       if (!recipient.email || !recipient.email.includes('@')) {
         results.skipped.push({
@@ -1071,14 +1244,19 @@ router.post('/send', authenticateToken, async (req, res) => {
           organization_email: organizationEmail
         };
 
-        const emailSubject = replaceTemplateVariables(subject, templateVariables);
-        const emailBody = replaceTemplateVariables(body, templateVariables);
+        const recipientLicence = normalizeLicence(recipient.licence);
+        const recipientTemplate = templateFor
+          ? await templateFor(languageByLicence[recipientLicence])
+          : { subject, body };
+
+        const emailSubject = renderTemplate(recipientTemplate.subject, templateVariables);
+        const emailBody = renderTemplate(recipientTemplate.body, templateVariables);
         const emailBodyHtml = convertEmailsToMailtoLinks(textToHtml(emailBody), primaryColor);
 
         // Build optional image HTML
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
 
-        await resend.emails.send({
+        const outboxId = await enqueueEmail(withUnsubscribe({
           from: emailFrom,
           replyTo: contactEmail,
           to: [recipient.email],
@@ -1099,45 +1277,44 @@ router.post('/send', authenticateToken, async (req, res) => {
               </div>
             </div>
           `
+        }, baseUrl), {
+          campaignId,
+          recipientName: `${recipient.first_name} ${recipient.last_name}`,
+          hook: { name: 'last_contacted', data: { contactId: recipient.id } }
         });
+        queued.push({ outboxId, recipient });
 
-        results.sent.push({
+      } catch (error) {
+        console.error(`Error queueing email to ${recipient.email}:`, error);
+        results.failed.push({
           name: `${recipient.first_name} ${recipient.last_name}`,
-          email: recipient.email
-        });
-
-        // Update last_contacted
-        await new Promise((resolve) => {
-          db.run(
-            'UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE id = $1',
-            [recipient.id],
-            () => resolve()
-          );
+          email: recipient.email,
+          error: error.message
         });
+      }
+    }
 
-        // Delay between emails
-        await delay(1500);
-
-      } catch (error) {
-        console.error(`Error sending email to ${recipient.email}:`, error);
+    // Deliver the queued messages (throttled, retried on failure)
+    const deliveries = await deliverQueued(queued.map(q => q.outboxId));
+    for (const { outboxId, recipient } of queued) {
+      const delivery = deliveries[outboxId];
+      if (delivery?.status !== 'sent') {
         results.failed.push({
           name: `${recipient.first_name} ${recipient.last_name}`,
           email: recipient.email,
-          error: error.message
+          error: delivery?.last_error || 'Envoi non abouti'
         });
+        continue;
       }
+
+      results.sent.push({
+        name: `${recipient.first_name} ${recipient.last_name}`,
+        email: recipient.email
+      });
     }
 
-    // Update campaign record
-    await new Promise((resolve) => {
-      db.run(
-        `UPDATE email_campaigns
-         SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP
-         WHERE id = $3`,
-        [results.sent.length, results.failed.length, campaignId],
-        () => resolve()
-      );
-    });
+    // Update campaign record from the outbox
+    await refreshCampaign(campaignId);
 
     // Send summary email if requested and not in test mode
     let summarySent = false;
@@ -1170,7 +1347,7 @@ router.post('/send', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        await mailer.send({
           from: emailFrom,
           to: [ccEmail],
           subject: `[Récap] ${subject}`,
@@ -1392,7 +1569,7 @@ router.post('/schedule-results', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Tournoi non trouvé' });
     }
 
-    const tournamentLabel = `T${tournament.tournament_number} ${tournament.season}`;
+    const tournamentLabel = `${getTournamentLabel(tournament.tournament_number, true)} ${tournament.season}`;
     const subject = `Résultats - ${tournament.display_name} - ${tournamentLabel}`;
 
     await new Promise((resolve, reject) => {
@@ -1466,7 +1643,6 @@ router.post('/schedule-finale-convocation', authenticateToken, async (req, res)
 // Send finale results email immediately
 router.post('/send-finale-results', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
-  const { Resend } = require('resend');
   const { tournamentId, introText, outroText, ccEmail, testMode, testEmail } = req.body;
 
   if (!tournamentId) {
@@ -1477,12 +1653,11 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Email de test requis en mode test' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isMailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (MAIL_TRANSPORT ou RESEND_API_KEY)' });
   }
 
-  const resend = new Resend(process.env.RESEND_API_KEY);
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const mailer = getMailTransport();
 
   try {
     // Get email branding settings
@@ -1525,7 +1700,7 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
                 pc.email, pc.first_name, pc.last_name, pc.club,
                 COALESCE(pc.first_name || ' ' || pc.last_name, tr.player_name) as display_name
          FROM tournament_results tr
-         LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN player_contacts pc ON tr.licence = pc.licence
          WHERE tr.tournament_id = $1
          ORDER BY tr.match_points DESC, tr.points DESC`,
         [tournamentId],
@@ -1552,16 +1727,11 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Aucun destinataire avec email valide' });
     }
 
-    // Build podium HTML (top 3)
     const topThree = results.slice(0, 3);
-    const podiumHtml = buildPodiumHtml(topThree, primaryColor);
-
-    // Build results table HTML
-    const tableHtml = buildResultsTableHtml(results, primaryColor);
 
     // Tournament info
-    const isFinale = tournament.tournament_number === 4;
-    const tournamentLabel = isFinale ? 'Finale Départementale' : `Tournoi ${tournament.tournament_number}`;
+    const isFinale = tournament.tournament_number === FINALE_TOURNAMENT_NUMBER;
+    const tournamentLabel = getTournamentLabel(tournament.tournament_number);
     const tournamentDate = tournament.tournament_date
       ? new Date(tournament.tournament_date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
       : '';
@@ -1586,115 +1756,126 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
       console.log('Using default subject template');
     }
 
-    // Helper function to replace template variables (handles HTML tags from Quill, preserves formatting)
-    function replaceFinaleTemplateVars(text) {
-      if (!text) return text;
-      const replacements = {
-        'tournament_label': tournamentLabel,
-        'category': tournament.display_name,
-        'tournament_date': tournamentDate,
-        'location': tournament.location || '',
-        'organization_name': orgName,
-        'organization_short_name': orgShortName,
-        'organization_email': replyToEmail
-      };
+    const templateVariables = {
+      tournament_label: tournamentLabel,
+      category: tournament.display_name,
+      tournament_date: tournamentDate,
+      location: tournament.location || '',
+      organization_name: orgName,
+      organization_short_name: orgShortName,
+      organization_email: replyToEmail
+    };
 
-      let result = text;
-      for (const [key, value] of Object.entries(replacements)) {
-        // Pattern 1: {{<strong>key</strong>}} -> <strong>value</strong> (preserve inner tags)
-        result = result.replace(
-          new RegExp(`\\{\\{(<[^>]*>)(${key})(<\\/[^>]*>)\\}\\}`, 'gi'),
-          `$1${value}$3`
-        );
-        // Pattern 2: <strong>{{key}}</strong> -> <strong>value</strong> (preserve outer tags)
-        result = result.replace(
-          new RegExp(`(<[^>]*>)\\{\\{(${key})\\}\\}(<\\/[^>]*>)`, 'gi'),
-          `$1${value}$3`
-        );
-        // Pattern 3: Plain {{key}} -> value
-        result = result.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'gi'), value);
+    // Players with a language preference get the 'finale_results' template variant and translated labels
+    const finaleResultsTemplateFor = createTemplateResolver('finale_results', { subject: subjectTemplate, body: introText, outro: outroText });
+    let languageByLicence = {};
+    if (!testMode) {
+      try {
+        languageByLicence = await getLanguagesByLicence(recipients.map(r => r.licence));
+      } catch (langError) {
+        console.error('Error loading language preferences:', langError.message);
       }
-      return result;
     }
 
-    // Replace template variables in subject, intro, and outro
-    const subject = replaceFinaleTemplateVars(subjectTemplate);
-    const finalIntroText = replaceFinaleTemplateVars(introText);
-    const finalOutroText = replaceFinaleTemplateVars(outroText);
-
-    // Build full email HTML
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; background: #ffffff;">
-        <!-- Header -->
-        <div style="background: ${primaryColor}; color: white; padding: 25px; text-align: center;">
-          <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="${orgShortName}" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 15px;" onerror="this.style.display='none'">
-          <h1 style="margin: 0; font-size: 24px;">${orgName}</h1>
-        </div>
+    // The email only depends on the language: built once per language
+    const buildFinaleResultsEmail = async (language) => {
+      const template = await finaleResultsTemplateFor(language);
+      const isFrench = template.language === DEFAULT_LANGUAGE;
+      const label = isFrench ? tournamentLabel : isFinale
+        ? translate(template.language, 'common.finale')
+        : translate(template.language, 'common.tournament', { number: tournament.tournament_number });
+      const date = isFrench || !tournament.tournament_date ? tournamentDate
+        : formatDate(template.language, tournament.tournament_date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+      const variables = { ...templateVariables, tournament_label: label, tournament_date: date };
+
+      const finalIntroText = renderTemplate(template.body || '', variables);
+      const finalOutroText = renderTemplate(template.outro || '', variables);
+      const podiumHtml = buildPodiumHtml(topThree, primaryColor, template.language);
+      const tableHtml = buildResultsTableHtml(results, primaryColor, template.language);
+
+      const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; background: #ffffff;">
+          <!-- Header -->
+          <div style="background: ${primaryColor}; color: white; padding: 25px; text-align: center;">
+            <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="${orgShortName}" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 15px;" onerror="this.style.display='none'">
+            <h1 style="margin: 0; font-size: 24px;">${orgName}</h1>
+          </div>
 
-        <!-- Title Section -->
-        <div style="background: #f8f9fa; padding: 25px; text-align: center; border-bottom: 3px solid ${primaryColor};">
-          <h2 style="margin: 0 0 10px 0; color: ${primaryColor}; font-size: 22px;">
-            🏆 ${tournamentLabel}
-          </h2>
-          <p style="margin: 0; font-size: 18px; color: #333; font-weight: 600;">${tournament.display_name}</p>
-          ${tournamentDate ? `<p style="margin: 10px 0 0 0; color: #666;">${tournamentDate}${tournament.location ? ` - ${tournament.location}` : ''}</p>` : ''}
-        </div>
+          <!-- Title Section -->
+          <div style="background: #f8f9fa; padding: 25px; text-align: center; border-bottom: 3px solid ${primaryColor};">
+            <h2 style="margin: 0 0 10px 0; color: ${primaryColor}; font-size: 22px;">
+              🏆 ${label}
+            </h2>
+            <p style="margin: 0; font-size: 18px; color: #333; font-weight: 600;">${tournament.display_name}</p>
+            ${date ? `<p style="margin: 10px 0 0 0; color: #666;">${date}${tournament.location ? ` - ${tournament.location}` : ''}</p>` : ''}
+          </div>
 
-        <!-- Intro Text -->
-        ${finalIntroText ? `<div style="padding: 20px 25px; background: #fff;">${finalIntroText.replace(/\n/g, '<br>')}</div>` : ''}
+          <!-- Intro Text -->
+          ${finalIntroText ? `<div style="padding: 20px 25px; background: #fff;">${finalIntroText.replace(/\n/g, '<br>')}</div>` : ''}
 
-        <!-- Podium -->
-        ${podiumHtml}
+          <!-- Podium -->
+          ${podiumHtml}
 
-        <!-- Results Table -->
-        ${tableHtml}
+          <!-- Results Table -->
+          ${tableHtml}
 
-        <!-- Outro Text -->
-        ${finalOutroText ? `<div style="padding: 20px 25px; background: #fff;">${finalOutroText.replace(/\n/g, '<br>')}</div>` : ''}
+          <!-- Outro Text -->
+          ${finalOutroText ? `<div style="padding: 20px 25px; background: #fff;">${finalOutroText.replace(/\n/g, '<br>')}</div>` : ''}
 
-        <!-- Footer -->
-        <div style="background: ${primaryColor}; color: white; padding: 15px; text-align: center; font-size: 12px;">
-          ${orgShortName} - ${replyToEmail}
+          <!-- Footer -->
+          <div style="background: ${primaryColor}; color: white; padding: 15px; text-align: center; font-size: 12px;">
+            ${orgShortName} - ${replyToEmail}
+          </div>
         </div>
-      </div>
-    `;
+      `;
 
-    // Send emails (NO CC - summary email sent separately)
+      return { subject: renderTemplate(template.subject || subjectTemplate, variables), html };
+    };
+
+    const emailByLanguage = { [DEFAULT_LANGUAGE]: await buildFinaleResultsEmail(DEFAULT_LANGUAGE) };
+    const subject = emailByLanguage[DEFAULT_LANGUAGE].subject;
+
+    // Campaign record, its counts come from the outbox
+    const campaignId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO email_campaigns (subject, body, template_key, recipients_count, status, campaign_type, mode, category, tournament_id, sent_by, test_mode)
+         VALUES ($1, $2, 'finale_results', $3, 'sending', 'finale_results', $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [subject, introText || '', recipients.length, tournament.game_type, tournament.level, tournamentId, req.user?.username || 'unknown', testMode || false],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    // Queue one message per recipient in the outbox (NO CC - summary email sent separately)
     const sentResults = { sent: [], failed: [], skipped: [] };
+    const queued = [];
 
     for (const recipient of recipients) {
+      const name = `${recipient.first_name || ''} ${recipient.last_name || ''}`.trim();
       try {
-        await resend.emails.send({
+        const language = normalizeLanguage(languageByLicence[normalizeLicence(recipient.licence)]);
+        if (!emailByLanguage[language]) {
+          emailByLanguage[language] = await buildFinaleResultsEmail(language);
+        }
+        const outboxId = await enqueueEmail({
           from: `${senderName} <${senderEmail}>`,
           replyTo: replyToEmail,
           to: [recipient.email],
-          subject: subject,
-          html: emailHtml
-        });
-
-        sentResults.sent.push({ email: recipient.email, name: `${recipient.first_name || ''} ${recipient.last_name || ''}`.trim() });
-        await delay(1500);
+          subject: emailByLanguage[language].subject,
+          html: emailByLanguage[language].html
+        }, { campaignId, recipientName: name });
+        queued.push({ outboxId, recipient: { email: recipient.email, name } });
       } catch (error) {
-        console.error(`Error sending finale results to ${recipient.email}:`, error);
+        console.error(`Error queueing finale results for ${recipient.email}:`, error);
         sentResults.failed.push({ email: recipient.email, error: error.message });
       }
     }
 
-    // Log the campaign
-    await new Promise((resolve, reject) => {
-      db.run(
-        `INSERT INTO email_campaigns (subject, body, template_key, recipients_count, sent_count, failed_count, status, sent_at, campaign_type, mode, category, tournament_id, sent_by, test_mode)
-         VALUES ($1, $2, 'finale_results', $3, $4, $5, 'completed', CURRENT_TIMESTAMP, 'finale_results', $6, $7, $8, $9, $10)`,
-        [subject, introText || '', recipients.length, sentResults.sent.length, sentResults.failed.length, tournament.game_type, tournament.level, tournamentId, req.user?.username || 'unknown', testMode || false],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        }
-      );
-    });
-
-    // Update tournament results_email_sent flag (only if NOT test mode and at least one email sent)
-    if (!testMode && sentResults.sent.length > 0) {
+    // Update tournament results_email_sent flag once queued (the outbox resumes the delivery after a restart)
+    if (!testMode && queued.length > 0) {
       await new Promise((resolve) => {
         db.run(
           `UPDATE tournaments SET results_email_sent = TRUE, results_email_sent_at = CURRENT_TIMESTAMP WHERE id = $1`,
@@ -1704,6 +1885,18 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
       });
     }
 
+    // Deliver the queued messages (throttled, retried on failure)
+    const deliveries = await deliverQueued(queued.map(q => q.outboxId));
+    queued.forEach(({ outboxId, recipient }) => {
+      const delivery = deliveries[outboxId];
+      if (delivery?.status === 'sent') {
+        sentResults.sent.push(recipient);
+      } else {
+        sentResults.failed.push({ email: recipient.email, error: delivery?.last_error || 'Envoi non abouti' });
+      }
+    });
+    await refreshCampaign(campaignId);
+
     // Send summary email to CC address (if provided and not in test mode)
     let summarySent = false;
     if (ccEmail && ccEmail.includes('@') && !testMode && sentResults.sent.length > 0) {
@@ -1788,7 +1981,7 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        await mailer.send({
           from: `${senderName} <${senderEmail}>`,
           replyTo: replyToEmail,
           to: [ccEmail],
@@ -1818,8 +2011,9 @@ router.post('/send-finale-results', authenticateToken, async (req, res) => {
 });
 
 // Helper function to build podium HTML for email
-function buildPodiumHtml(topThree, primaryColor) {
+function buildPodiumHtml(topThree, primaryColor, language = DEFAULT_LANGUAGE) {
   if (topThree.length < 3) return '';
+  const t = (key, params) => translate(language, key, params);
 
   const medals = ['🥇', '🥈', '🥉'];
   const borderColors = ['#FFD700', '#C0C0C0', '#CD7F32'];
@@ -1841,14 +2035,14 @@ function buildPodiumHtml(topThree, primaryColor) {
 
         <!-- Player Card -->
         <div style="background: ${bgColors[idx]}; border: 2px solid ${borderColors[idx]}; border-radius: 8px; padding: 12px 8px; min-height: 140px;">
-          <div style="font-weight: bold; color: #666; font-size: 14px; margin-bottom: 4px;">${position === 1 ? '1er' : position + 'ème'}</div>
+          <div style="font-weight: bold; color: #666; font-size: 14px; margin-bottom: 4px;">${t(`finale.position_${position}`)}</div>
           <div style="font-weight: 700; color: ${primaryColor}; font-size: 13px; margin-bottom: 8px; line-height: 1.2;">
             ${player.display_name || player.player_name}
           </div>
           <div style="font-size: 11px; color: #555; line-height: 1.5;">
-            ${player.match_points} pts match<br>
-            Moy: <strong>${moyenne}</strong><br>
-            Meilleure Série: <strong>${player.serie || 0}</strong>
+            ${t('finale.match_points', { points: player.match_points })}<br>
+            ${t('finale.average_short')}: <strong>${moyenne}</strong><br>
+            ${t('finale.best_serie')}: <strong>${player.serie || 0}</strong>
           </div>
           ${player.club ? `<div style="font-size: 10px; color: #777; margin-top: 6px; line-height: 1.2;">${player.club}</div>` : ''}
         </div>
@@ -1863,7 +2057,7 @@ function buildPodiumHtml(topThree, primaryColor) {
 
   let html = `
     <div style="padding: 20px; background: #f8f9fa;">
-      <h3 style="text-align: center; color: ${primaryColor}; margin: 0 0 15px 0;">🏆 Podium de la Finale</h3>
+      <h3 style="text-align: center; color: ${primaryColor}; margin: 0 0 15px 0;">🏆 ${t('finale.podium')}</h3>
       <table style="width: 100%; max-width: 500px; margin: 0 auto; border-collapse: separate; border-spacing: 5px;">
         <tr>
           ${buildPlayerCard(topThree[1], 2)}
@@ -1878,21 +2072,22 @@ function buildPodiumHtml(topThree, primaryColor) {
 }
 
 // Helper function to build results table HTML for email
-function buildResultsTableHtml(results, primaryColor) {
+function buildResultsTableHtml(results, primaryColor, language = DEFAULT_LANGUAGE) {
+  const t = (key) => translate(language, key);
   let html = `
     <div style="padding: 25px;">
-      <h3 style="color: ${primaryColor}; margin: 0 0 15px 0;">Classement Complet</h3>
+      <h3 style="color: ${primaryColor}; margin: 0 0 15px 0;">${t('finale.full_ranking')}</h3>
       <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
         <thead>
           <tr style="background: ${primaryColor}; color: white;">
-            <th style="padding: 10px 8px; text-align: center;">Pos</th>
-            <th style="padding: 10px 8px; text-align: left;">Joueur</th>
-            <th style="padding: 10px 8px; text-align: left;">Club</th>
-            <th style="padding: 10px 8px; text-align: center;">Pts Match</th>
-            <th style="padding: 10px 8px; text-align: center;">Points</th>
-            <th style="padding: 10px 8px; text-align: center;">Reprises</th>
-            <th style="padding: 10px 8px; text-align: center;">Moyenne</th>
-            <th style="padding: 10px 8px; text-align: center;">Série</th>
+            <th style="padding: 10px 8px; text-align: center;">${t('results.position')}</th>
+            <th style="padding: 10px 8px; text-align: left;">${t('results.player')}</th>
+            <th style="padding: 10px 8px; text-align: left;">${t('results.club')}</th>
+            <th style="padding: 10px 8px; text-align: center;">${t('results.match_points')}</th>
+            <th style="padding: 10px 8px; text-align: center;">${t('results.points')}</th>
+            <th style="padding: 10px 8px; text-align: center;">${t('results.reprises')}</th>
+            <th style="padding: 10px 8px; text-align: center;">${t('results.average')}</th>
+            <th style="padding: 10px 8px; text-align: center;">${t('results.serie')}</th>
           </tr>
         </thead>
         <tbody>
@@ -1932,210 +2127,36 @@ function buildResultsTableHtml(results, primaryColor) {
   return html;
 }
 
-// Helper function to check if a campaign was already manually sent
-async function checkIfAlreadySent(db, emailType, mode, category, tournamentId) {
-  return new Promise((resolve, reject) => {
-    let query = `SELECT id FROM email_campaigns
-                 WHERE campaign_type = $1
-                   AND status IN ('completed', 'sending')
-                   AND (test_mode = FALSE OR test_mode IS NULL)`;
-    const params = [emailType];
-    let paramIndex = 2;
-
-    if (mode) {
-      query += ` AND (mode = $${paramIndex++} OR mode IS NULL)`;
-      params.push(mode);
-    }
-    if (category) {
-      query += ` AND (category = $${paramIndex++} OR category IS NULL)`;
-      params.push(category);
-    }
-    if (tournamentId) {
-      query += ` AND tournament_id = $${paramIndex++}`;
-      params.push(tournamentId);
-    }
-
-    query += ' LIMIT 1';
-
-    db.get(query, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(!!row);
-    });
-  });
+// Helper function to build the ranking movement arrow for email (since the previous tournament)
+function buildMovementHtml(row) {
+  switch (row.movement) {
+    case 'up':
+      return `<span style="color: #28a745; font-weight: bold;">▲ ${row.movement_delta}</span>`;
+    case 'down':
+      return `<span style="color: #dc3545; font-weight: bold;">▼ ${-row.movement_delta}</span>`;
+    case 'same':
+      return '<span style="color: #999;">=</span>';
+    case 'new':
+      return '<span style="color: #17a2b8; font-size: 11px;">Nouveau</span>';
+    default:
+      return '-';
+  }
 }
 
 // Process scheduled emails (to be called by a scheduler/cron job)
+// Same run as the server's periodic scheduler (server.js processScheduledEmails), which
+// queues the messages in the outbox
 router.post('/process-scheduled', async (req, res) => {
-  const db = require('../db-loader');
-
-  const resend = getResend();
-  if (!resend) {
-    return res.status(500).json({
-      error: 'Email non configure.'
-    });
-  }
-
   try {
-    // Get emails that are due
-    const scheduledEmails = await new Promise((resolve, reject) => {
-      db.all(
-        `SELECT * FROM scheduled_emails
-         WHERE status = 'pending' AND scheduled_at <= CURRENT_TIMESTAMP`,
-        [],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows || []);
-        }
-      );
-    });
-
-    const processedCount = scheduledEmails.length;
-    let blockedCount = 0;
-
-    // Get dynamic sender info and branding
-    const senderName = await appSettings.getSetting('email_sender_name') || 'CDBHS';
-    const senderEmail = await appSettings.getSetting('email_noreply') || 'noreply@cdbhs.net';
-    const emailFrom = `${senderName} <${senderEmail}>`;
-    const primaryColor = await appSettings.getSetting('primary_color') || '#1F4788';
-    const organizationName = await appSettings.getSetting('organization_name') || 'Comité Départemental de Billard';
-    const organizationShortName = await appSettings.getSetting('organization_short_name') || 'CDBHS';
-    const organizationEmail = await appSettings.getSetting('email_communication') || 'communication@cdbhs.net';
-
-    // Get configurable contact email
-    const contactEmail = await getContactEmail();
-    const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
-
-    for (const scheduled of scheduledEmails) {
-      // Check if this type of email was already manually sent
-      if (scheduled.email_type) {
-        const alreadySent = await checkIfAlreadySent(
-          db,
-          scheduled.email_type,
-          scheduled.mode,
-          scheduled.category,
-          scheduled.tournament_id
-        );
-
-        if (alreadySent) {
-          // Block this scheduled email
-          await new Promise((resolve) => {
-            db.run(
-              `UPDATE scheduled_emails SET status = 'blocked' WHERE id = $1`,
-              [scheduled.id],
-              () => resolve()
-            );
-          });
-          blockedCount++;
-          console.log(`Blocked scheduled email ${scheduled.id} - already manually sent`);
-          continue;
-        }
-      }
-
-      const recipientIds = JSON.parse(scheduled.recipient_ids);
-
-      // Get recipients
-      const placeholders = recipientIds.map((_, i) => `$${i + 1}`).join(',');
-      const recipients = await new Promise((resolve, reject) => {
-        db.all(
-          `SELECT * FROM player_contacts WHERE id IN (${placeholders})`,
-          recipientIds,
-          (err, rows) => {
-            if (err) reject(err);
-            else resolve(rows || []);
-          }
-        );
-      });
-
-      let sentCount = 0;
-      let failedCount = 0;
-
-      // Send emails
-      for (const recipient of recipients) {
-        if (!recipient.email || !recipient.email.includes('@')) {
-          continue;
-        }
-
-        try {
-          const templateVariables = {
-            player_name: `${recipient.first_name} ${recipient.last_name}`,
-            first_name: recipient.first_name,
-            last_name: recipient.last_name,
-            club: recipient.club || '',
-            message: scheduled.body,
-            organization_name: organizationName,
-            organization_short_name: organizationShortName,
-            organization_email: organizationEmail
-          };
-
-          const emailSubject = replaceTemplateVariables(scheduled.subject, templateVariables);
-          const emailBody = replaceTemplateVariables(scheduled.body, templateVariables);
-          const emailBodyHtml = convertEmailsToMailtoLinks(textToHtml(emailBody), primaryColor);
-
-          await resend.emails.send({
-            from: emailFrom,
-            replyTo: contactEmail,
-            to: [recipient.email],
-            subject: emailSubject,
-            html: `
-              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
-                  <h1 style="margin: 0; font-size: 24px;">${senderName}</h1>
-                </div>
-                <div style="padding: 20px; background: #f8f9fa; line-height: 1.6;">
-                  ${emailBodyHtml}
-                  ${contactPhraseHtml}
-                </div>
-                <div style="background: ${primaryColor}; color: white; padding: 10px; text-align: center; font-size: 12px;">
-                  <p style="margin: 0;">${organizationName} - <a href="mailto:${contactEmail}" style="color: white;">${contactEmail}</a></p>
-                </div>
-              </div>
-            `
-          });
-
-          sentCount++;
-
-          // Update last_contacted
-          await new Promise((resolve) => {
-            db.run(
-              'UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE id = $1',
-              [recipient.id],
-              () => resolve()
-            );
-          });
-
-          await delay(1500);
-
-        } catch (error) {
-          console.error(`Error sending scheduled email to ${recipient.email}:`, error);
-          failedCount++;
-        }
-      }
-
-      // Update scheduled email status
-      await new Promise((resolve) => {
-        db.run(
-          `UPDATE scheduled_emails SET status = 'completed', sent_at = CURRENT_TIMESTAMP WHERE id = $1`,
-          [scheduled.id],
-          () => resolve()
-        );
-      });
-
-      // Create campaign record
-      await new Promise((resolve) => {
-        db.run(
-          `INSERT INTO email_campaigns (subject, body, template_key, recipients_count, sent_count, failed_count, status, sent_at, sent_by, campaign_type, mode, category, tournament_id, test_mode)
-           VALUES ($1, $2, $3, $4, $5, $6, 'completed', CURRENT_TIMESTAMP, $7, $8, $9, $10, $11, $12)`,
-          [scheduled.subject, scheduled.body, scheduled.template_key, recipientIds.length, sentCount, failedCount, scheduled.created_by || 'scheduled', scheduled.email_type || 'scheduled', scheduled.mode || null, scheduled.category || null, scheduled.tournament_id || null, scheduled.test_mode || false],
-          () => resolve()
-        );
-      });
+    const result = await global.processScheduledEmails();
+    if (result?.status === 'error') {
+      return res.status(500).json({ error: result.message });
     }
-
     res.json({
       success: true,
-      message: `${processedCount} email(s) programmé(s) traité(s)${blockedCount > 0 ? `, ${blockedCount} bloqué(s)` : ''}.`
+      message: `${result?.processed || 0} email(s) programmé(s) traité(s).`,
+      result
     });
-
   } catch (error) {
     console.error('Error processing scheduled emails:', error);
     res.status(500).json({ error: error.message });
@@ -2196,9 +2217,9 @@ router.get('/tournament-results/:id', authenticateToken, async (req, res) => {
                pc.first_name as contact_first_name,
                pc.last_name as contact_last_name
         FROM tournament_results tr
-        LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-        LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
-        LEFT JOIN inscriptions insc ON REPLACE(tr.licence, ' ', '') = REPLACE(insc.licence, ' ', '')
+        LEFT JOIN players p ON tr.licence = p.licence
+        LEFT JOIN player_contacts pc ON tr.licence = pc.licence
+        LEFT JOIN inscriptions insc ON tr.licence = insc.licence
           AND insc.tournoi_id = $2
         WHERE tr.tournament_id = $1
         ORDER BY tr.position ASC
@@ -2218,8 +2239,8 @@ router.get('/tournament-results/:id', authenticateToken, async (req, res) => {
                  CASE WHEN pc.email IS NOT NULL AND pc.email != '' AND pc.email LIKE '%@%' THEN pc.email END
                ) as email
         FROM rankings r
-        LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-        LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+        LEFT JOIN players p ON r.licence = p.licence
+        LEFT JOIN player_contacts pc ON r.licence = pc.licence
         WHERE r.season = $1 AND r.category_id = $2
         ORDER BY r.rank_position ASC
       `, [tournament.season, tournament.category_id], (err, rows) => {
@@ -2228,6 +2249,10 @@ router.get('/tournament-results/:id', authenticateToken, async (req, res) => {
       });
     });
 
+    // Movement since the standings after the previous tournament
+    const previousPositions = await getPreviousPositions(tournament.category_id, tournament.season, tournament.tournament_number);
+    const rankingsWithMovement = applyMovement(rankings, previousPositions);
+
     const emailCount = results.filter(r => r.email && r.email.includes('@')).length;
 
     res.json({
@@ -2239,8 +2264,11 @@ router.get('/tournament-results/:id', authenticateToken, async (req, res) => {
         points: r.points,
         email: r.email
       })),
-      rankings: rankings.map(r => ({
+      rankings: rankingsWithMovement.map(r => ({
         position: r.rank_position,
+        previous_position: r.previous_position,
+        movement: r.movement,
+        movement_delta: r.movement_delta,
         player_name: r.player_name,
         licence: r.licence,
         total_points: r.total_match_points,
@@ -2260,10 +2288,10 @@ router.post('/send-results', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const { tournamentId, introText, outroText, imageUrl, testMode, testEmail, ccEmail } = req.body;
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({
-      error: 'Email non configuré. Veuillez définir RESEND_API_KEY.'
+      error: 'Email non configuré. Veuillez définir MAIL_TRANSPORT (ou RESEND_API_KEY).'
     });
   }
 
@@ -2329,8 +2357,8 @@ router.post('/send-results', authenticateToken, async (req, res) => {
                pc.first_name, pc.last_name,
                COALESCE(pc.first_name || ' ' || pc.last_name, tr.player_name) as display_name
         FROM tournament_results tr
-        LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
-        LEFT JOIN inscriptions insc ON REPLACE(tr.licence, ' ', '') = REPLACE(insc.licence, ' ', '')
+        LEFT JOIN player_contacts pc ON tr.licence = pc.licence
+        LEFT JOIN inscriptions insc ON tr.licence = insc.licence
           AND insc.tournoi_id = $2
           AND insc.email IS NOT NULL AND insc.email != '' AND insc.email LIKE '%@%'
         WHERE tr.tournament_id = $1
@@ -2348,8 +2376,8 @@ router.post('/send-results', authenticateToken, async (req, res) => {
                COALESCE(p.first_name || ' ' || p.last_name, r.licence) as player_name,
                pc.email
         FROM rankings r
-        LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-        LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+        LEFT JOIN players p ON r.licence = p.licence
+        LEFT JOIN player_contacts pc ON r.licence = pc.licence
         WHERE r.season = $1 AND r.category_id = $2
         ORDER BY r.rank_position ASC
       `, [tournament.season, tournament.category_id], (err, rows) => {
@@ -2358,6 +2386,14 @@ router.post('/send-results', authenticateToken, async (req, res) => {
       });
     });
 
+    // Movement since the standings after the previous tournament
+    const previousPositions = await getPreviousPositions(tournament.category_id, tournament.season, tournament.tournament_number);
+    const rankingsWithMovement = applyMovement(rankings, previousPositions);
+
+    // Last qualifying tournament of the season (definitive selection for the finale)
+    const rankingRules = await getRankingRules(tournament.category_id, tournament.season);
+    const lastQualifyingNumber = getQualifyingTournamentNumbers(rankingRules.qualifying_rounds).slice(-1)[0];
+
     // Build results HTML table
     const resultsTableHtml = `
       <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
@@ -2381,6 +2417,7 @@ router.post('/send-results', authenticateToken, async (req, res) => {
         <thead>
           <tr style="background: #28a745; color: white;">
             <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Pos</th>
+            ${previousPositions ? '<th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Évol.</th>' : ''}
             <th style="padding: 12px; text-align: left; border: 1px solid #ddd;">Joueur</th>
             <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Total Pts Match</th>
             <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Moyenne</th>
@@ -2417,12 +2454,29 @@ router.post('/send-results', authenticateToken, async (req, res) => {
 
     // In test mode, only send to the test email using first participant data
     const participantsToEmail = testMode ? [{ ...results[0], email: testEmail }] : results;
+    const templateSettings = {
+      organization_name: organizationName,
+      organization_short_name: organizationShortName,
+      email_communication: organizationEmail
+    };
 
     // Get configurable contact email
     const contactEmail = await getContactEmail();
     const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
 
-    // Send email to each participant with email
+    // Players with a language preference get the 'results' template variant, when one exists
+    const resultsTemplateFor = createTemplateResolver('results', { body: `${introText}---OUTRO---${outroText}` });
+    let languageByLicence = {};
+    if (!testMode) {
+      try {
+        languageByLicence = await getLanguagesByLicence(participantsToEmail.map(p => p.licence));
+      } catch (langError) {
+        console.error('Error loading language preferences:', langError.message);
+      }
+    }
+
+    // Queue one message per participant with email in the outbox
+    const queued = [];
     for (const participant of participantsToEmail) {
       if (!participant.email || !participant.email.includes('@')) {
         sentResults.skipped.push({
@@ -2452,15 +2506,19 @@ router.post('/send-results', authenticateToken, async (req, res) => {
         }).join('');
 
         // Build personalized rankings table (highlight current player)
-        const rankingsRows = rankings.map(r => {
+        const rankingsRows = rankingsWithMovement.map(r => {
           const isCurrentPlayer = r.licence === participant.licence;
           const bgColor = isCurrentPlayer ? '#FFF3CD' : (r.rank_position % 2 === 0 ? '#f8f9fa' : 'white');
           const fontWeight = isCurrentPlayer ? 'bold' : 'normal';
           const arrow = isCurrentPlayer ? '▶ ' : '';
           const avgMoyenne = r.avg_moyenne ? r.avg_moyenne.toFixed(3) : '-';
+          const movementCell = previousPositions
+            ? `<td style="padding: 10px; text-align: center; border: 1px solid #ddd;">${buildMovementHtml(r)}</td>`
+            : '';
           return `
             <tr style="background: ${bgColor};">
               <td style="padding: 10px; text-align: center; border: 1px solid #ddd; font-weight: ${fontWeight};">${r.rank_position}</td>
+              ${movementCell}
               <td style="padding: 10px; text-align: left; border: 1px solid #ddd; font-weight: ${fontWeight};">${arrow}${r.player_name}</td>
               <td style="padding: 10px; text-align: center; border: 1px solid #ddd; font-weight: ${fontWeight};">${r.total_match_points || '-'}</td>
               <td style="padding: 10px; text-align: center; border: 1px solid #ddd; font-weight: ${fontWeight};">${avgMoyenne}</td>
@@ -2470,17 +2528,16 @@ router.post('/send-results', authenticateToken, async (req, res) => {
 
         // Find player position in rankings (use stored rank_position)
         const playerRanking = rankings.find(r => r.licence === participant.licence);
-        const playerRankingPosition = playerRanking ? playerRanking.rank_position : '-';
 
         // Determine qualification status for the final
         // Rule: < 9 players → 4 qualified, >= 9 players → 6 qualified
         const qualifiedCount = rankings.length < 9 ? 4 : 6;
         const isQualified = playerRanking && playerRanking.rank_position <= qualifiedCount;
-        const isFinalTournament = tournament.tournament_number === 3;
+        const isFinalTournament = tournament.tournament_number === lastQualifyingNumber;
 
         let qualificationMessage;
         if (isFinalTournament) {
-          // After T3: definitive selection
+          // After the last qualifying tournament: definitive selection
           qualificationMessage = isQualified
             ? `<p style="margin-top: 20px; padding: 15px; background: #d4edda; border-left: 4px solid #28a745; color: #155724;">
                 🎉 <strong>Félicitations ! Vous êtes sélectionné(e) pour la finale départementale !</strong>
@@ -2489,7 +2546,7 @@ router.post('/send-results', authenticateToken, async (req, res) => {
                 Malheureusement, vous n'êtes pas sélectionné(e) pour la finale départementale.
               </p>`;
         } else {
-          // After T1 or T2: provisional status
+          // After an earlier tournament: provisional status
           qualificationMessage = isQualified
             ? `<p style="margin-top: 20px; padding: 15px; background: #d4edda; border-left: 4px solid #28a745; color: #155724;">
                 ✅ <strong>Vous êtes à ce stade de la compétition éligible pour la finale départementale.</strong>
@@ -2499,26 +2556,21 @@ router.post('/send-results', authenticateToken, async (req, res) => {
               </p>`;
         }
 
-        // Replace template variables (handles both plain and HTML-encoded from Quill)
-        let personalizedIntro = introText;
-        personalizedIntro = replaceVar(personalizedIntro, 'first_name', participant.first_name || participant.player_name.split(' ')[0] || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'last_name', participant.last_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament_name', tournament.display_name);
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament_date', tournamentDate);
-        personalizedIntro = replaceVar(personalizedIntro, 'tournament_lieu', tournament.location || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'player_position', participant.position);
-        personalizedIntro = replaceVar(personalizedIntro, 'player_points', participant.points || '-');
-        personalizedIntro = replaceVar(personalizedIntro, 'ranking_position', playerRankingPosition || '-');
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_name', organizationName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_short_name', organizationShortName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_email', organizationEmail);
-
-        let personalizedOutro = outroText;
-        personalizedOutro = replaceVar(personalizedOutro, 'first_name', participant.first_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'last_name', participant.last_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_name', organizationName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_short_name', organizationShortName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_email', organizationEmail);
+        // Template variables, with the result lists for {#each} and the qualification for {#if qualified}
+        const templateVariables = buildResultsVariables({
+          tournament,
+          results,
+          rankings: rankingsWithMovement,
+          participant,
+          qualifiedCount,
+          isFinalTournament
+        }, templateSettings);
+        const participantTemplate = await resultsTemplateFor(languageByLicence[normalizeLicence(participant.licence)]);
+        const [participantIntro, participantOutro] = participantTemplate.language === 'fr'
+          ? [introText, outroText]
+          : participantTemplate.body.split('---OUTRO---');
+        const personalizedIntro = renderTemplate(participantIntro, templateVariables);
+        const personalizedOutro = renderTemplate(participantOutro || outroText, templateVariables);
 
         // Build optional image HTML
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
@@ -2565,44 +2617,55 @@ router.post('/send-results', authenticateToken, async (req, res) => {
 
         // CC removed from individual emails - summary email sent at the end instead
 
-        await resend.emails.send(emailOptions);
-
-        sentResults.sent.push({
-          name: participant.player_name,
-          email: participant.email
+        const outboxId = await enqueueEmail(emailOptions, {
+          campaignId,
+          recipientName: participant.player_name,
+          hook: { name: 'last_contacted', data: { licence: participant.licence } }
         });
+        queued.push({ outboxId, participant });
 
-        // Update last_contacted
-        await new Promise((resolve) => {
-          db.run(
-            'UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE REPLACE(licence, \' \', \'\') = $1',
-            [participant.licence.replace(/ /g, '')],
-            () => resolve()
-          );
+      } catch (error) {
+        console.error(`Error queueing results for ${participant.email}:`, error);
+        sentResults.failed.push({
+          name: participant.player_name,
+          email: participant.email,
+          error: error.message
         });
+      }
+    }
 
-        await delay(1500);
+    // Mark tournament results as sent once queued (the outbox resumes the delivery after a restart)
+    if (!testMode && queued.length > 0) {
+      await new Promise((resolve) => {
+        db.run(
+          `UPDATE tournaments SET results_email_sent = $1, results_email_sent_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [true, tournamentId],
+          () => resolve()
+        );
+      });
+    }
 
-      } catch (error) {
-        console.error(`Error sending results to ${participant.email}:`, error);
+    // Deliver the queued messages (throttled, retried on failure)
+    const deliveries = await deliverQueued(queued.map(q => q.outboxId));
+    for (const { outboxId, participant } of queued) {
+      const delivery = deliveries[outboxId];
+      if (delivery?.status !== 'sent') {
         sentResults.failed.push({
           name: participant.player_name,
           email: participant.email,
-          error: error.message
+          error: delivery?.last_error || 'Envoi non abouti'
         });
+        continue;
       }
+
+      sentResults.sent.push({
+        name: participant.player_name,
+        email: participant.email
+      });
     }
 
-    // Update campaign record
-    await new Promise((resolve) => {
-      db.run(
-        `UPDATE email_campaigns
-         SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP
-         WHERE id = $3`,
-        [sentResults.sent.length, sentResults.failed.length, campaignId],
-        () => resolve()
-      );
-    });
+    // Update campaign record from the outbox
+    await refreshCampaign(campaignId);
 
     // Send summary email to CC address (if provided and not in test mode)
     if (ccEmail && ccEmail.includes('@') && !testMode && sentResults.sent.length > 0) {
@@ -2686,7 +2749,7 @@ router.post('/send-results', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        await mailer.send({
           from: emailFrom,
           replyTo: contactEmail,
           to: [ccEmail],
@@ -2705,17 +2768,6 @@ router.post('/send-results', authenticateToken, async (req, res) => {
       ? `Email de test envoyé à ${testEmail}`
       : `Résultats envoyés: ${sentResults.sent.length}, Échecs: ${sentResults.failed.length}, Ignorés: ${sentResults.skipped.length}${ccEmail ? ' + récapitulatif envoyé' : ''}`;
 
-    // Mark tournament results as sent (only if not test mode and at least one email was sent)
-    if (!testMode && sentResults.sent.length > 0) {
-      await new Promise((resolve) => {
-        db.run(
-          `UPDATE tournaments SET results_email_sent = $1, results_email_sent_at = CURRENT_TIMESTAMP WHERE id = $2`,
-          [true, tournamentId],
-          () => resolve()
-        );
-      });
-    }
-
     // Log results email send
     if (!testMode) {
       logAdminAction({
@@ -2743,7 +2795,7 @@ router.post('/send-results', authenticateToken, async (req, res) => {
 
 // ==================== FINALES & FINALISTS ====================
 
-// Get finales for current season (tournament_number = 4 or contains "FINALE" in name)
+// Get finales for current season (tournoi_ext tournaments with "FINALE" in their name)
 router.get('/finales', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
 
@@ -2846,8 +2898,8 @@ router.get('/finalists/:finaleId', authenticateToken, async (req, res) => {
                 COALESCE(p.first_name || ' ' || p.last_name, r.licence) as player_name,
                 pc.email, pc.telephone
          FROM rankings r
-         LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-         LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN players p ON r.licence = p.licence
+         LEFT JOIN player_contacts pc ON r.licence = pc.licence
          WHERE r.season = $1 AND r.category_id = $2
          ORDER BY r.rank_position ASC`,
         [season, category.id],
@@ -2912,10 +2964,10 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const { finaleId, finaleHeure, introText, outroText, imageUrl, testMode, testEmail, ccEmail } = req.body;
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({
-      error: 'Email non configuré. Veuillez définir RESEND_API_KEY.'
+      error: 'Email non configuré. Veuillez définir MAIL_TRANSPORT (ou RESEND_API_KEY).'
     });
   }
 
@@ -2977,8 +3029,8 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
                 COALESCE(p.first_name || ' ' || p.last_name, r.licence) as player_name,
                 pc.email, pc.telephone
          FROM rankings r
-         LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-         LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN players p ON r.licence = p.licence
+         LEFT JOIN player_contacts pc ON r.licence = pc.licence
          WHERE r.season = $1 AND r.category_id = $2
          ORDER BY r.rank_position ASC`,
         [season, category.id],
@@ -3021,6 +3073,22 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
     const contactEmail = await getContactEmail();
     const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
 
+    // Base URL for the logo and the ICS calendar link
+    const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+
+    // Finalists with a language preference get the 'finale_convocation' template variant and translated labels
+    const finaleTemplateFor = createTemplateResolver('finale_convocation', { body: introText, outro: outroText });
+    let languageByLicence = {};
+    if (!testMode) {
+      try {
+        languageByLicence = await getLanguagesByLicence(participantsToEmail.map(f => f.licence));
+      } catch (langError) {
+        console.error('Error loading language preferences:', langError.message);
+      }
+    }
+
+    // Queue one message per finalist in the outbox
+    const queued = [];
     for (const finalist of participantsToEmail) {
       if (!finalist.email || !finalist.email.includes('@')) {
         sentResults.skipped.push({
@@ -3031,6 +3099,12 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
       }
 
       try {
+        const finalistTemplate = await finaleTemplateFor(languageByLicence[normalizeLicence(finalist.licence)]);
+        const t = (key, params) => translate(finalistTemplate.language, key, params);
+        const finalistDate = finalistTemplate.language === DEFAULT_LANGUAGE || !finale.debut
+          ? finaleFormattedDate
+          : formatDate(finalistTemplate.language, finale.debut, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
         // Build finalists table for email
         const finalistsTableRows = finalists.map(f => {
           const isCurrentPlayer = f.licence === finalist.licence;
@@ -3051,10 +3125,10 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
           <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
             <thead>
               <tr style="background: #28a745; color: white;">
-                <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Pos</th>
-                <th style="padding: 12px; text-align: left; border: 1px solid #ddd;">Joueur</th>
-                <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Total Pts Match</th>
-                <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">Moyenne</th>
+                <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">${t('results.position')}</th>
+                <th style="padding: 12px; text-align: left; border: 1px solid #ddd;">${t('results.player')}</th>
+                <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">${t('results.total_match_points')}</th>
+                <th style="padding: 12px; text-align: center; border: 1px solid #ddd;">${t('results.average')}</th>
               </tr>
             </thead>
             <tbody>
@@ -3063,62 +3137,65 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
           </table>
         `;
 
-        // Replace template variables (handles both plain and HTML-encoded from Quill)
-        let personalizedIntro = introText;
-        personalizedIntro = replaceVar(personalizedIntro, 'first_name', finalist.first_name || finalist.player_name.split(' ')[0] || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'last_name', finalist.last_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'player_name', finalist.player_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_name', finale.nom || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_date', finaleFormattedDate);
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_heure', finaleHeure || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'finale_lieu', finale.lieu || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'category', category.display_name || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'rank_position', finalist.rank_position || '');
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_name', organizationName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_short_name', organizationShortName);
-        personalizedIntro = replaceVar(personalizedIntro, 'organization_email', organizationEmail);
-
-        let personalizedOutro = outroText;
-        personalizedOutro = replaceVar(personalizedOutro, 'first_name', finalist.first_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'last_name', finalist.last_name || '');
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_name', organizationName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_short_name', organizationShortName);
-        personalizedOutro = replaceVar(personalizedOutro, 'organization_email', organizationEmail);
+        const templateVariables = {
+          player_name: finalist.player_name || '',
+          first_name: finalist.first_name || finalist.player_name.split(' ')[0] || '',
+          last_name: finalist.last_name || '',
+          club: finalist.club || '',
+          licence: finalist.licence || '',
+          finale_name: finale.nom || '',
+          finale_date: finalistDate,
+          finale_heure: finaleHeure || '',
+          finale_lieu: finale.lieu || '',
+          category: category.display_name || '',
+          rank_position: finalist.rank_position || '',
+          finalists: finalists.map(f => ({
+            position: f.rank_position,
+            name: f.player_name,
+            licence: f.licence,
+            club: f.club || '',
+            match_points: f.total_match_points || '-',
+            moyenne: f.avg_moyenne ? f.avg_moyenne.toFixed(3) : '-',
+            is_current: f.licence === finalist.licence
+          })),
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        };
+        const personalizedIntro = renderTemplate(finalistTemplate.body || '', templateVariables);
+        const personalizedOutro = renderTemplate(finalistTemplate.outro || '', templateVariables);
 
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
 
-        // Base URL for ICS calendar link
-        const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
-
         const emailHtml = `
           <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
             <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center;">
               <img src="${baseUrl}/logo.png?v=${Date.now()}" alt="Logo" style="height: 60px; max-width: 80%; width: auto; margin-bottom: 10px;" onerror="this.style.display='none'">
-              <h1 style="margin: 0; font-size: 24px;">🏆 Convocation Finale Départementale</h1>
+              <h1 style="margin: 0; font-size: 24px;">🏆 ${t('finale.convocation_title')}</h1>
               <p style="margin: 10px 0 0 0; opacity: 0.9;">${category.display_name}</p>
             </div>
             <div style="padding: 20px; background: #f8f9fa; line-height: 1.6;">
               ${imageHtml}
 
               <div style="background: #d4edda; border-left: 4px solid #28a745; padding: 15px; margin-bottom: 20px;">
-                <strong>🎉 Félicitations ${finalist.first_name || ''} !</strong><br>
-                Vous êtes qualifié(e) pour la finale départementale !
+                <strong>🎉 ${t('finale.congratulations', { name: finalist.first_name || '' })}</strong><br>
+                ${t('finale.qualified')}
               </div>
 
               <p>${convertEmailsToMailtoLinks(textToHtml(personalizedIntro), primaryColor)}</p>
 
               <div style="background: white; padding: 15px; border-radius: 8px; margin: 20px 0; border: 1px solid #ddd;">
-                <h3 style="margin-top: 0; color: ${primaryColor};">📍 Informations de la Finale</h3>
-                <p><strong>Date :</strong> ${finaleFormattedDate}</p>
-                <p><strong>Heure :</strong> ${finaleHeure || 'À confirmer'}</p>
-                <p><strong>Lieu :</strong> ${finale.lieu || 'À confirmer'}</p>
-                <p><strong>Catégorie :</strong> ${category.display_name}</p>
+                <h3 style="margin-top: 0; color: ${primaryColor};">📍 ${t('finale.info')}</h3>
+                <p><strong>${t('email.date')} :</strong> ${finalistDate}</p>
+                <p><strong>${t('email.time')} :</strong> ${finaleHeure || t('email.to_confirm')}</p>
+                <p><strong>${t('email.location')} :</strong> ${finale.lieu || t('email.to_confirm')}</p>
+                <p><strong>${t('email.category')} :</strong> ${category.display_name}</p>
                 <p style="margin-top: 15px; text-align: center;">
-                  <a href="${baseUrl}/api/player-accounts/tournament/${finale.tournoi_id}/calendar.ics" style="display: inline-block; background: ${primaryColor}; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-size: 14px;">📅 Ajouter à mon calendrier</a>
+                  <a href="${baseUrl}/api/player-accounts/tournament/${finale.tournoi_id}/calendar.ics" style="display: inline-block; background: ${primaryColor}; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-size: 14px;">📅 ${t('email.add_to_calendar')}</a>
                 </p>
               </div>
 
-              <h3 style="color: #28a745;">Liste des Finalistes</h3>
+              <h3 style="color: #28a745;">${t('finale.finalists')}</h3>
               ${finalistsTableHtml}
 
               ${contactPhraseHtml}
@@ -3134,31 +3211,21 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
           from: emailFrom,
           replyTo: contactEmail,
           to: [finalist.email],
-          subject: `🏆 Convocation Finale - ${category.display_name} - ${finaleFormattedDate}`,
+          subject: `🏆 ${t('finale.convocation_subject', { category: category.display_name, date: finalistDate })}`,
           html: emailHtml
         };
 
         // CC removed from individual emails - summary email sent at the end instead
 
-        await resend.emails.send(emailOptions);
-
-        sentResults.sent.push({
-          name: finalist.player_name,
-          email: finalist.email
-        });
-
-        await new Promise((resolve) => {
-          db.run(
-            'UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE REPLACE(licence, \' \', \'\') = $1',
-            [finalist.licence.replace(/ /g, '')],
-            () => resolve()
-          );
+        const outboxId = await enqueueEmail(emailOptions, {
+          campaignId,
+          recipientName: finalist.player_name,
+          hook: { name: 'last_contacted', data: { licence: finalist.licence } }
         });
-
-        await delay(1500);
+        queued.push({ outboxId, finalist });
 
       } catch (error) {
-        console.error(`Error sending finale convocation to ${finalist.email}:`, error);
+        console.error(`Error queueing finale convocation for ${finalist.email}:`, error);
         sentResults.failed.push({
           name: finalist.player_name,
           email: finalist.email,
@@ -3167,14 +3234,27 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
       }
     }
 
-    // Update campaign
-    await new Promise((resolve) => {
-      db.run(
-        `UPDATE email_campaigns SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP WHERE id = $3`,
-        [sentResults.sent.length, sentResults.failed.length, campaignId],
-        () => resolve()
-      );
-    });
+    // Deliver the queued messages (throttled, retried on failure)
+    const deliveries = await deliverQueued(queued.map(q => q.outboxId));
+    for (const { outboxId, finalist } of queued) {
+      const delivery = deliveries[outboxId];
+      if (delivery?.status !== 'sent') {
+        sentResults.failed.push({
+          name: finalist.player_name,
+          email: finalist.email,
+          error: delivery?.last_error || 'Envoi non abouti'
+        });
+        continue;
+      }
+
+      sentResults.sent.push({
+        name: finalist.player_name,
+        email: finalist.email
+      });
+    }
+
+    // Update campaign from the outbox
+    await refreshCampaign(campaignId);
 
     // Send summary email to CC address (if provided and not in test mode)
     if (ccEmail && ccEmail.includes('@') && !testMode && sentResults.sent.length > 0) {
@@ -3258,7 +3338,7 @@ router.post('/send-finale-convocation', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        await mailer.send({
           from: emailFrom,
           replyTo: contactEmail,
           to: [ccEmail],
@@ -3296,7 +3376,8 @@ router.get('/history', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
 
   db.all(
-    `SELECT * FROM email_campaigns ORDER BY created_at DESC LIMIT 50`,
+    `SELECT c.*, (SELECT COUNT(*) FROM email_outbox o WHERE o.campaign_id = c.id) as outbox_count
+     FROM email_campaigns c ORDER BY c.created_at DESC LIMIT 50`,
     [],
     (err, rows) => {
       if (err) {
@@ -3333,6 +3414,38 @@ router.put('/campaigns/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Delivery status of each recipient of a campaign (campaigns sent through the outbox)
+router.get('/campaigns/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const deliveries = await getCampaignDeliveries(req.params.id);
+    const counts = { pending: 0, sending: 0, sent: 0, failed: 0 };
+    deliveries.forEach(d => { counts[d.status] = (counts[d.status] || 0) + 1; });
+    res.json({ campaignId: parseInt(req.params.id, 10), counts, deliveries });
+  } catch (error) {
+    console.error('Error fetching campaign deliveries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue the failed messages of a campaign again (admin only)
+router.post('/campaigns/:id/retry-failed', authenticateToken, async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    const queued = await retryFailed(req.params.id);
+    if (queued > 0) {
+      // Delivered in the background by the outbox worker
+      runOutboxWorker();
+    }
+    res.json({ success: true, queued, message: `${queued} email(s) remis en file d'envoi` });
+  } catch (error) {
+    console.error('Error retrying failed deliveries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== RELANCES INSCRIPTIONS ====================
 
 // Default templates for relances
@@ -3456,6 +3569,11 @@ router.put('/relance-templates/:key', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Invalid template key' });
   }
 
+  const check = checkTemplate(key, { Objet: subject, Introduction: intro, Conclusion: outro });
+  if (!check.valid) {
+    return res.status(400).json({ error: check.errors.join(' - '), errors: check.errors });
+  }
+
   try {
     await new Promise((resolve, reject) => {
       db.run(
@@ -3474,7 +3592,7 @@ router.put('/relance-templates/:key', authenticateToken, async (req, res) => {
       );
     });
 
-    res.json({ success: true });
+    res.json({ success: true, warnings: check.unknownVariables });
   } catch (error) {
     console.error('Error saving relance template:', error);
     res.status(500).json({ error: error.message });
@@ -3535,6 +3653,11 @@ router.put('/finale-results-template', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const { subject, intro, outro } = req.body;
 
+  const check = checkTemplate('finale_results', { Objet: subject, Introduction: intro, Conclusion: outro });
+  if (!check.valid) {
+    return res.status(400).json({ error: check.errors.join(' - '), errors: check.errors });
+  }
+
   try {
     await new Promise((resolve, reject) => {
       db.run(
@@ -3553,7 +3676,7 @@ router.put('/finale-results-template', authenticateToken, async (req, res) => {
       );
     });
 
-    res.json({ success: true });
+    res.json({ success: true, warnings: check.unknownVariables });
   } catch (error) {
     console.error('Error saving finale results template:', error);
     res.status(500).json({ error: error.message });
@@ -3624,7 +3747,7 @@ router.get('/next-tournament', authenticateToken, async (req, res) => {
     } else if (relanceType === 't3') {
       tournamentNumber = 3;
     } else if (relanceType === 'finale') {
-      tournamentNumber = 4; // Finale is tournament 4
+      tournamentNumber = FINALE_TOURNAMENT_NUMBER;
     } else {
       return res.status(400).json({ error: 'Invalid relance type' });
     }
@@ -3764,7 +3887,7 @@ router.get('/t1-participants', authenticateToken, async (req, res) => {
         `SELECT tr.*,
                 pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club, pc.email_optin
          FROM tournament_results tr
-         LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN player_contacts pc ON tr.licence = pc.licence
          WHERE tr.tournament_id = $1
          ORDER BY tr.position ASC`,
         [t1Tournament.id],
@@ -3836,7 +3959,7 @@ router.get('/t1-participants', authenticateToken, async (req, res) => {
     if (t2TournoiId) {
       const inscriptions = await new Promise((resolve, reject) => {
         db.all(
-          `SELECT REPLACE(UPPER(licence), ' ', '') as normalized_licence FROM inscriptions WHERE tournoi_id = $1`,
+          `SELECT licence FROM inscriptions WHERE tournoi_id = $1`,
           [t2TournoiId],
           (err, rows) => {
             if (err) reject(err);
@@ -3844,11 +3967,11 @@ router.get('/t1-participants', authenticateToken, async (req, res) => {
           }
         );
       });
-      inscribedLicences = new Set(inscriptions.map(i => i.normalized_licence));
+      inscribedLicences = new Set(inscriptions.map(i => i.licence));
     }
 
     const alreadyInscribedCount = participants.filter(p =>
-      inscribedLicences.has(p.licence?.replace(/\s/g, '').toUpperCase())
+      inscribedLicences.has(normalizeLicence(p.licence))
     ).length;
 
     res.json({
@@ -3874,7 +3997,7 @@ router.get('/t1-participants', authenticateToken, async (req, res) => {
         t1_position: p.position,
         t1_points: p.match_points,
         email_optin: p.email_optin,
-        already_inscribed: inscribedLicences.has(p.licence?.replace(/\s/g, '').toUpperCase())
+        already_inscribed: inscribedLicences.has(normalizeLicence(p.licence))
       })),
       emailCount: participants.filter(p => p.email && p.email.includes('@')).length,
       alreadyInscribedCount
@@ -3925,11 +4048,16 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Category not found' });
     }
 
-    // Get T3 tournament info if exists
+    // Last qualifying round of the season (count from the ranking rules), the one the relance is for
+    const rankingRules = await getRankingRules(categoryRow.id, season);
+    const lastRound = rankingRules.qualifying_rounds;
+    const lastTournamentNumber = getQualifyingTournamentNumbers(lastRound).slice(-1)[0];
+
+    // Get the last round tournament info if exists
     const t3Tournament = await new Promise((resolve, reject) => {
       db.get(
-        `SELECT * FROM tournaments WHERE category_id = $1 AND season = $2 AND tournament_number = 3`,
-        [categoryRow.id, season],
+        `SELECT * FROM tournaments WHERE category_id = $1 AND season = $2 AND tournament_number = $3`,
+        [categoryRow.id, season, lastTournamentNumber],
         (err, row) => {
           if (err) reject(err);
           else resolve(row);
@@ -3937,7 +4065,7 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
       );
     });
 
-    // Also try to get T3 from tournoi_ext
+    // Also try to get the last round from tournoi_ext
     // First get all IONOS mode variations for this game_type from mode_mapping
     const modeMappings = await new Promise((resolve, reject) => {
       db.all(
@@ -3963,7 +4091,7 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
     }
 
     // Use flexible name matching (same as next-tournament endpoint)
-    const nameCondition = "(UPPER(nom) LIKE '%T3%' OR UPPER(nom) LIKE '%TOURNOI 3%' OR UPPER(nom) LIKE '%TOURNOI3%')";
+    const nameCondition = `(UPPER(nom) LIKE '%T${lastRound}%' OR UPPER(nom) LIKE '%TOURNOI ${lastRound}%' OR UPPER(nom) LIKE '%TOURNOI${lastRound}%')`;
     const catParamIdx = modeParams.length + 1;
 
     const t3External = await new Promise((resolve, reject) => {
@@ -3987,7 +4115,7 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
                 pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club, pc.email_optin,
                 COALESCE(pc.first_name || ' ' || pc.last_name, r.licence) as player_name
          FROM rankings r
-         LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN player_contacts pc ON r.licence = pc.licence
          WHERE r.season = $1 AND r.category_id = $2
          ORDER BY r.rank_position ASC`,
         [season, categoryRow.id],
@@ -3998,13 +4126,13 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
       );
     });
 
-    // Get inscriptions for T3 tournament to mark already inscribed players
+    // Get inscriptions for the last round tournament to mark already inscribed players
     let inscribedLicences = new Set();
     const t3TournoiId = t3External?.tournoi_id;
     if (t3TournoiId) {
       const inscriptions = await new Promise((resolve, reject) => {
         db.all(
-          `SELECT REPLACE(UPPER(licence), ' ', '') as normalized_licence FROM inscriptions WHERE tournoi_id = $1`,
+          `SELECT licence FROM inscriptions WHERE tournoi_id = $1`,
           [t3TournoiId],
           (err, rows) => {
             if (err) reject(err);
@@ -4012,20 +4140,23 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
           }
         );
       });
-      inscribedLicences = new Set(inscriptions.map(i => i.normalized_licence));
+      inscribedLicences = new Set(inscriptions.map(i => i.licence));
     }
 
     const alreadyInscribedCount = rankings.filter(r =>
-      inscribedLicences.has(r.licence?.replace(/\s/g, '').toUpperCase())
+      inscribedLicences.has(normalizeLicence(r.licence))
     ).length;
 
     res.json({
       category: categoryRow,
+      // t3Tournament: the last qualifying round (name kept for the relance page)
       t3Tournament: t3Tournament || t3External ? {
         date: t3Tournament?.tournament_date || t3External?.debut,
         location: t3Tournament?.location || t3External?.lieu,
         tournoi_id: t3TournoiId
       } : null,
+      lastRound,
+      lastRoundLabel: getTournamentLabel(lastTournamentNumber, true),
       participants: rankings.map(r => ({
         licence: r.licence,
         player_name: r.player_name,
@@ -4038,7 +4169,7 @@ router.get('/ranking-for-relance', authenticateToken, async (req, res) => {
         total_points: r.total_match_points,
         avg_moyenne: r.avg_moyenne,
         email_optin: r.email_optin,
-        already_inscribed: inscribedLicences.has(r.licence?.replace(/\s/g, '').toUpperCase())
+        already_inscribed: inscribedLicences.has(normalizeLicence(r.licence))
       })),
       emailCount: rankings.filter(r => r.email && r.email.includes('@')).length,
       alreadyInscribedCount
@@ -4119,7 +4250,7 @@ router.get('/t1-players', authenticateToken, async (req, res) => {
         `SELECT p.licence, p.first_name, p.last_name, p.${rankColumn} as ffb_ranking,
                 pc.email, pc.club, pc.email_optin
          FROM players p
-         LEFT JOIN player_contacts pc ON REPLACE(p.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN player_contacts pc ON p.licence = pc.licence
          WHERE UPPER(p.${rankColumn}) = UPPER($1)
            AND UPPER(p.licence) NOT LIKE 'TEST%'
          ORDER BY p.last_name, p.first_name`,
@@ -4180,7 +4311,7 @@ router.get('/t1-players', authenticateToken, async (req, res) => {
     if (t1TournoiId) {
       const inscriptions = await new Promise((resolve, reject) => {
         db.all(
-          `SELECT REPLACE(UPPER(licence), ' ', '') as normalized_licence FROM inscriptions WHERE tournoi_id = $1`,
+          `SELECT licence FROM inscriptions WHERE tournoi_id = $1`,
           [t1TournoiId],
           (err, rows) => {
             if (err) reject(err);
@@ -4188,11 +4319,11 @@ router.get('/t1-players', authenticateToken, async (req, res) => {
           }
         );
       });
-      inscribedLicences = new Set(inscriptions.map(i => i.normalized_licence));
+      inscribedLicences = new Set(inscriptions.map(i => i.licence));
     }
 
     const alreadyInscribedCount = players.filter(p =>
-      inscribedLicences.has(p.licence?.replace(/\s/g, '').toUpperCase())
+      inscribedLicences.has(normalizeLicence(p.licence))
     ).length;
 
     res.json({
@@ -4213,7 +4344,7 @@ router.get('/t1-players', authenticateToken, async (req, res) => {
         club: p.club,
         ffb_ranking: p.ffb_ranking,
         email_optin: p.email_optin,
-        already_inscribed: inscribedLicences.has(p.licence?.replace(/\s/g, '').toUpperCase())
+        already_inscribed: inscribedLicences.has(normalizeLicence(p.licence))
       })),
       emailCount: players.filter(p => p.email && p.email.includes('@')).length,
       alreadyInscribedCount
@@ -4322,7 +4453,7 @@ router.get('/finale-qualified', authenticateToken, async (req, res) => {
                 pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club, pc.email_optin,
                 COALESCE(pc.first_name || ' ' || pc.last_name, r.licence) as player_name
          FROM rankings r
-         LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN player_contacts pc ON r.licence = pc.licence
          WHERE r.season = $1 AND r.category_id = $2
          ORDER BY r.rank_position ASC`,
         [season, categoryRow.id],
@@ -4342,7 +4473,7 @@ router.get('/finale-qualified', authenticateToken, async (req, res) => {
     if (finale?.tournoi_id) {
       const inscriptions = await new Promise((resolve, reject) => {
         db.all(
-          `SELECT REPLACE(UPPER(licence), ' ', '') as normalized_licence FROM inscriptions WHERE tournoi_id = $1`,
+          `SELECT licence FROM inscriptions WHERE tournoi_id = $1`,
           [finale.tournoi_id],
           (err, rows) => {
             if (err) reject(err);
@@ -4350,11 +4481,11 @@ router.get('/finale-qualified', authenticateToken, async (req, res) => {
           }
         );
       });
-      inscribedLicences = new Set(inscriptions.map(i => i.normalized_licence));
+      inscribedLicences = new Set(inscriptions.map(i => i.licence));
     }
 
     const alreadyInscribedCount = qualified.filter(r =>
-      inscribedLicences.has(r.licence?.replace(/\s/g, '').toUpperCase())
+      inscribedLicences.has(normalizeLicence(r.licence))
     ).length;
 
     // Calculate deadline date (7 days before finale)
@@ -4393,7 +4524,7 @@ router.get('/finale-qualified', authenticateToken, async (req, res) => {
         total_points: r.total_match_points,
         avg_moyenne: r.avg_moyenne,
         email_optin: r.email_optin,
-        already_inscribed: inscribedLicences.has(r.licence?.replace(/\s/g, '').toUpperCase())
+        already_inscribed: inscribedLicences.has(normalizeLicence(r.licence))
       })),
       emailCount: qualified.filter(r => r.email && r.email.includes('@')).length,
       alreadyInscribedCount
@@ -4410,10 +4541,10 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const { relanceType, mode, category, subject, intro, outro, imageUrl, testMode, testEmail, ccEmail, customData, selectedLicences } = req.body;
 
-  const resend = getResend();
-  if (!resend) {
+  const mailer = getMailTransport();
+  if (!mailer) {
     return res.status(500).json({
-      error: 'Email non configuré. Veuillez définir RESEND_API_KEY.'
+      error: 'Email non configuré. Veuillez définir MAIL_TRANSPORT (ou RESEND_API_KEY).'
     });
   }
 
@@ -4492,7 +4623,7 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
           `SELECT tr.*,
                   pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club
            FROM tournament_results tr
-           LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+           LEFT JOIN player_contacts pc ON tr.licence = pc.licence
            WHERE tr.tournament_id = $1
            ORDER BY tr.position ASC`,
           [t1Tournament.id],
@@ -4552,7 +4683,7 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
                   pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club,
                   COALESCE(pc.first_name || ' ' || pc.last_name, r.licence) as player_name
            FROM rankings r
-           LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+           LEFT JOIN player_contacts pc ON r.licence = pc.licence
            WHERE r.season = $1 AND r.category_id = $2
            ORDER BY r.rank_position ASC`,
           [season, categoryRow.id],
@@ -4662,7 +4793,7 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
                   pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club,
                   COALESCE(pc.first_name || ' ' || pc.last_name, r.licence) as player_name
            FROM rankings r
-           LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+           LEFT JOIN player_contacts pc ON r.licence = pc.licence
            WHERE r.season = $1 AND r.category_id = $2
            ORDER BY r.rank_position ASC`,
           [season, categoryRow.id],
@@ -4736,8 +4867,8 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
     // Filter participants by selectedLicences if provided (not in test mode)
     if (!testMode && selectedLicences && Array.isArray(selectedLicences) && selectedLicences.length > 0) {
       participants = participants.filter(p => {
-        const participantLicence = (p.licence || '').replace(/\s/g, '');
-        return selectedLicences.some(sl => (sl || '').replace(/\s/g, '') === participantLicence);
+        const participantLicence = normalizeLicence(p.licence);
+        return selectedLicences.some(sl => normalizeLicence(sl) === participantLicence);
       });
 
       if (participants.length === 0) {
@@ -4766,14 +4897,36 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
     });
 
     // In test mode, only send to test email
-    const recipientsToEmail = testMode
+    let recipientsToEmail = testMode
       ? [{ ...participants[0], email: testEmail }]
       : participants.filter(p => p.email && p.email.includes('@'));
 
+    // Unsubscribed, bounced and complained contacts do not receive relances
+    if (!testMode) {
+      const { allowed, excluded } = await filterMarketingRecipients(recipientsToEmail);
+      recipientsToEmail = allowed;
+      excluded.forEach(({ recipient, reason }) => {
+        results.skipped.push({ name: recipient.player_name || `${recipient.first_name} ${recipient.last_name}`, reason });
+      });
+    }
+
     // Get configurable contact email
     const contactEmail = await getContactEmail();
     const contactPhraseHtml = buildContactPhraseHtml(contactEmail, primaryColor);
 
+    // Players with a language preference get the relance template variant, when one exists
+    const relanceTemplateFor = createTemplateResolver(`relance_${relanceType}`, { subject, body: intro, outro });
+    let languageByLicence = {};
+    if (!testMode) {
+      try {
+        languageByLicence = await getLanguagesByLicence(recipientsToEmail.map(p => p.licence));
+      } catch (langError) {
+        console.error('Error loading language preferences:', langError.message);
+      }
+    }
+
+    // Queue one message per participant in the outbox
+    const queued = [];
     for (const participant of recipientsToEmail) {
       if (!participant.email || !participant.email.includes('@')) {
         results.skipped.push({
@@ -4784,53 +4937,6 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
       }
 
       try {
-        // Replace variables in subject, intro, outro - using explicit calls like Results template
-        let emailSubject = subject || '';
-        let emailIntro = intro || '';
-        let emailOutro = outro || '';
-
-        // Debug log for first participant
-        if (participant === recipientsToEmail[0]) {
-          console.log('[Relance] tournamentInfo:', JSON.stringify(tournamentInfo));
-          console.log('[Relance] Intro before replacement (first 300 chars):', emailIntro.substring(0, 300));
-        }
-
-        // Replace all variables explicitly (same pattern as Results template)
-        // Player info
-        emailSubject = replaceVar(emailSubject, 'first_name', participant.first_name || '');
-        emailSubject = replaceVar(emailSubject, 'last_name', participant.last_name || '');
-        emailSubject = replaceVar(emailSubject, 'category', tournamentInfo.category || '');
-
-        emailIntro = replaceVar(emailIntro, 'first_name', participant.first_name || '');
-        emailIntro = replaceVar(emailIntro, 'last_name', participant.last_name || '');
-        emailIntro = replaceVar(emailIntro, 'player_name', participant.player_name || `${participant.first_name} ${participant.last_name}`);
-        emailIntro = replaceVar(emailIntro, 'club', participant.club || '');
-        emailIntro = replaceVar(emailIntro, 'category', tournamentInfo.category || '');
-
-        // T1 info
-        emailIntro = replaceVar(emailIntro, 't1_position', participant.position || participant.t1_position || '');
-        emailIntro = replaceVar(emailIntro, 't1_points', participant.match_points || participant.t1_points || '');
-        emailIntro = replaceVar(emailIntro, 't1_date', tournamentInfo.t1_date || '');
-
-        // Ranking info
-        emailIntro = replaceVar(emailIntro, 'rank_position', participant.rank_position || '');
-        emailIntro = replaceVar(emailIntro, 'total_points', participant.total_match_points || participant.total_points || '');
-
-        // Tournament info - THE KEY ONES
-        emailIntro = replaceVar(emailIntro, 'tournament_date', tournamentInfo.tournament_date || '');
-        emailIntro = replaceVar(emailIntro, 'tournament_lieu', tournamentInfo.tournament_lieu || '');
-        emailIntro = replaceVar(emailIntro, 'deadline_date', tournamentInfo.deadline_date || '');
-
-        // Finale info
-        emailIntro = replaceVar(emailIntro, 'finale_date', tournamentInfo.finale_date || '');
-        emailIntro = replaceVar(emailIntro, 'finale_lieu', tournamentInfo.finale_lieu || '');
-        emailIntro = replaceVar(emailIntro, 'qualified_count', tournamentInfo.qualified_count || '');
-
-        // Organization info
-        emailIntro = replaceVar(emailIntro, 'organization_name', organizationName);
-        emailIntro = replaceVar(emailIntro, 'organization_short_name', organizationShortName);
-        emailIntro = replaceVar(emailIntro, 'organization_email', organizationEmail);
-
         // Smart inscription method - check if player has app account
         const playerAppUrl = 'https://cdbhs-player-app-production.up.railway.app';
         let inscriptionMethodHtml;
@@ -4860,8 +4966,8 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
           const participantLicence = participant.licence || '';
           const hasAppAccount = await new Promise((resolve, reject) => {
             db.get(
-              `SELECT 1 FROM player_accounts WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')`,
-              [participantLicence],
+              `SELECT 1 FROM player_accounts WHERE licence = $1`,
+              [normalizeLicence(participantLicence)],
               (err, row) => {
                 if (err) reject(err);
                 else resolve(!!row);
@@ -4882,19 +4988,34 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
           }
         }
 
-        emailIntro = replaceVar(emailIntro, 'inscription_method', inscriptionMethodHtml);
-
-        // Outro replacements
-        emailOutro = replaceVar(emailOutro, 'first_name', participant.first_name || '');
-        emailOutro = replaceVar(emailOutro, 'last_name', participant.last_name || '');
-        emailOutro = replaceVar(emailOutro, 'organization_name', organizationName);
-        emailOutro = replaceVar(emailOutro, 'organization_short_name', organizationShortName);
-        emailOutro = replaceVar(emailOutro, 'organization_email', organizationEmail);
+        const templateVariables = {
+          player_name: participant.player_name || `${participant.first_name} ${participant.last_name}`,
+          first_name: participant.first_name || '',
+          last_name: participant.last_name || '',
+          club: participant.club || '',
+          licence: participant.licence || '',
+          category: tournamentInfo.category || '',
+          t1_position: participant.position || participant.t1_position || '',
+          t1_points: participant.match_points || participant.t1_points || '',
+          t1_date: tournamentInfo.t1_date || '',
+          rank_position: participant.rank_position || '',
+          total_points: participant.total_match_points || participant.total_points || '',
+          tournament_date: tournamentInfo.tournament_date || '',
+          tournament_lieu: tournamentInfo.tournament_lieu || '',
+          deadline_date: tournamentInfo.deadline_date || '',
+          finale_date: tournamentInfo.finale_date || '',
+          finale_lieu: tournamentInfo.finale_lieu || '',
+          qualified_count: tournamentInfo.qualified_count || '',
+          inscription_method: inscriptionMethodHtml,
+          organization_name: organizationName,
+          organization_short_name: organizationShortName,
+          organization_email: organizationEmail
+        };
 
-        // Debug log after replacement
-        if (participant === recipientsToEmail[0]) {
-          console.log('[Relance] Intro after replacement (first 300 chars):', emailIntro.substring(0, 300));
-        }
+        const participantTemplate = await relanceTemplateFor(languageByLicence[normalizeLicence(participant.licence)]);
+        const emailSubject = renderTemplate(participantTemplate.subject || '', templateVariables);
+        const emailIntro = renderTemplate(participantTemplate.body || '', templateVariables);
+        const emailOutro = renderTemplate(participantTemplate.outro || '', templateVariables);
 
         const imageHtml = imageUrl ? `<div style="text-align: center; margin: 20px 0;"><img src="${imageUrl}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
 
@@ -4917,34 +5038,21 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        const outboxId = await enqueueEmail(withUnsubscribe({
           from: emailFrom,
           replyTo: contactEmail,
           to: [participant.email],
           subject: emailSubject,
           html: emailHtml
+        }, baseUrl), {
+          campaignId,
+          recipientName: participant.player_name || `${participant.first_name} ${participant.last_name}`,
+          hook: participant.contact_id ? { name: 'last_contacted', data: { contactId: participant.contact_id } } : null
         });
-
-        results.sent.push({
-          name: participant.player_name || `${participant.first_name} ${participant.last_name}`,
-          email: participant.email
-        });
-
-        // Update last_contacted
-        if (participant.contact_id) {
-          await new Promise((resolve) => {
-            db.run(
-              'UPDATE player_contacts SET last_contacted = CURRENT_TIMESTAMP WHERE id = $1',
-              [participant.contact_id],
-              () => resolve()
-            );
-          });
-        }
-
-        await delay(1500);
+        queued.push({ outboxId, participant });
 
       } catch (error) {
-        console.error(`Error sending relance to ${participant.email}:`, error);
+        console.error(`Error queueing relance for ${participant.email}:`, error);
         results.failed.push({
           name: participant.player_name || `${participant.first_name} ${participant.last_name}`,
           email: participant.email,
@@ -4953,19 +5061,22 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
       }
     }
 
-    // Update campaign
-    await new Promise((resolve) => {
-      console.log(`[Relance] Updating campaign ${campaignId}: sent=${results.sent.length}, failed=${results.failed.length}`);
-      db.run(
-        `UPDATE email_campaigns SET sent_count = $1, failed_count = $2, status = 'completed', sent_at = CURRENT_TIMESTAMP WHERE id = $3`,
-        [results.sent.length, results.failed.length, campaignId],
-        (err) => {
-          if (err) console.error('[Relance] Error updating campaign status:', err);
-          else console.log(`[Relance] Campaign ${campaignId} marked as completed`);
-          resolve();
-        }
-      );
-    });
+    // Deliver the queued messages (throttled, retried on failure)
+    const deliveries = await deliverQueued(queued.map(q => q.outboxId));
+    for (const { outboxId, participant } of queued) {
+      const name = participant.player_name || `${participant.first_name} ${participant.last_name}`;
+      const delivery = deliveries[outboxId];
+      if (delivery?.status !== 'sent') {
+        results.failed.push({ name, email: participant.email, error: delivery?.last_error || 'Envoi non abouti' });
+        continue;
+      }
+
+      results.sent.push({ name, email: participant.email });
+    }
+
+    // Update campaign from the outbox
+    await refreshCampaign(campaignId);
+    console.log(`[Relance] Campaign ${campaignId}: sent=${results.sent.length}, failed=${results.failed.length}`);
 
     // Send summary if requested
     if (ccEmail && ccEmail.includes('@') && !testMode && results.sent.length > 0) {
@@ -5006,7 +5117,7 @@ router.post('/send-relance', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        await mailer.send({
           from: emailFrom,
           to: [ccEmail],
           subject: `Récap Relance ${relanceTypeLabels[relanceType]} - ${mode} ${category}`,
@@ -14,17 +14,9 @@ const router = express.Router();
 const db = require('../db-loader');
 const { authenticateToken, requireAdmin } = require('./auth');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
-const { Resend } = require('resend');
+const { getMailTransport } = require('../utils/mail-transport');
 const appSettings = require('../utils/app-settings');
-
-// Initialize Resend for direct email sending
-const getResend = () => {
-  if (!process.env.RESEND_API_KEY) {
-    console.log('[EMAIL] RESEND_API_KEY not configured');
-    return null;
-  }
-  return new Resend(process.env.RESEND_API_KEY);
-};
+const { normalizeLicence } = require('../utils/licence');
 
 // Get email settings from database
 async function getEmailSettings() {
@@ -44,12 +36,12 @@ async function getEmailSettings() {
 router.get('/debug-announcements/:licence', async (req, res) => {
   try {
     const { licence } = req.params;
-    const normalizedLicence = licence.replace(/\s+/g, '').toUpperCase();
+    const normalizedLicence = normalizeLicence(licence);
 
     const result = await db.query(`
       SELECT id, title, message, type, is_active, expires_at, target_licence, created_at
       FROM announcements
-      WHERE UPPER(REPLACE(COALESCE(target_licence, ''), ' ', '')) = $1
+      WHERE target_licence = $1
       ORDER BY created_at DESC
       LIMIT 10
     `, [normalizedLicence]);
@@ -68,14 +60,14 @@ router.get('/debug-announcements/:licence', async (req, res) => {
 router.use(authenticateToken);
 router.use(requireAdmin);
 
-// Helper function to send approval email directly via Resend
+// Helper function to send approval email directly
 async function sendApprovalEmail(request) {
   console.log(`[APPROVAL EMAIL] Starting email send to ${request.player_email}`);
 
-  const resend = getResend();
-  if (!resend) {
-    console.log('[APPROVAL EMAIL] Resend not configured, skipping email');
-    return { success: false, reason: 'resend_not_configured' };
+  const mailer = getMailTransport();
+  if (!mailer) {
+    console.log('[APPROVAL EMAIL] Email not configured, skipping email');
+    return { success: false, reason: 'email_not_configured' };
   }
 
   try {
@@ -146,7 +138,7 @@ async function sendApprovalEmail(request) {
       </html>
     `;
 
-    await resend.emails.send({
+    await mailer.send({
       from: `${settings.sender_name} <${settings.email_from}>`,
       to: request.player_email,
       subject: `Demande acceptée - ${request.game_mode_name} ${request.requested_ranking} T${request.tournament_number}`,
@@ -161,14 +153,14 @@ async function sendApprovalEmail(request) {
   }
 }
 
-// Helper function to send rejection email directly via Resend
+// Helper function to send rejection email directly
 async function sendRejectionEmail(request, reason) {
   console.log(`[REJECTION EMAIL] Starting email send to ${request.player_email}`);
 
-  const resend = getResend();
-  if (!resend) {
-    console.log('[REJECTION EMAIL] Resend not configured, skipping email');
-    return { success: false, reason: 'resend_not_configured' };
+  const mailer = getMailTransport();
+  if (!mailer) {
+    console.log('[REJECTION EMAIL] Email not configured, skipping email');
+    return { success: false, reason: 'email_not_configured' };
   }
 
   try {
@@ -240,7 +232,7 @@ async function sendRejectionEmail(request, reason) {
       </html>
     `;
 
-    await resend.emails.send({
+    await mailer.send({
       from: `${settings.sender_name} <${settings.email_from}>`,
       to: request.player_email,
       subject: `Demande refusée - ${request.game_mode_name} ${request.requested_ranking} T${request.tournament_number}`,
@@ -490,9 +482,9 @@ router.put('/:id/approve', async (req, res) => {
       // Check if player is already inscribed
       const existingInscription = await db.query(
         `SELECT inscription_id FROM inscriptions
-         WHERE REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($1), ' ', '')
+         WHERE licence = $1
            AND tournoi_id = $2`,
-        [request.licence, tournamentId]
+        [normalizeLicence(request.licence), tournamentId]
       );
 
       if (existingInscription.rows.length === 0) {
@@ -504,7 +496,7 @@ router.put('/:id/approve', async (req, res) => {
         await db.query(`
           INSERT INTO inscriptions (inscription_id, licence, tournoi_id, email, timestamp, source, statut)
           VALUES ($1, $2, $3, $4, NOW(), 'player_app', 'inscrit')
-        `, [nextId, request.licence, tournamentId, request.player_email]);
+        `, [nextId, normalizeLicence(request.licence), tournamentId, request.player_email]);
 
         console.log(`Created inscription for ${request.player_name} in tournament ${tournamentId}`);
       }
@@ -530,8 +522,8 @@ router.put('/:id/approve', async (req, res) => {
         // Check if player exists in players table (required for foreign key)
         const playerExists = await db.query(`
           SELECT licence FROM players
-          WHERE REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($1), ' ', '')
-        `, [request.licence]);
+          WHERE licence = $1
+        `, [normalizeLicence(request.licence)]);
 
         if (playerExists.rows.length > 0) {
           const actualLicence = playerExists.rows[0].licence;
@@ -539,10 +531,10 @@ router.put('/:id/approve', async (req, res) => {
           // Check if player already has a ranking for this category/season
           const existingRanking = await db.query(`
             SELECT id FROM rankings
-            WHERE REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($1), ' ', '')
+            WHERE licence = $1
               AND category_id = $2
               AND season = $3
-          `, [request.licence, categoryId, currentSeason]);
+          `, [normalizeLicence(request.licence), categoryId, currentSeason]);
 
           if (existingRanking.rows.length === 0) {
             // Get current max rank position for this category/season
@@ -575,15 +567,15 @@ router.put('/:id/approve', async (req, res) => {
     try {
       const existingPlayerRanking = await db.query(`
         SELECT id FROM player_rankings
-        WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')
+        WHERE licence = $1
         AND game_mode_id = $2
-      `, [request.licence, request.game_mode_id]);
+      `, [normalizeLicence(request.licence), request.game_mode_id]);
 
       if (existingPlayerRanking.rows.length === 0) {
         await db.query(`
           INSERT INTO player_rankings (licence, game_mode_id, ranking)
           VALUES ($1, $2, $3)
-        `, [request.licence, request.game_mode_id, request.requested_ranking]);
+        `, [normalizeLicence(request.licence), request.game_mode_id, request.requested_ranking]);
 
         console.log(`Added player_ranking for ${request.player_name}: ${request.game_mode_name} ${request.requested_ranking}`);
       } else {
@@ -591,9 +583,9 @@ router.put('/:id/approve', async (req, res) => {
         await db.query(`
           UPDATE player_rankings
           SET ranking = $1
-          WHERE REPLACE(licence, ' ', '') = REPLACE($2, ' ', '')
+          WHERE licence = $2
           AND game_mode_id = $3
-        `, [request.requested_ranking, request.licence, request.game_mode_id]);
+        `, [request.requested_ranking, normalizeLicence(request.licence), request.game_mode_id]);
 
         console.log(`Updated player_ranking for ${request.player_name}: ${request.game_mode_name} ${request.requested_ranking}`);
       }
@@ -621,8 +613,7 @@ router.put('/:id/approve', async (req, res) => {
     });
 
     // Create in-app notification for the player
-    // IMPORTANT: Must match Player App normalization: remove spaces AND uppercase
-    const normalizedLicence = request.licence.replace(/\s+/g, '').toUpperCase();
+    const normalizedLicence = normalizeLicence(request.licence);
     console.log(`[APPROVAL] Creating announcement for licence: ${normalizedLicence}`);
 
     let announcementCreated = false;
@@ -719,7 +710,7 @@ router.put('/:id/reject', async (req, res) => {
     });
 
     // Create in-app notification for the player
-    const normalizedLicence = request.licence.replace(/\s+/g, '');
+    const normalizedLicence = normalizeLicence(request.licence);
     console.log(`[REJECTION] Creating announcement for licence: ${normalizedLicence}`);
 
     const rejectionMessage = reason
@@ -833,10 +824,10 @@ router.delete('/:id', async (req, res) => {
         // Delete the inscription
         await db.query(`
           DELETE FROM inscriptions
-          WHERE REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($1), ' ', '')
+          WHERE licence = $1
             AND tournoi_id = $2
             AND source = 'player_app'
-        `, [request.licence, tournamentId]);
+        `, [normalizeLicence(request.licence), tournamentId]);
 
         console.log(`[DELETE] Deleted inscription for ${request.player_name} from tournament ${tournamentId}`);
       } else {
@@ -859,11 +850,11 @@ router.delete('/:id', async (req, res) => {
         console.log(`[DELETE] Found category ${categoryId}, deleting ranking for season ${currentSeason}...`);
         await db.query(`
           DELETE FROM rankings
-          WHERE REPLACE(UPPER(licence), ' ', '') = REPLACE(UPPER($1), ' ', '')
+          WHERE licence = $1
             AND category_id = $2
             AND season = $3
             AND total_match_points = 0
-        `, [request.licence, categoryId, currentSeason]);
+        `, [normalizeLicence(request.licence), categoryId, currentSeason]);
 
         console.log(`[DELETE] Deleted ranking for ${request.player_name} in category ${categoryId}`);
       } else {
@@ -874,9 +865,9 @@ router.delete('/:id', async (req, res) => {
       console.log(`[DELETE] Deleting player_ranking for game_mode_id=${request.game_mode_id}...`);
       await db.query(`
         DELETE FROM player_rankings
-        WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')
+        WHERE licence = $1
         AND game_mode_id = $2
-      `, [request.licence, request.game_mode_id]);
+      `, [normalizeLicence(request.licence), request.game_mode_id]);
 
       console.log(`[DELETE] Deleted player_ranking for ${request.player_name} in game mode ${request.game_mode_id}`);
     }
@@ -1,9 +1,9 @@
 const express = require('express');
 const multer = require('multer');
-const { parse } = require('csv-parse');
 const fs = require('fs');
 const db = require('../db-loader');
 const { authenticateToken } = require('./auth');
+const { importFileFilter, readImportFile, describeImportFile } = require('../utils/import-file');
 
 const router = express.Router();
 
@@ -13,14 +13,7 @@ const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB max
   },
-  fileFilter: (req, file, cb) => {
-    const ext = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
-    if (ext === '.csv') {
-      cb(null, true);
-    } else {
-      cb(new Error('Seuls les fichiers CSV sont acceptés'), false);
-    }
-  }
+  fileFilter: importFileFilter
 });
 
 // Define required fields for each import type
@@ -195,7 +188,7 @@ router.put('/:type', authenticateToken, (req, res) => {
   });
 });
 
-// Preview CSV with current/proposed mapping
+// Preview an import file (CSV or Excel) with current/proposed mapping
 router.post('/:type/preview', authenticateToken, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'Aucun fichier fourni' });
@@ -204,48 +197,10 @@ router.post('/:type/preview', authenticateToken, upload.single('file'), async (r
   const { type } = req.params;
 
   try {
-    let fileContent = fs.readFileSync(req.file.path, 'utf-8');
-
-    // Detect delimiter
-    const firstLine = fileContent.split('\n')[0] || '';
-    const semicolonCount = (firstLine.match(/;/g) || []).length;
-    const commaCount = (firstLine.match(/,/g) || []).length;
-    const tabCount = (firstLine.match(/\t/g) || []).length;
-
-    let detectedDelimiter = ';';
-    if (commaCount > semicolonCount && commaCount > tabCount) {
-      detectedDelimiter = ',';
-    } else if (tabCount > semicolonCount && tabCount > commaCount) {
-      detectedDelimiter = '\t';
-    }
-
-    // Fix CSV format issues
-    const lines = fileContent.split('\n');
-    const fixedLines = lines.map(line => {
-      line = line.trim();
-      if (!line) return line;
-      if (line.startsWith('"') && line.endsWith('"') && line.indexOf(detectedDelimiter) === -1) {
-        line = line.slice(1, -1);
-      }
-      line = line.replace(/""/g, '"');
-      return line;
-    });
-
-    fileContent = fixedLines.join('\n');
-    const records = [];
-
-    const parser = parse(fileContent, {
-      delimiter: detectedDelimiter,
-      skip_empty_lines: true,
-      quote: '"',
-      escape: '"',
-      relax_column_count: true,
-      relax_quotes: true
-    });
-
-    for await (const record of parser) {
-      records.push(record);
-    }
+    // Same reading as the imports: CSV delimiter and encoding detected, or Excel first worksheet
+    const profile = await getColumnMapping(type);
+    const file = await readImportFile(req.file, { fallbackDelimiter: profile?.delimiter, unwrapQuotedLines: 'undelimited' });
+    const records = file.records;
 
     // Clean up
     fs.unlinkSync(req.file.path);
@@ -289,7 +244,8 @@ router.post('/:type/preview', authenticateToken, upload.single('file'), async (r
     // Get existing profile for comparison
     db.get('SELECT * FROM import_profiles WHERE import_type = $1', [type], (err, existingProfile) => {
       res.json({
-        detected_delimiter: detectedDelimiter,
+        detected_delimiter: file.delimiter,
+        detected: describeImportFile(file),
         total_rows: records.length - 1, // Exclude header
         headers,
         sample_rows: sampleRows,
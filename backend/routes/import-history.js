@@ -0,0 +1,92 @@
+/**
+ * Import History Routes
+ *
+ * Imports recorded in import_history, with the rows each one wrote
+ * (utils/import-batch.js), and their rollback.
+ *
+ * GET    /api/import-history                - Recent imports, rows written per table
+ * POST   /api/import-history/:id/rollback   - Revert the rows of an import, then recompute the rankings
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('./auth');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const { recalculateRankings } = require('./tournaments');
+const { scheduleRatingRecalculation } = require('../utils/player-rating');
+const { IMPORT_FILE_TYPE_LABELS, getImportBatches, rollbackImport } = require('../utils/import-batch');
+
+// Recent imports
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  try {
+    res.json(await getImportBatches(limit));
+  } catch (error) {
+    console.error('Error fetching import history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roll back an import: inserted rows deleted, updated and deleted rows restored
+router.post('/:id/rollback', authenticateToken, requireAdmin, async (req, res) => {
+  const importId = parseInt(req.params.id, 10);
+  if (isNaN(importId)) {
+    return res.status(400).json({ error: 'Identifiant d\'import invalide' });
+  }
+
+  try {
+    const result = await rollbackImport(importId, req.user?.username);
+
+    // Rankings of the tournaments whose results were reverted
+    const rankingReports = [];
+    for (const scope of result.rankingScopes) {
+      rankingReports.push(await recalculateRankings(scope.category_id, scope.season));
+    }
+    if (result.tables.some(t => t.table === 'tournament_results' || t.table === 'players')) {
+      scheduleRatingRecalculation();
+    }
+
+    // The rows are reverted (committed) either way: a failed recalculation leaves the
+    // previous rankings live, to be recalculated once the cause is fixed
+    const failedReports = rankingReports.filter(r => r.status === 'error');
+
+    const reverted = result.tables.reduce((sum, t) => sum + t.inserted + t.updated + t.deleted, 0);
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.ROLLBACK_IMPORT,
+      details: `Import #${importId} annulé (${IMPORT_FILE_TYPE_LABELS[result.fileType] || result.fileType}, ${result.filename || 'sans nom'}) : ${reverted} ligne(s) rétablie(s)`
+        + (failedReports.length > 0 ? `, ${failedReports.length} classement(s) non recalculé(s)` : ''),
+      targetType: 'import',
+      targetId: importId,
+      targetName: result.filename
+    });
+
+    if (failedReports.length > 0) {
+      return res.status(500).json({
+        error: `Import #${importId} annulé mais classement non recalculé: ${failedReports.map(r => r.error).join(' ; ')}`,
+        importId,
+        fileType: result.fileType,
+        tables: result.tables,
+        rankingReports
+      });
+    }
+
+    res.json({
+      success: true,
+      importId,
+      fileType: result.fileType,
+      tables: result.tables,
+      rankingsRecalculated: result.rankingScopes.length,
+      rankingReports
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, changed: error.changed });
+    }
+    console.error('Error rolling back import:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,32 @@
 const express = require('express');
 const multer = require('multer');
-const { parse } = require('csv-parse');
 const fs = require('fs');
 const ExcelJS = require('exceljs');
-const { Resend } = require('resend');
+const { getMailTransport } = require('../utils/mail-transport');
 const db = require('../db-loader');
 const { authenticateToken } = require('./auth');
 const appSettings = require('../utils/app-settings');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getColumnMapping } = require('./import-config');
+const { generateMatchSchedule } = require('../utils/match-schedule');
+const { FINALE_TOURNAMENT_NUMBER, isFinaleTournament } = require('../utils/qualifying-rounds');
+const { seedPlayers, composePoules, loadSeedingData, generatePoules } = require('../utils/poule-generator');
+const { WAITLIST_ORDERS, getWaitingList, planReplacement } = require('../utils/waiting-list');
+const { planTournamentVenues, validateVenues } = require('../utils/venue-planner');
+const { RESPONSE_ACTIONS, verifyResponseToken } = require('../utils/convocation-response');
+const { normalizeLicence } = require('../utils/licence');
+const { importFileFilter, readImportFile, describeImportFile } = require('../utils/import-file');
+const { normalizeLanguage, translate, formatDate } = require('../utils/i18n');
+const {
+  INSCRIPTION_CHANGE_CATEGORIES,
+  isDryRun,
+  parseAcceptedCategories,
+  comparableValue,
+  diffFields,
+  createChangeSet,
+  summarizeChanges
+} = require('../utils/import-diff');
+const { startImportBatch, recordInsert, recordUpdate, recordDelete, recordUpsert, finishImportBatch } = require('../utils/import-batch');
 
 /**
  * Default column mapping for inscriptions imports (named columns)
@@ -83,12 +101,6 @@ function getMappedValue(record, mapping, fieldName, defaultValue = null) {
   return value || defaultValue;
 }
 
-// Initialize Resend for email notifications
-const getResend = () => {
-  if (!process.env.RESEND_API_KEY) return null;
-  return new Resend(process.env.RESEND_API_KEY);
-};
-
 const router = express.Router();
 
 // Configure multer for file uploads with security restrictions
@@ -97,16 +109,7 @@ const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB max
   },
-  fileFilter: (req, file, cb) => {
-    // Only allow CSV files
-    const allowedExtensions = ['.csv'];
-    const ext = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
-    if (allowedExtensions.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Seuls les fichiers CSV sont acceptés'), false);
-    }
-  }
+  fileFilter: importFileFilter
 });
 
 // Helper function to parse date in DD/MM/YYYY format
@@ -143,32 +146,25 @@ function parseDateTime(dateTimeStr) {
   return dateTimeStr;
 }
 
-// Import tournoi_ext from CSV
+// Import tournoi_ext from CSV or Excel (.xlsx)
 router.post('/tournoi/import', authenticateToken, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
   try {
-    const fileContent = fs.readFileSync(req.file.path, 'utf-8');
-    const records = [];
-
-    // Auto-detect delimiter (semicolon or comma)
-    const firstLine = fileContent.split('\n')[0];
-    const delimiter = firstLine.includes(';') ? ';' : ',';
+    // CSV (delimiter and encoding detected) or Excel, one object per row keyed by the header
+    const file = await readImportFile(req.file, { columns: true, trim: true });
+    const records = file.records;
 
-    const parser = parse(fileContent, {
-      delimiter: delimiter,
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-      relax_column_count: true
+    // Each row written is recorded under the import (rollback)
+    const importId = await startImportBatch(db, {
+      fileType: 'tournois',
+      recordCount: records.length,
+      filename: req.file.originalname,
+      importedBy: req.user?.username
     });
 
-    for await (const record of parser) {
-      records.push(record);
-    }
-
     let imported = 0;
     let updated = 0;
     let errors = [];
@@ -207,6 +203,7 @@ router.post('/tournoi/import', authenticateToken, upload.single('file'), async (
             lieu = EXCLUDED.lieu
         `;
 
+        await recordUpsert(db, importId, 'tournoi_ext', tournoiId);
         await new Promise((resolve, reject) => {
           db.run(query, [tournoiId, nom, mode, categorie, taille, debut || null, fin || null, grandCoin, tailleCadre, lieu], function(err) {
             if (err) {
@@ -223,25 +220,19 @@ router.post('/tournoi/import', authenticateToken, upload.single('file'), async (
         errors.push({ record: record.TOURNOI_ID || record.tournoi_id, error: err.message });
       }
     }
+    await finishImportBatch(db, importId);
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
 
-    // Record import in history
-    const historyQuery = `
-      INSERT INTO import_history (file_type, record_count, filename, imported_by)
-      VALUES ($1, $2, $3, $4)
-    `;
-    db.run(historyQuery, ['tournois', records.length, req.file.originalname, req.user?.username || 'unknown'], (err) => {
-      if (err) console.error('Error recording import history:', err);
-    });
-
     res.json({
       message: 'Import completed',
+      importId,
       imported,
       updated,
       total: records.length,
-      errors: errors.length > 0 ? errors : undefined
+      errors: errors.length > 0 ? errors : undefined,
+      file: describeImportFile(file)
     });
 
   } catch (error) {
@@ -252,49 +243,50 @@ router.post('/tournoi/import', authenticateToken, upload.single('file'), async (
   }
 });
 
-// Import inscriptions from CSV
+// Import inscriptions from CSV or Excel (.xlsx)
+// dryRun=true returns the changes without writing them, accept=<categories> applies only those
 router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
+  const dryRun = isDryRun(req.body);
+  let accepted;
+  try {
+    accepted = parseAcceptedCategories(req.body.accept, INSCRIPTION_CHANGE_CATEGORIES);
+  } catch (error) {
+    fs.unlinkSync(req.file.path);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
   try {
     // Load configurable column mapping, fall back to defaults
     let columnMapping;
+    let profileDelimiter;
     try {
       const profileConfig = await getColumnMapping('inscriptions');
       columnMapping = profileConfig?.mappings || DEFAULT_INSCRIPTIONS_MAPPING;
+      profileDelimiter = profileConfig?.delimiter;
       console.log(`Using ${profileConfig ? 'configured' : 'default'} column mapping for inscriptions import`);
     } catch (err) {
       console.log('Error loading inscriptions column mapping, using defaults:', err.message);
       columnMapping = DEFAULT_INSCRIPTIONS_MAPPING;
     }
 
-    const fileContent = fs.readFileSync(req.file.path, 'utf-8');
-    const records = [];
-
-    // Auto-detect delimiter (semicolon or comma)
-    const firstLine = fileContent.split('\n')[0];
-    const delimiter = firstLine.includes(';') ? ';' : ',';
-
-    const parser = parse(fileContent, {
-      delimiter: delimiter,
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-      relax_column_count: true
-    });
-
-    for await (const record of parser) {
-      records.push(record);
-    }
+    // CSV (delimiter and encoding detected) or Excel, one object per row keyed by the header
+    const file = await readImportFile(req.file, { columns: true, trim: true, fallbackDelimiter: profileDelimiter });
+    const records = file.records;
 
     let imported = 0;
     let updated = 0;
+    let removed = 0;
+    let unchanged = 0;
     let skipped = 0;
     let skippedDetails = [];
     let errors = [];
     let seasonImported = 0;
+    const changeSet = createChangeSet(INSCRIPTION_CHANGE_CATEGORIES);
+    const plans = [];
 
     // Get current season (Sept-Aug cycle)
     const now = new Date();
@@ -306,7 +298,7 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
 
     // Pre-fetch all tournaments to determine season
     const tournoiMap = await new Promise((resolve, reject) => {
-      db.all('SELECT tournoi_id, debut FROM tournoi_ext', [], (err, rows) => {
+      db.all('SELECT tournoi_id, nom, debut FROM tournoi_ext', [], (err, rows) => {
         if (err) reject(err);
         else {
           const map = {};
@@ -326,9 +318,33 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
       return month >= 8 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
     };
 
-    // Track last generated ID for collision handling within this import session
-    let lastGeneratedId = 0;
-
+    // Stored inscriptions by licence + tournament and by ID, updated with the planned changes
+    // as the file is read, and player names for the diff
+    const storedInscriptions = (await db.query(`
+      SELECT inscription_id, joueur_id, tournoi_id, timestamp, email, telephone, licence,
+             convoque, forfait, commentaire, source
+      FROM inscriptions
+    `)).rows;
+    const inscriptionKey = (licence, tournoiId) => `${licence}|${tournoiId}`;
+    const byKey = new Map(storedInscriptions.map(i => [inscriptionKey(i.licence, i.tournoi_id), i]));
+    const byId = new Map(storedInscriptions.map(i => [String(i.inscription_id), i]));
+    const playerNames = new Map((await db.query('SELECT licence, first_name, last_name FROM players')).rows
+      .map(p => [p.licence, `${p.first_name || ''} ${p.last_name || ''}`.trim()]));
+
+    const describeInscription = (inscriptionId, licence, tournoiId) => ({
+      inscriptionId,
+      licence,
+      playerName: playerNames.get(licence) || null,
+      tournoiId,
+      tournoiNom: tournoiMap[tournoiId]?.nom || `Tournoi ${tournoiId}`
+    });
+    const compareTimestamps = { timestamp: value => comparableValue(value ? new Date(value) : null) };
+
+    // Stored inscriptions found in the file, and the tournaments it covers (for removals)
+    const matchedIds = new Set();
+    const fileTournois = new Set();
+
+    // Plan: compare each record with the stored inscriptions
     for (const record of records) {
       try {
         // Map CSV columns to database fields using configurable mapping
@@ -340,7 +356,7 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
         const email = getMappedValue(record, columnMapping, 'email', '');
         const telephone = getMappedValue(record, columnMapping, 'telephone', '');
         const licenceRaw = getMappedValue(record, columnMapping, 'licence', '');
-        const licence = licenceRaw ? licenceRaw.replace(/\s+/g, '').trim() : '';
+        const licence = licenceRaw ? normalizeLicence(licenceRaw) : '';
         const convoque = getMappedValue(record, columnMapping, 'convoque', 0);
         const forfait = getMappedValue(record, columnMapping, 'forfait', 0);
         const commentaire = getMappedValue(record, columnMapping, 'commentaire', '');
@@ -349,218 +365,210 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
           errors.push({ inscriptionId, error: 'Missing required fields' });
           continue;
         }
+        fileTournois.add(String(tournoiId));
 
-        // Check if an inscription already exists for this licence + tournament
-        const existingInscription = await new Promise((resolve, reject) => {
-          db.get(
-            `SELECT i.inscription_id, i.source, t.nom as tournoi_nom, p.last_name as player_nom, p.first_name as player_prenom
-             FROM inscriptions i
-             LEFT JOIN tournoi_ext t ON i.tournoi_id = t.tournoi_id
-             LEFT JOIN players p ON REPLACE(UPPER(p.licence), ' ', '') = REPLACE(UPPER(i.licence), ' ', '')
-             WHERE REPLACE(UPPER(i.licence), ' ', '') = REPLACE(UPPER($1), ' ', '')
-             AND i.tournoi_id = $2`,
-            [licence, tournoiId],
-            (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            }
-          );
-        });
+        const values = {
+          inscription_id: inscriptionId, joueur_id: joueurId, tournoi_id: tournoiId, timestamp,
+          email, telephone, licence, convoque, forfait, commentaire, source: 'ionos'
+        };
 
-        // Check if inscription_id already exists for a DIFFERENT licence/tournament (ID collision)
-        const idCollision = await new Promise((resolve, reject) => {
-          db.get(
-            `SELECT inscription_id, licence, tournoi_id, source FROM inscriptions WHERE inscription_id = $1`,
-            [inscriptionId],
-            (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            }
-          );
-        });
+        // Inscription for this licence + tournament, and the inscription holding this ID
+        const existingInscription = byKey.get(inscriptionKey(licence, tournoiId));
+        const idCollision = byId.get(String(inscriptionId));
 
         if (idCollision && (!existingInscription || idCollision.inscription_id !== existingInscription.inscription_id)) {
           // inscription_id exists but for a different licence/tournament - this is an ID collision from IONOS
           console.warn(`[IONOS Import] ID collision detected: inscription_id=${inscriptionId} already used for licence=${idCollision.licence}, tournoi=${idCollision.tournoi_id}. New record: licence=${licence}, tournoi=${tournoiId}`);
+          matchedIds.add(String(idCollision.inscription_id));
 
-          // Update the existing record if it's from IONOS, otherwise skip
           if (idCollision.source === 'ionos') {
-            // IONOS reassigned this ID - update the existing record with new data
-            console.log(`[IONOS Import] Updating ID collision record (source=ionos): ${inscriptionId}`);
-            const updateCollisionQuery = `
-              UPDATE inscriptions SET
-                joueur_id = $1,
-                tournoi_id = $2,
-                timestamp = $3,
-                email = $4,
-                telephone = $5,
-                licence = $6,
-                convoque = $7,
-                forfait = $8,
-                commentaire = $9
-              WHERE inscription_id = $10
-            `;
-            await new Promise((resolve, reject) => {
-              db.run(updateCollisionQuery, [joueurId, tournoiId, timestamp, email, telephone, licence, convoque, forfait, commentaire, inscriptionId], function(err) {
-                if (err) reject(err);
-                else resolve();
-              });
+            // IONOS reassigned this ID - the existing record takes the new data
+            const { source, ...next } = values;
+            changeSet.changed_inscriptions.push({
+              ...describeInscription(inscriptionId, licence, tournoiId),
+              changes: diffFields(idCollision, next, compareTimestamps)
             });
-            updated++;
+            plans.push({ action: 'reassign', category: 'changed_inscriptions', values });
+            byKey.delete(inscriptionKey(idCollision.licence, idCollision.tournoi_id));
+            Object.assign(idCollision, next);
+            byKey.set(inscriptionKey(licence, tournoiId), idCollision);
+          } else if (existingInscription) {
+            // Player already registered for this tournament under another ID
+            console.warn(`[IONOS Import] Player ${licence} already registered for tournament ${tournoiId}`);
+            matchedIds.add(String(existingInscription.inscription_id));
+            skipped++;
           } else {
-            // ID collision with protected source - insert with a new generated ID
-            // Find max inscription_id and add offset to generate unique ID within INTEGER range
-            const maxIdResult = await new Promise((resolve, reject) => {
-              db.get(`SELECT MAX(inscription_id) as max_id FROM inscriptions`, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-              });
-            });
-            // Use the higher of: max from DB, or last generated in this session (for multiple collisions)
-            const baseId = Math.max(maxIdResult?.max_id || 10000, lastGeneratedId);
-            const newId = baseId + 1;
-            lastGeneratedId = newId;
-            console.log(`[IONOS Import] ID collision with protected source ${idCollision.source}, inserting with new ID: ${newId}`);
-            const insertWithNewIdQuery = `
-              INSERT INTO inscriptions (inscription_id, joueur_id, tournoi_id, timestamp, email, telephone, licence, convoque, forfait, commentaire, source)
-              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'ionos')
-            `;
-            try {
-              await new Promise((resolve, reject) => {
-                db.run(insertWithNewIdQuery, [newId, joueurId, tournoiId, timestamp, email, telephone, licence, convoque, forfait, commentaire], function(err) {
-                  if (err) {
-                    console.error(`[IONOS Import] Insert with new ID failed: ${err.message}`);
-                    reject(err);
-                  } else {
-                    console.log(`[IONOS Import] Insert with new ID successful`);
-                    resolve();
-                  }
-                });
-              });
-              imported++;
-            } catch (insertErr) {
-              // Unique constraint on licence+tournoi means player already registered
-              if (insertErr.message && (insertErr.message.includes('unique') || insertErr.message.includes('UNIQUE') || insertErr.message.includes('duplicate'))) {
-                console.warn(`[IONOS Import] Player ${licence} already registered for tournament ${tournoiId}`);
-                skipped++;
-              } else {
-                throw insertErr;
-              }
-            }
+            // ID collision with protected source - inserted with a new generated ID
+            changeSet.new_inscriptions.push(describeInscription(null, licence, tournoiId));
+            plans.push({ action: 'insert_new_id', category: 'new_inscriptions', values });
+            byKey.set(inscriptionKey(licence, tournoiId), { ...values, inscription_id: null });
           }
           continue;
         }
 
         if (existingInscription) {
+          matchedIds.add(String(existingInscription.inscription_id));
+
           if (existingInscription.source === 'player_app' || existingInscription.source === 'manual') {
             // Player already registered via Player App or manually - skip IONOS import
             skipped++;
-            const playerName = existingInscription.player_nom
-              ? `${existingInscription.player_prenom || ''} ${existingInscription.player_nom}`.trim()
-              : null;
+            const playerName = playerNames.get(licence) || null;
             skippedDetails.push({
               licence,
               playerName,
               tournoiId,
-              tournoiNom: existingInscription.tournoi_nom || `Tournoi ${tournoiId}`,
+              tournoiNom: tournoiMap[tournoiId]?.nom || `Tournoi ${tournoiId}`,
               source: existingInscription.source
             });
             continue;
           }
 
-          // Existing IONOS record - update it (even if different inscription_id)
-          const updateQuery = `
-            UPDATE inscriptions SET
-              joueur_id = $1,
-              timestamp = $2,
-              email = $3,
-              telephone = $4,
-              convoque = $5,
-              forfait = GREATEST(forfait, $6),
-              commentaire = $7
-            WHERE inscription_id = $8
-          `;
-          await new Promise((resolve, reject) => {
-            db.run(updateQuery, [joueurId, timestamp, email, telephone, convoque, forfait, commentaire, existingInscription.inscription_id], function(err) {
-              if (err) reject(err);
-              else resolve();
-            });
+          // Existing IONOS record - updated (even if different inscription_id), a forfeit is kept
+          const next = {
+            joueur_id: joueurId, timestamp, email, telephone, convoque,
+            forfait: Math.max(parseInt(existingInscription.forfait, 10) || 0, forfait),
+            commentaire
+          };
+          const changes = diffFields(existingInscription, next, compareTimestamps);
+          if (Object.keys(changes).length === 0) {
+            unchanged++;
+            continue;
+          }
+          changeSet.changed_inscriptions.push({
+            ...describeInscription(existingInscription.inscription_id, licence, tournoiId),
+            changes
           });
-          updated++;
+          plans.push({
+            action: 'update',
+            category: 'changed_inscriptions',
+            values: { ...values, ...next, inscription_id: existingInscription.inscription_id }
+          });
+          Object.assign(existingInscription, next);
         } else {
-          // New inscription - insert (or update if inscription_id already exists with different licence/tournoi)
-          // Only update on conflict if existing record is from IONOS (protect manual and player_app)
-          console.log(`[IONOS Import] Inserting new inscription: id=${inscriptionId}, licence=${licence}, tournoi=${tournoiId}`);
-          const insertQuery = `
-            INSERT INTO inscriptions (inscription_id, joueur_id, tournoi_id, timestamp, email, telephone, licence, convoque, forfait, commentaire, source)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'ionos')
-            ON CONFLICT (inscription_id) DO UPDATE SET
-              joueur_id = EXCLUDED.joueur_id,
-              tournoi_id = EXCLUDED.tournoi_id,
-              timestamp = EXCLUDED.timestamp,
-              email = EXCLUDED.email,
-              telephone = EXCLUDED.telephone,
-              licence = EXCLUDED.licence,
-              convoque = EXCLUDED.convoque,
-              forfait = GREATEST(inscriptions.forfait, EXCLUDED.forfait),
-              commentaire = EXCLUDED.commentaire,
-              source = 'ionos'
-            WHERE inscriptions.source = 'ionos'
-          `;
-          try {
-            await new Promise((resolve, reject) => {
-              db.run(insertQuery, [inscriptionId, joueurId, tournoiId, timestamp, email, telephone, licence, convoque, forfait, commentaire], function(err) {
-                if (err) {
-                  console.error(`[IONOS Import] Insert failed for id=${inscriptionId}: ${err.message}`);
-                  reject(err);
-                } else {
-                  console.log(`[IONOS Import] Insert successful for id=${inscriptionId}, changes=${this.changes}`);
-                  resolve();
-                }
-              });
-            });
-            imported++;
-          } catch (insertErr) {
-            // Check if it's a unique constraint violation on licence+tournoi
-            if (insertErr.message && insertErr.message.includes('unique') || insertErr.message.includes('UNIQUE')) {
-              console.error(`[IONOS Import] Unique constraint violation for licence=${licence}, tournoi=${tournoiId}. Record may exist with different inscription_id.`);
-              errors.push({ inscriptionId, licence, tournoiId, error: `Duplicate: licence ${licence} already exists for tournament ${tournoiId}` });
-            } else {
-              throw insertErr;
-            }
-          }
+          // New inscription
+          changeSet.new_inscriptions.push(describeInscription(inscriptionId, licence, tournoiId));
+          plans.push({ action: 'insert', category: 'new_inscriptions', values });
+          byKey.set(inscriptionKey(licence, tournoiId), values);
+          byId.set(String(inscriptionId), values);
+        }
+      } catch (err) {
+        errors.push({ record: record.INSCRIPTION_ID || record.inscription_id, error: err.message });
+      }
+    }
+
+    // IONOS inscriptions of the file's tournaments that are no longer in the file (withdrawn)
+    for (const inscription of storedInscriptions) {
+      if (inscription.source !== 'ionos' || matchedIds.has(String(inscription.inscription_id))) continue;
+      if (!fileTournois.has(String(inscription.tournoi_id))) continue;
+      changeSet.removed_inscriptions.push(describeInscription(inscription.inscription_id, inscription.licence, inscription.tournoi_id));
+      plans.push({ action: 'delete', category: 'removed_inscriptions', values: inscription });
+    }
+
+    // Apply the accepted categories, each row written recorded under the import (rollback)
+    const importId = dryRun ? null : await startImportBatch(db, {
+      fileType: 'inscriptions',
+      recordCount: records.length,
+      filename: req.file.originalname,
+      importedBy: req.user?.username
+    });
+    // Track last generated ID for collision handling within this import session
+    let lastGeneratedId = 0;
+    const insertQuery = `
+      INSERT INTO inscriptions (inscription_id, joueur_id, tournoi_id, timestamp, email, telephone, licence, convoque, forfait, commentaire, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'ionos')
+    `;
+    const rowValues = (id, v) => [id, v.joueur_id, v.tournoi_id, v.timestamp, v.email, v.telephone, v.licence, v.convoque, v.forfait, v.commentaire];
+
+    for (const plan of dryRun ? [] : plans) {
+      if (!accepted.has(plan.category)) continue;
+      const { values } = plan;
+
+      try {
+        if (plan.action === 'insert') {
+          console.log(`[IONOS Import] Inserting new inscription: id=${values.inscription_id}, licence=${values.licence}, tournoi=${values.tournoi_id}`);
+          await db.query(insertQuery, rowValues(values.inscription_id, values));
+          await recordInsert(db, importId, 'inscriptions', values.inscription_id);
+          imported++;
+        } else if (plan.action === 'insert_new_id') {
+          // Find max inscription_id and add offset to generate unique ID within INTEGER range
+          const maxIdResult = (await db.query('SELECT MAX(inscription_id) as max_id FROM inscriptions')).rows[0];
+          // Use the higher of: max from DB, or last generated in this session (for multiple collisions)
+          const newId = Math.max(maxIdResult?.max_id || 10000, lastGeneratedId) + 1;
+          lastGeneratedId = newId;
+          console.log(`[IONOS Import] ID collision with protected source, inserting with new ID: ${newId}`);
+          await db.query(insertQuery, rowValues(newId, values));
+          await recordInsert(db, importId, 'inscriptions', newId);
+          imported++;
+        } else if (plan.action === 'reassign' || plan.action === 'update') {
+          // A reassigned ID takes the new licence and tournament, an update keeps them
+          await recordUpdate(db, importId, 'inscriptions', values.inscription_id);
+          await db.query(`
+            UPDATE inscriptions SET
+              joueur_id = $2,
+              tournoi_id = $3,
+              timestamp = $4,
+              email = $5,
+              telephone = $6,
+              licence = $7,
+              convoque = $8,
+              forfait = ${plan.action === 'update' ? 'GREATEST(forfait, $9)' : '$9'},
+              commentaire = $10
+            WHERE inscription_id = $1 AND source = 'ionos'
+          `, rowValues(values.inscription_id, values));
+          updated++;
+        } else if (plan.action === 'delete') {
+          await recordDelete(db, importId, 'inscriptions', values.inscription_id);
+          await db.query(`DELETE FROM inscriptions WHERE inscription_id = $1 AND source = 'ionos'`, [values.inscription_id]);
+          removed++;
+          continue;
         }
+
         // Track season imports
-        if (getSeasonForTournoi(tournoiId) === currentSeason) {
+        if (getSeasonForTournoi(values.tournoi_id) === currentSeason) {
           seasonImported++;
         }
       } catch (err) {
-        errors.push({ record: record.INSCRIPTION_ID || record.inscription_id, error: err.message });
+        // Unique constraint on licence+tournoi means player already registered
+        if (err.message && /unique|duplicate/i.test(err.message)) {
+          console.error(`[IONOS Import] Unique constraint violation for licence=${values.licence}, tournoi=${values.tournoi_id}`);
+          errors.push({ inscriptionId: values.inscription_id, licence: values.licence, tournoiId: values.tournoi_id, error: `Duplicate: licence ${values.licence} already exists for tournament ${values.tournoi_id}` });
+        } else {
+          errors.push({ record: values.inscription_id, error: err.message });
+        }
       }
     }
+    if (importId) {
+      await finishImportBatch(db, importId);
+    }
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
 
-    // Record import in history
-    const historyQuery = `
-      INSERT INTO import_history (file_type, record_count, filename, imported_by)
-      VALUES ($1, $2, $3, $4)
-    `;
-    db.run(historyQuery, ['inscriptions', records.length, req.file.originalname, req.user?.username || 'unknown'], (err) => {
-      if (err) console.error('Error recording import history:', err);
-    });
+    if (removed > 0) {
+      logAdminAction({
+        req,
+        action: ACTION_TYPES.DELETE_INSCRIPTION,
+        details: `Import des inscriptions #${importId} (${req.file.originalname}) : ${removed} inscription(s) IONOS absente(s) du fichier supprimée(s)`,
+        targetType: 'inscription'
+      });
+    }
 
     res.json({
-      message: 'Import completed',
+      message: dryRun ? 'Dry run completed' : 'Import completed',
+      dryRun,
+      importId,
       imported,
       updated,
+      removed,
+      unchanged,
       skipped,
       skippedDetails: skippedDetails.length > 0 ? skippedDetails : undefined,
       total: records.length,
       seasonImported,
       currentSeason,
-      errors: errors.length > 0 ? errors : undefined
+      categories: summarizeChanges(INSCRIPTION_CHANGE_CATEGORIES, changeSet, accepted),
+      errors: errors.length > 0 ? errors : undefined,
+      file: describeImportFile(file)
     });
 
   } catch (error) {
@@ -710,6 +718,7 @@ router.get('/last-import', authenticateToken, (req, res) => {
       filename,
       imported_by
     FROM import_history
+    WHERE rolled_back_at IS NULL
     ORDER BY file_type, import_date DESC
   `;
 
@@ -957,7 +966,7 @@ router.get('/finales/upcoming', authenticateToken, async (req, res) => {
         const numFinalists = rankings.length >= qualificationSettings.threshold
           ? qualificationSettings.large
           : qualificationSettings.small;
-        const finalistLicences = rankings.slice(0, numFinalists).map(r => r.licence?.replace(/\s/g, ''));
+        const finalistLicences = rankings.slice(0, numFinalists).map(r => normalizeLicence(r.licence));
         console.log(`Finalists: ${finalistLicences.length} (top ${numFinalists} of ${rankings.length})`);
 
         // Get inscriptions for this tournament
@@ -978,7 +987,7 @@ router.get('/finales/upcoming', authenticateToken, async (req, res) => {
         });
 
         // Count how many finalists are inscribed
-        const inscribedLicences = inscriptions.map(i => i.licence?.replace(/\s/g, ''));
+        const inscribedLicences = inscriptions.map(i => normalizeLicence(i.licence));
         const inscribedFinalistCount = finalistLicences.filter(l => inscribedLicences.includes(l)).length;
         console.log(`Result: ${inscribedFinalistCount}/${finalistLicences.length} finalists inscribed`);
 
@@ -1022,7 +1031,7 @@ router.get('/tournoi/:id/inscriptions', authenticateToken, (req, res) => {
       p.last_name,
       p.club
     FROM inscriptions i
-    LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON i.licence = p.licence
     WHERE i.tournoi_id = $1
     ORDER BY i.timestamp ASC
   `;
@@ -1050,7 +1059,7 @@ router.get('/', authenticateToken, (req, res) => {
       p.club
     FROM inscriptions i
     LEFT JOIN tournoi_ext t ON i.tournoi_id = t.tournoi_id
-    LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON i.licence = p.licence
   `;
 
   const params = [];
@@ -1061,8 +1070,8 @@ router.get('/', authenticateToken, (req, res) => {
     params.push(tournoi_id);
   }
   if (licence) {
-    conditions.push(`REPLACE(i.licence, ' ', '') = REPLACE($${params.length + 1}, ' ', '')`);
-    params.push(licence);
+    conditions.push(`i.licence = $${params.length + 1}`);
+    params.push(normalizeLicence(licence));
   }
   if (source) {
     conditions.push(`i.source = $${params.length + 1}`);
@@ -1106,8 +1115,7 @@ router.post('/create', authenticateToken, async (req, res) => {
 
     const nextId = (maxIdResult?.max_id || 0) + 1;
 
-    // Clean up licence (remove spaces)
-    const cleanLicence = (licence || '').replace(/\s+/g, '').trim();
+    const cleanLicence = normalizeLicence(licence || '');
 
     // Insert the new inscription
     await new Promise((resolve, reject) => {
@@ -1173,14 +1181,17 @@ router.delete('/all', authenticateToken, (req, res) => {
 // Generate Excel file with poules
 router.post('/generate-poules', authenticateToken, async (req, res) => {
   const { category, season, tournament, players, poules, config, tournamentDate, tournamentLieu } = req.body;
+  const language = normalizeLanguage(req.body.language);
 
   try {
     const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Poules');
+    const worksheet = workbook.addWorksheet(translate(language, 'export.poules'));
 
     // Title with tournament date
-    const tournamentLabel = tournament === '4' ? 'Finale Départementale' : `Tournoi ${tournament}`;
-    const dateStr = tournamentDate ? new Date(tournamentDate).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' }) : '';
+    const tournamentLabel = isFinaleTournament(tournament)
+      ? translate(language, 'export.finale')
+      : translate(language, 'export.tournament', { number: tournament });
+    const dateStr = tournamentDate ? formatDate(language, tournamentDate, { day: 'numeric', month: 'long', year: 'numeric' }) : '';
     const titleText = dateStr ? `${category.display_name} - ${tournamentLabel} - ${dateStr}` : `${category.display_name} - ${tournamentLabel}`;
 
     worksheet.mergeCells('A1:F1');
@@ -1196,18 +1207,18 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
 
     // Subtitle
     worksheet.mergeCells('A2:F2');
-    const exportDate = new Date().toLocaleDateString('fr-FR', { year: 'numeric', month: 'long', day: 'numeric' });
-    worksheet.getCell('A2').value = `Saison ${season} • Généré le ${exportDate}`;
+    const exportDate = formatDate(language, new Date(), { year: 'numeric', month: 'long', day: 'numeric' });
+    worksheet.getCell('A2').value = translate(language, 'export.season_generated', { season, date: exportDate });
     worksheet.getCell('A2').font = { size: 11, italic: true, color: { argb: 'FF666666' } };
     worksheet.getCell('A2').alignment = { horizontal: 'center', vertical: 'middle' };
     worksheet.getRow(2).height = 20;
 
     // Summary
-    worksheet.getCell('A4').value = 'Résumé:';
+    worksheet.getCell('A4').value = translate(language, 'export.summary');
     worksheet.getCell('A4').font = { bold: true };
-    worksheet.getCell('A5').value = `Nombre de joueurs: ${players.length}`;
-    worksheet.getCell('A6').value = `Configuration: ${config.description}`;
-    worksheet.getCell('A7').value = `Tables nécessaires: ${config.tables}`;
+    worksheet.getCell('A5').value = translate(language, 'export.player_count', { count: players.length });
+    worksheet.getCell('A6').value = translate(language, 'export.configuration', { description: config.description });
+    worksheet.getCell('A7').value = translate(language, 'export.tables_needed', { count: config.tables });
 
     // Poules section
     let currentRow = 9;
@@ -1215,7 +1226,7 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     poules.forEach((poule, pouleIndex) => {
       // Poule header
       worksheet.mergeCells(`A${currentRow}:F${currentRow}`);
-      worksheet.getCell(`A${currentRow}`).value = `Poule ${poule.number} (${poule.players.length} joueurs)`;
+      worksheet.getCell(`A${currentRow}`).value = translate(language, 'export.poule_players', { number: poule.number, count: poule.players.length });
       worksheet.getCell(`A${currentRow}`).font = { size: 14, bold: true, color: { argb: 'FFFFFFFF' } };
       worksheet.getCell(`A${currentRow}`).fill = {
         type: 'pattern',
@@ -1228,7 +1239,14 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
 
       // Column headers for this poule (apply style only to columns A-F)
       const headerRow = worksheet.getRow(currentRow);
-      headerRow.values = ['#', 'Nom', 'Prénom', 'Club', 'Licence', 'Classement Initial'];
+      headerRow.values = [
+        '#',
+        translate(language, 'export.last_name'),
+        translate(language, 'export.first_name'),
+        translate(language, 'export.club'),
+        translate(language, 'export.licence'),
+        translate(language, 'export.initial_rank')
+      ];
       ['A', 'B', 'C', 'D', 'E', 'F'].forEach(col => {
         const cell = worksheet.getCell(`${col}${currentRow}`);
         cell.font = { bold: true };
@@ -1268,13 +1286,13 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
 
       // Add match schedule for this poule
       currentRow++;
-      worksheet.getCell(`A${currentRow}`).value = 'Rencontres:';
+      worksheet.getCell(`A${currentRow}`).value = translate(language, 'export.matches');
       worksheet.getCell(`A${currentRow}`).font = { bold: true, italic: true };
       currentRow++;
 
-      const matches = generateMatchSchedule(poule.players.length);
+      const matches = generateMatchSchedule(poule.players.length, language);
       matches.forEach((match, matchIndex) => {
-        worksheet.getCell(`A${currentRow}`).value = `Match ${matchIndex + 1}:`;
+        worksheet.getCell(`A${currentRow}`).value = translate(language, 'pdf.match', { number: matchIndex + 1 });
 
         // Handle dynamic matches (where opponent depends on previous match results)
         if (match.dynamic) {
@@ -1298,7 +1316,7 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     // Complete player list
     currentRow += 2;
     worksheet.mergeCells(`A${currentRow}:F${currentRow}`);
-    worksheet.getCell(`A${currentRow}`).value = 'Liste complète des joueurs (ordre de classement)';
+    worksheet.getCell(`A${currentRow}`).value = translate(language, 'export.full_player_list');
     worksheet.getCell(`A${currentRow}`).font = { size: 14, bold: true, color: { argb: 'FFFFFFFF' } };
     worksheet.getCell(`A${currentRow}`).fill = {
       type: 'pattern',
@@ -1310,7 +1328,14 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     currentRow++;
 
     // Headers (apply style only to columns A-F)
-    worksheet.getRow(currentRow).values = ['Rang', 'Nom', 'Prénom', 'Club', 'Licence', 'Poule'];
+    worksheet.getRow(currentRow).values = [
+      translate(language, 'export.rank'),
+      translate(language, 'export.last_name'),
+      translate(language, 'export.first_name'),
+      translate(language, 'export.club'),
+      translate(language, 'export.licence'),
+      translate(language, 'export.poule_column')
+    ];
     ['A', 'B', 'C', 'D', 'E', 'F'].forEach(col => {
       const cell = worksheet.getCell(`${col}${currentRow}`);
       cell.font = { bold: true };
@@ -1339,7 +1364,7 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
         player.first_name,
         player.club || '',
         player.licence,
-        `Poule ${pouleNum}`
+        translate(language, 'export.poule', { number: pouleNum })
       ];
 
       if (player.isNew) {
@@ -1366,7 +1391,7 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     ];
 
     // ============= SECOND WORKSHEET: CONVOCATION =============
-    const convocationSheet = workbook.addWorksheet('Convocation');
+    const convocationSheet = workbook.addWorksheet(translate(language, 'export.convocation'));
 
     // Get game parameters for this category
     let gameParams = null;
@@ -1389,25 +1414,17 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     } else {
       try {
         const rankingResult = await db.query(`
-          SELECT r.licence, r.rank_position,
-            COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
-              JOIN tournaments t ON tr.tournament_id = t.id
-              WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-              AND t.category_id = r.category_id AND t.season = r.season
-              AND t.tournament_number <= 3), 0) as cumulated_points,
-            COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
-              JOIN tournaments t ON tr.tournament_id = t.id
-              WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-              AND t.category_id = r.category_id AND t.season = r.season
-              AND t.tournament_number <= 3), 0) as cumulated_reprises
+          SELECT r.licence, r.rank_position, r.avg_moyenne,
+            COALESCE(r.cumulated_points, 0) as cumulated_points,
+            COALESCE(r.cumulated_reprises, 0) as cumulated_reprises
           FROM rankings r WHERE r.category_id = $1 AND r.season = $2
         `, [category.id, season]);
 
         rankingResult.rows.forEach(row => {
           const moyenne = row.cumulated_reprises > 0
-            ? (row.cumulated_points / row.cumulated_reprises).toFixed(3)
+            ? (Number(row.avg_moyenne) || 0).toFixed(3)
             : '-';
-          rankingData[row.licence.replace(/\s/g, '')] = {
+          rankingData[normalizeLicence(row.licence)] = {
             rank: row.rank_position,
             moyenne: moyenne
           };
@@ -1445,22 +1462,25 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     if (gameParams) {
       convRow++;
       const distance = gameParams.distance_reduite || gameParams.distance_normale;
-      const coinLabel = gameParams.coin === 'GC' ? 'Grand Coin' : 'Petit Coin';
+      const coinLabel = translate(language, gameParams.coin === 'GC' ? 'pdf.grand_coin' : 'pdf.petit_coin');
 
       convocationSheet.mergeCells(`A${convRow}:H${convRow}`);
-      convocationSheet.getCell(`A${convRow}`).value = `${distance} points  /  ${coinLabel}  /  en ${gameParams.reprises} reprises`;
+      convocationSheet.getCell(`A${convRow}`).value = translate(language, 'pdf.game_params', { distance, coin: coinLabel, reprises: gameParams.reprises });
       convocationSheet.getCell(`A${convRow}`).font = { size: 11, bold: true };
       convocationSheet.getCell(`A${convRow}`).alignment = { horizontal: 'center' };
       convRow++;
 
       convocationSheet.mergeCells(`A${convRow}:H${convRow}`);
-      convocationSheet.getCell(`A${convRow}`).value = `La moyenne qualificative pour cette catégorie est entre ${parseFloat(gameParams.moyenne_mini).toFixed(3)} et ${parseFloat(gameParams.moyenne_maxi).toFixed(3)}`;
+      convocationSheet.getCell(`A${convRow}`).value = translate(language, 'pdf.average_range', {
+        min: parseFloat(gameParams.moyenne_mini).toFixed(3),
+        max: parseFloat(gameParams.moyenne_maxi).toFixed(3)
+      });
       convocationSheet.getCell(`A${convRow}`).font = { size: 10, italic: true, color: { argb: 'FF666666' } };
       convocationSheet.getCell(`A${convRow}`).alignment = { horizontal: 'center' };
       convRow++;
 
       convocationSheet.mergeCells(`A${convRow}:H${convRow}`);
-      convocationSheet.getCell(`A${convRow}`).value = `Les colonnes Moyenne et Classement en face du nom de chaque joueur correspondent aux positions cumulées à la suite du dernier tournoi joué`;
+      convocationSheet.getCell(`A${convRow}`).value = translate(language, 'pdf.ranking_columns');
       convocationSheet.getCell(`A${convRow}`).font = { size: 9, italic: true, color: { argb: 'FF666666' } };
       convocationSheet.getCell(`A${convRow}`).alignment = { horizontal: 'center' };
       convRow++;
@@ -1472,7 +1492,7 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
     poules.forEach((poule) => {
       // Poule header
       convocationSheet.mergeCells(`A${convRow}:H${convRow}`);
-      convocationSheet.getCell(`A${convRow}`).value = `POULE ${poule.number}`;
+      convocationSheet.getCell(`A${convRow}`).value = translate(language, 'pdf.poule', { number: poule.number });
       convocationSheet.getCell(`A${convRow}`).font = { size: 12, bold: true, color: { argb: 'FFFFFFFF' } };
       convocationSheet.getCell(`A${convRow}`).fill = {
         type: 'pattern',
@@ -1484,7 +1504,15 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
       convRow++;
 
       // Column headers
-      const headers = ['#', 'Nom', 'Prénom', 'Club', 'Licence', 'Moy.', 'Class.'];
+      const headers = [
+        '#',
+        translate(language, 'export.last_name'),
+        translate(language, 'export.first_name'),
+        translate(language, 'export.club'),
+        translate(language, 'export.licence'),
+        translate(language, 'pdf.col_average'),
+        translate(language, 'pdf.col_rank')
+      ];
       const headerCols = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
       headerCols.forEach((col, idx) => {
         convocationSheet.getCell(`${col}${convRow}`).value = headers[idx];
@@ -1500,7 +1528,7 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
 
       // Players in poule
       poule.players.forEach((player, idx) => {
-        const licenceKey = (player.licence || '').replace(/\s/g, '');
+        const licenceKey = normalizeLicence(player.licence);
         const playerRanking = rankingData[licenceKey] || {};
 
         convocationSheet.getCell(`A${convRow}`).value = idx + 1;
@@ -1556,40 +1584,6 @@ router.post('/generate-poules', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to generate match schedule based on poule size
-function generateMatchSchedule(pouleSize) {
-  if (pouleSize === 3) {
-    return [
-      { player1: 2, player2: 3, description: 'Joueur 2 vs Joueur 3' },
-      { player1: 1, player2: 0, description: 'Joueur 1 vs Perdant Match 1', dynamic: true },
-      { player1: 1, player2: 0, description: 'Joueur 1 vs Gagnant Match 1', dynamic: true }
-    ];
-  } else if (pouleSize === 4) {
-    return [
-      { player1: 1, player2: 4, description: 'Joueur 1 vs Joueur 4' },
-      { player1: 2, player2: 3, description: 'Joueur 2 vs Joueur 3' },
-      { player1: 0, player2: 0, description: 'Perdants Match 1 et 2', dynamic: true },
-      { player1: 0, player2: 0, description: 'Gagnants Match 1 et 2', dynamic: true }
-    ];
-  } else if (pouleSize === 5) {
-    return [
-      { player1: 1, player2: 5, description: 'Joueur 1 vs Joueur 5' },
-      { player1: 2, player2: 4, description: 'Joueur 2 vs Joueur 4' },
-      { player1: 3, player2: 0, description: 'Joueur 3 vs Perdant Match 1', dynamic: true },
-      { player1: 3, player2: 0, description: 'Joueur 3 vs Perdant Match 2', dynamic: true },
-      { player1: 0, player2: 0, description: 'Gagnants Match 1 et 2', dynamic: true }
-    ];
-  }
-  // Default: round-robin for other sizes
-  const matches = [];
-  for (let i = 1; i <= pouleSize; i++) {
-    for (let j = i + 1; j <= pouleSize; j++) {
-      matches.push({ player1: i, player2: j });
-    }
-  }
-  return matches;
-}
-
 // Create a new tournament (admin only)
 router.post('/tournoi', authenticateToken, async (req, res) => {
   // Check admin role
@@ -1645,7 +1639,11 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
   }
 
   const { id } = req.params;
-  const { nom, mode, categorie, taille, debut, fin, grand_coin, taille_cadre, lieu, status, notify_on_changes } = req.body;
+  const { nom, mode, categorie, taille, debut, fin, grand_coin, taille_cadre, lieu, status, notify_on_changes, max_players, waitlist_order } = req.body;
+
+  if (waitlist_order !== undefined && !WAITLIST_ORDERS.includes(waitlist_order)) {
+    return res.status(400).json({ error: `Ordre de liste d'attente invalide (${WAITLIST_ORDERS.join(', ')})` });
+  }
 
   try {
     // Get current tournament data to detect date change
@@ -1686,16 +1684,20 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
         taille_cadre = $8,
         lieu = $9,
         status = $10,
-        notify_on_changes = $11
-      WHERE tournoi_id = $12
+        notify_on_changes = $11,
+        max_players = $12,
+        waitlist_order = $13
+      WHERE tournoi_id = $14
     `;
 
     // Determine new status and notify_on_changes values
     const newStatus = status !== undefined ? status : (currentTournament.status || 'active');
     const newNotifyOnChanges = notify_on_changes !== undefined ? notify_on_changes : (currentTournament.notify_on_changes !== false);
+    const newMaxPlayers = max_players !== undefined ? (parseInt(max_players, 10) || null) : currentTournament.max_players;
+    const newWaitlistOrder = waitlist_order || currentTournament.waitlist_order || 'timestamp';
 
     await new Promise((resolve, reject) => {
-      db.run(query, [nom, mode, categorie, taille || null, debut || null, fin || null, grand_coin || 0, taille_cadre, lieu, newStatus, newNotifyOnChanges, id], function(err) {
+      db.run(query, [nom, mode, categorie, taille || null, debut || null, fin || null, grand_coin || 0, taille_cadre, lieu, newStatus, newNotifyOnChanges, newMaxPlayers, newWaitlistOrder, id], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
@@ -1766,9 +1768,9 @@ router.put('/tournoi/:id', authenticateToken, async (req, res) => {
  * Send email notifications to inscribed players when tournament date or location changes
  */
 async function sendTournamentChangeNotifications(tournoiId, oldTournament, newData, changes) {
-  const resend = getResend();
-  if (!resend) {
-    console.log('[Tournament Change] Resend not configured, skipping notifications');
+  const mailer = getMailTransport();
+  if (!mailer) {
+    console.log('[Tournament Change] Email not configured, skipping notifications');
     return 0;
   }
 
@@ -1781,7 +1783,7 @@ async function sendTournamentChangeNotifications(tournoiId, oldTournament, newDa
         SELECT i.*, p.first_name, p.last_name,
                COALESCE(i.email, p.email) as player_email
         FROM inscriptions i
-        LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+        LEFT JOIN players p ON i.licence = p.licence
         WHERE i.tournoi_id = $1
           AND COALESCE(i.email, p.email) IS NOT NULL
           AND COALESCE(i.email, p.email) LIKE '%@%'
@@ -1911,7 +1913,7 @@ async function sendTournamentChangeNotifications(tournoiId, oldTournament, newDa
       `;
 
       try {
-        await resend.emails.send({
+        await mailer.send({
           from: 'CDBHS <convocations@cdbhs.net>',
           to: inscription.player_email,
           subject: emailSubject,
@@ -1971,78 +1973,73 @@ router.put('/:id', authenticateToken, (req, res) => {
   });
 });
 
-// Desinscription - mark a player as désinscrit (all users can do this, pre-convocation)
-// This is different from forfait which is only used after official convocation
-router.put('/:id/desinscription', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { statut } = req.body; // 'désinscrit' or 'inscrit' (to undo)
-
-  const newStatut = statut || 'désinscrit';
+/**
+ * Change the statut of an inscription ('désinscrit', or 'inscrit' to undo)
+ * Shared by the admin désinscription and the decline link of the convocations:
+ * a désinscription sends its confirmation email and, for a convoked player,
+ * looks for the first player of the waiting list
+ * @returns {Promise<{inscription, emailSent, replacement}|null>} null when the inscription does not exist
+ */
+async function updateInscriptionStatut(id, newStatut) {
+  // Get inscription details with player and tournament info for the email
+  const inscriptionDetails = await new Promise((resolve, reject) => {
+    db.get(`
+      SELECT i.*, t.nom as tournoi_nom, t.mode, t.categorie, t.debut, t.lieu,
+             p.first_name, p.last_name
+      FROM inscriptions i
+      LEFT JOIN tournoi_ext t ON i.tournoi_id = t.tournoi_id
+      LEFT JOIN players p ON i.licence = p.licence
+      WHERE i.inscription_id = $1
+    `, [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
 
-  if (!['inscrit', 'désinscrit'].includes(newStatut)) {
-    return res.status(400).json({ error: 'Statut invalide. Utilisez "inscrit" ou "désinscrit".' });
+  if (!inscriptionDetails) {
+    return null;
   }
 
-  try {
-    // Get inscription details with player and tournament info for the email
-    const inscriptionDetails = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT i.*, t.nom as tournoi_nom, t.mode, t.categorie, t.debut, t.lieu,
-               p.first_name, p.last_name
-        FROM inscriptions i
-        LEFT JOIN tournoi_ext t ON i.tournoi_id = t.tournoi_id
-        LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-        WHERE i.inscription_id = $1
-      `, [id], (err, row) => {
+  // Update the statut
+  await new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE inscriptions SET statut = $1 WHERE inscription_id = $2`,
+      [newStatut, id],
+      function(err) {
         if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    if (!inscriptionDetails) {
-      return res.status(404).json({ error: 'Inscription not found' });
-    }
-
-    // Update the statut
-    await new Promise((resolve, reject) => {
-      db.run(
-        `UPDATE inscriptions SET statut = $1 WHERE inscription_id = $2`,
-        [newStatut, id],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
-    });
-
-    // Send cancellation email if marking as désinscrit and player has email
-    if (newStatut === 'désinscrit' && inscriptionDetails.email) {
-      const resend = getResend();
-      if (resend) {
-        try {
-          // Load email settings for dynamic branding
-          const emailSettings = await appSettings.getSettingsBatch([
-            'email_noreply',
-            'email_sender_name',
-            'organization_name',
-            'summary_email'
-          ]);
-          const senderName = emailSettings.email_sender_name || 'CDB';
-          const senderEmail = emailSettings.email_noreply || 'noreply@cdbhs.net';
-          const orgName = emailSettings.organization_name || 'Comité Départemental de Billard';
-          const contactEmail = emailSettings.summary_email || '';
-
-          const dateStr = inscriptionDetails.debut
-            ? new Date(inscriptionDetails.debut).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
-            : 'Date à définir';
-
-          const playerName = inscriptionDetails.first_name && inscriptionDetails.last_name
-            ? `${inscriptionDetails.first_name} ${inscriptionDetails.last_name}`
-            : 'Joueur';
-
-          const tournamentName = inscriptionDetails.tournoi_nom || `${inscriptionDetails.mode || ''} ${inscriptionDetails.categorie || ''}`.trim();
+        else resolve(this.changes);
+      }
+    );
+  });
 
-          const emailBody = `Bonjour ${playerName},
+  // Send cancellation email if marking as désinscrit and player has email
+  if (newStatut === 'désinscrit' && inscriptionDetails.email) {
+    const mailer = getMailTransport();
+    if (mailer) {
+      try {
+        // Load email settings for dynamic branding
+        const emailSettings = await appSettings.getSettingsBatch([
+          'email_noreply',
+          'email_sender_name',
+          'organization_name',
+          'summary_email'
+        ]);
+        const senderName = emailSettings.email_sender_name || 'CDB';
+        const senderEmail = emailSettings.email_noreply || 'noreply@cdbhs.net';
+        const orgName = emailSettings.organization_name || 'Comité Départemental de Billard';
+        const contactEmail = emailSettings.summary_email || '';
+
+        const dateStr = inscriptionDetails.debut
+          ? new Date(inscriptionDetails.debut).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+          : 'Date à définir';
+
+        const playerName = inscriptionDetails.first_name && inscriptionDetails.last_name
+          ? `${inscriptionDetails.first_name} ${inscriptionDetails.last_name}`
+          : 'Joueur';
+
+        const tournamentName = inscriptionDetails.tournoi_nom || `${inscriptionDetails.mode || ''} ${inscriptionDetails.categorie || ''}`.trim();
+
+        const emailBody = `Bonjour ${playerName},
 
 Nous avons bien pris en compte votre désinscription du tournoi suivant :
 
@@ -2057,33 +2054,83 @@ Si cette désinscription est une erreur, veuillez contacter le comité via "Cont
 Sportivement,
 ${orgName}`;
 
-          await resend.emails.send({
-            from: `${senderName} <${senderEmail}>`,
-            replyTo: contactEmail || undefined,
-            to: [inscriptionDetails.email],
-            subject: `Confirmation de désinscription - ${inscriptionDetails.mode || ''} ${inscriptionDetails.categorie || ''}`,
-            html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <div style="background: #dc3545; color: white; padding: 20px; text-align: center;">
-                <h2 style="margin: 0;">Désinscription confirmée</h2>
-              </div>
-              <div style="padding: 20px; background: #f8f9fa;">
-                ${emailBody.replace(/\n/g, '<br>')}
-              </div>
-            </div>`
-          });
-          console.log(`Desinscription email sent to ${inscriptionDetails.email}`);
-        } catch (emailError) {
-          console.error('Error sending desinscription email:', emailError);
-          // Don't fail the desinscription if email fails
-        }
+        await mailer.send({
+          from: `${senderName} <${senderEmail}>`,
+          replyTo: contactEmail || undefined,
+          to: [inscriptionDetails.email],
+          subject: `Confirmation de désinscription - ${inscriptionDetails.mode || ''} ${inscriptionDetails.categorie || ''}`,
+          html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: #dc3545; color: white; padding: 20px; text-align: center;">
+              <h2 style="margin: 0;">Désinscription confirmée</h2>
+            </div>
+            <div style="padding: 20px; background: #f8f9fa;">
+              ${emailBody.replace(/\n/g, '<br>')}
+            </div>
+          </div>`
+        });
+        console.log(`Desinscription email sent to ${inscriptionDetails.email}`);
+      } catch (emailError) {
+        console.error('Error sending desinscription email:', emailError);
+        // Don't fail the desinscription if email fails
       }
     }
+  }
+
+  // A convoked player leaves a place in the poules: propose the first waiting player
+  // (the admin confirms it through POST /api/email/poules/:tournoiId/replace)
+  let replacement = null;
+  if (newStatut === 'désinscrit' && inscriptionDetails.convoque === 1) {
+    try {
+      const tournoiResult = await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [inscriptionDetails.tournoi_id]);
+      const plan = tournoiResult.rows[0] ? await planReplacement(tournoiResult.rows[0], inscriptionDetails.licence) : null;
+      if (plan && plan.replacement) {
+        replacement = {
+          tournoi_id: inscriptionDetails.tournoi_id,
+          withdrawn: plan.withdrawn,
+          candidate: {
+            licence: plan.replacement.licence,
+            name: `${plan.replacement.first_name} ${plan.replacement.last_name}`.trim(),
+            club: plan.replacement.club,
+            waitlist_position: plan.replacement.waitlist_position
+          }
+        };
+      }
+    } catch (planError) {
+      console.error('Error looking for a waiting list replacement:', planError);
+    }
+  }
+
+  return {
+    inscription: inscriptionDetails,
+    emailSent: newStatut === 'désinscrit' && !!inscriptionDetails.email,
+    replacement
+  };
+}
+
+// Desinscription - mark a player as désinscrit (all users can do this, pre-convocation)
+// This is different from forfait which is only used after official convocation
+router.put('/:id/desinscription', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { statut } = req.body; // 'désinscrit' or 'inscrit' (to undo)
+
+  const newStatut = statut || 'désinscrit';
+
+  if (!['inscrit', 'désinscrit'].includes(newStatut)) {
+    return res.status(400).json({ error: 'Statut invalide. Utilisez "inscrit" ou "désinscrit".' });
+  }
+
+  try {
+    const outcome = await updateInscriptionStatut(id, newStatut);
+    if (!outcome) {
+      return res.status(404).json({ error: 'Inscription not found' });
+    }
 
     res.json({
       success: true,
       message: newStatut === 'désinscrit' ? 'Joueur désinscrit' : 'Inscription rétablie',
       statut: newStatut,
-      emailSent: newStatut === 'désinscrit' && !!inscriptionDetails.email
+      emailSent: outcome.emailSent,
+      replacement: outcome.replacement
     });
 
   } catch (err) {
@@ -2103,7 +2150,7 @@ router.put('/:id/reintegrate', authenticateToken, async (req, res) => {
         SELECT i.inscription_id, i.licence, i.tournoi_id, i.forfait,
                p.first_name, p.last_name, p.club
         FROM inscriptions i
-        LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+        LEFT JOIN players p ON i.licence = p.licence
         WHERE i.inscription_id = $1
       `, [id], (err, row) => {
         if (err) reject(err);
@@ -2232,7 +2279,7 @@ router.post('/create-test-finale', authenticateToken, async (req, res) => {
       db.all(`
         SELECT DISTINCT p.licence, p.first_name, p.last_name, p.club, r.rank_position
         FROM players p
-        INNER JOIN rankings r ON REPLACE(p.licence, ' ', '') = REPLACE(r.licence, ' ', '')
+        INNER JOIN rankings r ON p.licence = r.licence
         WHERE r.category_id = $1 AND r.season = '2025-2026'
         ORDER BY r.rank_position ASC
         LIMIT 6
@@ -2526,7 +2573,7 @@ router.get('/upcoming-relances', authenticateToken, async (req, res) => {
         const numFinalists = rankings.length >= qualificationSettings.threshold
           ? qualificationSettings.large
           : qualificationSettings.small;
-        const finalistLicences = rankings.slice(0, numFinalists).map(r => r.licence?.replace(/\s/g, ''));
+        const finalistLicences = rankings.slice(0, numFinalists).map(r => normalizeLicence(r.licence));
 
         // Get inscriptions for this tournament (non-forfait)
         const inscriptions = await new Promise((resolve, reject) => {
@@ -2541,7 +2588,7 @@ router.get('/upcoming-relances', authenticateToken, async (req, res) => {
         });
 
         // Count how many finalists are inscribed
-        const inscribedLicences = inscriptions.map(i => i.licence?.replace(/\s/g, ''));
+        const inscribedLicences = inscriptions.map(i => normalizeLicence(i.licence));
         const inscribedFinalistCount = finalistLicences.filter(l => inscribedLicences.includes(l)).length;
 
         return {
@@ -2708,6 +2755,335 @@ router.get('/relances', authenticateToken, async (req, res) => {
   }
 });
 
+// ==================== WAITING LIST ====================
+
+/**
+ * GET /api/inscriptions/tournoi/:id/waiting-list
+ * Players holding a place and players waiting for one (capacity tournoi_ext.max_players)
+ */
+router.get('/tournoi/:id/waiting-list', authenticateToken, async (req, res) => {
+  try {
+    const tournoiResult = await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [req.params.id]);
+    const tournoi = tournoiResult.rows[0];
+    if (!tournoi) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    const list = await getWaitingList(tournoi);
+    const toPlayer = (p) => ({
+      inscription_id: p.inscription_id,
+      licence: p.licence,
+      first_name: p.first_name,
+      last_name: p.last_name,
+      club: p.club,
+      timestamp: p.timestamp,
+      convoque: p.convoque === 1,
+      seed: p.seed || null,
+      waitlist_position: p.waitlist_position || null
+    });
+
+    res.json({
+      tournoi_id: tournoi.tournoi_id,
+      capacity: list.capacity,
+      order: list.order,
+      convocation_sent: list.convocationSent,
+      confirmed: list.confirmed.map(toPlayer),
+      waiting: list.waiting.map(toPlayer)
+    });
+  } catch (error) {
+    console.error('Error fetching waiting list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== POULE GENERATION ====================
+
+/**
+ * POST /api/inscriptions/tournoi/:id/poules
+ * Compose the poules of a tournament (seeding, serpentine, club / top seeds constraints)
+ * Body: { licences?: string[], avoidSameClub?: boolean, keepTopSeedsApart?: boolean, maxSeedGap?: number }
+ * Without licences, every inscription that is not forfait nor désinscrit is used.
+ * Returns the poules and the explanation of every swap made to respect the constraints.
+ */
+router.post('/tournoi/:id/poules', authenticateToken, async (req, res) => {
+  const { licences, avoidSameClub, keepTopSeedsApart, maxSeedGap, venues } = req.body;
+
+  if (licences !== undefined && !Array.isArray(licences)) {
+    return res.status(400).json({ error: 'licences doit être une liste de licences' });
+  }
+  const venuesError = validateVenues(venues);
+  if (venuesError) {
+    return res.status(400).json({ error: venuesError });
+  }
+  if (maxSeedGap !== undefined && (!Number.isInteger(maxSeedGap) || maxSeedGap < 1)) {
+    return res.status(400).json({ error: 'maxSeedGap doit être un entier >= 1' });
+  }
+
+  try {
+    const tournoiResult = await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [req.params.id]);
+    const tournoi = tournoiResult.rows[0];
+    if (!tournoi) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    // Without an explicit selection, the players on the waiting list are left out
+    let selection = licences;
+    if (selection === undefined && tournoi.max_players) {
+      selection = (await getWaitingList(tournoi)).confirmed.map(p => p.licence);
+    }
+
+    const generation = await generatePoules(tournoi, { licences: selection, avoidSameClub, keepTopSeedsApart, maxSeedGap, venues });
+    if (generation.player_count < 3) {
+      return res.status(400).json({
+        error: `Pas assez de joueurs (${generation.player_count}/3 minimum)`,
+        player_count: generation.player_count
+      });
+    }
+
+    res.json(generation);
+  } catch (error) {
+    console.error('Error generating poules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Spread poules over venues and start times within the clubs' table inventory
+ * POST /api/inscriptions/tournoi/:id/venue-plan
+ * Body: { poules: [{ number, size }], venues?: [{ club_id, start_time }] }
+ * Used when the venues of the day change after the generation
+ */
+router.post('/tournoi/:id/venue-plan', authenticateToken, async (req, res) => {
+  const { poules, venues } = req.body;
+
+  if (!Array.isArray(poules) || poules.some(p => !Number.isInteger(p.number) || !Number.isInteger(p.size) || p.size < 1)) {
+    return res.status(400).json({ error: 'poules doit être une liste de { number, size }' });
+  }
+  const venuesError = validateVenues(venues);
+  if (venuesError) {
+    return res.status(400).json({ error: venuesError });
+  }
+
+  try {
+    const tournoiResult = await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [req.params.id]);
+    const tournoi = tournoiResult.rows[0];
+    if (!tournoi) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    res.json(await planTournamentVenues(tournoi, poules, venues));
+  } catch (error) {
+    console.error('Error planning venues:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== CONVOCATION RESPONSES ====================
+// Public routes behind the signed confirm/decline links of the convocations (no login)
+
+async function getResponseInscription(payload) {
+  const result = await db.query(`
+    SELECT i.inscription_id, i.licence, i.tournoi_id, i.statut, i.forfait, i.convoque,
+           i.convocation_poule, i.convocation_lieu, i.convocation_adresse, i.convocation_heure,
+           i.convocation_response, i.convocation_response_at,
+           t.nom as tournoi_nom, t.mode, t.categorie, t.debut,
+           p.first_name, p.last_name
+    FROM inscriptions i
+    JOIN tournoi_ext t ON i.tournoi_id = t.tournoi_id
+    LEFT JOIN players p ON i.licence = p.licence
+    WHERE i.inscription_id = $1 AND i.tournoi_id = $2 AND i.licence = $3
+  `, [payload.inscription_id, payload.tournoi_id, normalizeLicence(payload.licence)]);
+  return result.rows[0] || null;
+}
+
+function formatResponseInscription(inscription) {
+  return {
+    player_name: `${inscription.first_name || ''} ${inscription.last_name || ''}`.trim(),
+    tournament: {
+      nom: inscription.tournoi_nom,
+      mode: inscription.mode,
+      categorie: inscription.categorie,
+      date: inscription.debut
+    },
+    convocation: {
+      poule: inscription.convocation_poule,
+      lieu: inscription.convocation_lieu,
+      adresse: inscription.convocation_adresse,
+      heure: inscription.convocation_heure
+    },
+    cancelled: inscription.statut === 'désinscrit' || inscription.forfait === 1,
+    response: inscription.convocation_response,
+    response_at: inscription.convocation_response_at
+  };
+}
+
+/**
+ * Convocation behind a confirm/decline link
+ * GET /api/inscriptions/convocation-response/:token
+ */
+router.get('/convocation-response/:token', async (req, res) => {
+  const payload = verifyResponseToken(req.params.token);
+  if (!payload) {
+    return res.status(410).json({ error: 'Lien invalide ou expiré' });
+  }
+
+  try {
+    const inscription = await getResponseInscription(payload);
+    if (!inscription) {
+      return res.status(404).json({ error: 'Inscription introuvable' });
+    }
+    res.json(formatResponseInscription(inscription));
+  } catch (error) {
+    console.error('Error loading convocation response:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Record the player's answer to their convocation
+ * POST /api/inscriptions/convocation-response/:token
+ * Body: { action: 'confirm' | 'decline' }
+ * A decline is a désinscription, through the same path as PUT /:id/desinscription
+ */
+router.post('/convocation-response/:token', async (req, res) => {
+  const { action } = req.body;
+  const payload = verifyResponseToken(req.params.token);
+  if (!payload) {
+    return res.status(410).json({ error: 'Lien invalide ou expiré' });
+  }
+  if (!RESPONSE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: 'Action invalide. Utilisez "confirm" ou "decline".' });
+  }
+
+  try {
+    const inscription = await getResponseInscription(payload);
+    if (!inscription) {
+      return res.status(404).json({ error: 'Inscription introuvable' });
+    }
+
+    const cancelled = inscription.statut === 'désinscrit' || inscription.forfait === 1;
+    if (cancelled) {
+      if (action === 'decline') {
+        return res.json({ success: true, ...formatResponseInscription(inscription) });
+      }
+      return res.status(409).json({
+        error: 'Votre inscription a déjà été annulée. Contactez le comité pour être réinscrit.',
+        ...formatResponseInscription(inscription)
+      });
+    }
+
+    // The waiting list candidate is proposed to the admin in GET /convocation-responses
+    if (action === 'decline') {
+      await updateInscriptionStatut(inscription.inscription_id, 'désinscrit');
+    }
+
+    await db.query(`
+      UPDATE inscriptions SET convocation_response = $1, convocation_response_at = CURRENT_TIMESTAMP
+      WHERE inscription_id = $2
+    `, [action === 'confirm' ? 'confirmed' : 'declined', inscription.inscription_id]);
+
+    const updated = await getResponseInscription(payload);
+    res.json({ success: true, ...formatResponseInscription(updated) });
+  } catch (error) {
+    console.error('Error recording convocation response:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Convocation responses of the upcoming tournaments (dashboard)
+ * GET /api/inscriptions/convocation-responses
+ * Returns, for each tournament whose convocations were sent, the counts, the players who did not answer
+ * and the players who withdrew but are still in the poules, with the waiting list candidate to replace them
+ * (confirmed through POST /api/email/poules/:tournoiId/replace)
+ */
+router.get('/convocation-responses', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT t.tournoi_id, t.nom, t.mode, t.categorie, t.debut,
+             i.inscription_id, i.licence, i.statut, i.forfait, i.convocation_response,
+             COALESCE(p.first_name, pc.first_name, '') as first_name,
+             COALESCE(p.last_name, pc.last_name, '') as last_name,
+             COALESCE(p.club, pc.club, '') as club,
+             COALESCE(NULLIF(i.email, ''), pc.email) as email,
+             i.telephone
+      FROM tournoi_ext t
+      JOIN inscriptions i ON i.tournoi_id = t.tournoi_id AND i.convoque = 1
+      LEFT JOIN players p ON i.licence = p.licence
+      LEFT JOIN player_contacts pc ON i.licence = pc.licence
+      WHERE t.convocation_sent_at IS NOT NULL
+        AND t.debut >= CURRENT_DATE
+      ORDER BY t.debut, t.tournoi_id, last_name, first_name
+    `);
+
+    const tournaments = [];
+    const byId = {};
+    result.rows.forEach(row => {
+      if (!byId[row.tournoi_id]) {
+        byId[row.tournoi_id] = {
+          tournoi_id: row.tournoi_id,
+          nom: row.nom,
+          mode: row.mode,
+          categorie: row.categorie,
+          debut: row.debut,
+          confirmed: 0,
+          declined: 0,
+          pending: 0,
+          unconfirmed: [],
+          to_replace: []
+        };
+        tournaments.push(byId[row.tournoi_id]);
+      }
+      const tournament = byId[row.tournoi_id];
+      if (row.statut === 'désinscrit' || row.forfait === 1 || row.convocation_response === 'declined') {
+        tournament.declined++;
+        tournament.to_replace.push(row);
+      } else if (row.convocation_response === 'confirmed') {
+        tournament.confirmed++;
+      } else {
+        tournament.pending++;
+        tournament.unconfirmed.push({
+          inscription_id: row.inscription_id,
+          licence: row.licence,
+          name: `${row.first_name} ${row.last_name}`.trim(),
+          club: row.club,
+          email: row.email,
+          telephone: row.telephone
+        });
+      }
+    });
+
+    // A withdrawn player stays in the saved poules until replaced
+    for (const tournament of tournaments.filter(t => t.to_replace.length > 0)) {
+      const withdrawnRows = tournament.to_replace;
+      tournament.to_replace = [];
+      const tournoi = (await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [tournament.tournoi_id])).rows[0];
+      for (const row of withdrawnRows) {
+        const plan = await planReplacement(tournoi, row.licence);
+        if (!plan) continue;
+        tournament.to_replace.push({
+          inscription_id: row.inscription_id,
+          licence: row.licence,
+          name: `${row.first_name} ${row.last_name}`.trim(),
+          club: row.club,
+          poule_number: plan.slot.poule_number,
+          candidate: plan.replacement ? {
+            licence: plan.replacement.licence,
+            name: `${plan.replacement.first_name} ${plan.replacement.last_name}`.trim(),
+            club: plan.replacement.club,
+            waitlist_position: plan.replacement.waitlist_position
+          } : null
+        });
+      }
+    }
+
+    res.json(tournaments);
+  } catch (error) {
+    console.error('Error loading convocation responses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== POULE SIMULATION ====================
 
 /**
@@ -2751,7 +3127,7 @@ router.get('/tournoi/:id/simulation', authenticateToken, async (req, res) => {
         SELECT i.*, p.first_name, p.last_name, p.club,
                p.rank_libre, p.rank_bande, p.rank_3bandes, p.rank_cadre
         FROM inscriptions i
-        LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+        LEFT JOIN players p ON i.licence = p.licence
         WHERE i.tournoi_id = $1
       `, [req.params.id], (err, rows) => {
         if (err) reject(err);
@@ -2803,16 +3179,22 @@ router.get('/tournoi/:id/simulation', authenticateToken, async (req, res) => {
         const numFinalists = rankings.length >= qualificationSettings.threshold
           ? qualificationSettings.large
           : qualificationSettings.small;
-        const finalistLicences = rankings.slice(0, numFinalists).map(r => r.licence?.replace(/\s/g, ''));
+        const finalistLicences = rankings.slice(0, numFinalists).map(r => normalizeLicence(r.licence));
 
         // Filter inscriptions to only include finalists
         activeInscriptions = activeInscriptions.filter(i => {
-          const licenceNorm = i.licence?.replace(/\s/g, '');
+          const licenceNorm = normalizeLicence(i.licence);
           return finalistLicences.includes(licenceNorm);
         });
       }
     }
 
+    // Players on the waiting list are not in the poules
+    if (tournament.max_players) {
+      const confirmedLicences = new Set((await getWaitingList(tournament)).confirmed.map(p => normalizeLicence(p.licence)));
+      activeInscriptions = activeInscriptions.filter(i => confirmedLicences.has(normalizeLicence(i.licence)));
+    }
+
     if (activeInscriptions.length < 3) {
       return res.json({
         available: false,
@@ -2822,129 +3204,17 @@ router.get('/tournoi/:id/simulation', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get CDBHS rankings for this category (same as official poule generation)
-    // Map tournament mode to categories.game_type (same mapping as generate-poules.html)
-    const modeToGameType = {
-      'LIBRE': 'LIBRE',
-      '3BANDES': '3BANDES',
-      '3 BANDES': '3BANDES',
-      'BANDE': 'BANDE',
-      'BANDES': 'BANDE',
-      '1BANDE': 'BANDE',
-      '1 BANDE': 'BANDE',
-      'CADRE': 'CADRE'
-    };
-
-    // Categories table stores level as 'R2', 'N3', etc. (short form)
-    // No mapping needed - use rawLevel directly
-
-    const rawMode = tournament.mode?.toUpperCase();
-    const rawLevel = tournament.categorie?.toUpperCase();
-    const gameType = modeToGameType[rawMode] || rawMode;
-    const categoryLevel = rawLevel; // DB stores 'R2', 'N3', etc.
-
-    // Get season from tournament date
-    const tDate = new Date(tournament.debut);
-    const tYear = tDate.getFullYear();
-    const tMonth = tDate.getMonth();
-    const currentSeason = tMonth >= 8 ? `${tYear}-${tYear + 1}` : `${tYear - 1}-${tYear}`;
-
-    // Get category - now using mapped values that match the categories table
-    const simCategory = await new Promise((resolve, reject) => {
-      db.get(
-        `SELECT * FROM categories
-         WHERE UPPER(game_type) = $1 AND UPPER(level) = $2`,
-        [gameType, categoryLevel],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
-    });
-
-    console.log(`Simulation: mode=${rawMode}->${gameType}, categorie=${rawLevel}->${categoryLevel}, season=${currentSeason}, category found=${!!simCategory}`);
-
-    // Get CDBHS rankings for sorting
-    let cdbhsRankings = [];
-    if (simCategory) {
-      cdbhsRankings = await new Promise((resolve, reject) => {
-        db.all(
-          `SELECT r.licence, r.rank_position, p.first_name, p.last_name, p.club
-           FROM rankings r
-           LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-           WHERE r.category_id = $1 AND r.season = $2
-           ORDER BY r.rank_position ASC`,
-          [simCategory.id, currentSeason],
-          (err, rows) => {
-            if (err) reject(err);
-            else resolve(rows || []);
-          }
-        );
-      });
-      console.log(`Simulation: category_id=${simCategory.id}, found ${cdbhsRankings.length} rankings`);
-    } else {
-      console.log(`Simulation: No category found for ${gameType} ${categoryLevel}`);
-    }
-
-    // Create a map of licence -> CDBHS rank position
-    const cdbhsRankMap = {};
-    cdbhsRankings.forEach(r => {
-      const licNorm = r.licence?.replace(/\s/g, '');
-      if (licNorm) cdbhsRankMap[licNorm] = r.rank_position;
-    });
-
-    // Separate ranked and new players
-    const rankedPlayers = [];
-    const newPlayers = [];
-
-    activeInscriptions.forEach(insc => {
-      const licNorm = insc.licence?.replace(/\s/g, '');
-      const cdbhsPosition = cdbhsRankMap[licNorm];
-
-      const playerData = {
-        licence: insc.licence,
-        first_name: insc.first_name || '',
-        last_name: insc.last_name || '',
-        club: insc.club || '',
-        timestamp: insc.timestamp // Keep timestamp for sorting new players
-      };
-
-      if (cdbhsPosition) {
-        rankedPlayers.push({
-          ...playerData,
-          rank: cdbhsPosition,
-          rank_display: `#${cdbhsPosition}`,
-          isNew: false
-        });
-      } else {
-        newPlayers.push({
-          ...playerData,
-          rank: null,
-          rank_display: 'Nouveau',
-          isNew: true
-        });
-      }
-    });
-
-    // Sort ranked players by CDBHS position (ascending - #1 first)
-    rankedPlayers.sort((a, b) => a.rank - b.rank);
-
-    // Sort new players by inscription timestamp (earliest first)
-    newPlayers.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    // Combine: ranked players first, then new players by timestamp
-    const playersWithRanks = [...rankedPlayers, ...newPlayers];
-
-    // Assign final rank (1, 2, 3... for display)
-    playersWithRanks.forEach((p, idx) => {
-      p.finalRank = idx + 1;
-    });
-
-    // Get poule configuration
-    const config = getSimulationPouleConfig(playersWithRanks.length);
-
-    // Distribute players using serpentine algorithm
-    const poules = distributeSimulationSerpentine(playersWithRanks, config.poules);
+    // Same seeding and composition as the official poule generation
+    const simulationPlayers = activeInscriptions.map(insc => ({
+      licence: insc.licence,
+      first_name: insc.first_name || '',
+      last_name: insc.last_name || '',
+      club: insc.club || '',
+      timestamp: insc.timestamp
+    }));
+    const seeding = await loadSeedingData(tournament, simulationPlayers.map(p => p.licence));
+    const playersWithRanks = seedPlayers(simulationPlayers, seeding);
+    const { config, poules } = composePoules(playersWithRanks, { isFinale });
 
     res.json({
       available: true,
@@ -2981,84 +3251,6 @@ router.get('/tournoi/:id/simulation', authenticateToken, async (req, res) => {
   }
 });
 
-// Poule configuration for simulation
-const SIMULATION_POULE_CONFIG = {
-  3: { poules: [3], tables: 1 },
-  4: { poules: [4], tables: 2 },
-  5: { poules: [5], tables: 2 },
-  6: { poules: [3, 3], tables: 2 },
-  7: { poules: [3, 4], tables: 3 },
-  8: { poules: [3, 5], tables: 3 },
-  9: { poules: [3, 3, 3], tables: 3 },
-  10: { poules: [3, 3, 4], tables: 4 },
-  11: { poules: [3, 3, 5], tables: 4 },
-  12: { poules: [3, 3, 3, 3], tables: 4 },
-  13: { poules: [3, 3, 3, 4], tables: 5 },
-  14: { poules: [3, 3, 3, 5], tables: 5 },
-  15: { poules: [3, 3, 3, 3, 3], tables: 5 },
-  16: { poules: [3, 3, 3, 3, 4], tables: 6 },
-  17: { poules: [3, 3, 3, 3, 5], tables: 6 },
-  18: { poules: [3, 3, 3, 3, 3, 3], tables: 6 },
-  19: { poules: [3, 3, 3, 3, 3, 4], tables: 7 },
-  20: { poules: [3, 3, 3, 3, 3, 5], tables: 7 }
-};
-
-function getSimulationPouleConfig(numPlayers) {
-  if (numPlayers < 3) {
-    return { poules: [], tables: 0, description: 'Pas assez de joueurs' };
-  }
-  if (numPlayers > 20) {
-    const base = Math.floor(numPlayers / 3);
-    const remainder = numPlayers % 3;
-    const poules = Array(base).fill(3);
-    if (remainder === 1) {
-      poules[poules.length - 1] = 4;
-    } else if (remainder === 2) {
-      poules[poules.length - 1] = 5;
-    }
-    return {
-      poules,
-      tables: poules.length + 1,
-      description: formatSimulationPouleDescription(poules)
-    };
-  }
-  const config = SIMULATION_POULE_CONFIG[numPlayers];
-  return { ...config, description: formatSimulationPouleDescription(config.poules) };
-}
-
-function formatSimulationPouleDescription(poules) {
-  if (poules.length === 0) return '-';
-  if (poules.length === 1) return `1 poule de ${poules[0]}`;
-  const counts = {};
-  poules.forEach(size => { counts[size] = (counts[size] || 0) + 1; });
-  const parts = [];
-  Object.keys(counts).sort((a, b) => a - b).forEach(size => {
-    const count = counts[size];
-    parts.push(`${count} poule${count > 1 ? 's' : ''} de ${size}`);
-  });
-  return `${parts.join(' et ')} (${poules.length} poules)`;
-}
-
-function distributeSimulationSerpentine(players, pouleSizes) {
-  const numPoules = pouleSizes.length;
-  const poules = pouleSizes.map((size, i) => ({ number: i + 1, size, players: [] }));
-  let playerIndex = 0;
-  let round = 0;
-  while (playerIndex < players.length) {
-    const isLeftToRight = round % 2 === 0;
-    for (let i = 0; i < numPoules && playerIndex < players.length; i++) {
-      const pouleIndex = isLeftToRight ? i : (numPoules - 1 - i);
-      const poule = poules[pouleIndex];
-      if (poule.players.length < poule.size) {
-        poules[pouleIndex].players.push({ ...players[playerIndex], originalRank: playerIndex + 1 });
-        playerIndex++;
-      }
-    }
-    round++;
-  }
-  return poules;
-}
-
 // Update all past inscriptions to convoqué (admin only, one-time utility)
 router.post('/bulk-convoque-past', authenticateToken, async (req, res) => {
   if (req.user?.role !== 'admin') {
@@ -0,0 +1,862 @@
+/**
+ * Poule Matches Routes
+ *
+ * Match-by-match result entry for the poules of a tournament (tournoi_ext).
+ * The poules and their seeding come from convocation_poules, the order of play
+ * from utils/match-schedule. Aggregated tournament_results are derived from
+ * the recorded matches when the tournament is finalized.
+ *
+ * GET    /api/matches/tournois                                             - Tournaments with poules around today (live scoring)
+ * GET    /api/matches/tournoi/:tournoiId                                   - Poules, schedule, results and standings
+ * PUT    /api/matches/tournoi/:tournoiId/poules/:pouleNumber/matches/:matchNumber - Record a match result
+ * DELETE /api/matches/tournoi/:tournoiId/poules/:pouleNumber/matches/:matchNumber - Delete a match result
+ * GET    /api/matches/tournoi/:tournoiId/bracket                           - Finale knockout bracket
+ * POST   /api/matches/tournoi/:tournoiId/bracket                           - Generate the bracket from the poule results
+ * DELETE /api/matches/tournoi/:tournoiId/bracket                           - Delete the bracket
+ * PUT    /api/matches/tournoi/:tournoiId/bracket/:round/:matchNumber       - Record a bracket match result
+ * DELETE /api/matches/tournoi/:tournoiId/bracket/:round/:matchNumber       - Delete a bracket match result
+ * PUT    /api/matches/tournoi/:tournoiId/scoring                           - Distance played and handicap scoring
+ * POST   /api/matches/tournoi/:tournoiId/finalize                          - Build tournament_results and recalculate rankings
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db-loader');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const { resolveTournamentContext } = require('../utils/tournament-context');
+const { scheduleRatingRecalculation } = require('../utils/player-rating');
+const { normalizeLicence } = require('../utils/licence');
+const { DISTANCE_TYPES, loadDistanceContext, getPlayerDistance } = require('../utils/match-distance');
+const { FINALE_TOURNAMENT_NUMBER, getTournamentLabel } = require('../utils/qualifying-rounds');
+const {
+  resolvePouleMatches,
+  computeMatchPoints,
+  computeStandings,
+  getMatchOutcome
+} = require('../utils/match-schedule');
+const {
+  ROUND_LABELS,
+  seedQualifiers,
+  buildBracket,
+  resolveBracket,
+  getDependentMatches,
+  computeFinalPositions
+} = require('../utils/finale-bracket');
+const { recalculateRankings } = require('./tournaments');
+const { startImportBatch, recordUpsert, recordDeletes, recordInsert, finishImportBatch } = require('../utils/import-batch');
+
+/**
+ * Load a tournament with its poules (players ordered by seed, with the distance
+ * they play to) and recorded matches
+ * @returns {Promise<{tournoi, distances, poules: Array<{poule_number, location_name, start_time, players, records}>}|null>}
+ */
+async function loadTournamentPoules(tournoiId) {
+  const tournoiResult = await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [tournoiId]);
+  const tournoi = tournoiResult.rows[0];
+  if (!tournoi) {
+    return null;
+  }
+
+  const playersResult = await db.query(`
+    SELECT poule_number, licence, player_name, club, location_name, start_time, player_order
+    FROM convocation_poules
+    WHERE tournoi_id = $1
+    ORDER BY poule_number, player_order
+  `, [tournoiId]);
+
+  const matchesResult = await db.query(`
+    SELECT * FROM matches
+    WHERE tournoi_id = $1
+    ORDER BY poule_number, match_number
+  `, [tournoiId]);
+
+  const poulesByNumber = {};
+  playersResult.rows.forEach(row => {
+    if (!poulesByNumber[row.poule_number]) {
+      poulesByNumber[row.poule_number] = {
+        poule_number: row.poule_number,
+        location_name: row.location_name,
+        start_time: row.start_time,
+        players: [],
+        records: []
+      };
+    }
+    poulesByNumber[row.poule_number].players.push({
+      licence: row.licence,
+      player_name: row.player_name,
+      club: row.club
+    });
+  });
+
+  matchesResult.rows.forEach(row => {
+    if (poulesByNumber[row.poule_number]) {
+      poulesByNumber[row.poule_number].records.push(row);
+    }
+  });
+
+  const distances = await loadDistanceContext(tournoi, playersResult.rows.map(r => r.licence));
+  const poules = Object.values(poulesByNumber).sort((a, b) => a.poule_number - b.poule_number);
+  poules.forEach(poule => {
+    poule.players.forEach(p => Object.assign(p, getPlayerDistance(distances, p.licence)));
+  });
+
+  return { tournoi, distances, poules };
+}
+
+/**
+ * Scoring settings exposed to the live scoring page
+ */
+function describeScoring(distances) {
+  return {
+    selected_distance: distances.selectedDistance,
+    handicap: distances.handicap,
+    reference_distance: distances.referenceDistance,
+    category_distance: distances.categoryDistance
+  };
+}
+
+/**
+ * Load and resolve the finale bracket of a tournament (empty array when not generated)
+ */
+async function loadBracket(tournoiId) {
+  const result = await db.query('SELECT * FROM bracket_matches WHERE tournoi_id = $1', [tournoiId]);
+  return result.rows.length > 0 ? resolveBracket(result.rows) : [];
+}
+
+/**
+ * Validate one player's score from the request body
+ * distance: the distance to reach, set from the classification when not given
+ */
+function parsePlayerScore(score) {
+  if (!score) {
+    return null;
+  }
+  const points = parseInt(score.points, 10);
+  const reprises = parseInt(score.reprises, 10);
+  const serie = parseInt(score.serie || 0, 10);
+  const distance = score.distance ? parseInt(score.distance, 10) : null;
+
+  if ([points, reprises, serie].some(v => Number.isNaN(v) || v < 0)) {
+    return null;
+  }
+  if (reprises === 0 || Number.isNaN(distance) || distance === 0) {
+    return null;
+  }
+  return { points, reprises, serie, distance };
+}
+
+/**
+ * Distances of both players of a match (body value first, then the player's distance)
+ * @returns {{distance1, distance2, error}} error when points exceed a distance
+ */
+function resolveMatchDistances(score1, score2, player1, player2, distances) {
+  const distance1 = score1.distance || getPlayerDistance(distances, player1).distance;
+  const distance2 = score2.distance || getPlayerDistance(distances, player2).distance;
+
+  if ((distance1 && score1.points > distance1) || (distance2 && score2.points > distance2)) {
+    return { error: `Points supérieurs à la distance à atteindre (${distance1 || '-'} / ${distance2 || '-'})` };
+  }
+  return { distance1, distance2 };
+}
+
+/**
+ * GET /api/matches/tournois
+ * Tournaments with saved poules played within a few days of today, for the live scoring page
+ * Query: days (default 3) - window before/after today
+ */
+router.get('/tournois', authenticateToken, async (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 3, 60);
+
+  try {
+    const result = await db.query(`
+      SELECT t.tournoi_id, t.nom, t.mode, t.categorie, t.debut, t.lieu,
+        (SELECT COUNT(DISTINCT cp.poule_number) FROM convocation_poules cp WHERE cp.tournoi_id = t.tournoi_id) as poules_count,
+        (SELECT COUNT(*) FROM convocation_poules cp WHERE cp.tournoi_id = t.tournoi_id) as players_count,
+        (SELECT COUNT(*) FROM matches m WHERE m.tournoi_id = t.tournoi_id) as matches_played
+      FROM tournoi_ext t
+      WHERE EXISTS (SELECT 1 FROM convocation_poules cp WHERE cp.tournoi_id = t.tournoi_id)
+        AND t.debut BETWEEN CURRENT_DATE - $1::integer AND CURRENT_DATE + $1::integer
+      ORDER BY ABS(t.debut - CURRENT_DATE), t.debut, t.nom
+    `, [days]);
+
+    res.json(result.rows.map(row => ({
+      ...row,
+      poules_count: parseInt(row.poules_count, 10),
+      players_count: parseInt(row.players_count, 10),
+      matches_played: parseInt(row.matches_played, 10)
+    })));
+  } catch (error) {
+    console.error('Error fetching live tournaments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/matches/tournoi/:tournoiId
+ * Poules with their resolved schedule, recorded results and current standings
+ */
+router.get('/tournoi/:tournoiId', authenticateToken, async (req, res) => {
+  try {
+    const data = await loadTournamentPoules(req.params.tournoiId);
+    if (!data) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    const poules = data.poules.map(poule => ({
+      poule_number: poule.poule_number,
+      location_name: poule.location_name,
+      start_time: poule.start_time,
+      players: poule.players,
+      matches: resolvePouleMatches(poule.players, poule.records),
+      standings: computeStandings(poule.players, poule.records, data.distances.referenceDistance)
+    }));
+
+    const totalMatches = poules.reduce((sum, p) => sum + p.matches.length, 0);
+    const playedMatches = poules.reduce((sum, p) => sum + p.matches.filter(m => m.result).length, 0);
+
+    res.json({
+      tournoi: data.tournoi,
+      scoring: describeScoring(data.distances),
+      poules,
+      progress: { total: totalMatches, played: playedMatches }
+    });
+  } catch (error) {
+    console.error('Error fetching poule matches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/matches/tournoi/:tournoiId/poules/:pouleNumber/matches/:matchNumber
+ * Record (or correct) the result of a match
+ * Body: { player1: { points, reprises, serie, distance }, player2: { ... } } - distance is optional
+ *       (the player's distance for this tournament, see utils/match-distance)
+ */
+router.put('/tournoi/:tournoiId/poules/:pouleNumber/matches/:matchNumber', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  const pouleNumber = parseInt(req.params.pouleNumber, 10);
+  const matchNumber = parseInt(req.params.matchNumber, 10);
+
+  const score1 = parsePlayerScore(req.body.player1);
+  const score2 = parsePlayerScore(req.body.player2);
+
+  if (!score1 || !score2) {
+    return res.status(400).json({ error: 'Points, reprises et série des deux joueurs requis (reprises > 0)' });
+  }
+  if (score1.reprises !== score2.reprises) {
+    return res.status(400).json({ error: 'Les deux joueurs doivent avoir le même nombre de reprises' });
+  }
+
+  try {
+    const data = await loadTournamentPoules(tournoiId);
+    if (!data) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    const poule = data.poules.find(p => p.poule_number === pouleNumber);
+    if (!poule) {
+      return res.status(404).json({ error: 'Poule non trouvée' });
+    }
+
+    // Resolve the pairing without the match being edited, so corrections re-derive it
+    const otherRecords = poule.records.filter(r => r.match_number !== matchNumber);
+    const scheduled = resolvePouleMatches(poule.players, otherRecords)
+      .find(m => m.match_number === matchNumber);
+
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Match non trouvé dans le programme de la poule' });
+    }
+    if (!scheduled.ready) {
+      return res.status(409).json({
+        error: `Ce match dépend du résultat du match ${scheduled.depends_on.join(' et ')}`
+      });
+    }
+
+    const { distance1, distance2, error: distanceError } = resolveMatchDistances(
+      score1, score2, scheduled.player1_licence, scheduled.player2_licence, data.distances
+    );
+    if (distanceError) {
+      return res.status(400).json({ error: distanceError });
+    }
+
+    const matchPoints = computeMatchPoints(score1.points, score2.points, distance1, distance2);
+
+    // A correction must not change the winner/loser of a match later pairings were built on
+    const existing = poule.records.find(r => r.match_number === matchNumber);
+    if (existing) {
+      const seedByLicence = {};
+      poule.players.forEach((p, idx) => { seedByLicence[normalizeLicence(p.licence)] = idx + 1; });
+      const previousOutcome = getMatchOutcome(existing, seedByLicence);
+      const newOutcome = getMatchOutcome({
+        player1_licence: scheduled.player1_licence,
+        player2_licence: scheduled.player2_licence,
+        player1_match_points: matchPoints.player1,
+        player2_match_points: matchPoints.player2
+      }, seedByLicence);
+      const dependents = resolvePouleMatches(poule.players, poule.records)
+        .filter(m => m.result && m.depends_on.includes(matchNumber));
+
+      if (dependents.length > 0 && previousOutcome.winner !== newOutcome.winner) {
+        return res.status(409).json({
+          error: `Le vainqueur change : supprimez d'abord le résultat du match ${dependents.map(m => m.match_number).join(', ')}`
+        });
+      }
+    }
+
+    const result = await db.query(`
+      INSERT INTO matches (
+        tournoi_id, poule_number, match_number, player1_licence, player2_licence,
+        player1_points, player1_reprises, player1_serie, player1_match_points,
+        player2_points, player2_reprises, player2_serie, player2_match_points, entered_by,
+        player1_distance, player2_distance
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      ON CONFLICT (tournoi_id, poule_number, match_number) DO UPDATE SET
+        player1_licence = EXCLUDED.player1_licence,
+        player2_licence = EXCLUDED.player2_licence,
+        player1_points = EXCLUDED.player1_points,
+        player1_reprises = EXCLUDED.player1_reprises,
+        player1_serie = EXCLUDED.player1_serie,
+        player1_match_points = EXCLUDED.player1_match_points,
+        player2_points = EXCLUDED.player2_points,
+        player2_reprises = EXCLUDED.player2_reprises,
+        player2_serie = EXCLUDED.player2_serie,
+        player2_match_points = EXCLUDED.player2_match_points,
+        player1_distance = EXCLUDED.player1_distance,
+        player2_distance = EXCLUDED.player2_distance,
+        entered_by = EXCLUDED.entered_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      tournoiId, pouleNumber, matchNumber, scheduled.player1_licence, scheduled.player2_licence,
+      score1.points, score1.reprises, score1.serie, matchPoints.player1,
+      score2.points, score2.reprises, score2.serie, matchPoints.player2,
+      req.user?.username || null,
+      distance1, distance2
+    ]);
+
+    const records = [...otherRecords, result.rows[0]];
+
+    res.json({
+      success: true,
+      match: result.rows[0],
+      matches: resolvePouleMatches(poule.players, records),
+      standings: computeStandings(poule.players, records, data.distances.referenceDistance)
+    });
+  } catch (error) {
+    console.error('Error saving match result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/matches/tournoi/:tournoiId/poules/:pouleNumber/matches/:matchNumber
+ * Delete a match result (refused while later matches depend on it)
+ */
+router.delete('/tournoi/:tournoiId/poules/:pouleNumber/matches/:matchNumber', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  const pouleNumber = parseInt(req.params.pouleNumber, 10);
+  const matchNumber = parseInt(req.params.matchNumber, 10);
+
+  try {
+    const data = await loadTournamentPoules(tournoiId);
+    if (!data) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    const poule = data.poules.find(p => p.poule_number === pouleNumber);
+    if (!poule) {
+      return res.status(404).json({ error: 'Poule non trouvée' });
+    }
+
+    const dependents = resolvePouleMatches(poule.players, poule.records)
+      .filter(m => m.result && m.depends_on.includes(matchNumber));
+
+    if (dependents.length > 0) {
+      return res.status(409).json({
+        error: `Supprimez d'abord le résultat du match ${dependents.map(m => m.match_number).join(', ')}`
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM matches WHERE tournoi_id = $1 AND poule_number = $2 AND match_number = $3',
+      [tournoiId, pouleNumber, matchNumber]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Aucun résultat enregistré pour ce match' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting match result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/matches/tournoi/:tournoiId/bracket
+ * Finale bracket with resolved pairings and results
+ */
+router.get('/tournoi/:tournoiId/bracket', authenticateToken, async (req, res) => {
+  try {
+    const bracket = await loadBracket(req.params.tournoiId);
+
+    res.json({
+      bracket: bracket.map(m => ({ ...m, round_label: ROUND_LABELS[m.round] })),
+      complete: bracket.length > 0 && bracket.every(m => m.bye || m.winner_licence)
+    });
+  } catch (error) {
+    console.error('Error fetching bracket:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/matches/tournoi/:tournoiId/bracket
+ * Generate the finale bracket: poule winners and runners-up, seeded by rankings.rank_position
+ * Body: { qualifiersPerPoule (default 2), force } - force replaces an existing bracket
+ */
+router.post('/tournoi/:tournoiId/bracket', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  const qualifiersPerPoule = parseInt(req.body.qualifiersPerPoule, 10) || 2;
+
+  try {
+    const data = await loadTournamentPoules(tournoiId);
+    if (!data) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+    if (data.poules.length === 0) {
+      return res.status(400).json({ error: 'Aucune poule enregistrée pour ce tournoi' });
+    }
+
+    const { category, season, tournamentNumber } = await resolveTournamentContext(data.tournoi);
+    if (tournamentNumber !== FINALE_TOURNAMENT_NUMBER) {
+      return res.status(400).json({ error: 'Le tableau final ne concerne que les finales' });
+    }
+
+    const incomplete = data.poules.filter(poule =>
+      resolvePouleMatches(poule.players, poule.records).some(m => !m.result)
+    );
+    if (incomplete.length > 0) {
+      return res.status(400).json({
+        error: `Matchs de poule non terminés (poule ${incomplete.map(p => p.poule_number).join(', ')})`
+      });
+    }
+
+    const existing = await db.query('SELECT COUNT(*) as count FROM bracket_matches WHERE tournoi_id = $1', [tournoiId]);
+    if (parseInt(existing.rows[0].count, 10) > 0 && !req.body.force) {
+      return res.status(409).json({ error: 'Le tableau final existe déjà' });
+    }
+
+    // Qualifiers: top of each poule
+    const qualifiers = [];
+    data.poules.forEach(poule => {
+      computeStandings(poule.players, poule.records, data.distances.referenceDistance)
+        .slice(0, qualifiersPerPoule)
+        .forEach(s => qualifiers.push({ ...s, poule_number: poule.poule_number }));
+    });
+
+    // Seeding: poule winners against runners-up of other poules, season ranking then moyenne inside a band
+    const rankByLicence = {};
+    if (category) {
+      const rankingsResult = await db.query(`
+        SELECT licence, rank_position
+        FROM rankings
+        WHERE category_id = $1 AND season = $2
+      `, [category.id, season]);
+      rankingsResult.rows.forEach(r => { rankByLicence[r.licence] = r.rank_position; });
+    }
+
+    qualifiers.forEach(q => { q.rank_position = rankByLicence[normalizeLicence(q.licence)] || null; });
+    const seeded = seedQualifiers(qualifiers);
+
+    let matches;
+    try {
+      matches = buildBracket(seeded);
+    } catch (bracketError) {
+      return res.status(400).json({ error: bracketError.message });
+    }
+
+    // The previous bracket is only replaced once the whole new one is written
+    await db.transaction(async (tx) => {
+      await tx.query('DELETE FROM bracket_matches WHERE tournoi_id = $1', [tournoiId]);
+      for (const m of matches) {
+        await tx.query(`
+          INSERT INTO bracket_matches (tournoi_id, round, match_number, player1_licence, player2_licence, player1_seed, player2_seed)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [tournoiId, m.round, m.match_number, m.player1_licence, m.player2_licence, m.player1_seed, m.player2_seed]);
+      }
+    });
+
+    const bracket = await loadBracket(tournoiId);
+
+    res.json({
+      success: true,
+      qualifiers: seeded.map((q, idx) => ({
+        seed: idx + 1,
+        licence: q.licence,
+        player_name: q.player_name,
+        poule_number: q.poule_number,
+        poule_position: q.position,
+        rank_position: q.rank_position
+      })),
+      bracket: bracket.map(m => ({ ...m, round_label: ROUND_LABELS[m.round] }))
+    });
+  } catch (error) {
+    console.error('Error generating bracket:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/matches/tournoi/:tournoiId/bracket
+ * Delete the finale bracket and its results
+ */
+router.delete('/tournoi/:tournoiId/bracket', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM bracket_matches WHERE tournoi_id = $1', [req.params.tournoiId]);
+    res.json({ success: true, deleted: result.rowCount });
+  } catch (error) {
+    console.error('Error deleting bracket:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/matches/tournoi/:tournoiId/bracket/:round/:matchNumber
+ * Record (or correct) a bracket match result
+ * Body: { player1: { points, reprises, serie, distance }, player2: { ... }, winner } -
+ *       winner ('player1' | 'player2') is required on a draw (equal points, or equal share of the distances)
+ */
+router.put('/tournoi/:tournoiId/bracket/:round/:matchNumber', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  const round = req.params.round;
+  const matchNumber = parseInt(req.params.matchNumber, 10);
+
+  const score1 = parsePlayerScore(req.body.player1);
+  const score2 = parsePlayerScore(req.body.player2);
+
+  if (!score1 || !score2) {
+    return res.status(400).json({ error: 'Points, reprises et série des deux joueurs requis (reprises > 0)' });
+  }
+  if (score1.reprises !== score2.reprises) {
+    return res.status(400).json({ error: 'Les deux joueurs doivent avoir le même nombre de reprises' });
+  }
+
+  try {
+    const bracket = await loadBracket(tournoiId);
+    const match = bracket.find(m => m.round === round && m.match_number === matchNumber);
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match non trouvé dans le tableau final' });
+    }
+    if (!match.ready) {
+      return res.status(409).json({ error: 'Les deux joueurs de ce match ne sont pas encore connus' });
+    }
+
+    const tournoiResult = await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [tournoiId]);
+    const distances = await loadDistanceContext(tournoiResult.rows[0], [match.player1_licence, match.player2_licence]);
+    const { distance1, distance2, error: distanceError } = resolveMatchDistances(
+      score1, score2, match.player1_licence, match.player2_licence, distances
+    );
+    if (distanceError) {
+      return res.status(400).json({ error: distanceError });
+    }
+
+    const matchPoints = computeMatchPoints(score1.points, score2.points, distance1, distance2);
+    if (matchPoints.player1 === matchPoints.player2 && !['player1', 'player2'].includes(req.body.winner)) {
+      return res.status(400).json({ error: 'Égalité : indiquez le vainqueur du match' });
+    }
+
+    const player1Wins = matchPoints.player1 === matchPoints.player2
+      ? req.body.winner === 'player1'
+      : matchPoints.player1 > matchPoints.player2;
+    const winnerLicence = player1Wins ? match.player1_licence : match.player2_licence;
+
+    // A correction must not change the winner of a match later rounds were built on
+    if (match.winner_licence && match.winner_licence !== winnerLicence) {
+      const dependents = getDependentMatches(round, matchNumber)
+        .map(d => bracket.find(m => m.round === d.round && m.match_number === d.match_number))
+        .filter(m => m && m.winner_licence && !m.bye);
+
+      if (dependents.length > 0) {
+        return res.status(409).json({
+          error: `Le vainqueur change : supprimez d'abord le résultat de ${dependents.map(m => ROUND_LABELS[m.round]).join(', ')}`
+        });
+      }
+    }
+
+    await db.query(`
+      UPDATE bracket_matches SET
+        player1_licence = $1, player2_licence = $2,
+        player1_points = $3, player1_reprises = $4, player1_serie = $5, player1_match_points = $6,
+        player2_points = $7, player2_reprises = $8, player2_serie = $9, player2_match_points = $10,
+        winner_licence = $11, entered_by = $12, updated_at = CURRENT_TIMESTAMP,
+        player1_distance = $16, player2_distance = $17
+      WHERE tournoi_id = $13 AND round = $14 AND match_number = $15
+    `, [
+      match.player1_licence, match.player2_licence,
+      score1.points, score1.reprises, score1.serie, matchPoints.player1,
+      score2.points, score2.reprises, score2.serie, matchPoints.player2,
+      winnerLicence, req.user?.username || null,
+      tournoiId, round, matchNumber,
+      distance1, distance2
+    ]);
+
+    const updated = await loadBracket(tournoiId);
+    res.json({
+      success: true,
+      bracket: updated.map(m => ({ ...m, round_label: ROUND_LABELS[m.round] }))
+    });
+  } catch (error) {
+    console.error('Error saving bracket result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/matches/tournoi/:tournoiId/bracket/:round/:matchNumber
+ * Delete a bracket match result (refused while a later round depends on it)
+ */
+router.delete('/tournoi/:tournoiId/bracket/:round/:matchNumber', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  const round = req.params.round;
+  const matchNumber = parseInt(req.params.matchNumber, 10);
+
+  try {
+    const bracket = await loadBracket(tournoiId);
+    const dependents = getDependentMatches(round, matchNumber)
+      .map(d => bracket.find(m => m.round === d.round && m.match_number === d.match_number))
+      .filter(m => m && m.winner_licence && !m.bye);
+
+    if (dependents.length > 0) {
+      return res.status(409).json({
+        error: `Supprimez d'abord le résultat de ${dependents.map(m => ROUND_LABELS[m.round]).join(', ')}`
+      });
+    }
+
+    const result = await db.query(`
+      UPDATE bracket_matches SET
+        player1_points = NULL, player1_reprises = NULL, player1_serie = NULL, player1_match_points = NULL,
+        player2_points = NULL, player2_reprises = NULL, player2_serie = NULL, player2_match_points = NULL,
+        player1_distance = NULL, player2_distance = NULL,
+        winner_licence = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE tournoi_id = $1 AND round = $2 AND match_number = $3 AND winner_licence IS NOT NULL
+    `, [tournoiId, round, matchNumber]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Aucun résultat enregistré pour ce match' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting bracket result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/matches/tournoi/:tournoiId/scoring
+ * Distance played and handicap scoring (distance by classification, for mixed-level tournaments)
+ * Body: { selectedDistance: 'normale' | 'reduite', handicap: boolean }
+ * Refused once results are recorded: their match points depend on the distances
+ */
+router.put('/tournoi/:tournoiId/scoring', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+  const { selectedDistance, handicap } = req.body;
+
+  if (!DISTANCE_TYPES.includes(selectedDistance)) {
+    return res.status(400).json({ error: `Distance invalide (${DISTANCE_TYPES.join(', ')})` });
+  }
+
+  try {
+    const recorded = await db.query(`
+      SELECT (SELECT COUNT(*) FROM matches WHERE tournoi_id = $1) +
+             (SELECT COUNT(*) FROM bracket_matches WHERE tournoi_id = $1 AND player1_points IS NOT NULL) as count
+    `, [tournoiId]);
+    if (parseInt(recorded.rows[0].count, 10) > 0) {
+      return res.status(409).json({ error: 'Des résultats sont déjà saisis : supprimez-les avant de changer les distances' });
+    }
+
+    const result = await db.query(`
+      UPDATE tournoi_ext SET selected_distance = $1, handicap_distances = $2
+      WHERE tournoi_id = $3
+      RETURNING *
+    `, [selectedDistance, !!handicap, tournoiId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+
+    const data = await loadTournamentPoules(tournoiId);
+    res.json({
+      success: true,
+      scoring: describeScoring(data.distances),
+      players: data.poules.flatMap(p => p.players)
+    });
+  } catch (error) {
+    console.error('Error updating match scoring:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/matches/tournoi/:tournoiId/finalize
+ * Derive tournament_results from the recorded matches and recalculate the rankings
+ * Body: { allowIncomplete } - finalize even if some matches have no result
+ */
+router.post('/tournoi/:tournoiId/finalize', authenticateToken, requireAdmin, async (req, res) => {
+  const tournoiId = parseInt(req.params.tournoiId, 10);
+
+  try {
+    const data = await loadTournamentPoules(tournoiId);
+    if (!data) {
+      return res.status(404).json({ error: 'Tournoi non trouvé' });
+    }
+    if (data.poules.length === 0) {
+      return res.status(400).json({ error: 'Aucune poule enregistrée pour ce tournoi' });
+    }
+
+    const missing = [];
+    data.poules.forEach(poule => {
+      resolvePouleMatches(poule.players, poule.records)
+        .filter(m => !m.result)
+        .forEach(m => missing.push(`Poule ${poule.poule_number} - Match ${m.match_number}`));
+    });
+
+    // Finale bracket (if generated) adds its matches and decides the final positions
+    const bracket = await loadBracket(tournoiId);
+    const bracketRecords = bracket.filter(m => m.winner_licence && !m.bye);
+    bracket
+      .filter(m => !m.bye && !m.winner_licence)
+      .forEach(m => missing.push(`${ROUND_LABELS[m.round]} - Match ${m.match_number}`));
+
+    if (missing.length > 0 && !req.body.allowIncomplete) {
+      return res.status(400).json({ error: 'Des matchs n\'ont pas de résultat', missing });
+    }
+
+    const { category, season, tournamentNumber } = await resolveTournamentContext(data.tournoi);
+    if (!category) {
+      return res.status(400).json({ error: `Catégorie introuvable pour ${data.tournoi.mode} ${data.tournoi.categorie}` });
+    }
+    if (!tournamentNumber) {
+      return res.status(400).json({ error: `Numéro de tournoi introuvable dans "${data.tournoi.nom}"` });
+    }
+
+    // Overall standings across all poules (same order as the rankings)
+    let standings = computeStandings(
+      data.poules.flatMap(p => p.players),
+      [...data.poules.flatMap(p => p.records), ...bracketRecords],
+      data.distances.referenceDistance
+    ).filter(s => s.matches_played > 0);
+
+    if (bracket.length > 0) {
+      const positions = computeFinalPositions(bracket, standings);
+      standings = positions
+        .map(p => ({ ...standings.find(s => s.licence === p.licence), position: p.position }))
+        .filter(s => s.licence);
+    }
+
+    // The results are rewritten like an import: recorded as a batch so that rolling back an
+    // earlier import of this tournament is refused until the finalization is rolled back.
+    // All or nothing: the rankings must never be computed from partial results
+    const { importId, tournamentId } = await db.transaction(async (tx) => {
+      const importId = await startImportBatch(tx, {
+        fileType: 'finalisation',
+        recordCount: standings.length,
+        filename: data.tournoi.nom,
+        importedBy: req.user?.username
+      });
+
+      const existingTournament = await tx.query(
+        'SELECT id FROM tournaments WHERE category_id = $1 AND tournament_number = $2 AND season = $3',
+        [category.id, tournamentNumber, season]
+      );
+      if (existingTournament.rows.length > 0) {
+        await recordUpsert(tx, importId, 'tournaments', existingTournament.rows[0].id);
+      }
+
+      const tournamentResult = await tx.query(`
+        INSERT INTO tournaments (category_id, tournament_number, season, tournament_date, location)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (category_id, tournament_number, season) DO UPDATE SET
+          tournament_date = EXCLUDED.tournament_date,
+          location = COALESCE(EXCLUDED.location, tournaments.location),
+          import_date = CURRENT_TIMESTAMP
+        RETURNING id
+      `, [category.id, tournamentNumber, season, data.tournoi.debut || null, data.tournoi.lieu || null]);
+
+      const tournamentId = tournamentResult.rows[0].id;
+      if (existingTournament.rows.length === 0) {
+        await recordInsert(tx, importId, 'tournaments', tournamentId);
+      }
+
+      await recordDeletes(tx, importId, 'tournament_results', 't.tournament_id = $2', [tournamentId]);
+      await tx.query('DELETE FROM tournament_results WHERE tournament_id = $1', [tournamentId]);
+
+      for (const s of standings) {
+        const licence = normalizeLicence(s.licence);
+
+        // Same convention as the CSV import: "LASTNAME FIRSTNAME", club set by the players import
+        const nameParts = (s.player_name || '').split(' ');
+        const createdPlayer = await tx.query(`
+          INSERT INTO players (licence, first_name, last_name, club, is_active)
+          VALUES ($1, $2, $3, 'Club inconnu', 1)
+          ON CONFLICT (licence) DO NOTHING
+          RETURNING licence
+        `, [licence, nameParts.slice(1).join(' '), nameParts[0] || '']);
+        if (createdPlayer.rows.length > 0) {
+          await recordInsert(tx, importId, 'players', licence);
+        }
+
+        const insertedResult = await tx.query(`
+          INSERT INTO tournament_results (tournament_id, licence, player_name, position, match_points, moyenne, serie, points, reprises, weighted_points)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id
+        `, [tournamentId, licence, s.player_name, s.position, s.match_points, s.moyenne, s.serie, s.points, s.reprises, s.weighted_points]);
+        await recordInsert(tx, importId, 'tournament_results', insertedResult.rows[0].id);
+      }
+      await finishImportBatch(tx, importId);
+
+      return { importId, tournamentId };
+    });
+
+    let rankingReport = null;
+    if (tournamentNumber !== FINALE_TOURNAMENT_NUMBER) {
+      rankingReport = await recalculateRankings(category.id, season);
+      if (rankingReport.status === 'error') {
+        return res.status(500).json({ error: `Résultats enregistrés mais classement non recalculé: ${rankingReport.error}`, importId, rankingReport });
+      }
+    }
+
+    scheduleRatingRecalculation();
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.FINALIZE_MATCHES,
+      details: `${standings.length} joueurs, ${missing.length} match(s) sans résultat (import #${importId})`,
+      targetType: 'tournament',
+      targetId: tournamentId,
+      targetName: `${category.display_name} - ${getTournamentLabel(tournamentNumber, true)} ${season}`
+    });
+
+    res.json({
+      success: true,
+      tournamentId,
+      importId,
+      categoryId: category.id,
+      season,
+      tournamentNumber,
+      tournamentLabel: getTournamentLabel(tournamentNumber, true),
+      playersCount: standings.length,
+      missingMatches: missing,
+      rankingReport
+    });
+  } catch (error) {
+    console.error('Error finalizing poule matches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
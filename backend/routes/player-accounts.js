@@ -5,7 +5,7 @@
  *
  * GET    /api/player-accounts     - List all player accounts
  * POST   /api/player-accounts     - Create a new player account
- * PUT    /api/player-accounts/:id - Update a player account
+ * PUT    /api/player-accounts/:id - Update a player account (admin flag, password, language)
  * DELETE /api/player-accounts/:id - Delete a player account
  */
 
@@ -13,6 +13,8 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const router = express.Router();
 const db = require('../db-loader');
+const { normalizeLanguage, isSupportedLanguage } = require('../utils/i18n');
+const { normalizeLicence } = require('../utils/licence');
 
 /**
  * Load game modes with rank_column mapping from database
@@ -45,11 +47,11 @@ router.get('/', (req, res) => {
   if (all === 'true') {
     const query = `
       SELECT pa.id, pa.licence, pa.email, pa.is_admin, pa.email_verified,
-             pa.created_at, pa.last_login,
+             pa.created_at, pa.last_login, pa.language,
              CONCAT(p.first_name, ' ', p.last_name) as player_name,
              p.club
       FROM player_accounts pa
-      LEFT JOIN players p ON REPLACE(pa.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+      LEFT JOIN players p ON pa.licence = p.licence
       WHERE UPPER(pa.licence) NOT LIKE 'TEST%'
       ORDER BY pa.created_at DESC
     `;
@@ -72,11 +74,11 @@ router.get('/', (req, res) => {
 
   const query = `
     SELECT pa.id, pa.licence, pa.email, pa.is_admin, pa.email_verified,
-           pa.created_at, pa.last_login,
+           pa.created_at, pa.last_login, pa.language,
            CONCAT(p.first_name, ' ', p.last_name) as player_name,
            p.club
     FROM player_accounts pa
-    LEFT JOIN players p ON REPLACE(pa.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON pa.licence = p.licence
     WHERE UPPER(pa.licence) NOT LIKE 'TEST%'
       AND (UPPER(pa.licence) LIKE UPPER($1)
         OR UPPER(pa.email) LIKE UPPER($1)
@@ -100,7 +102,8 @@ router.get('/', (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const { licence, email, password, isAdmin } = req.body;
+    const { email, password, isAdmin } = req.body;
+    const licence = normalizeLicence(req.body.licence);
 
     if (!licence || !email || !password) {
       return res.status(400).json({ error: 'Licence, email et mot de passe requis' });
@@ -122,7 +125,7 @@ router.post('/', async (req, res) => {
 
     // Check if player exists
     db.get(
-      `SELECT * FROM players WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')`,
+      'SELECT * FROM players WHERE licence = $1',
       [licence],
       async (err, player) => {
         if (err) {
@@ -136,7 +139,7 @@ router.post('/', async (req, res) => {
 
         // Check if account already exists
         db.get(
-          `SELECT id FROM player_accounts WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '') OR LOWER(email) = LOWER($2)`,
+          'SELECT id FROM player_accounts WHERE licence = $1 OR LOWER(email) = LOWER($2)',
           [licence, email],
           async (err, existing) => {
             if (err) {
@@ -155,7 +158,7 @@ router.post('/', async (req, res) => {
             db.run(
               `INSERT INTO player_accounts (licence, email, password_hash, email_verified, is_admin)
                VALUES ($1, $2, $3, true, $4)`,
-              [licence.toUpperCase(), email, passwordHash, isAdmin || false],
+              [licence, email, passwordHash, isAdmin || false],
               function(err) {
                 if (err) {
                   console.error('Error creating account:', err);
@@ -186,14 +189,39 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   const { id } = req.params;
-  const { isAdmin, password } = req.body;
+  const { isAdmin, password, language } = req.body;
 
   // Must have at least one field to update
-  if (isAdmin === undefined && !password) {
-    return res.status(400).json({ error: 'Paramètre isAdmin ou password requis' });
+  if (isAdmin === undefined && !password && language === undefined) {
+    return res.status(400).json({ error: 'Paramètre isAdmin, password ou language requis' });
   }
 
   try {
+    // Handle language preference update (empty = French)
+    if (language !== undefined) {
+      if (language && !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: 'Langue non prise en charge' });
+      }
+
+      db.run(
+        `UPDATE player_accounts SET language = $1 WHERE id = $2`,
+        [language ? normalizeLanguage(language) : null, id],
+        function(err) {
+          if (err) {
+            console.error('Error updating player language:', err);
+            return res.status(500).json({ error: 'Erreur lors de la mise à jour de la langue' });
+          }
+
+          if (this.changes === 0) {
+            return res.status(404).json({ error: 'Compte non trouvé' });
+          }
+
+          res.json({ success: true, message: 'Langue mise à jour' });
+        }
+      );
+      return;
+    }
+
     // Handle password update
     if (password) {
       // Password validation - strong: 8+ chars, uppercase, number, special char
@@ -284,8 +312,7 @@ router.delete('/:id', (req, res) => {
  * Generate iCalendar file with tournaments for player's eligible categories
  */
 router.get('/:licence/calendar.ics', async (req, res) => {
-  const { licence } = req.params;
-  const normalizedLicence = (licence || '').replace(/\s+/g, '');
+  const normalizedLicence = normalizeLicence(req.params.licence);
 
   try {
     // Load game modes with rank_column mapping
@@ -300,7 +327,7 @@ router.get('/:licence/calendar.ics', async (req, res) => {
       db.get(`
         SELECT licence, first_name, last_name${rankColumnsSQL}
         FROM players
-        WHERE REPLACE(licence, ' ', '') = $1
+        WHERE licence = $1
       `, [normalizedLicence], (err, row) => {
         if (err) reject(err);
         else resolve(row);
@@ -581,7 +608,7 @@ router.get('/convocation/:inscriptionId/calendar.ics', async (req, res) => {
                p.first_name, p.last_name
         FROM inscriptions i
         JOIN tournoi_ext t ON i.tournoi_id = t.tournoi_id
-        LEFT JOIN players p ON REPLACE(i.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+        LEFT JOIN players p ON i.licence = p.licence
         WHERE i.inscription_id = $1
       `, [inscriptionId], (err, row) => {
         if (err) reject(err);
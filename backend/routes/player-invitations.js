@@ -5,10 +5,11 @@
  */
 
 const express = require('express');
-const { Resend } = require('resend');
+const { getMailTransport, isMailConfigured } = require('../utils/mail-transport');
 const multer = require('multer');
 const { authenticateToken, requireAdmin } = require('./auth');
 const db = require('../db-loader');
+const { normalizeLicence } = require('../utils/licence');
 const appSettings = require('../utils/app-settings');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 
@@ -74,7 +75,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         FROM player_invitations pi
         WHERE NOT EXISTS (
           SELECT 1 FROM player_accounts pa
-          WHERE REPLACE(pa.licence, ' ', '') = REPLACE(pi.licence, ' ', '')
+          WHERE pa.licence = pi.licence
         )
       `, [], (err, row) => {
         if (err) reject(err);
@@ -200,7 +201,7 @@ router.get('/candidates', authenticateToken, async (req, res) => {
     // Exclude players who already have a Player App account
     query += ` AND NOT EXISTS (
       SELECT 1 FROM player_accounts pa
-      WHERE REPLACE(pa.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+      WHERE pa.licence = pc.licence
     )`;
 
     if (club) {
@@ -434,8 +435,8 @@ router.post('/send', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Aucun joueur sélectionné' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isMailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (MAIL_TRANSPORT ou RESEND_API_KEY)' });
   }
 
   // Check if PDF guide is uploaded
@@ -450,7 +451,7 @@ router.post('/send', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Veuillez d\'abord télécharger un guide PDF dans les paramètres avant d\'envoyer des invitations.' });
   }
 
-  const resend = new Resend(process.env.RESEND_API_KEY);
+  const mailer = getMailTransport();
   const isTestMode = !!test_email;
 
   try {
@@ -596,7 +597,7 @@ router.post('/send', authenticateToken, async (req, res) => {
           }];
         }
 
-        await resend.emails.send(emailOptions);
+        await mailer.send(emailOptions);
 
         // If not test mode, record the invitation
         if (!isTestMode) {
@@ -706,7 +707,7 @@ router.post('/send', authenticateToken, async (req, res) => {
           </div>
         `;
 
-        await resend.emails.send({
+        await mailer.send({
           from: `${senderName} <${senderEmail}>`,
           replyTo: replyToEmail,
           to: [replyToEmail],
@@ -750,8 +751,8 @@ router.post('/send', authenticateToken, async (req, res) => {
 router.post('/resend/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isMailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (MAIL_TRANSPORT ou RESEND_API_KEY)' });
   }
 
   try {
@@ -788,7 +789,7 @@ router.post('/resend/:id', authenticateToken, async (req, res) => {
     });
 
     // Actually send the email using the logic from /send
-    const resend = new Resend(process.env.RESEND_API_KEY);
+    const mailer = getMailTransport();
 
     const emailSettings = await appSettings.getSettingsBatch([
       'primary_color', 'email_communication', 'email_sender_name',
@@ -896,7 +897,7 @@ router.post('/resend/:id', authenticateToken, async (req, res) => {
       }];
     }
 
-    await resend.emails.send(emailOptions);
+    await mailer.send(emailOptions);
 
     // Update resend count
     await new Promise((resolve, reject) => {
@@ -927,11 +928,11 @@ router.post('/resend-batch', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Liste des invitations requise' });
   }
 
-  if (!process.env.RESEND_API_KEY) {
-    return res.status(500).json({ error: 'Configuration email manquante (RESEND_API_KEY)' });
+  if (!isMailConfigured()) {
+    return res.status(500).json({ error: 'Configuration email manquante (MAIL_TRANSPORT ou RESEND_API_KEY)' });
   }
 
-  const resend = new Resend(process.env.RESEND_API_KEY);
+  const mailer = getMailTransport();
 
   try {
     // Get all pending invitations that match the IDs
@@ -1062,7 +1063,7 @@ router.post('/resend-batch', authenticateToken, async (req, res) => {
           }];
         }
 
-        await resend.emails.send(emailOptions);
+        await mailer.send(emailOptions);
 
         // Update resend count
         await new Promise((resolve, reject) => {
@@ -1146,7 +1147,7 @@ router.post('/sync-signups', authenticateToken, async (req, res) => {
     const accountMap = new Map();
     for (const pa of playerAccounts) {
       if (pa.licence) {
-        const normalizedLicence = pa.licence.replace(/\s+/g, '').toUpperCase();
+        const normalizedLicence = normalizeLicence(pa.licence);
         accountMap.set(normalizedLicence, pa.created_at || new Date().toISOString());
       }
     }
@@ -1156,7 +1157,7 @@ router.post('/sync-signups', authenticateToken, async (req, res) => {
     for (const inv of pendingInvitations) {
       if (!inv.licence) continue;
 
-      const normalizedLicence = inv.licence.replace(/\s+/g, '').toUpperCase();
+      const normalizedLicence = normalizeLicence(inv.licence);
       const signedUpAt = accountMap.get(normalizedLicence);
 
       if (signedUpAt) {
@@ -1,10 +1,34 @@
 const express = require('express');
 const multer = require('multer');
-const { parse } = require('csv-parse');
 const fs = require('fs');
+const crypto = require('crypto');
 const db = require('../db-loader');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getColumnMapping } = require('./import-config');
+const { recalculateRankings } = require('./tournaments');
+const { getPlayerRatings, getPlayerRatingHistory, scheduleRatingRecalculation } = require('../utils/player-rating');
+const { normalizeLanguage, isSupportedLanguage } = require('../utils/i18n');
+const { normalizeLicence, normalizeStoredLicences, findNonCanonicalLicences } = require('../utils/licence');
+const { importFileFilter, readImportFile, describeImportFile } = require('../utils/import-file');
+const {
+  PLAYER_CHANGE_CATEGORIES,
+  isDryRun,
+  parseAcceptedCategories,
+  diffFields,
+  createChangeSet,
+  summarizeChanges
+} = require('../utils/import-diff');
+const { startImportBatch, recordInsert, recordUpdate, finishImportBatch } = require('../utils/import-batch');
+const {
+  DEFAULT_MIN_SIMILARITY,
+  getDuplicateCandidates,
+  previewMerge,
+  mergePlayers,
+  getRankingScopes,
+  getMerges,
+  undoMerge
+} = require('../utils/player-merge');
 
 const router = express.Router();
 
@@ -113,8 +137,8 @@ async function getPlayerRankings(licence) {
       `SELECT pr.game_mode_id, pr.ranking, gm.code, gm.display_name, gm.color
        FROM player_rankings pr
        JOIN game_modes gm ON pr.game_mode_id = gm.id
-       WHERE REPLACE(pr.licence, ' ', '') = REPLACE($1, ' ', '')`,
-      [licence],
+       WHERE pr.licence = $1`,
+      [normalizeLicence(licence)],
       (err, rows) => {
         if (err) reject(err);
         else {
@@ -140,7 +164,7 @@ async function getPlayerRankings(licence) {
  * @param {object} rankings - Object keyed by game_mode_id: { 1: 'R1', 2: 'NC', ... }
  */
 async function savePlayerRankings(licence, rankings) {
-  const normalizedLicence = licence.replace(/\s+/g, '');
+  const normalizedLicence = normalizeLicence(licence);
 
   for (const [gameModeId, ranking] of Object.entries(rankings)) {
     // Skip if not a valid game mode ID (number)
@@ -233,18 +257,19 @@ const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB max
   },
-  fileFilter: (req, file, cb) => {
-    // Only allow CSV files
-    const ext = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
-    if (ext === '.csv') {
-      cb(null, true);
-    } else {
-      cb(new Error('Seuls les fichiers CSV sont acceptés'), false);
-    }
-  }
+  fileFilter: importFileFilter
 });
 
-// Import players from CSV
+// Category of a change to a player column
+function playerChangeCategory(column, change) {
+  if (column === 'club') return 'club_changes';
+  if (column === 'first_name' || column === 'last_name') return 'name_changes';
+  if (column === 'is_active') return change.to === '1' ? 'reactivated_players' : 'deactivated_players';
+  return 'classification_changes';
+}
+
+// Import players from CSV or Excel (.xlsx)
+// dryRun=true returns the changes without writing them, accept=<categories> applies only those
 router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
@@ -252,71 +277,46 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
 
   // Check if only rankings should be updated
   const rankingsOnly = req.body.rankingsOnly === 'true' || req.body.rankingsOnly === true;
+  const dryRun = isDryRun(req.body);
 
+  let accepted;
   try {
-    let fileContent = fs.readFileSync(req.file.path, 'utf-8');
-
-    // Detect delimiter: check if file uses semicolons (IONOS format) or commas
-    const firstLine = fileContent.split('\n')[0] || '';
-    const semicolonCount = (firstLine.match(/;/g) || []).length;
-    const commaCount = (firstLine.match(/,/g) || []).length;
-    const delimiter = semicolonCount > commaCount ? ';' : ',';
-    console.log(`CSV delimiter detected: "${delimiter}" (semicolons: ${semicolonCount}, commas: ${commaCount})`);
-
-    // Fix CSV format: remove outer quotes and fix double quotes
-    // Format: "field1,""field2"",""field3""" becomes field1,"field2","field3"
-    const lines = fileContent.split('\n');
-    const fixedLines = lines.map(line => {
-      line = line.trim();
-      if (!line) return line;
-
-      // Remove outer quotes if present (only if the entire line is wrapped)
-      if (line.startsWith('"') && line.endsWith('"') && line.indexOf(delimiter) === -1) {
-        line = line.slice(1, -1);
-      }
-
-      // Replace double double-quotes with single quotes
-      line = line.replace(/""/g, '"');
-
-      return line;
-    });
+    accepted = parseAcceptedCategories(req.body.accept, PLAYER_CHANGE_CATEGORIES);
+  } catch (error) {
+    fs.unlinkSync(req.file.path);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
 
-    fileContent = fixedLines.join('\n');
-    const records = [];
+  try {
+    // Load configurable column mapping, fall back to defaults
+    let profileConfig = null;
+    try {
+      profileConfig = await getColumnMapping('players');
+    } catch (err) {
+      console.log('Error loading column mapping, using defaults:', err.message);
+    }
+    const columnMapping = profileConfig?.mappings || DEFAULT_PLAYER_MAPPING;
+    console.log(`Using ${profileConfig ? 'configured' : 'default'} column mapping for players import`);
 
-    const parser = parse(fileContent, {
-      delimiter: delimiter,
-      skip_empty_lines: true,
-      quote: '"',
-      escape: '"',
-      relax_column_count: true,
-      relax_quotes: true  // Allow quotes in unquoted fields
+    // CSV delimiter and encoding are detected, the profile's delimiter is the fallback
+    const file = await readImportFile(req.file, {
+      fallbackDelimiter: profileConfig?.delimiter,
+      unwrapQuotedLines: 'undelimited'
     });
-
-    for await (const record of parser) {
-      records.push(record);
-    }
+    const records = file.records;
+    console.log(`Players import file: ${file.format}, encoding ${file.encoding || '-'}, delimiter "${file.delimiter || '-'}"`);
 
     let imported = 0;
     let updated = 0;
-    let skipped = 0;
+    let unchanged = 0;
     let errors = [];
     let notFound = []; // Track players not found in database (for rankings-only mode)
+    const changeSet = createChangeSet(PLAYER_CHANGE_CATEGORIES);
+    const plans = [];
 
     // Load game mode rank column mappings dynamically
     const rankColumnMap = await loadGameModeRankColumns();
 
-    // Load configurable column mapping, fall back to defaults
-    let columnMapping;
-    try {
-      const profileConfig = await getColumnMapping('players');
-      columnMapping = profileConfig?.mappings || DEFAULT_PLAYER_MAPPING;
-      console.log(`Using ${profileConfig ? 'configured' : 'default'} column mapping for players import`);
-    } catch (err) {
-      console.log('Error loading column mapping, using defaults:', err.message);
-      columnMapping = DEFAULT_PLAYER_MAPPING;
-    }
-
     // Build CSV column to mode mapping from the profile
     const csvColumnToMode = {};
     if (columnMapping.rank_libre) csvColumnToMode[columnMapping.rank_libre.column] = 'LIBRE';
@@ -324,11 +324,14 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
     if (columnMapping.rank_3bandes) csvColumnToMode[columnMapping.rank_3bandes.column] = '3BANDES';
     if (columnMapping.rank_cadre) csvColumnToMode[columnMapping.rank_cadre.column] = 'CADRE';
 
-    // Process records using PostgreSQL ON CONFLICT
+    // Stored players, updated with the planned changes as the file is read (a licence can appear twice)
+    const players = new Map((await db.query('SELECT * FROM players')).rows.map(p => [p.licence, p]));
+
+    // Plan: compare each record with the stored player
     for (const record of records) {
       try {
         // Use configurable column mapping
-        const licence = getMappedValue(record, columnMapping, 'licence', '')?.replace(/\s+/g, '');
+        const licence = normalizeLicence(getMappedValue(record, columnMapping, 'licence', ''));
 
         // Skip header row (detect by checking if first column looks like a header)
         if (!licence || licence.toUpperCase() === 'LICENCE' || licence.toUpperCase() === 'LICENSE') continue;
@@ -351,128 +354,106 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
 
         if (!licence || !firstName || !lastName) continue;
 
-        if (rankingsOnly) {
-          // Only update rankings for existing players - build dynamic UPDATE
-          const setClauses = Object.keys(csvRankings).map((col, i) => `${col} = $${i + 1}`);
-          const values = Object.values(csvRankings);
-          values.push(licence);
-
-          const changes = await new Promise((resolve, reject) => {
-            db.run(`
-              UPDATE players SET ${setClauses.join(', ')}
-              WHERE REPLACE(licence, ' ', '') = REPLACE($${values.length}, ' ', '')
-            `, values, function(err) {
-              if (err) {
-                reject(err);
-              } else {
-                resolve(this.changes);
-              }
-            });
-          });
+        const name = `${firstName} ${lastName}`;
+        const existingPlayer = players.get(licence);
 
-          if (changes > 0) {
-            updated++;
-          } else {
-            skipped++; // Player not found in database
-            const notFoundEntry = {
-              licence: licence,
-              name: `${firstName} ${lastName}`,
-              club: club || ''
-            };
-            // Add rankings dynamically
-            Object.entries(csvRankings).forEach(([col, val]) => {
-              notFoundEntry[col] = val;
-            });
-            notFound.push(notFoundEntry);
+        if (!existingPlayer) {
+          if (rankingsOnly) {
+            // Rankings only: players are not created
+            notFound.push({ licence, name, club: club || '', ...csvRankings });
+            continue;
           }
-        } else {
-          // Full import: check if player exists (with space-normalized licence matching)
-          const existingPlayer = await new Promise((resolve, reject) => {
-            db.get(`
-              SELECT licence FROM players
-              WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')
-            `, [licence], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
-          });
+          const values = { licence, club, first_name: firstName, last_name: lastName, ...csvRankings, is_active: isActive };
+          changeSet.new_players.push({ licence, name, club, rankings: csvRankings, is_active: isActive });
+          plans.push({ licence, insert: values });
+          players.set(licence, values);
+          continue;
+        }
 
-          if (existingPlayer) {
-            // Update existing player - build dynamic UPDATE
-            const rankCols = Object.keys(csvRankings);
-            const baseValues = [club, firstName, lastName];
-            const rankValues = Object.values(csvRankings);
-            const allValues = [...baseValues, ...rankValues, isActive, licence];
-
-            const rankSetClauses = rankCols.map((col, i) => `${col} = $${4 + i}`);
-
-            await new Promise((resolve, reject) => {
-              db.run(`
-                UPDATE players SET
-                  club = $1,
-                  first_name = $2,
-                  last_name = $3,
-                  ${rankSetClauses.join(', ')},
-                  is_active = $${4 + rankCols.length}
-                WHERE REPLACE(licence, ' ', '') = REPLACE($${5 + rankCols.length}, ' ', '')
-              `, allValues, function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-              });
-            });
-            updated++;
-          } else {
-            // Insert new player - build dynamic INSERT
-            const rankCols = Object.keys(csvRankings);
-            const rankValues = Object.values(csvRankings);
-            const allCols = ['licence', 'club', 'first_name', 'last_name', ...rankCols, 'is_active'];
-            const allValues = [licence, club, firstName, lastName, ...rankValues, isActive];
-            const placeholders = allValues.map((_, i) => `$${i + 1}`);
-
-            await new Promise((resolve, reject) => {
-              db.run(`
-                INSERT INTO players (${allCols.join(', ')})
-                VALUES (${placeholders.join(', ')})
-              `, allValues, function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-              });
-            });
-            imported++;
-          }
+        const next = rankingsOnly
+          ? csvRankings
+          : { club, first_name: firstName, last_name: lastName, ...csvRankings, is_active: isActive };
+        const changes = diffFields(existingPlayer, next);
+        if (Object.keys(changes).length === 0) {
+          unchanged++;
+          continue;
         }
+
+        // The player is listed in each category of change, with the columns of that category
+        const categories = {};
+        for (const [column, change] of Object.entries(changes)) {
+          const category = playerChangeCategory(column, change);
+          categories[category] = { ...categories[category], [column]: change };
+        }
+        for (const [category, columns] of Object.entries(categories)) {
+          changeSet[category].push({ licence, name, club: existingPlayer.club, changes: columns });
+        }
+        plans.push({ licence, categories, values: next });
+        players.set(licence, { ...existingPlayer, ...next });
       } catch (err) {
         errors.push({ record: record[0], error: err.message });
       }
     }
 
+    // Apply the accepted categories, each row written recorded under the import (rollback)
+    let importId = null;
+    if (!dryRun) {
+      importId = await startImportBatch(db, {
+        fileType: rankingsOnly ? 'joueurs_rankings' : 'joueurs',
+        recordCount: records.length,
+        filename: req.file.originalname,
+        importedBy: req.user?.username
+      });
+
+      for (const plan of plans) {
+        try {
+          if (plan.insert) {
+            if (!accepted.has('new_players')) continue;
+            const columns = Object.keys(plan.insert);
+            await db.query(`
+              INSERT INTO players (${columns.join(', ')})
+              VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+            `, Object.values(plan.insert));
+            await recordInsert(db, importId, 'players', plan.licence);
+            imported++;
+          } else {
+            const columns = Object.entries(plan.categories)
+              .filter(([category]) => accepted.has(category))
+              .flatMap(([, changes]) => Object.keys(changes));
+            if (columns.length === 0) continue;
+            await recordUpdate(db, importId, 'players', plan.licence);
+            await db.query(`
+              UPDATE players SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+              WHERE licence = $${columns.length + 1}
+            `, [...columns.map(column => plan.values[column]), plan.licence]);
+            updated++;
+          }
+        } catch (err) {
+          errors.push({ licence: plan.licence, error: err.message });
+        }
+      }
+      await finishImportBatch(db, importId);
+    }
+
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
 
-    // Record import in history
-    db.run(`
-      INSERT INTO import_history (file_type, record_count, filename, imported_by)
-      VALUES ($1, $2, $3, $4)
-    `, [rankingsOnly ? 'joueurs_rankings' : 'joueurs', records.length, req.file.originalname, req.user?.username || 'unknown'], (histErr) => {
-      if (histErr) console.error('Error recording import history:', histErr);
-    });
+    const categories = summarizeChanges(PLAYER_CHANGE_CATEGORIES, changeSet, accepted)
+      .filter(c => !rankingsOnly || c.key === 'classification_changes');
 
-    if (rankingsOnly) {
-      res.json({
-        message: 'Rankings update completed',
-        updated,
-        skipped,
-        notFound: notFound.length > 0 ? notFound : undefined,
-        errors: errors.length > 0 ? errors : undefined
-      });
-    } else {
-      res.json({
-        message: 'Import completed',
-        imported,
-        updated,
-        errors: errors.length > 0 ? errors : undefined
-      });
-    }
+    res.json({
+      message: dryRun ? 'Dry run completed' : (rankingsOnly ? 'Rankings update completed' : 'Import completed'),
+      dryRun,
+      importId,
+      imported,
+      updated,
+      unchanged,
+      skipped: rankingsOnly ? notFound.length : undefined,
+      notFound: notFound.length > 0 ? notFound : undefined,
+      categories,
+      errors: errors.length > 0 ? errors : undefined,
+      file: describeImportFile(file)
+    });
 
   } catch (error) {
     // Clean up uploaded file
@@ -509,12 +490,12 @@ router.post('/', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Licence, prénom et nom sont obligatoires' });
   }
 
-  const normalizedLicence = licence.replace(/\s+/g, '').toUpperCase();
+  const normalizedLicence = normalizeLicence(licence);
 
   try {
     // Check if licence already exists
     const existing = await new Promise((resolve, reject) => {
-      db.get('SELECT licence FROM players WHERE REPLACE(licence, \' \', \'\') = $1', [normalizedLicence], (err, row) => {
+      db.get('SELECT licence FROM players WHERE licence = $1', [normalizedLicence], (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
@@ -639,7 +620,7 @@ router.get('/', authenticateToken, async (req, res) => {
         COALESCE(p.gdpr_consent_date, pa.gdpr_consent_date) as gdpr_consent_date,
         COALESCE(p.gdpr_consent_version, pa.gdpr_consent_version) as gdpr_consent_version
       FROM players p
-      LEFT JOIN player_accounts pa ON REPLACE(p.licence, ' ', '') = REPLACE(pa.licence, ' ', '')
+      LEFT JOIN player_accounts pa ON p.licence = pa.licence
     `;
     const params = [];
 
@@ -672,14 +653,13 @@ router.get('/', authenticateToken, async (req, res) => {
       );
     });
 
-    // Group rankings by normalized licence
+    // Group rankings by licence
     const rankingsByLicence = {};
     allRankings.forEach(row => {
-      const normLicence = (row.licence || '').replace(/\s+/g, '');
-      if (!rankingsByLicence[normLicence]) {
-        rankingsByLicence[normLicence] = {};
+      if (!rankingsByLicence[row.licence]) {
+        rankingsByLicence[row.licence] = {};
       }
-      rankingsByLicence[normLicence][row.game_mode_id] = {
+      rankingsByLicence[row.licence][row.game_mode_id] = {
         ranking: row.ranking,
         code: row.code,
         display_name: row.display_name,
@@ -688,13 +668,10 @@ router.get('/', authenticateToken, async (req, res) => {
     });
 
     // Attach player_rankings to each player
-    const playersWithRankings = players.map(player => {
-      const normLicence = (player.licence || '').replace(/\s+/g, '');
-      return {
-        ...player,
-        player_rankings: rankingsByLicence[normLicence] || {}
-      };
-    });
+    const playersWithRankings = players.map(player => ({
+      ...player,
+      player_rankings: rankingsByLicence[player.licence] || {}
+    }));
 
     res.json(playersWithRankings);
   } catch (err) {
@@ -705,28 +682,55 @@ router.get('/', authenticateToken, async (req, res) => {
 
 // Note: Duplicate POST route removed - use the main POST / endpoint above
 
-// Find duplicate players (same first_name + last_name)
+// Report stored licences not in canonical form (no spaces, upper case), table by table
+// Query: sampleSize (rows listed per table, default 20)
 // MUST be before /:licence route to avoid being caught by it
-router.get('/duplicates', authenticateToken, async (req, res) => {
+router.get('/licences/validate', authenticateToken, async (req, res) => {
+  const sampleSize = Math.min(parseInt(req.query.sampleSize, 10) || 20, 500);
+
   try {
-    const duplicates = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT UPPER(first_name) as first_name, UPPER(last_name) as last_name,
-               COUNT(*) as count,
-               STRING_AGG(licence, ', ') as licences
-        FROM players
-        GROUP BY UPPER(first_name), UPPER(last_name)
-        HAVING COUNT(*) > 1
-        ORDER BY last_name, first_name
-      `, [], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
+    res.json(await findNonCanonicalLicences(db, sampleSize));
+  } catch (error) {
+    console.error('Error validating licences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rewrite non-canonical licences (also run at startup); licences colliding with
+// an existing player are left for the duplicate merge below
+router.post('/licences/normalize', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.transaction(tx => normalizeStoredLicences(tx));
+    const remaining = await findNonCanonicalLicences(db, 0);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.NORMALIZE_LICENCES,
+      details: `${result.total} licence(s) normalisée(s), ${remaining.total} restante(s)`
     });
 
+    res.json({ ...result, remaining: remaining.total });
+  } catch (error) {
+    console.error('Error normalizing licences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Find probable duplicate players (accent/typo tolerant names, same club, shared tournaments)
+// Query: minSimilarity (0-1, default 0.8)
+// MUST be before /:licence route to avoid being caught by it
+router.get('/duplicates', authenticateToken, async (req, res) => {
+  const minSimilarity = req.query.minSimilarity !== undefined ? parseFloat(req.query.minSimilarity) : DEFAULT_MIN_SIMILARITY;
+
+  if (Number.isNaN(minSimilarity) || minSimilarity <= 0 || minSimilarity > 1) {
+    return res.status(400).json({ error: 'minSimilarity doit être compris entre 0 et 1' });
+  }
+
+  try {
+    const duplicates = await getDuplicateCandidates({ minSimilarity });
     res.json({
       count: duplicates.length,
-      duplicates: duplicates
+      duplicates
     });
   } catch (error) {
     console.error('Error finding duplicates:', error);
@@ -734,11 +738,105 @@ router.get('/duplicates', authenticateToken, async (req, res) => {
   }
 });
 
+// Rankings (category/season of the results) and ratings of merged players are recomputed
+async function recomputeAfterMerge(licences) {
+  const scopes = await getRankingScopes(licences);
+  for (const scope of scopes) {
+    await recalculateRankings(scope.category_id, scope.season);
+  }
+  scheduleRatingRecalculation();
+  return scopes.length;
+}
+
+// What merging mergeLicence into keepLicence would move or drop, table by table
+router.post('/merge/preview', authenticateToken, requireAdmin, async (req, res) => {
+  const { keepLicence, mergeLicence } = req.body;
+
+  try {
+    res.json(await previewMerge(keepLicence, mergeLicence));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error previewing player merge:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge a duplicate player into the kept one (single transaction, undo record in player_merges)
+// confirmDropped: results / entries of shared tournaments to drop, keys from the preview
+router.post('/merge', authenticateToken, requireAdmin, async (req, res) => {
+  const { keepLicence, mergeLicence, confirmDropped } = req.body;
+
+  try {
+    const result = await mergePlayers(keepLicence, mergeLicence, req.user?.username, { confirmDropped });
+    const rankingsRecalculated = await recomputeAfterMerge([result.keptPlayer.licence]);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.MERGE_PLAYERS,
+      details: `${result.mergedPlayer.first_name} ${result.mergedPlayer.last_name} (${result.mergedPlayer.licence}) fusionné dans ${result.keptPlayer.licence} - fusion #${result.mergeId}`,
+      targetType: 'player',
+      targetId: result.keptPlayer.licence,
+      targetName: `${result.keptPlayer.first_name} ${result.keptPlayer.last_name}`
+    });
+
+    res.json({
+      success: true,
+      mergeId: result.mergeId,
+      keptLicence: result.keptPlayer.licence,
+      mergedLicence: result.mergedPlayer.licence,
+      tables: result.tables,
+      rankingsRecalculated
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, confirmDrops: error.confirmDrops });
+    }
+    console.error('Error merging players:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge history
+router.get('/merges', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json(await getMerges());
+  } catch (error) {
+    console.error('Error fetching player merges:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo a merge: the duplicate player and its rows come back
+router.post('/merges/:id/undo', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await undoMerge(req.params.id, req.user?.username);
+    const rankingsRecalculated = await recomputeAfterMerge([result.keptLicence, result.mergedLicence]);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.UNDO_MERGE_PLAYERS,
+      details: `Fusion #${req.params.id} annulée : ${result.mergedLicence} séparé de ${result.keptLicence}`,
+      targetType: 'player',
+      targetId: result.mergedLicence
+    });
+
+    res.json({ success: true, ...result, rankingsRecalculated });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error undoing player merge:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get player by licence
 router.get('/:licence', authenticateToken, async (req, res) => {
   try {
     const player = await new Promise((resolve, reject) => {
-      db.get("SELECT * FROM players WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')", [req.params.licence], (err, row) => {
+      db.get('SELECT * FROM players WHERE licence = $1', [normalizeLicence(req.params.licence)], (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
@@ -750,7 +848,7 @@ router.get('/:licence', authenticateToken, async (req, res) => {
 
     // Get contact info from player_contacts table
     const contact = await new Promise((resolve, reject) => {
-      db.get("SELECT email, telephone FROM player_contacts WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')", [req.params.licence], (err, row) => {
+      db.get('SELECT email, telephone FROM player_contacts WHERE licence = $1', [normalizeLicence(req.params.licence)], (err, row) => {
         if (err) reject(err);
         else resolve(row || {});
       });
@@ -774,7 +872,7 @@ router.get('/:licence', authenticateToken, async (req, res) => {
 
 // Update player (all fields)
 router.put('/:licence', authenticateToken, async (req, res) => {
-  const { licence } = req.params;
+  const licence = normalizeLicence(req.params.licence);
   const {
     club, first_name, last_name, is_active,
     player_rankings: newPlayerRankings,  // New format: { game_mode_id: 'ranking_value', ... }
@@ -863,6 +961,15 @@ router.put('/:licence', authenticateToken, async (req, res) => {
       updates.push('player_app_user = ?');
       values.push(req.body.player_app_user ? true : false);
     }
+    if (req.body.language !== undefined) {
+      // Empty = French (default); emails and convocations use this language when a translation exists
+      const language = req.body.language || null;
+      if (language && !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: 'Langue non prise en charge' });
+      }
+      updates.push('language = ?');
+      values.push(language ? normalizeLanguage(language) : null);
+    }
     // Handle GDPR consent - store directly in players table
     if (req.body.gdpr_consent !== undefined) {
       if (req.body.gdpr_consent) {
@@ -883,7 +990,7 @@ router.put('/:licence', authenticateToken, async (req, res) => {
       await new Promise((resolve, reject) => {
         db.run(`
           INSERT INTO player_contacts (licence, email, telephone)
-          VALUES (REPLACE(?, ' ', ''), ?, ?)
+          VALUES (?, ?, ?)
           ON CONFLICT(licence) DO UPDATE SET
             email = COALESCE(excluded.email, player_contacts.email),
             telephone = COALESCE(excluded.telephone, player_contacts.telephone)
@@ -908,7 +1015,7 @@ router.put('/:licence', authenticateToken, async (req, res) => {
 
     values.push(licence);
 
-    const query = `UPDATE players SET ${updates.join(', ')} WHERE REPLACE(licence, ' ', '') = REPLACE(?, ' ', '')`;
+    const query = `UPDATE players SET ${updates.join(', ')} WHERE licence = ?`;
 
     db.run(query, values, function(err) {
       if (err) {
@@ -929,14 +1036,14 @@ router.put('/:licence', authenticateToken, async (req, res) => {
 
 // Legacy endpoint - update club only (for backwards compatibility)
 router.put('/:licence/club', authenticateToken, (req, res) => {
-  const { licence } = req.params;
+  const licence = normalizeLicence(req.params.licence);
   const { club } = req.body;
 
   if (club === undefined || club === null) {
     return res.status(400).json({ error: 'Club name is required' });
   }
 
-  const query = 'UPDATE players SET club = ? WHERE REPLACE(licence, \' \', \'\') = REPLACE(?, \' \', \'\')';
+  const query = 'UPDATE players SET club = ? WHERE licence = ?';
 
   db.run(query, [club, licence], function(err) {
     if (err) {
@@ -966,12 +1073,12 @@ router.delete('/all', authenticateToken, (req, res) => {
 
 // Get player account info (for Player App)
 router.get('/:licence/account', authenticateToken, (req, res) => {
-  const licence = req.params.licence.replace(/\s+/g, '');
+  const licence = normalizeLicence(req.params.licence);
 
   db.get(
     `SELECT id, email, is_admin, last_login, created_at, gdpr_consent_date, gdpr_consent_version
      FROM player_accounts
-     WHERE REPLACE(licence, ' ', '') = $1`,
+     WHERE licence = $1`,
     [licence],
     (err, row) => {
       if (err) {
@@ -995,7 +1102,7 @@ router.get('/:licence/account', authenticateToken, (req, res) => {
 
 // Reset player account password (admin only)
 router.post('/:licence/reset-password', authenticateToken, async (req, res) => {
-  const licence = req.params.licence.replace(/\s+/g, '');
+  const licence = normalizeLicence(req.params.licence);
   const { newPassword } = req.body;
 
   if (!newPassword || newPassword.length < 8) {
@@ -1006,7 +1113,7 @@ router.post('/:licence/reset-password', authenticateToken, async (req, res) => {
     // Check if account exists
     const account = await new Promise((resolve, reject) => {
       db.get(
-        `SELECT id FROM player_accounts WHERE REPLACE(licence, ' ', '') = $1`,
+        `SELECT id FROM player_accounts WHERE licence = $1`,
         [licence],
         (err, row) => {
           if (err) reject(err);
@@ -1052,14 +1159,12 @@ router.post('/batch/populate-from-inscriptions', authenticateToken, async (req,
         UPDATE players p
         SET email = i.email
         FROM (
-          SELECT DISTINCT ON (REPLACE(licence, ' ', ''))
-            REPLACE(licence, ' ', '') as clean_licence,
-            email
+          SELECT DISTINCT ON (licence) licence, email
           FROM inscriptions
           WHERE email IS NOT NULL AND email != ''
-          ORDER BY REPLACE(licence, ' ', ''), timestamp DESC
+          ORDER BY licence, timestamp DESC
         ) i
-        WHERE REPLACE(p.licence, ' ', '') = i.clean_licence
+        WHERE p.licence = i.licence
           AND (p.email IS NULL OR p.email = '')
       `, [], function(err) {
         if (err) reject(err);
@@ -1073,14 +1178,12 @@ router.post('/batch/populate-from-inscriptions', authenticateToken, async (req,
         UPDATE players p
         SET telephone = i.telephone
         FROM (
-          SELECT DISTINCT ON (REPLACE(licence, ' ', ''))
-            REPLACE(licence, ' ', '') as clean_licence,
-            telephone
+          SELECT DISTINCT ON (licence) licence, telephone
           FROM inscriptions
           WHERE telephone IS NOT NULL AND telephone != ''
-          ORDER BY REPLACE(licence, ' ', ''), timestamp DESC
+          ORDER BY licence, timestamp DESC
         ) i
-        WHERE REPLACE(p.licence, ' ', '') = i.clean_licence
+        WHERE p.licence = i.licence
           AND (p.telephone IS NULL OR p.telephone = '')
       `, [], function(err) {
         if (err) reject(err);
@@ -1114,16 +1217,20 @@ router.get('/:licence/history', authenticateToken, (req, res) => {
       tr.moyenne,
       tr.serie,
       r.total_match_points,
-      r.rank_position
+      r.rank_position,
+      h.rating_before,
+      h.rating_after,
+      h.rating_delta
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    LEFT JOIN rankings r ON r.category_id = c.id AND REPLACE(r.licence, ' ', '') = REPLACE(tr.licence, ' ', '') AND r.season = t.season
-    WHERE REPLACE(tr.licence, ' ', '') = REPLACE(?, ' ', '')
+    LEFT JOIN rankings r ON r.category_id = c.id AND r.licence = tr.licence AND r.season = t.season
+    LEFT JOIN player_rating_history h ON h.tournament_id = t.id AND h.licence = tr.licence
+    WHERE tr.licence = ?
     ORDER BY t.season DESC, c.game_type, c.level, t.tournament_number
   `;
 
-  db.all(query, [req.params.licence], (err, rows) => {
+  db.all(query, [normalizeLicence(req.params.licence)], (err, rows) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
@@ -1131,59 +1238,61 @@ router.get('/:licence/history', authenticateToken, (req, res) => {
   });
 });
 
-// Fix duplicate player licence - delete wrong one and update tournament results
+// Whether a request carries the Player App API key (X-Api-Key header, never the URL: it would end up in logs)
+function hasPlayerAppApiKey(req) {
+  const expected = process.env.PLAYER_APP_API_KEY;
+  const provided = req.get('x-api-key');
+  if (!expected || !provided) return false;
+  const bufExpected = Buffer.from(expected);
+  const bufProvided = Buffer.from(provided);
+  return bufExpected.length === bufProvided.length && crypto.timingSafeEqual(bufExpected, bufProvided);
+}
+
+// Get player ratings (Elo per game mode) and rating history (for Player App)
+// Accepts either the Player App API key (X-Api-Key header) or an Authorization header
+router.get('/:licence/rating', (req, res, next) => {
+  if (hasPlayerAppApiKey(req)) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+}, async (req, res) => {
+  try {
+    const [ratings, history] = await Promise.all([
+      getPlayerRatings(req.params.licence),
+      getPlayerRatingHistory(req.params.licence, req.query.game_mode_id)
+    ]);
+    res.json({ licence: normalizeLicence(req.params.licence), ratings, history });
+  } catch (error) {
+    console.error('Error fetching player rating:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fix duplicate player licence - merges the wrong licence into the correct one (see POST /merge)
 router.post('/fix-duplicate-licence', authenticateToken, async (req, res) => {
-  const { wrongLicence, correctLicence } = req.body;
+  const { wrongLicence, correctLicence, confirmDropped } = req.body;
 
   if (!wrongLicence || !correctLicence) {
     return res.status(400).json({ error: 'wrongLicence and correctLicence are required' });
   }
 
   try {
-    // Update tournament_results to use correct licence
-    const updateResult = await new Promise((resolve, reject) => {
-      db.run(
-        `UPDATE tournament_results SET licence = $1 WHERE REPLACE(licence, ' ', '') = REPLACE($2, ' ', '')`,
-        [correctLicence, wrongLicence],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
-    });
-
-    // Delete rankings for the wrong licence first (foreign key constraint)
-    const deleteRankings = await new Promise((resolve, reject) => {
-      db.run(
-        `DELETE FROM rankings WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')`,
-        [wrongLicence],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
-    });
-
-    // Delete the duplicate player
-    const deleteResult = await new Promise((resolve, reject) => {
-      db.run(
-        `DELETE FROM players WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')`,
-        [wrongLicence],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
-    });
+    const result = await mergePlayers(correctLicence, wrongLicence, req.user?.username, { confirmDropped });
+    await recomputeAfterMerge([result.keptPlayer.licence]);
 
+    const results = result.tables.find(t => t.table === 'tournament_results') || { moved: 0 };
     res.json({
       success: true,
-      message: `Fixed: updated ${updateResult} tournament results, deleted ${deleteRankings} rankings, deleted ${deleteResult} duplicate player`,
-      updatedResults: updateResult,
-      deletedRankings: deleteRankings,
-      deletedPlayers: deleteResult
+      message: `Fixed: merged ${wrongLicence} into ${correctLicence} (merge #${result.mergeId})`,
+      mergeId: result.mergeId,
+      updatedResults: results.moved,
+      deletedPlayers: 1,
+      tables: result.tables
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, confirmDrops: error.confirmDrops });
+    }
     console.error('Error fixing duplicate licence:', error);
     res.status(500).json({ error: error.message });
   }
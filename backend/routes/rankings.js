@@ -3,7 +3,25 @@ const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
 const db = require('../db-loader');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
+const {
+  TIEBREAK_FIELDS,
+  POINTS_SYSTEMS,
+  DEFAULT_RANKING_RULES,
+  validateRankingRules,
+  normalizeRankingRules,
+  getRankingRules,
+  describeRankingRules
+} = require('../utils/ranking-rules');
+const { describeQualifyingRounds, getTournamentLabel } = require('../utils/qualifying-rounds');
+const {
+  getSnapshotList,
+  getRankingSnapshot,
+  getPreviousPositions,
+  applyMovement
+} = require('../utils/ranking-history');
+const { normalizeLanguage, translate, formatDate } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -27,8 +45,33 @@ async function getOrganizationLogoBuffer() {
   });
 }
 
+// Qualifying rounds of a category/season (count from the ranking rules) and which ones were played
+async function getSeasonRounds(categoryId, season) {
+  const rules = await getRankingRules(categoryId, season);
+  const result = await db.query(
+    'SELECT tournament_number FROM tournaments WHERE category_id = $1 AND season = $2',
+    [categoryId, season]
+  );
+  const rounds = describeQualifyingRounds(rules.qualifying_rounds, result.rows.map(r => r.tournament_number));
+
+  // Legacy shape { t1: true, t2: false, ... } keyed by round
+  const tournamentsPlayed = {};
+  rounds.forEach(r => { tournamentsPlayed[`t${r.round}`] = r.played; });
+
+  return { rules, rounds, tournamentsPlayed };
+}
+
+// Points of a ranking row for a round (tournament_points JSONB, legacy columns for rankings computed before it)
+function getRoundPoints(row, tournamentNumber) {
+  const points = typeof row.tournament_points === 'string' ? JSON.parse(row.tournament_points) : row.tournament_points;
+  if (points) {
+    return points[tournamentNumber] ?? null;
+  }
+  return tournamentNumber <= 3 ? row[`tournament_${tournamentNumber}_points`] : null;
+}
+
 // Get rankings by category and season
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, async (req, res) => {
   const { categoryId, season } = req.query;
 
   if (!categoryId || !season) {
@@ -36,90 +79,141 @@ router.get('/', authenticateToken, (req, res) => {
   }
 
   // First, check which tournaments have been played for this category/season
-  const tournamentsPlayedQuery = `
-    SELECT tournament_number FROM tournaments
-    WHERE category_id = ? AND season = ? AND tournament_number <= 3
+  let seasonRounds;
+  try {
+    seasonRounds = await getSeasonRounds(categoryId, season);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  const { rules, rounds, tournamentsPlayed } = seasonRounds;
+
+  // Use LEFT JOIN for players to include ranked players even if not in players table
+  // Get player name from tournament_results as fallback
+  // Use subqueries for club_aliases and clubs to avoid duplicate rows from JOINs
+  // Include email/telephone from player_contacts for finale convocations
+  const query = `
+    SELECT * FROM (
+      SELECT DISTINCT ON (r.licence)
+        r.rank_position,
+        r.licence,
+        COALESCE(p.first_name, (SELECT MAX(tr.player_name) FROM tournament_results tr WHERE tr.licence = r.licence)) as first_name,
+        COALESCE(p.last_name, '') as last_name,
+        COALESCE(
+          (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
+           = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
+          p.club, 'Non renseigné'
+        ) as club,
+        r.total_match_points,
+        r.avg_moyenne,
+        r.best_serie,
+        r.tournament_1_points,
+        r.tournament_2_points,
+        r.tournament_3_points,
+        r.tournament_points,
+        c.game_type,
+        c.level,
+        c.display_name,
+        (SELECT logo_filename FROM clubs WHERE UPPER(REPLACE(REPLACE(REPLACE(name, ' ', ''), '.', ''), '-', ''))
+         = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(
+           (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
+            = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
+           p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1) as club_logo,
+        COALESCE(r.cumulated_points, 0) as cumulated_points,
+        COALESCE(r.cumulated_reprises, 0) as cumulated_reprises,
+        CASE WHEN p.licence IS NULL THEN 1 ELSE 0 END as missing_from_players,
+        pc.email as contact_email,
+        pc.telephone as contact_telephone
+      FROM rankings r
+      LEFT JOIN players p ON r.licence = p.licence
+      LEFT JOIN player_contacts pc ON r.licence = pc.licence
+      JOIN categories c ON r.category_id = c.id
+      WHERE r.category_id = ? AND r.season = ?
+      ORDER BY r.licence, r.rank_position
+    ) sub
+    ORDER BY rank_position
   `;
 
-  db.all(tournamentsPlayedQuery, [categoryId, season], (err, tournamentRows) => {
+  db.all(query, [categoryId, season], async (err, rows) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
 
-    const tournamentsPlayed = {
-      t1: tournamentRows.some(t => t.tournament_number === 1),
-      t2: tournamentRows.some(t => t.tournament_number === 2),
-      t3: tournamentRows.some(t => t.tournament_number === 3)
-    };
-
-    // Use LEFT JOIN for players to include ranked players even if not in players table
-    // Get player name from tournament_results as fallback
-    // Use subqueries for club_aliases and clubs to avoid duplicate rows from JOINs
-    // Include email/telephone from player_contacts for finale convocations
-    const query = `
-      SELECT * FROM (
-        SELECT DISTINCT ON (r.licence)
-          r.rank_position,
-          r.licence,
-          COALESCE(p.first_name, (SELECT MAX(tr.player_name) FROM tournament_results tr WHERE REPLACE(tr.licence, ' ', '') = r.licence)) as first_name,
-          COALESCE(p.last_name, '') as last_name,
-          COALESCE(
-            (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
-             = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
-            p.club, 'Non renseigné'
-          ) as club,
-          r.total_match_points,
-          r.avg_moyenne,
-          r.best_serie,
-          r.tournament_1_points,
-          r.tournament_2_points,
-          r.tournament_3_points,
-          c.game_type,
-          c.level,
-          c.display_name,
-          (SELECT logo_filename FROM clubs WHERE UPPER(REPLACE(REPLACE(REPLACE(name, ' ', ''), '.', ''), '-', ''))
-           = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(
-             (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
-              = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
-             p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1) as club_logo,
-          COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
-                    JOIN tournaments t ON tr.tournament_id = t.id
-                    WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-                    AND t.category_id = r.category_id
-                    AND t.season = r.season
-                    AND t.tournament_number <= 3), 0) as cumulated_points,
-          COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
-                    JOIN tournaments t ON tr.tournament_id = t.id
-                    WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-                    AND t.category_id = r.category_id
-                    AND t.season = r.season
-                    AND t.tournament_number <= 3), 0) as cumulated_reprises,
-          CASE WHEN p.licence IS NULL THEN 1 ELSE 0 END as missing_from_players,
-          pc.email as contact_email,
-          pc.telephone as contact_telephone
-        FROM rankings r
-        LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-        LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
-        JOIN categories c ON r.category_id = c.id
-        WHERE r.category_id = ? AND r.season = ?
-        ORDER BY r.licence, r.rank_position
-      ) sub
-      ORDER BY rank_position
-    `;
-
-    db.all(query, [categoryId, season], (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
-      // Return rankings with tournaments played info
-      res.json({
-        rankings: rows,
-        tournamentsPlayed
-      });
+    // Points per round, keyed by tournament_number
+    let rankings = rows.map(row => {
+      const roundPoints = {};
+      rounds.forEach(r => { roundPoints[r.tournament_number] = getRoundPoints(row, r.tournament_number); });
+      return { ...row, round_points: roundPoints };
+    });
+
+    // Movement since the standings after the previous tournament
+    let previousTournament = null;
+    const lastPlayed = [...rounds].reverse().find(r => r.played);
+    try {
+      const previous = lastPlayed ? await getPreviousPositions(categoryId, season, lastPlayed.tournament_number) : null;
+      rankings = applyMovement(rankings, previous);
+      previousTournament = previous ? previous.tournament_number : null;
+    } catch (historyError) {
+      console.error('Error loading ranking history:', historyError.message);
+    }
+
+    // Return rankings with tournaments played info
+    res.json({
+      rankings,
+      rounds,
+      tournamentsPlayed,
+      previousTournament,
+      rankingRules: describeRankingRules(rules)
     });
   });
 });
 
+// List the ranking snapshots of a category/season (standings after each tournament)
+router.get('/history', authenticateToken, async (req, res) => {
+  const { categoryId, season } = req.query;
+
+  if (!categoryId || !season) {
+    return res.status(400).json({ error: 'Category ID and season required' });
+  }
+
+  try {
+    const snapshots = await getSnapshotList(categoryId, season);
+    res.json({
+      snapshots: snapshots.map(s => ({ ...s, label: getTournamentLabel(s.tournament_number, true) }))
+    });
+  } catch (error) {
+    console.error('Error fetching ranking history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Standings of a category/season as they were after a tournament
+router.get('/history/:tournamentNumber', authenticateToken, async (req, res) => {
+  const { categoryId, season } = req.query;
+  const tournamentNumber = parseInt(req.params.tournamentNumber, 10);
+
+  if (!categoryId || !season) {
+    return res.status(400).json({ error: 'Category ID and season required' });
+  }
+
+  try {
+    const rows = await getRankingSnapshot(categoryId, season, tournamentNumber);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: `Aucun classement enregistré après ${getTournamentLabel(tournamentNumber, true)}` });
+    }
+
+    const previous = await getPreviousPositions(categoryId, season, tournamentNumber);
+    res.json({
+      tournament_number: tournamentNumber,
+      label: getTournamentLabel(tournamentNumber, true),
+      previousTournament: previous ? previous.tournament_number : null,
+      rankings: applyMovement(rows, previous)
+    });
+  } catch (error) {
+    console.error('Error fetching ranking snapshot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all seasons
 router.get('/seasons', authenticateToken, (req, res) => {
   db.all('SELECT DISTINCT season FROM tournaments ORDER BY season DESC', [], (err, rows) => {
@@ -130,32 +224,121 @@ router.get('/seasons', authenticateToken, (req, res) => {
   });
 });
 
-// Export rankings to Excel
-router.get('/export', authenticateToken, async (req, res) => {
+// Get all stored ranking rules
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT rr.id, rr.category_id, rr.season, rr.rules, rr.updated_by, rr.updated_at, c.display_name
+      FROM ranking_rules rr
+      LEFT JOIN categories c ON rr.category_id = c.id
+      ORDER BY rr.season NULLS FIRST, c.display_name NULLS FIRST
+    `);
+
+    res.json({
+      rules: result.rows.map(row => ({
+        ...row,
+        rules: normalizeRankingRules(row.rules),
+        description: describeRankingRules(normalizeRankingRules(row.rules))
+      })),
+      defaults: DEFAULT_RANKING_RULES,
+      tiebreakFields: TIEBREAK_FIELDS,
+      pointsSystems: POINTS_SYSTEMS
+    });
+  } catch (error) {
+    console.error('Error fetching ranking rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the rules applying to a category/season
+router.get('/rules/effective', authenticateToken, async (req, res) => {
   const { categoryId, season } = req.query;
 
   if (!categoryId || !season) {
     return res.status(400).json({ error: 'Category ID and season required' });
   }
 
-  // First, check which tournaments have been played
-  const tournamentsPlayedQuery = `
-    SELECT tournament_number FROM tournaments
-    WHERE category_id = ? AND season = ? AND tournament_number <= 3
-  `;
+  try {
+    const rules = await getRankingRules(categoryId, season);
+    res.json({ rules, description: describeRankingRules(rules) });
+  } catch (error) {
+    console.error('Error fetching effective ranking rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  const tournamentRows = await new Promise((resolve, reject) => {
-    db.all(tournamentsPlayedQuery, [categoryId, season], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows || []);
+// Create or update ranking rules (categoryId / season null = applies to all)
+router.put('/rules', authenticateToken, requireAdmin, async (req, res) => {
+  const { categoryId, season, rules } = req.body;
+
+  const errors = validateRankingRules(rules);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', '), errors });
+  }
+
+  try {
+    const normalized = normalizeRankingRules(rules);
+    const result = await db.query(`
+      INSERT INTO ranking_rules (category_id, season, rules, updated_by, updated_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      ON CONFLICT ((COALESCE(category_id, 0)), (COALESCE(season, ''))) DO UPDATE SET
+        rules = EXCLUDED.rules,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [categoryId || null, season || null, JSON.stringify(normalized), req.user?.username || null]);
+
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.UPDATE_SETTINGS,
+      details: `Règles de classement: ${describeRankingRules(normalized).join(' / ')}`,
+      targetType: 'ranking_rules',
+      targetId: result.rows[0].id,
+      targetName: `${categoryId ? `Catégorie ${categoryId}` : 'Toutes catégories'} - ${season || 'Toutes saisons'}`
     });
-  });
 
-  const tournamentsPlayed = {
-    t1: tournamentRows.some(t => t.tournament_number === 1),
-    t2: tournamentRows.some(t => t.tournament_number === 2),
-    t3: tournamentRows.some(t => t.tournament_number === 3)
-  };
+    res.json({
+      success: true,
+      rule: result.rows[0],
+      message: 'Règles enregistrées. Recalculez les classements concernés pour les appliquer.'
+    });
+  } catch (error) {
+    console.error('Error saving ranking rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete ranking rules (falls back to the next matching rule or the defaults)
+router.delete('/rules/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM ranking_rules WHERE id = $1', [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Règles non trouvées' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting ranking rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export rankings to Excel
+router.get('/export', authenticateToken, async (req, res) => {
+  const { categoryId, season } = req.query;
+  const language = normalizeLanguage(req.query.language);
+
+  if (!categoryId || !season) {
+    return res.status(400).json({ error: 'Category ID and season required' });
+  }
+
+  // First, check which tournaments have been played
+  let seasonRounds;
+  try {
+    seasonRounds = await getSeasonRounds(categoryId, season);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  const { rules: rankingRules, rounds } = seasonRounds;
 
   // Use LEFT JOIN for players to include ranked players even if not in players table
   // Use subqueries for club_aliases and clubs to avoid duplicate rows from JOINs
@@ -164,7 +347,7 @@ router.get('/export', authenticateToken, async (req, res) => {
       SELECT DISTINCT ON (r.licence)
         r.rank_position,
         r.licence,
-        COALESCE(p.first_name, (SELECT MAX(tr.player_name) FROM tournament_results tr WHERE REPLACE(tr.licence, ' ', '') = r.licence)) as first_name,
+        COALESCE(p.first_name, (SELECT MAX(tr.player_name) FROM tournament_results tr WHERE tr.licence = r.licence)) as first_name,
         COALESCE(p.last_name, '') as last_name,
         COALESCE(
           (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
@@ -177,6 +360,7 @@ router.get('/export', authenticateToken, async (req, res) => {
         r.tournament_1_points,
         r.tournament_2_points,
         r.tournament_3_points,
+        r.tournament_points,
         c.game_type,
         c.level,
         c.display_name,
@@ -185,20 +369,10 @@ router.get('/export', authenticateToken, async (req, res) => {
            (SELECT canonical_name FROM club_aliases WHERE UPPER(REPLACE(REPLACE(REPLACE(alias, ' ', ''), '.', ''), '-', ''))
             = UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1),
            p.club, ''), ' ', ''), '.', ''), '-', '')) LIMIT 1) as club_logo,
-        COALESCE((SELECT SUM(tr.points) FROM tournament_results tr
-                  JOIN tournaments t ON tr.tournament_id = t.id
-                  WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-                  AND t.category_id = r.category_id
-                  AND t.season = r.season
-                  AND t.tournament_number <= 3), 0) as cumulated_points,
-        COALESCE((SELECT SUM(tr.reprises) FROM tournament_results tr
-                  JOIN tournaments t ON tr.tournament_id = t.id
-                  WHERE REPLACE(tr.licence, ' ', '') = REPLACE(r.licence, ' ', '')
-                  AND t.category_id = r.category_id
-                  AND t.season = r.season
-                  AND t.tournament_number <= 3), 0) as cumulated_reprises
+        COALESCE(r.cumulated_points, 0) as cumulated_points,
+        COALESCE(r.cumulated_reprises, 0) as cumulated_reprises
       FROM rankings r
-      LEFT JOIN players p ON REPLACE(r.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+      LEFT JOIN players p ON r.licence = p.licence
       JOIN categories c ON r.category_id = c.id
       WHERE r.category_id = ? AND r.season = ?
       ORDER BY r.licence, r.rank_position
@@ -217,10 +391,14 @@ router.get('/export', authenticateToken, async (req, res) => {
 
     try {
       const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet('Classement');
+      const worksheet = workbook.addWorksheet(translate(language, 'export.ranking'));
 
       const categoryName = rows[0].display_name;
 
+      // One column per qualifying round after the logo column
+      const columnCount = 11 + rounds.length;
+      const lastColumn = worksheet.getColumn(columnCount - 1).letter;
+
       // Add organization logo
       try {
         const logoBuffer = await getOrganizationLogoBuffer();
@@ -239,8 +417,8 @@ router.get('/export', authenticateToken, async (req, res) => {
       }
 
       // Title - Row 1
-      worksheet.mergeCells('B1:M1');
-      worksheet.getCell('B1').value = `CLASSEMENT ${categoryName.toUpperCase()}`;
+      worksheet.mergeCells(`B1:${lastColumn}1`);
+      worksheet.getCell('B1').value = `${translate(language, 'export.ranking').toUpperCase()} ${categoryName.toUpperCase()}`;
       worksheet.getCell('B1').font = { size: 18, bold: true, color: { argb: 'FF1F4788' } };
       worksheet.getCell('B1').alignment = { horizontal: 'center', vertical: 'middle' };
       worksheet.getCell('B1').fill = {
@@ -256,34 +434,32 @@ router.get('/export', authenticateToken, async (req, res) => {
       worksheet.getRow(1).height = 35;
 
       // Subtitle - Row 2
-      worksheet.mergeCells('A2:M2');
-      const exportDate = new Date().toLocaleDateString('fr-FR', { year: 'numeric', month: 'long', day: 'numeric' });
-      worksheet.getCell('A2').value = `Saison ${season} • Exporté le ${exportDate}`;
+      worksheet.mergeCells(`A2:${lastColumn}2`);
+      const exportDate = formatDate(language, new Date(), { year: 'numeric', month: 'long', day: 'numeric' });
+      worksheet.getCell('A2').value = translate(language, 'export.season_exported', { season, date: exportDate });
       worksheet.getCell('A2').font = { size: 11, italic: true, color: { argb: 'FF666666' } };
       worksheet.getCell('A2').alignment = { horizontal: 'center', vertical: 'middle' };
       worksheet.getRow(2).height = 20;
 
       // Headers - Row 4
       worksheet.getRow(4).values = [
-        'Position',
-        'Licence',
-        'Prénom',
-        'Nom',
-        'Club',
+        translate(language, 'export.position'),
+        translate(language, 'export.licence'),
+        translate(language, 'export.first_name'),
+        translate(language, 'export.last_name'),
+        translate(language, 'export.club'),
         '', // Empty header for logo column
-        'T1',
-        'T2',
-        'T3',
-        'Total Pts Match',
-        'Total Points',
-        'Total Reprises',
-        'Moyenne',
-        'Meilleure Série'
+        ...rounds.map(r => r.label),
+        translate(language, rankingRules.points_system === 'position_points' ? 'export.total_position_points' : 'export.total_match_points'),
+        translate(language, 'export.total_points'),
+        translate(language, 'export.total_reprises'),
+        translate(language, 'export.average'),
+        translate(language, 'export.best_serie')
       ];
 
-      // Style headers (only columns 1-14)
+      // Style headers (data columns only)
       worksheet.getRow(4).height = 28;
-      for (let col = 1; col <= 14; col++) {
+      for (let col = 1; col <= columnCount; col++) {
         const cell = worksheet.getRow(4).getCell(col);
         cell.font = { bold: true, color: { argb: 'FFFFFFFF' }, size: 11 };
         cell.fill = {
@@ -309,15 +485,13 @@ router.get('/export', authenticateToken, async (req, res) => {
 
       // Check if legend is needed (any absent players from PLAYED tournaments)
       const hasAbsentPlayers = rows.some(r =>
-        (tournamentsPlayed.t1 && r.tournament_1_points === null) ||
-        (tournamentsPlayed.t2 && r.tournament_2_points === null) ||
-        (tournamentsPlayed.t3 && r.tournament_3_points === null)
+        rounds.some(round => round.played && getRoundPoints(r, round.tournament_number) === null)
       );
 
       // Add legend if needed
       if (hasAbsentPlayers) {
-        worksheet.mergeCells('A3:M3');
-        worksheet.getCell('A3').value = '(*) Non-participation au tournoi concerné';
+        worksheet.mergeCells(`A3:${lastColumn}3`);
+        worksheet.getCell('A3').value = translate(language, 'export.absent_legend');
         worksheet.getCell('A3').font = { size: 10, italic: true, color: { argb: 'FF666666' } };
         worksheet.getCell('A3').alignment = { horizontal: 'left', vertical: 'middle' };
       }
@@ -329,9 +503,7 @@ router.get('/export', authenticateToken, async (req, res) => {
 
       // Data
       rows.forEach((row, index) => {
-        const moyenne = row.cumulated_reprises > 0
-          ? (row.cumulated_points / row.cumulated_reprises).toFixed(3)
-          : '0.000';
+        const moyenne = (Number(row.avg_moyenne) || 0).toFixed(3);
 
         const excelRow = worksheet.addRow([
           row.rank_position,
@@ -340,9 +512,7 @@ router.get('/export', authenticateToken, async (req, res) => {
           row.last_name,
           row.club,
           '', // Empty cell for logo
-          formatTournamentPoints(row.tournament_1_points, tournamentsPlayed.t1),
-          formatTournamentPoints(row.tournament_2_points, tournamentsPlayed.t2),
-          formatTournamentPoints(row.tournament_3_points, tournamentsPlayed.t3),
+          ...rounds.map(round => formatTournamentPoints(getRoundPoints(row, round.tournament_number), round.played)),
           row.total_match_points,
           row.cumulated_points,
           row.cumulated_reprises,
@@ -350,10 +520,10 @@ router.get('/export', authenticateToken, async (req, res) => {
           row.best_serie || 0
         ]);
 
-        // Green highlighting for qualified players (only columns 1-14)
+        // Green highlighting for qualified players (data columns only)
         if (row.rank_position <= qualifiedCount) {
           // Light green background for qualified players - apply to each cell individually
-          for (let col = 1; col <= 14; col++) {
+          for (let col = 1; col <= columnCount; col++) {
             excelRow.getCell(col).fill = {
               type: 'pattern',
               pattern: 'solid',
@@ -365,9 +535,9 @@ router.get('/export', authenticateToken, async (req, res) => {
           excelRow.getCell(1).font = { bold: true, size: 11, color: { argb: 'FF2E7D32' } };
           excelRow.getCell(1).value = `✓ ${row.rank_position}`;
         } else {
-          // Alternate row colors for non-qualified (only columns 1-14)
+          // Alternate row colors for non-qualified (data columns only)
           const bgColor = index % 2 === 0 ? 'FFF8F9FA' : 'FFFFFFFF';
-          for (let col = 1; col <= 14; col++) {
+          for (let col = 1; col <= columnCount; col++) {
             excelRow.getCell(col).fill = {
               type: 'pattern',
               pattern: 'solid',
@@ -377,7 +547,7 @@ router.get('/export', authenticateToken, async (req, res) => {
         }
 
         // Center alignment for numeric columns and logo column
-        [1, 6, 7, 8, 9, 10, 11, 12, 13, 14].forEach(col => {
+        [1, ...Array.from({ length: columnCount - 5 }, (_, i) => i + 6)].forEach(col => {
           excelRow.getCell(col).alignment = { horizontal: 'center', vertical: 'middle' };
         });
 
@@ -412,6 +582,18 @@ router.get('/export', authenticateToken, async (req, res) => {
         }
       });
 
+      // Ranking rules applied for this category/season
+      const rulesLines = describeRankingRules(rankingRules, language);
+      worksheet.addRow([]);
+      const rulesTitleRow = worksheet.addRow([translate(language, 'export.ranking_rules')]);
+      rulesTitleRow.getCell(1).font = { bold: true, size: 10, color: { argb: 'FF1F4788' } };
+      rulesLines.forEach(line => {
+        const ruleRow = worksheet.addRow([line]);
+        worksheet.mergeCells(`A${ruleRow.number}:${lastColumn}${ruleRow.number}`);
+        ruleRow.getCell(1).font = { size: 10, italic: true, color: { argb: 'FF666666' } };
+      });
+      const lastDataRow = rulesTitleRow.number - 2;
+
       // Column widths
       worksheet.columns = [
         { width: 12 },  // Position
@@ -420,9 +602,7 @@ router.get('/export', authenticateToken, async (req, res) => {
         { width: 18 },  // Nom
         { width: 32 },  // Club
         { width: 4 },   // Logo
-        { width: 8 },   // T1
-        { width: 8 },   // T2
-        { width: 8 },   // T3
+        ...rounds.map(() => ({ width: 8 })),  // T1, T2, ...
         { width: 14 },  // Total Pts Match
         { width: 12 },  // Total Points
         { width: 14 },  // Total Reprises
@@ -432,7 +612,7 @@ router.get('/export', authenticateToken, async (req, res) => {
 
       // Borders for all data cells
       worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber >= 4) {
+        if (rowNumber >= 4 && rowNumber <= lastDataRow) {
           row.eachCell((cell) => {
             cell.border = {
               top: { style: 'thin', color: { argb: 'FFD3D3D3' } },
@@ -451,7 +631,7 @@ router.get('/export', authenticateToken, async (req, res) => {
       );
 
       // Create filename: "Classement Bande R2, 2025-2026.xlsx"
-      const filename = `Classement ${categoryName}, ${season}.xlsx`;
+      const filename = `${translate(language, 'export.ranking')} ${categoryName}, ${season}.xlsx`;
 
       res.setHeader(
         'Content-Disposition',
@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const { authenticateToken, requireAdmin } = require('./auth');
 const appSettings = require('../utils/app-settings');
+const { checkTemplate } = require('../utils/email-template-context');
 
 const router = express.Router();
 
@@ -592,6 +593,12 @@ router.put('/email-template/:key', authenticateToken, requireAdmin, (req, res) =
     return res.status(400).json({ error: 'Subject and body templates are required' });
   }
 
+  // Same check as the templates saved from the emailing page: a syntax error would fail every send
+  const check = checkTemplate(key, { Objet: subject_template, Message: body_template });
+  if (!check.valid) {
+    return res.status(400).json({ error: check.errors.join(' - '), errors: check.errors });
+  }
+
   db.run(
     `INSERT INTO email_templates (template_key, subject_template, body_template, updated_at)
      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
@@ -605,7 +612,7 @@ router.put('/email-template/:key', authenticateToken, requireAdmin, (req, res) =
         console.error('Error updating email template:', err);
         return res.status(500).json({ error: err.message });
       }
-      res.json({ success: true, message: 'Email template updated' });
+      res.json({ success: true, message: 'Email template updated', warnings: check.unknownVariables });
     }
   );
 });
@@ -1,5 +1,9 @@
 const express = require('express');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { getTournamentLabel, getQualifyingTournamentNumbers } = require('../utils/qualifying-rounds');
+const { getRankingRules } = require('../utils/ranking-rules');
+const { normalizeLicence } = require('../utils/licence');
+const { PROVISIONAL_TOURNAMENTS, recalculateRatings, getPlayerRatings, getPlayerRatingHistory } = require('../utils/player-rating');
 
 const router = express.Router();
 
@@ -175,7 +179,7 @@ router.get('/clubs/wins', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    JOIN players p ON tr.licence = p.licence
     WHERE t.season = $1
       AND tr.position = 1
       AND p.club IS NOT NULL AND p.club != ''
@@ -222,7 +226,7 @@ router.get('/clubs/podiums', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON tr.licence = p.licence
     LEFT JOIN club_aliases ca ON UPPER(REPLACE(REPLACE(REPLACE(COALESCE(p.club, ''), ' ', ''), '.', ''), '-', ''))
                                 = UPPER(REPLACE(REPLACE(REPLACE(ca.alias, ' ', ''), '.', ''), '-', ''))
     WHERE t.season = $1
@@ -269,7 +273,7 @@ router.get('/clubs/participations', authenticateToken, async (req, res) => {
       COUNT(*) as total_participations
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
-    JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    JOIN players p ON tr.licence = p.licence
     LEFT JOIN club_aliases ca ON UPPER(REPLACE(REPLACE(REPLACE(p.club, ' ', ''), '.', ''), '-', ''))
                                 = UPPER(REPLACE(REPLACE(REPLACE(ca.alias, ' ', ''), '.', ''), '-', ''))
     WHERE t.season = $1
@@ -326,7 +330,7 @@ router.get('/clubs/competing-players', authenticateToken, async (req, res) => {
       COUNT(DISTINCT tr.licence) as player_count
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
-    LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON tr.licence = p.licence
     LEFT JOIN club_aliases ca ON UPPER(REPLACE(REPLACE(REPLACE(p.club, ' ', ''), '.', ''), '-', ''))
                                 = UPPER(REPLACE(REPLACE(REPLACE(ca.alias, ' ', ''), '.', ''), '-', ''))
     WHERE t.season = $1
@@ -359,7 +363,7 @@ router.get('/clubs/moyenne', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    JOIN players p ON tr.licence = p.licence
     WHERE t.season = $1
       AND p.club IS NOT NULL AND p.club != ''
       AND tr.moyenne > 0
@@ -410,7 +414,7 @@ router.get('/players/active', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON tr.licence = p.licence
     WHERE t.season = $1
     GROUP BY tr.licence, COALESCE(p.first_name || ' ' || p.last_name, tr.player_name), p.club
     ORDER BY competitions DESC
@@ -443,7 +447,7 @@ router.get('/players/wins', authenticateToken, async (req, res) => {
       FROM tournament_results tr
       JOIN tournaments t ON tr.tournament_id = t.id
       JOIN categories c ON t.category_id = c.id
-      LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+      LEFT JOIN players p ON tr.licence = p.licence
       WHERE t.season = $1 AND CAST(tr.position AS INTEGER) = 1 AND c.id = $2
       GROUP BY tr.licence, COALESCE(p.first_name || ' ' || p.last_name, tr.player_name), p.club, c.display_name
       ORDER BY wins DESC
@@ -482,7 +486,7 @@ router.get('/players/moyenne', authenticateToken, async (req, res) => {
       FROM tournament_results tr
       JOIN tournaments t ON tr.tournament_id = t.id
       JOIN categories c ON t.category_id = c.id
-      LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+      LEFT JOIN players p ON tr.licence = p.licence
       WHERE t.season = $1 AND tr.moyenne > 0 AND c.id = $2
       GROUP BY tr.licence, COALESCE(p.first_name || ' ' || p.last_name, tr.player_name), p.club, c.display_name
       ORDER BY avg_moyenne DESC
@@ -529,7 +533,7 @@ router.get('/players/serie', authenticateToken, async (req, res) => {
       FROM tournament_results tr
       JOIN tournaments t ON tr.tournament_id = t.id
       JOIN categories c ON t.category_id = c.id
-      LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+      LEFT JOIN players p ON tr.licence = p.licence
       WHERE t.season = $1 AND tr.serie > 0 AND c.id = $2
       GROUP BY tr.licence, COALESCE(p.first_name || ' ' || p.last_name, tr.player_name), p.club, c.display_name, t.tournament_number
       ORDER BY best_serie DESC
@@ -554,7 +558,7 @@ router.get('/players/serie', authenticateToken, async (req, res) => {
             club: row.club,
             category: row.category,
             best_serie: row.best_serie,
-            tournament: `T${row.tournament_number}`
+            tournament: getTournamentLabel(row.tournament_number, true)
           });
         }
       });
@@ -585,7 +589,7 @@ router.get('/players/consistent', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON tr.licence = p.licence
     WHERE t.season = $1
     GROUP BY tr.licence, COALESCE(p.first_name || ' ' || p.last_name, tr.player_name), p.club, c.id, c.display_name, c.game_type
     HAVING COUNT(DISTINCT t.tournament_number) = 3
@@ -601,18 +605,38 @@ router.get('/players/consistent', authenticateToken, async (req, res) => {
   });
 });
 
-// Get players with best progression (T1 to T3)
+// Last qualifying tournament_number of each category with tournaments in a season (ranking rules)
+async function getLastRoundByCategory(db, season) {
+  const result = await db.query('SELECT DISTINCT category_id FROM tournaments WHERE season = $1', [season]);
+  const lastRounds = {};
+  for (const row of result.rows) {
+    const rules = await getRankingRules(row.category_id, season);
+    lastRounds[row.category_id] = getQualifyingTournamentNumbers(rules.qualifying_rounds).slice(-1)[0];
+  }
+  return lastRounds;
+}
+
+// Get players with best progression (T1 to the last qualifying round of their category)
 router.get('/players/progression', authenticateToken, async (req, res) => {
   const db = require('../db-loader');
   const { season } = req.query;
   const targetSeason = season || getCurrentSeason();
 
+  let lastRounds;
+  try {
+    lastRounds = await getLastRoundByCategory(db, targetSeason);
+  } catch (error) {
+    console.error('Error fetching player progression:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
   const query = `
     WITH player_tournaments AS (
       SELECT
         tr.licence,
         COALESCE(p.first_name || ' ' || p.last_name, tr.player_name) as player_name,
         p.club,
+        c.id as category_id,
         c.display_name as category,
         c.game_type,
         t.tournament_number,
@@ -621,7 +645,7 @@ router.get('/players/progression', authenticateToken, async (req, res) => {
       FROM tournament_results tr
       JOIN tournaments t ON tr.tournament_id = t.id
       JOIN categories c ON t.category_id = c.id
-      LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+      LEFT JOIN players p ON tr.licence = p.licence
       WHERE t.season = $1
     ),
     progression AS (
@@ -632,14 +656,15 @@ router.get('/players/progression', authenticateToken, async (req, res) => {
         pt1.category,
         pt1.game_type,
         pt1.position as t1_position,
-        pt3.position as t3_position,
+        pt3.tournament_number as last_tournament_number,
+        pt3.position as last_position,
         pt1.position - pt3.position as position_improvement,
         pt3.moyenne - pt1.moyenne as moyenne_improvement
       FROM player_tournaments pt1
       JOIN player_tournaments pt3 ON pt1.licence = pt3.licence
         AND pt1.category = pt3.category
         AND pt1.tournament_number = 1
-        AND pt3.tournament_number = 3
+        AND pt3.tournament_number = ($2::jsonb ->> pt1.category_id::text)::int
     )
     SELECT * FROM progression
     WHERE position_improvement > 0
@@ -647,15 +672,85 @@ router.get('/players/progression', authenticateToken, async (req, res) => {
     LIMIT 10
   `;
 
-  db.all(query, [targetSeason], (err, rows) => {
+  db.all(query, [targetSeason, JSON.stringify(lastRounds)], (err, rows) => {
     if (err) {
       console.error('Error fetching player progression:', err);
       return res.status(500).json({ error: err.message });
     }
-    res.json(rows || []);
+    res.json((rows || []).map(row => ({ ...row, last_round_label: getTournamentLabel(row.last_tournament_number, true) })));
   });
 });
 
+// Get player ratings (Elo per game mode, see utils/player-rating)
+// With licence: ratings and rating history of that player; otherwise the leaderboard
+// (mode = game mode code, season = only players who played that season)
+router.get('/players/rating', authenticateToken, async (req, res) => {
+  const db = require('../db-loader');
+  const { mode, season, licence } = req.query;
+  const resultLimit = parseInt(req.query.limit) || 20;
+
+  try {
+    if (licence) {
+      const [ratings, history] = await Promise.all([getPlayerRatings(licence), getPlayerRatingHistory(licence)]);
+      return res.json({ licence: normalizeLicence(licence), ratings, history });
+    }
+
+    const params = [];
+    let filters = '';
+    if (mode) {
+      params.push(mode.toUpperCase().replace(/ /g, ''));
+      filters += ` AND UPPER(REPLACE(gm.code, ' ', '')) = $${params.length}`;
+    }
+    if (season) {
+      params.push(season);
+      filters += ` AND EXISTS (
+        SELECT 1 FROM player_rating_history h
+        WHERE h.licence = pr.licence AND h.game_mode_id = pr.game_mode_id AND h.season = $${params.length}
+      )`;
+    }
+    params.push(resultLimit);
+
+    const result = await db.query(`
+      SELECT
+        pr.licence,
+        COALESCE(p.first_name || ' ' || p.last_name, pr.player_name) as player_name,
+        p.club,
+        gm.code as game_mode_code,
+        gm.display_name as game_mode_name,
+        pr.rating,
+        pr.peak_rating,
+        pr.tournaments_played
+      FROM player_ratings pr
+      JOIN game_modes gm ON pr.game_mode_id = gm.id
+      LEFT JOIN players p ON p.licence = pr.licence
+      WHERE 1=1${filters}
+      ORDER BY pr.rating DESC
+      LIMIT $${params.length}
+    `, params);
+
+    res.json(result.rows.map(row => ({
+      ...row,
+      rating: Math.round(Number(row.rating)),
+      peak_rating: Math.round(Number(row.peak_rating)),
+      provisional: row.tournaments_played < PROVISIONAL_TOURNAMENTS
+    })));
+  } catch (error) {
+    console.error('Error fetching player ratings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recompute all player ratings from the tournament results (also done after each import)
+router.post('/players/rating/recalculate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const report = await recalculateRatings();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error recalculating player ratings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== GENERAL STATISTICS ====================
 
 // Get participation stats (inscriptions vs actual participation)
@@ -836,7 +931,7 @@ router.get('/players/new', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN first_appearance fa ON tr.licence = fa.licence
-    LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON tr.licence = p.licence
     WHERE t.season = $1 AND fa.first_season = $1
     GROUP BY tr.licence, COALESCE(p.first_name || ' ' || p.last_name, tr.player_name), p.club
     ORDER BY tournaments_played DESC
@@ -866,7 +961,7 @@ router.get('/players/veterans', authenticateToken, async (req, res) => {
       MAX(t.season) as last_season
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
-    LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
+    LEFT JOIN players p ON tr.licence = p.licence
     GROUP BY tr.licence, p.first_name, p.last_name, p.club
     ORDER BY seasons_played DESC
     LIMIT 20
@@ -1008,12 +1103,12 @@ router.get('/players/debug/:licence', authenticateToken, async (req, res) => {
     FROM tournament_results tr
     JOIN tournaments t ON tr.tournament_id = t.id
     JOIN categories c ON t.category_id = c.id
-    WHERE REPLACE(tr.licence, ' ', '') = REPLACE($1, ' ', '')
+    WHERE tr.licence = $1
       AND t.season = $2
     ORDER BY c.game_type, t.tournament_number
   `;
 
-  db.all(query, [licence, targetSeason], (err, rows) => {
+  db.all(query, [normalizeLicence(licence), targetSeason], (err, rows) => {
     if (err) {
       console.error('Error fetching player debug:', err);
       return res.status(500).json({ error: err.message });
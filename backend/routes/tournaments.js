@@ -1,12 +1,19 @@
 const express = require('express');
 const multer = require('multer');
-const { parse } = require('csv-parse');
 const path = require('path');
 const fs = require('fs');
 const db = require('../db-loader');
 const { authenticateToken } = require('./auth');
 const { logAdminAction, ACTION_TYPES } = require('../utils/admin-logger');
 const { getColumnMapping } = require('./import-config');
+const { getRankingRules, computeRankings } = require('../utils/ranking-rules');
+const { FINALE_TOURNAMENT_NUMBER, getQualifyingTournamentNumbers, getTournamentLabel, tournamentNumberToRound } = require('../utils/qualifying-rounds');
+const { saveRankingSnapshot } = require('../utils/ranking-history');
+const { scheduleRatingRecalculation } = require('../utils/player-rating');
+const { normalizeLicence } = require('../utils/licence');
+const { importFileFilter, readImportFile, describeImportFile } = require('../utils/import-file');
+const { startImportBatch, recordInsert, recordUpdate, recordDeletes, finishImportBatch } = require('../utils/import-batch');
+const { normalizeLanguage, translate, formatDate } = require('../utils/i18n');
 
 /**
  * Default column mapping for tournament results imports
@@ -94,15 +101,7 @@ try {
     limits: {
       fileSize: 5 * 1024 * 1024 // 5MB max
     },
-    fileFilter: (req, file, cb) => {
-      // Only allow CSV files
-      const ext = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
-      if (ext === '.csv') {
-        cb(null, true);
-      } else {
-        cb(new Error('Seuls les fichiers CSV sont acceptés'), false);
-      }
-    }
+    fileFilter: importFileFilter
   });
   console.log('Multer configured successfully, uploads dir:', uploadsDir);
 } catch (error) {
@@ -122,41 +121,15 @@ router.get('/categories', authenticateToken, (req, res) => {
   });
 });
 
-// Validate tournament CSV and check for unknown players
+// Validate tournament file (CSV or Excel) and check for unknown players
 router.post('/validate', authenticateToken, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
   try {
-    let fileContent = fs.readFileSync(req.file.path, 'utf-8');
-
-    // Fix CSV format
-    const lines = fileContent.split('\n');
-    const fixedLines = lines.map(line => {
-      line = line.trim();
-      if (!line) return line;
-      if (line.startsWith('"') && line.endsWith('"')) {
-        line = line.slice(1, -1);
-      }
-      line = line.replace(/""/g, '"');
-      return line;
-    });
-
-    fileContent = fixedLines.join('\n');
-    const records = [];
-
-    const parser = parse(fileContent, {
-      delimiter: ';',
-      skip_empty_lines: true,
-      quote: '"',
-      escape: '"',
-      relax_column_count: true
-    });
-
-    for await (const record of parser) {
-      records.push(record);
-    }
+    // CSV (delimiter and encoding detected) or Excel, IONOS lines wrapped in quotes
+    const { records } = await readImportFile(req.file, { unwrapQuotedLines: 'always' });
 
     // Check for unknown players
     const unknownPlayers = [];
@@ -166,7 +139,7 @@ router.post('/validate', authenticateToken, upload.single('file'), async (req, r
       try {
         if (record[0]?.includes('Classt') || record[0]?.includes('Licence')) continue;
 
-        const licence = record[1]?.replace(/"/g, '').replace(/ /g, '').trim();
+        const licence = normalizeLicence(record[1]?.replace(/"/g, ''));
         const playerName = record[2]?.replace(/"/g, '').trim();
 
         if (!licence || !playerName) continue;
@@ -178,7 +151,7 @@ router.post('/validate', authenticateToken, upload.single('file'), async (req, r
         const existsQuery = `
           SELECT licence, first_name, last_name
           FROM players
-          WHERE REPLACE(licence, ' ', '') = ?
+          WHERE licence = ?
              OR (UPPER(first_name || ' ' || last_name) = UPPER(?)
                  OR UPPER(last_name || ' ' || first_name) = UPPER(?))
         `;
@@ -256,7 +229,7 @@ router.post('/create-players', authenticateToken, async (req, res) => {
 
     for (const player of players) {
       await new Promise((resolve) => {
-        stmt.run(player.licence, player.firstName, player.lastName, player.club, (err) => {
+        stmt.run(normalizeLicence(player.licence), player.firstName, player.lastName, player.club, (err) => {
           if (err && !createError) {
             createError = err;
             console.error('Error creating player:', err);
@@ -321,7 +294,7 @@ router.get('/check-exists', authenticateToken, (req, res) => {
   });
 });
 
-// Import tournament results from CSV
+// Import tournament results from CSV or Excel (.xlsx)
 router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
@@ -335,6 +308,16 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
   }
 
   try {
+    // A round beyond the qualifying rounds of the category would be ignored by the ranking
+    const rules = await getRankingRules(categoryId, season);
+    const number = parseInt(tournamentNumber, 10);
+    if (number !== FINALE_TOURNAMENT_NUMBER && !getQualifyingTournamentNumbers(rules.qualifying_rounds).includes(number)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        error: `Tournoi invalide : cette catégorie compte ${rules.qualifying_rounds} tournois qualificatifs en ${season}`
+      });
+    }
+
     // Load configurable column mapping, fall back to defaults
     let columnMapping;
     try {
@@ -346,226 +329,159 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
       columnMapping = DEFAULT_TOURNAMENT_MAPPING;
     }
 
-    let fileContent = fs.readFileSync(req.file.path, 'utf-8');
-
-    // Fix CSV format: remove outer quotes and fix double quotes
-    // Format: "field1,""field2"",""field3""" becomes field1,"field2","field3"
-    const lines = fileContent.split('\n');
-    const fixedLines = lines.map(line => {
-      line = line.trim();
-      if (!line) return line;
-
-      // Remove outer quotes if present
-      if (line.startsWith('"') && line.endsWith('"')) {
-        line = line.slice(1, -1);
-      }
-
-      // Replace double double-quotes with single quotes
-      line = line.replace(/""/g, '"');
-
-      return line;
+    // CSV (delimiter and encoding detected) or Excel, IONOS lines wrapped in quotes:
+    // "field1;""field2"";""field3""" becomes field1;"field2";"field3"
+    const file = await readImportFile(req.file, { unwrapQuotedLines: 'always' });
+    const records = file.records;
+
+    // Each row written is recorded under the import (rollback)
+    const importId = await startImportBatch(db, {
+      fileType: 'resultats',
+      recordCount: records.length,
+      filename: req.file.originalname,
+      importedBy: req.user?.username
     });
 
-    fileContent = fixedLines.join('\n');
-    const records = [];
+    // Create or get tournament
+    const existingTournament = (await db.query(
+      'SELECT id FROM tournaments WHERE category_id = $1 AND tournament_number = $2 AND season = $3',
+      [categoryId, tournamentNumber, season]
+    )).rows[0];
+    if (existingTournament) {
+      await recordUpdate(db, importId, 'tournaments', existingTournament.id);
+    }
+    const tournamentResult = await db.query(
+      `INSERT INTO tournaments (category_id, tournament_number, season, tournament_date)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT(category_id, tournament_number, season) DO UPDATE SET
+         tournament_date = $4,
+         import_date = CURRENT_TIMESTAMP
+       RETURNING id`,
+      [categoryId, tournamentNumber, season, tournamentDate]
+    );
+    const finalTournamentId = tournamentResult.rows[0].id;
+    if (!existingTournament) {
+      await recordInsert(db, importId, 'tournaments', finalTournamentId);
+    }
 
-    const parser = parse(fileContent, {
-      delimiter: ';',
-      skip_empty_lines: true,
-      quote: '"',
-      escape: '"',
-      relax_column_count: true
-    });
+    // Delete existing results for this tournament
+    await recordDeletes(db, importId, 'tournament_results', 't.tournament_id = $2', [finalTournamentId]);
+    await db.query('DELETE FROM tournament_results WHERE tournament_id = $1', [finalTournamentId]);
 
-    for await (const record of parser) {
-      records.push(record);
-    }
+    // First, ensure all players exist in the players table
+    for (const record of records) {
+      try {
+        // Skip header row
+        if (record[0]?.includes('Classt') || record[0]?.includes('Licence')) continue;
 
-    // Start transaction
-    db.serialize(() => {
-      // Create or get tournament
-      db.run(
-        `INSERT INTO tournaments (category_id, tournament_number, season, tournament_date)
-         VALUES (?, ?, ?, ?)
-         ON CONFLICT(category_id, tournament_number, season) DO UPDATE SET
-           tournament_date = ?,
-           import_date = CURRENT_TIMESTAMP
-         RETURNING id`,
-        [categoryId, tournamentNumber, season, tournamentDate, tournamentDate],
-        function(err) {
-          if (err) {
-            fs.unlinkSync(req.file.path);
-            return res.status(500).json({ error: err.message });
-          }
+        const licence = normalizeLicence(record[1]?.replace(/"/g, ''));
+        const playerName = record[2]?.replace(/"/g, '').trim();
 
-          const tournamentId = this.lastID;
+        if (!licence || !playerName) continue;
 
-          // If UPDATE was triggered, get the existing tournament ID
-          db.get(
-            'SELECT id FROM tournaments WHERE category_id = ? AND tournament_number = ? AND season = ?',
-            [categoryId, tournamentNumber, season],
-            (err, row) => {
-              if (err) {
-                fs.unlinkSync(req.file.path);
-                return res.status(500).json({ error: err.message });
-              }
+        // Split player name into first and last name
+        // Tournament CSV format: "LASTNAME FIRSTNAME"
+        const nameParts = playerName.split(' ');
+        const lastName = nameParts[0] || '';
+        const firstName = nameParts.slice(1).join(' ') || '';
+
+        // Note: Tournament CSV doesn't include club info
+        // Club will be set when importing JOUEURS.csv separately
+        const created = await db.query(`
+          INSERT INTO players (licence, first_name, last_name, club, is_active)
+          VALUES ($1, $2, $3, $4, 1)
+          ON CONFLICT (licence) DO NOTHING
+          RETURNING licence
+        `, [licence, firstName, lastName, 'Club inconnu']);
+        if (created.rows.length > 0) {
+          await recordInsert(db, importId, 'players', licence);
+        }
+      } catch (err) {
+        console.error('Error creating player:', err);
+      }
+    }
 
-              const finalTournamentId = row ? row.id : tournamentId;
+    // Now insert tournament results
+    let imported = 0;
+    let errors = [];
 
-              // Delete existing results for this tournament
-              db.run('DELETE FROM tournament_results WHERE tournament_id = ?', [finalTournamentId], (err) => {
-                if (err) {
-                  fs.unlinkSync(req.file.path);
-                  return res.status(500).json({ error: err.message });
-                }
+    for (const record of records) {
+      // Skip header row
+      if (record[0]?.includes('Classt') || record[0]?.includes('Licence')) continue;
+
+      // Parse CSV format using configurable column mapping
+      // Default column layout:
+      // Column A (index 0): Position/Classement
+      // Column B (index 1): Licence
+      // Column C (index 2): Joueur
+      // Column E (index 4): Pts match (match points)
+      // Column G (index 6): Moyenne (3.10)
+      // Column I (index 8): Reprises
+      // Column J (index 9): Série
+      // Column M (index 12): Points (R) - game points
+      let licence;
+      try {
+        const position = getMappedValue(record, columnMapping, 'classement', 0);
+        licence = normalizeLicence(getMappedValue(record, columnMapping, 'licence', ''));
+        const playerName = getMappedValue(record, columnMapping, 'joueur', '');
+        const matchPoints = getMappedValue(record, columnMapping, 'pts_match', 0);
+        const moyenne = getMappedValue(record, columnMapping, 'moyenne', 0);
+        const reprises = getMappedValue(record, columnMapping, 'reprises', 0);
+        const serie = getMappedValue(record, columnMapping, 'serie', 0);
+        const points = getMappedValue(record, columnMapping, 'points', 0);
 
-                // Insert tournament results
-                let imported = 0;
-                let errors = [];
+        if (!licence || !playerName) continue;
 
-                // First, ensure all players exist in the players table
-                const playerStmt = db.prepare(`
-                  INSERT INTO players (licence, first_name, last_name, club, is_active)
-                  VALUES (?, ?, ?, ?, 1)
-                  ON CONFLICT (licence) DO NOTHING
-                `);
+        const inserted = await db.query(`
+          INSERT INTO tournament_results (tournament_id, licence, player_name, position, match_points, moyenne, serie, points, reprises)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING id
+        `, [finalTournamentId, licence, playerName, position, matchPoints, moyenne, serie, points, reprises]);
+        await recordInsert(db, importId, 'tournament_results', inserted.rows[0].id);
+        imported++;
+      } catch (err) {
+        errors.push(licence ? { licence, error: err.message } : { record: record[0], error: err.message });
+      }
+    }
+    await finishImportBatch(db, importId);
 
-                // Parse and create players first
-                let playerInsertCount = 0;
-                let playerInsertTotal = 0;
-                let playerInsertError = null;
+    // Recalculate rankings for this category and season
+    const rankingReport = await recalculateRankings(categoryId, season);
 
-                for (const record of records) {
-                  try {
-                    // Skip header row
-                    if (record[0]?.includes('Classt') || record[0]?.includes('Licence')) continue;
-
-                    const licence = record[1]?.replace(/"/g, '').replace(/ /g, '').trim(); // Remove spaces
-                    const playerName = record[2]?.replace(/"/g, '').trim();
-
-                    if (!licence || !playerName) continue;
-
-                    // Split player name into first and last name
-                    // Tournament CSV format: "LASTNAME FIRSTNAME"
-                    const nameParts = playerName.split(' ');
-                    const lastName = nameParts[0] || '';
-                    const firstName = nameParts.slice(1).join(' ') || '';
-
-                    playerInsertTotal++;
-
-                    // Note: Tournament CSV doesn't include club info
-                    // Club will be set when importing JOUEURS.csv separately
-                    playerStmt.run(licence, firstName, lastName, 'Club inconnu', (err) => {
-                      if (err && !playerInsertError) {
-                        playerInsertError = err;
-                        console.error('Error creating player:', err);
-                      }
-                      playerInsertCount++;
-
-                      // Check if all player inserts are done
-                      if (playerInsertCount === playerInsertTotal) {
-                        // All players created, now finalize and insert tournament results
-                        playerStmt.finalize((finalizeErr) => {
-                          if (finalizeErr) {
-                            console.error('Error finalizing player statement:', finalizeErr);
-                          }
-                          insertTournamentResults();
-                        });
-                      }
-                    });
-                  } catch (err) {
-                    console.error('Error parsing player record:', err);
-                  }
-                }
+    // Clean up uploaded file
+    fs.unlinkSync(req.file.path);
 
-                // If no players to insert, skip directly to tournament results
-                if (playerInsertTotal === 0) {
-                  playerStmt.finalize(() => {
-                    insertTournamentResults();
-                  });
-                }
+    // Player ratings depend on every tournament, recomputed in the background
+    scheduleRatingRecalculation();
+
+    // Log tournament import
+    logAdminAction({
+      req,
+      action: ACTION_TYPES.IMPORT_TOURNAMENT,
+      details: `Import tournoi ${tournamentNumber}, saison ${season}, ${imported} joueurs (import #${importId})`,
+      targetType: 'tournament',
+      targetId: finalTournamentId,
+      targetName: `${getTournamentLabel(tournamentNumber, true)} - ${season}`
+    });
 
-                function insertTournamentResults() {
-
-                  // Now insert tournament results
-                  const stmt = db.prepare(`
-                    INSERT INTO tournament_results (tournament_id, licence, player_name, position, match_points, moyenne, serie, points, reprises)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                  `);
-
-                  for (const record of records) {
-                    try {
-                      // Skip header row
-                      if (record[0]?.includes('Classt') || record[0]?.includes('Licence')) continue;
-
-                      // Parse CSV format using configurable column mapping
-                      // Default column layout:
-                      // Column A (index 0): Position/Classement
-                      // Column B (index 1): Licence
-                      // Column C (index 2): Joueur
-                      // Column E (index 4): Pts match (match points)
-                      // Column G (index 6): Moyenne (3.10)
-                      // Column I (index 8): Reprises
-                      // Column J (index 9): Série
-                      // Column M (index 12): Points (R) - game points
-                      const position = getMappedValue(record, columnMapping, 'classement', 0);
-                      const licence = getMappedValue(record, columnMapping, 'licence', '')?.replace(/ /g, ''); // Remove spaces
-                      const playerName = getMappedValue(record, columnMapping, 'joueur', '');
-                      const matchPoints = getMappedValue(record, columnMapping, 'pts_match', 0);
-                      const moyenne = getMappedValue(record, columnMapping, 'moyenne', 0);
-                      const reprises = getMappedValue(record, columnMapping, 'reprises', 0);
-                      const serie = getMappedValue(record, columnMapping, 'serie', 0);
-                      const points = getMappedValue(record, columnMapping, 'points', 0);
-
-                      if (!licence || !playerName) continue;
-
-                      stmt.run(finalTournamentId, licence, playerName, position, matchPoints, moyenne, serie, points, reprises, (err) => {
-                        if (err) {
-                          errors.push({ licence, error: err.message });
-                        } else {
-                          imported++;
-                        }
-                      });
-                    } catch (err) {
-                      errors.push({ record: record[0], error: err.message });
-                    }
-                  }
+    if (rankingReport.status === 'error') {
+      return res.status(500).json({
+        error: `Résultats importés (import #${importId}) mais classement non recalculé: ${rankingReport.error}`,
+        tournamentId: finalTournamentId,
+        importId,
+        imported,
+        rankingReport
+      });
+    }
 
-                  stmt.finalize((err) => {
-                    if (err) {
-                      fs.unlinkSync(req.file.path);
-                      return res.status(500).json({ error: 'Error finalizing import' });
-                    }
-
-                    // Recalculate rankings for this category and season
-                    recalculateRankings(categoryId, season, () => {
-                      // Clean up uploaded file
-                      fs.unlinkSync(req.file.path);
-
-                      // Log tournament import
-                      logAdminAction({
-                        req,
-                        action: ACTION_TYPES.IMPORT_TOURNAMENT,
-                        details: `Import tournoi ${tournamentNumber}, saison ${season}, ${imported} joueurs`,
-                        targetType: 'tournament',
-                        targetId: finalTournamentId,
-                        targetName: `T${tournamentNumber} - ${season}`
-                      });
-
-                      res.json({
-                        message: 'Tournament imported successfully',
-                        tournamentId: finalTournamentId,
-                        imported,
-                        errors: errors.length > 0 ? errors : undefined
-                      });
-                    });
-                  });
-                } // Close insertTournamentResults function
-              });
-            }
-          );
-        }
-      );
+    res.json({
+      message: 'Tournament imported successfully',
+      tournamentId: finalTournamentId,
+      importId,
+      imported,
+      errors: errors.length > 0 ? errors : undefined,
+      rankingReport,
+      file: describeImportFile(file)
     });
 
   } catch (error) {
@@ -578,153 +494,183 @@ router.post('/import', authenticateToken, upload.single('file'), async (req, res
 });
 
 // Recalculate rankings for a category and season
-function recalculateRankings(categoryId, season, callback) {
-  console.log(`[RANKING] Starting recalculation for category ${categoryId}, season ${season}`);
-
-  // Get all tournament results for this category and season
-  // Exclude finale (tournament_number = 4) from ranking calculation
-  // Ranking order: 1) match points DESC, 2) cumulative moyenne DESC, 3) best serie DESC
-  const query = `
-    SELECT
-      REPLACE(tr.licence, ' ', '') as licence,
-      MAX(tr.player_name) as player_name,
-      SUM(tr.match_points) as total_match_points,
-      SUM(tr.points) as total_points,
-      SUM(tr.reprises) as total_reprises,
-      CASE
-        WHEN SUM(tr.reprises) > 0 THEN CAST(SUM(tr.points) AS FLOAT) / CAST(SUM(tr.reprises) AS FLOAT)
-        ELSE 0
-      END as avg_moyenne,
-      MAX(tr.serie) as best_serie,
-      MAX(CASE WHEN t.tournament_number = 1 THEN tr.match_points ELSE NULL END) as t1_points,
-      MAX(CASE WHEN t.tournament_number = 2 THEN tr.match_points ELSE NULL END) as t2_points,
-      MAX(CASE WHEN t.tournament_number = 3 THEN tr.match_points ELSE NULL END) as t3_points
-    FROM tournament_results tr
-    JOIN tournaments t ON tr.tournament_id = t.id
-    WHERE t.category_id = ? AND t.season = ? AND t.tournament_number <= 3
-    GROUP BY REPLACE(tr.licence, ' ', '')
-    ORDER BY total_match_points DESC, avg_moyenne DESC, best_serie DESC
-  `;
-
-  db.all(query, [categoryId, season], (err, results) => {
-    if (err) {
-      console.error(`[RANKING] Error calculating rankings for category ${categoryId}:`, err);
-      return callback(err);
-    }
+// Ranking rules (points system, counted tournaments, bonus, tiebreaks) come from ranking_rules.
+// Runs in a transaction: the old ranking is only replaced when every row is inserted and the
+// integrity checks pass, otherwise everything is rolled back and the previous ranking stays live.
+// Resolves to an integrity report ({ status: 'ok' | 'cleared' | 'error', checks, ... }), never rejects;
+// 'cleared' = no results left, the rankings and snapshots of the category/season were removed.
+async function recalculateRankings(categoryId, season) {
+  const startedAt = Date.now();
+  const report = {
+    categoryId: parseInt(categoryId, 10),
+    season,
+    status: 'ok',
+    rulesSource: null,
+    tournaments: [],
+    playersExpected: 0,
+    playersInserted: 0,
+    snapshotTournament: null,
+    checks: [],
+    rolledBack: false,
+    error: null,
+    durationMs: 0
+  };
 
-    console.log(`[RANKING] Found ${results.length} players to rank for category ${categoryId}`);
-
-    if (results.length === 0) {
-      console.log(`[RANKING] No players found, skipping ranking update`);
-      return callback(null);
-    }
-
-    // Log top 3 for verification
-    console.log(`[RANKING] Top 3: ${results.slice(0, 3).map(r => `${r.licence}(${r.total_match_points}pts)`).join(', ')}`);
+  console.log(`[RANKING] Starting recalculation for category ${categoryId}, season ${season}`);
 
-    // Delete existing rankings
-    db.run('DELETE FROM rankings WHERE category_id = ? AND season = ?', [categoryId, season], function(err) {
-      if (err) {
-        console.error(`[RANKING] Error deleting old rankings:`, err);
-        return callback(err);
+  let inTransaction = false;
+  try {
+    const rules = await getRankingRules(categoryId, season);
+    const tournamentNumbers = getQualifyingTournamentNumbers(rules.qualifying_rounds);
+    report.rulesSource = rules.source_id;
+
+    await db.transaction(async (tx) => {
+      inTransaction = true;
+
+      // Get all tournament results for this category and season, one row per player and tournament
+      // Only the qualifying rounds count (the finale is excluded), their number comes from the rules
+      const tournamentResults = (await tx.query(`
+        SELECT
+          tr.licence,
+          tr.player_name,
+          t.tournament_number,
+          tr.position,
+          tr.match_points,
+          tr.points,
+          tr.weighted_points,
+          tr.reprises,
+          tr.serie
+        FROM tournament_results tr
+        JOIN tournaments t ON tr.tournament_id = t.id
+        WHERE t.category_id = $1 AND t.season = $2
+          AND t.tournament_number IN (${tournamentNumbers.map((_, idx) => `$${idx + 3}`).join(', ')})
+        ORDER BY t.tournament_number
+      `, [categoryId, season, ...tournamentNumbers])).rows;
+
+      const results = computeRankings(tournamentResults, rules);
+      const playedNumbers = [...new Set(tournamentResults.map(t => t.tournament_number))].sort((a, b) => a - b);
+      report.tournaments = playedNumbers;
+      report.playersExpected = results.length;
+
+      console.log(`[RANKING] Found ${results.length} players to rank for category ${categoryId} (rules: ${rules.source_id ? `#${rules.source_id}` : 'default'})`);
+
+      // No results left (tournaments deleted, import rolled back): the old standings go too
+      if (results.length === 0) {
+        const cleared = await tx.query('DELETE FROM rankings WHERE category_id = $1 AND season = $2', [categoryId, season]);
+        await saveRankingSnapshot(categoryId, season, results, playedNumbers, tx);
+        console.log(`[RANKING] No players found, ${cleared.rowCount} old ranking entries cleared`);
+        report.status = 'cleared';
+        return;
       }
 
-      console.log(`[RANKING] Deleted ${this.changes} old ranking entries`);
-
-      // Insert new rankings with positions
-      const stmt = db.prepare(`
-        INSERT INTO rankings (
-          category_id, season, licence, total_match_points, avg_moyenne, best_serie,
-          rank_position, tournament_1_points, tournament_2_points, tournament_3_points
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      let insertCount = 0;
-      let successCount = 0;
-      let insertErrors = [];
-
-      results.forEach((result, index) => {
-        stmt.run(
+      // Log top 3 for verification
+      console.log(`[RANKING] Top 3: ${results.slice(0, 3).map(r => `${r.licence}(${r.total_points}pts)`).join(', ')}`);
+
+      // Replace the rankings
+      const deleted = await tx.query('DELETE FROM rankings WHERE category_id = $1 AND season = $2', [categoryId, season]);
+      console.log(`[RANKING] Deleted ${deleted.rowCount} old ranking entries`);
+
+      for (let i = 0; i < results.length; i++) {
+        const result = results[i];
+        await tx.query(`
+          INSERT INTO rankings (
+            category_id, season, licence, total_match_points, avg_moyenne, best_serie,
+            rank_position, tournament_1_points, tournament_2_points, tournament_3_points, tournament_points,
+            cumulated_points, cumulated_reprises
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `, [
           categoryId,
           season,
           result.licence,
-          result.total_match_points,
+          result.total_points,
           result.avg_moyenne,
           result.best_serie,
-          index + 1,
-          result.t1_points,
-          result.t2_points,
-          result.t3_points,
-          (err) => {
-            insertCount++;
+          i + 1,
+          result.tournament_points[1] ?? null,
+          result.tournament_points[2] ?? null,
+          result.tournament_points[3] ?? null,
+          JSON.stringify(result.tournament_points),
+          result.points,
+          result.reprises
+        ]);
+        report.playersInserted++;
+      }
 
-            if (err) {
-              insertErrors.push({ licence: result.licence, error: err.message });
-              console.error(`[RANKING] Error inserting ranking for ${result.licence}:`, err.message);
-            } else {
-              successCount++;
-            }
+      // Integrity checks before committing
+      const stored = (await tx.query(
+        'SELECT licence, rank_position FROM rankings WHERE category_id = $1 AND season = $2 ORDER BY rank_position',
+        [categoryId, season]
+      )).rows;
+      const positions = stored.map(r => r.rank_position);
+      const licences = new Set(stored.map(r => r.licence));
+
+      report.checks = [
+        {
+          name: 'count',
+          ok: stored.length === results.length,
+          detail: `${stored.length}/${results.length} joueurs enregistrés`
+        },
+        {
+          name: 'positions',
+          ok: positions.every((position, idx) => position === idx + 1),
+          detail: 'Positions consécutives de 1 à N'
+        },
+        {
+          name: 'unique_licences',
+          ok: licences.size === stored.length,
+          detail: `${stored.length - licences.size} licence(s) en double`
+        }
+      ];
 
-            // After all inserts are done, finalize and verify
-            if (insertCount === results.length) {
-              stmt.finalize((finalizeErr) => {
-                if (finalizeErr) {
-                  console.error(`[RANKING] Error finalizing:`, finalizeErr);
-                }
+      const failed = report.checks.filter(c => !c.ok);
+      if (failed.length > 0) {
+        throw new Error(`Contrôle d'intégrité échoué: ${failed.map(c => c.name).join(', ')}`);
+      }
 
-                // Verification log
-                console.log(`[RANKING] Completed: ${successCount}/${results.length} players inserted successfully`);
+      // Keep a copy of the standings (history / movement between tournaments)
+      report.snapshotTournament = await saveRankingSnapshot(categoryId, season, results, playedNumbers, tx);
+    });
 
-                if (insertErrors.length > 0) {
-                  console.error(`[RANKING] Failed insertions:`, insertErrors);
-                }
+    console.log(`[RANKING] Completed: ${report.playersInserted}/${report.playersExpected} players inserted, status ${report.status}`);
+  } catch (err) {
+    console.error(`[RANKING] Recalculation failed for category ${categoryId}, rolled back:`, err.message);
+    report.status = 'error';
+    report.error = err.message;
+    report.rolledBack = inTransaction;
+  }
 
-                // Verify count in database
-                db.get('SELECT COUNT(*) as count FROM rankings WHERE category_id = ? AND season = ?',
-                  [categoryId, season], (err, row) => {
-                    if (!err && row) {
-                      console.log(`[RANKING] Verification: ${row.count} entries in rankings table`);
-                      if (row.count !== results.length) {
-                        console.error(`[RANKING] WARNING: Expected ${results.length} but found ${row.count} in database!`);
-                      }
-                    }
-                    callback(insertErrors.length > 0 ? new Error(`${insertErrors.length} insertions failed`) : finalizeErr);
-                  }
-                );
-              });
-            }
-          }
-        );
-      });
-    });
-  });
+  report.durationMs = Date.now() - startedAt;
+  return report;
 }
 
 // Recalculate rankings for a category/season (without reimporting)
-router.post('/recalculate-rankings', authenticateToken, (req, res) => {
+router.post('/recalculate-rankings', authenticateToken, async (req, res) => {
   const { categoryId, season } = req.body;
 
   if (!categoryId || !season) {
     return res.status(400).json({ error: 'categoryId and season required' });
   }
 
-  recalculateRankings(categoryId, season, (err) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
+  const report = await recalculateRankings(categoryId, season);
+  if (report.status === 'error') {
+    return res.status(500).json({ error: report.error, report });
+  }
 
-    // Get count of ranked players to return to frontend
-    db.get('SELECT COUNT(*) as count FROM rankings WHERE category_id = ? AND season = ?',
-      [categoryId, season], (countErr, row) => {
-        const playersRanked = row ? row.count : 0;
-        res.json({
-          message: 'Rankings recalculated successfully',
-          playersRanked: playersRanked
-        });
-      });
+  res.json({
+    message: 'Rankings recalculated successfully',
+    playersRanked: report.playersInserted,
+    report
   });
 });
 
+// Finale flag and display label of a tournament row (qualifying rounds after the 3rd skip
+// the finale's tournament_number, the pages show the round)
+const withTournamentLabel = (tournament) => ({
+  ...tournament,
+  is_finale: tournament.tournament_number === FINALE_TOURNAMENT_NUMBER,
+  tournament_label: getTournamentLabel(tournament.tournament_number)
+});
+
 // Get all tournaments
 router.get('/', authenticateToken, (req, res) => {
   console.log('GET /api/tournaments called, season:', req.query.season);
@@ -764,7 +710,7 @@ router.get('/', authenticateToken, (req, res) => {
       return res.status(500).json({ error: err.message });
     }
     console.log('Tournaments fetched successfully:', rows.length, 'tournaments');
-    res.json(rows);
+    res.json(rows.map(withTournamentLabel));
   });
 });
 
@@ -816,8 +762,8 @@ router.get('/:id/results', authenticateToken, (req, res) => {
                 c.logo_filename as club_logo,
                 pc.email
          FROM tournament_results tr
-         LEFT JOIN players p ON REPLACE(tr.licence, ' ', '') = REPLACE(p.licence, ' ', '')
-         LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN players p ON tr.licence = p.licence
+         LEFT JOIN player_contacts pc ON tr.licence = pc.licence
          LEFT JOIN clubs c ON REPLACE(REPLACE(REPLACE(UPPER(COALESCE(pc.club, p.club)), ' ', ''), '.', ''), '-', '') = REPLACE(REPLACE(REPLACE(UPPER(c.name), ' ', ''), '.', ''), '-', '')
          WHERE tr.tournament_id = ?
          ORDER BY tr.position ASC`,
@@ -828,7 +774,7 @@ router.get('/:id/results', authenticateToken, (req, res) => {
           }
 
           res.json({
-            tournament,
+            tournament: withTournamentLabel(tournament),
             results
           });
         }
@@ -840,6 +786,7 @@ router.get('/:id/results', authenticateToken, (req, res) => {
 // Export tournament results to Excel
 router.get('/:id/export', authenticateToken, async (req, res) => {
   const tournamentId = req.params.id;
+  const language = normalizeLanguage(req.query.language);
   const ExcelJS = require('exceljs');
 
   // Get tournament info
@@ -874,7 +821,7 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
 
           try {
             const workbook = new ExcelJS.Workbook();
-            const worksheet = workbook.addWorksheet('Résultats');
+            const worksheet = workbook.addWorksheet(translate(language, 'export.results'));
 
             // Add organization logo
             try {
@@ -895,7 +842,7 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
 
             // Title - Row 1
             worksheet.mergeCells('B1:J1');
-            worksheet.getCell('B1').value = `RÉSULTATS ${tournament.display_name.toUpperCase()}`;
+            worksheet.getCell('B1').value = `${translate(language, 'export.results').toUpperCase()} ${tournament.display_name.toUpperCase()}`;
             worksheet.getCell('B1').font = { size: 18, bold: true, color: { argb: 'FF1F4788' } };
             worksheet.getCell('B1').alignment = { horizontal: 'center', vertical: 'middle' };
             worksheet.getCell('B1').fill = {
@@ -913,19 +860,23 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
             // Subtitle - Row 2
             worksheet.mergeCells('A2:J2');
             const tournamentDate = tournament.tournament_date
-              ? new Date(tournament.tournament_date).toLocaleDateString('fr-FR', { year: 'numeric', month: 'long', day: 'numeric' })
+              ? formatDate(language, tournament.tournament_date, { year: 'numeric', month: 'long', day: 'numeric' })
               : '';
-            const tournamentLabel = tournament.tournament_number === 4 ? 'Finale Départementale' : `Tournoi ${tournament.tournament_number}`;
-            worksheet.getCell('A2').value = `${tournamentLabel} • Saison ${tournament.season}${tournamentDate ? ' • ' + tournamentDate : ''}`;
+            const round = tournamentNumberToRound(tournament.tournament_number);
+            const tournamentLabel = round === null
+              ? translate(language, 'export.finale')
+              : translate(language, 'export.tournament', { number: round });
+            const seasonLabel = translate(language, 'export.season', { season: tournament.season });
+            worksheet.getCell('A2').value = `${tournamentLabel} • ${seasonLabel}${tournamentDate ? ' • ' + tournamentDate : ''}`;
             worksheet.getCell('A2').font = { size: 11, italic: true, color: { argb: 'FF666666' } };
             worksheet.getCell('A2').alignment = { horizontal: 'center', vertical: 'middle' };
             worksheet.getRow(2).height = 20;
 
             // Add podium section for finale
-            if (tournament.tournament_number === 4 && results.length >= 3) {
+            if (tournament.tournament_number === FINALE_TOURNAMENT_NUMBER && results.length >= 3) {
               // Podium section in Row 3
               worksheet.mergeCells('A3:J3');
-              worksheet.getCell('A3').value = '🏆 PODIUM DE LA FINALE 🏆';
+              worksheet.getCell('A3').value = `🏆 ${translate(language, 'export.finale_podium')} 🏆`;
               worksheet.getCell('A3').font = { size: 14, bold: true, color: { argb: 'FFFFD700' } };
               worksheet.getCell('A3').alignment = { horizontal: 'center', vertical: 'middle' };
               worksheet.getCell('A3').fill = {
@@ -938,7 +889,7 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
               // Podium positions - Rows 4-6
               const medals = ['🥇', '🥈', '🥉'];
               const podiumColors = ['FFFFD700', 'FFC0C0C0', 'FFCD7F32'];
-              const positions = ['1er', '2ème', '3ème'];
+              const positions = [1, 2, 3].map(position => translate(language, `finale.position_${position}`));
 
               for (let i = 0; i < 3; i++) {
                 const row = 4 + i;
@@ -947,7 +898,14 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
                 const clubName = result.club_name || 'N/A';
 
                 worksheet.mergeCells(`A${row}:J${row}`);
-                worksheet.getCell(`A${row}`).value = `${medals[i]} ${positions[i]} - ${result.player_name} • ${result.match_points} pts • Moy: ${moyenne} • Meilleure Série: ${result.serie} • ${clubName}`;
+                worksheet.getCell(`A${row}`).value = `${medals[i]} ${translate(language, 'export.podium_line', {
+                  position: positions[i],
+                  player: result.player_name,
+                  points: result.match_points,
+                  average: moyenne,
+                  serie: result.serie,
+                  club: clubName
+                })}`;
                 worksheet.getCell(`A${row}`).font = { size: 12, bold: true };
                 worksheet.getCell(`A${row}`).alignment = { horizontal: 'center', vertical: 'middle' };
                 worksheet.getCell(`A${row}`).fill = {
@@ -963,18 +921,18 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
             }
 
             // Headers - Row 4 for regular, Row 8 for finale
-            const headerRow = tournament.tournament_number === 4 ? 8 : 4;
+            const headerRow = tournament.tournament_number === FINALE_TOURNAMENT_NUMBER ? 8 : 4;
             worksheet.getRow(headerRow).values = [
-              'Position',
-              'Licence',
-              'Joueur',
-              'Club',
+              translate(language, 'export.position'),
+              translate(language, 'export.licence'),
+              translate(language, 'export.player'),
+              translate(language, 'export.club'),
               '', // Empty header for logo column
-              'Pts Match',
-              'Points',
-              'Reprises',
-              'Moyenne',
-              'Meilleure Série'
+              translate(language, 'export.match_points'),
+              translate(language, 'export.points'),
+              translate(language, 'export.reprises'),
+              translate(language, 'export.average'),
+              translate(language, 'export.best_serie')
             ];
 
             // Style headers
@@ -1128,8 +1086,8 @@ router.get('/:id/export', authenticateToken, async (req, res) => {
               ? new Date(tournament.tournament_date).toLocaleDateString('fr-FR').replace(/\//g, '_')
               : '';
 
-            // Determine tournament label (T1, T2, T3, or Finale)
-            const filenameTournamentLabel = tournament.tournament_number === 4 ? 'Finale' : `T${tournament.tournament_number}`;
+            // Determine tournament label (T1, T2, ..., or Finale)
+            const filenameTournamentLabel = getTournamentLabel(tournament.tournament_number, true);
 
             // Create filename: "T1, Bande R2, 15_10_2025.xlsx"
             const filename = `${filenameTournamentLabel}, ${tournament.display_name}, ${dateStr}.xlsx`;
@@ -1189,12 +1147,14 @@ router.delete('/:id', authenticateToken, (req, res) => {
         }
 
         // Recalculate rankings for this category and season
-        recalculateRankings(tournament.category_id, tournament.season, (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Tournament deleted but rankings recalculation failed' });
+        recalculateRankings(tournament.category_id, tournament.season).then((report) => {
+          scheduleRatingRecalculation();
+
+          if (report.status === 'error') {
+            return res.status(500).json({ error: 'Tournament deleted but rankings recalculation failed', report });
           }
 
-          res.json({ message: 'Tournament deleted successfully' });
+          res.json({ message: 'Tournament deleted successfully', report });
         });
       });
     });
@@ -1205,38 +1165,32 @@ router.delete('/:id', authenticateToken, (req, res) => {
 router.post('/recalculate-all-rankings', authenticateToken, async (req, res) => {
   try {
     // Get all unique category/season combinations
-    const query = `
-      SELECT DISTINCT t.category_id, t.season
+    const combinations = (await db.query(`
+      SELECT DISTINCT t.category_id, t.season, c.display_name
       FROM tournaments t
+      JOIN categories c ON t.category_id = c.id
       ORDER BY t.season DESC, t.category_id
-    `;
+    `)).rows;
 
-    db.all(query, [], async (err, combinations) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
+    // One integrity report per category/season, each recalculated in its own transaction
+    const reports = [];
+    for (const combo of combinations) {
+      const report = await recalculateRankings(combo.category_id, combo.season);
+      reports.push({ ...report, categoryName: combo.display_name });
+    }
 
-      let recalculated = 0;
-      let errors = [];
+    const recalculated = reports.filter(r => r.status === 'ok').length;
+    const errors = reports
+      .filter(r => r.status === 'error')
+      .map(r => ({ categoryId: r.categoryId, season: r.season, error: r.error }));
 
-      for (const combo of combinations) {
-        await new Promise((resolve) => {
-          recalculateRankings(combo.category_id, combo.season, (err) => {
-            if (err) {
-              errors.push({ categoryId: combo.category_id, season: combo.season, error: err.message });
-            } else {
-              recalculated++;
-            }
-            resolve();
-          });
-        });
-      }
-
-      res.json({
-        message: `Recalculated rankings for ${recalculated} category/season combinations`,
-        recalculated,
-        errors: errors.length > 0 ? errors : undefined
-      });
+    res.json({
+      message: `Recalculated rankings for ${recalculated} category/season combinations`,
+      recalculated,
+      cleared: reports.filter(r => r.status === 'cleared').length,
+      failed: errors.length,
+      errors: errors.length > 0 ? errors : undefined,
+      reports
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1479,3 +1433,4 @@ router.post('/:id/recalculate-moyennes', authenticateToken, async (req, res) =>
 });
 
 module.exports = router;
+module.exports.recalculateRankings = recalculateRankings;
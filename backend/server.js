@@ -4,6 +4,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
+const { getMailTransport, isMailConfigured } = require('./utils/mail-transport');
+const { enqueueEmail, deliverQueued, startOutboxWorker } = require('./utils/email-outbox');
+const { filterMarketingRecipients, withUnsubscribe } = require('./utils/email-deliverability');
+const { renderTemplate } = require('./utils/template-engine');
+const { getLanguagesByLicence, createTemplateResolver } = require('./utils/i18n');
+const { normalizeLicence } = require('./utils/licence');
 
 // Validate required environment variables
 const requiredEnvVars = ['JWT_SECRET'];
@@ -47,7 +53,11 @@ const referenceDataRoutes = require('./routes/reference-data');
 const adminLogsRoutes = require('./routes/admin-logs');
 const playerInvitationsRoutes = require('./routes/player-invitations');
 const importConfigRoutes = require('./routes/import-config');
+const importHistoryRoutes = require('./routes/import-history');
 const enrollmentRequestsRoutes = require('./routes/enrollment-requests');
+const emailEventsRoutes = require('./routes/email-events');
+const matchesRoutes = require('./routes/matches');
+const classificationsRoutes = require('./routes/classifications');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -99,7 +109,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key']
 }));
 
 // Rate limiting for authentication endpoints
@@ -124,7 +134,15 @@ const apiLimiter = rateLimit({
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
+app.use(express.json({
+  limit: '10mb', // Limit JSON payload size
+  verify: (req, res, buf) => {
+    // Provider webhook signatures are computed on the raw body
+    if (req.originalUrl.startsWith('/api/email-events/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static frontend files
@@ -177,7 +195,11 @@ app.use('/api/reference-data', apiLimiter, referenceDataRoutes);
 app.use('/api/admin-logs', apiLimiter, adminLogsRoutes);
 app.use('/api/player-invitations', apiLimiter, playerInvitationsRoutes);
 app.use('/api/import-config', apiLimiter, importConfigRoutes);
+app.use('/api/import-history', apiLimiter, importHistoryRoutes);
 app.use('/api/enrollment-requests', apiLimiter, enrollmentRequestsRoutes);
+app.use('/api/email-events', apiLimiter, emailEventsRoutes);
+app.use('/api/matches', apiLimiter, matchesRoutes);
+app.use('/api/classifications', apiLimiter, classificationsRoutes);
 
 // App version endpoint (for automatic update detection)
 // INCREMENT THIS VERSION when deploying updates you want users to see
@@ -862,7 +884,7 @@ async function checkIfAlreadySentManually(db, emailType, mode, category, tournam
 }
 
 // Process templated scheduled emails (relance, results, finale)
-async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
+async function processTemplatedScheduledEmail(db, scheduled) {
   const emailType = scheduled.email_type;
   console.log(`[Email Scheduler] Processing templated email ${scheduled.id} (${emailType})`);
 
@@ -939,7 +961,7 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
                   pc.id as contact_id, pc.first_name, pc.last_name, pc.email, pc.club,
                   COALESCE(pc.first_name || ' ' || pc.last_name, r.licence) as player_name
            FROM rankings r
-           LEFT JOIN player_contacts pc ON REPLACE(r.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+           LEFT JOIN player_contacts pc ON r.licence = pc.licence
            WHERE r.season = $1 AND r.category_id = $2
            ORDER BY r.rank_position ASC`,
           [season, categoryRow?.id],
@@ -1042,7 +1064,7 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
       db.all(
         `SELECT tr.*, pc.email, pc.first_name, pc.last_name
          FROM tournament_results tr
-         LEFT JOIN player_contacts pc ON REPLACE(tr.licence, ' ', '') = REPLACE(pc.licence, ' ', '')
+         LEFT JOIN player_contacts pc ON tr.licence = pc.licence
          WHERE tr.tournament_id = $1`,
         [scheduled.tournament_id],
         (err, rows) => {
@@ -1100,6 +1122,16 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
     }];
   }
 
+  // Relances are marketing emails: unsubscribed, bounced and complained contacts are skipped
+  const isMarketing = emailType.startsWith('relance_');
+  if (isMarketing && !isTestMode) {
+    const { allowed, excluded } = await filterMarketingRecipients(recipients);
+    if (excluded.length > 0) {
+      console.log(`[Email Scheduler] ${excluded.length} unsubscribed or undeliverable recipient(s) skipped`);
+    }
+    recipients = allowed;
+  }
+
   if (recipients.length === 0) {
     console.log(`[Email Scheduler] No recipients for scheduled email ${scheduled.id}`);
     await new Promise((resolve) => {
@@ -1110,7 +1142,21 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
 
   console.log(`[Email Scheduler] Sending to ${recipients.length} recipients`);
 
-  let sentCount = 0;
+  // Campaign record, its counts are updated by the outbox as the messages are delivered
+  const campaignId = await new Promise((resolve) => {
+    db.run(
+      `INSERT INTO email_campaigns (subject, body, template_key, recipients_count, status, campaign_type, mode, category, tournament_id, sent_by)
+       VALUES ($1, $2, $3, $4, 'sending', $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [scheduled.subject, scheduled.body, scheduled.template_key, recipients.length, scheduled.email_type, scheduled.mode, scheduled.category, scheduled.tournament_id, scheduled.created_by || 'scheduled'],
+      function(err) {
+        if (err) console.error(`[Email Scheduler] Error creating campaign for ${scheduled.id}:`, err.message);
+        resolve(err ? null : this.lastID);
+      }
+    );
+  });
+
+  const outboxIds = [];
   let failedCount = 0;
 
   // Get email settings once (before the loop)
@@ -1121,6 +1167,20 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
   const orgName = emailSettings.organization_name || 'Comité Départemental Billard Hauts-de-Seine';
   const orgShortName = emailSettings.organization_short_name || 'CDBHS';
   const playerAppUrl = 'https://cdbhs-player-app-production.up.railway.app';
+  const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
+
+  // Players with a language preference get the variant of the saved template, when one exists
+  const templateFor = scheduled.template_key
+    ? createTemplateResolver(scheduled.template_key, { subject: scheduled.subject, body: scheduled.body, outro: scheduled.outro_text })
+    : null;
+  let languageByLicence = {};
+  if (templateFor && !isTestMode) {
+    try {
+      languageByLicence = await getLanguagesByLicence(recipients.map(r => r.licence));
+    } catch (langError) {
+      console.error('[Email Scheduler] Error loading language preferences:', langError.message);
+    }
+  }
 
   for (const recipient of recipients) {
     try {
@@ -1128,8 +1188,8 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
       const recipientLicence = recipient.licence || '';
       const hasAppAccount = await new Promise((resolve, reject) => {
         db.get(
-          `SELECT 1 FROM player_accounts WHERE REPLACE(licence, ' ', '') = REPLACE($1, ' ', '')`,
-          [recipientLicence],
+          `SELECT 1 FROM player_accounts WHERE licence = $1`,
+          [normalizeLicence(recipientLicence)],
           (err, row) => {
             if (err) reject(err);
             else resolve(!!row);
@@ -1177,30 +1237,27 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
       }
 
       // Replace template variables
-      let emailBody = (scheduled.body || '')
-        .replace(/\{player_name\}/g, `${recipient.first_name || ''} ${recipient.last_name || ''}`.trim())
-        .replace(/\{first_name\}/g, recipient.first_name || '')
-        .replace(/\{last_name\}/g, recipient.last_name || '')
-        .replace(/\{club\}/g, recipient.club || '')
-        .replace(/\{category\}/g, templateVariables.category || '')
-        .replace(/\{rank_position\}/g, recipient.rank_position?.toString() || '')
-        .replace(/\{total_points\}/g, recipient.total_match_points?.toString() || '')
-        .replace(/\{qualified_count\}/g, templateVariables.qualified_count || '')
-        .replace(/\{tournament_date\}/g, templateVariables.tournament_date || '')
-        .replace(/\{tournament_lieu\}/g, templateVariables.tournament_lieu || '')
-        .replace(/\{finale_date\}/g, templateVariables.finale_date || '')
-        .replace(/\{finale_lieu\}/g, templateVariables.finale_lieu || '')
-        .replace(/\{deadline_date\}/g, templateVariables.deadline_date || '')
-        .replace(/\{inscription_method\}/g, inscriptionMethodHtml);
-
-      let emailSubject = (scheduled.subject || '')
-        .replace(/\{category\}/g, templateVariables.category || '')
-        .replace(/\{tournament_date\}/g, templateVariables.tournament_date || '');
-
-      const outroText = scheduled.outro_text || '';
+      const recipientVariables = {
+        ...templateVariables,
+        player_name: `${recipient.first_name || ''} ${recipient.last_name || ''}`.trim(),
+        first_name: recipient.first_name || '',
+        last_name: recipient.last_name || '',
+        club: recipient.club || '',
+        licence: recipient.licence || '',
+        rank_position: recipient.rank_position?.toString() || '',
+        total_points: recipient.total_match_points?.toString() || '',
+        inscription_method: inscriptionMethodHtml
+      };
+      const recipientTemplate = templateFor
+        ? await templateFor(languageByLicence[normalizeLicence(recipientLicence)])
+        : { subject: scheduled.subject, body: scheduled.body, outro: scheduled.outro_text };
+      const emailBody = renderTemplate(recipientTemplate.body || '', recipientVariables);
+      const emailSubject = renderTemplate(recipientTemplate.subject || '', recipientVariables);
+
+      const outroText = renderTemplate(recipientTemplate.outro || '', recipientVariables);
       const imageHtml = scheduled.image_url ? `<div style="text-align: center; margin: 20px 0;"><img src="${scheduled.image_url}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
 
-      await resend.emails.send({
+      const message = {
         from: `${senderName} <${senderEmail}>`,
         replyTo: replyToEmail,
         to: [recipient.email],
@@ -1218,17 +1275,20 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
           </div>
           <div style="background: ${primaryColor}; color: white; padding: 10px; text-align: center; font-size: 12px;">${orgShortName} - ${replyToEmail}</div>
         </div>`
+      };
+      const outboxId = await enqueueEmail(isMarketing ? withUnsubscribe(message, baseUrl) : message, {
+        campaignId,
+        recipientName: `${recipient.first_name || ''} ${recipient.last_name || ''}`.trim()
       });
-
-      sentCount++;
-      await delay(1500);
+      outboxIds.push(outboxId);
     } catch (error) {
-      console.error(`[Email Scheduler] Error sending to ${recipient.email}:`, error.message);
+      console.error(`[Email Scheduler] Error preparing email for ${recipient.email}:`, error.message);
       failedCount++;
     }
   }
 
-  // Update status
+  // Update status as soon as the messages are queued: after a restart the outbox
+  // delivers the remaining ones, the scheduled email must not be processed again
   await new Promise((resolve, reject) => {
     db.run(`UPDATE scheduled_emails SET status = 'completed', sent_at = CURRENT_TIMESTAMP WHERE id = $1`, [scheduled.id], function(err) {
       if (err) {
@@ -1241,30 +1301,23 @@ async function processTemplatedScheduledEmail(db, resend, scheduled, delay) {
     });
   });
 
-  // Create campaign record
-  await new Promise((resolve) => {
-    db.run(
-      `INSERT INTO email_campaigns (subject, body, template_key, recipients_count, sent_count, failed_count, status, sent_at, campaign_type, mode, category, tournament_id, sent_by)
-       VALUES ($1, $2, $3, $4, $5, $6, 'completed', CURRENT_TIMESTAMP, $7, $8, $9, $10, $11)`,
-      [scheduled.subject, scheduled.body, scheduled.template_key, recipients.length, sentCount, failedCount, scheduled.email_type, scheduled.mode, scheduled.category, scheduled.tournament_id, scheduled.created_by || 'scheduled'],
-      () => resolve()
-    );
-  });
+  const deliveries = await deliverQueued(outboxIds);
+  const sentCount = Object.values(deliveries).filter(d => d.status === 'sent').length;
+  failedCount += outboxIds.length - sentCount;
 
   console.log(`[Email Scheduler] Completed ${scheduled.id}: ${sentCount} sent, ${failedCount} failed`);
 }
 
 // Tournament alerts - check for upcoming tournaments and notify opted-in users
 async function checkTournamentAlerts() {
-  const { Resend } = require('resend');
   const db = require('./db-loader');
 
-  if (!process.env.RESEND_API_KEY) {
-    console.log('[Tournament Alerts] Skipped - no RESEND_API_KEY');
+  if (!isMailConfigured()) {
+    console.log('[Tournament Alerts] Skipped - email not configured');
     return;
   }
 
-  const resend = new Resend(process.env.RESEND_API_KEY);
+  const mailer = getMailTransport();
 
   // Get dynamic settings for email branding
   const emailSettings = await appSettings.getSettingsBatch([
@@ -1393,7 +1446,7 @@ async function checkTournamentAlerts() {
 
     for (const user of usersToNotify) {
       try {
-        await resend.emails.send({
+        await mailer.send({
           from: `${senderName} <${senderEmail}>`,
           to: user.email,
           subject: `⚠️ ${tournamentsNeeding.length} tournoi(s) à relancer - ${orgShortName}`,
@@ -1446,19 +1499,15 @@ async function checkTournamentAlerts() {
 // Email scheduler - check and send scheduled emails
 // Exposed globally for manual triggering via API
 async function processScheduledEmails() {
-  const { Resend } = require('resend');
   const db = require('./db-loader');
 
   console.log('[Email Scheduler] Starting processScheduledEmails...');
 
-  if (!process.env.RESEND_API_KEY) {
-    console.log('[Email Scheduler] No RESEND_API_KEY configured');
-    return { status: 'error', message: 'No RESEND_API_KEY configured' };
+  if (!isMailConfigured()) {
+    console.log('[Email Scheduler] No mail transport configured');
+    return { status: 'error', message: 'No mail transport configured (MAIL_TRANSPORT or RESEND_API_KEY)' };
   }
 
-  const resend = new Resend(process.env.RESEND_API_KEY);
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
   // Get dynamic settings for email branding
   const emailSettings = await appSettings.getSettingsBatch([
     'primary_color', 'email_communication', 'email_sender_name',
@@ -1546,7 +1595,7 @@ async function processScheduledEmails() {
       // For templated emails (relance, results, finale), recipients need to be fetched dynamically
       if (scheduled.email_type && recipientIds.length === 0) {
         try {
-          await processTemplatedScheduledEmail(db, resend, scheduled, delay);
+          await processTemplatedScheduledEmail(db, scheduled);
         } catch (error) {
           console.error(`[Email Scheduler] Error processing templated email ${scheduled.id}:`, error.message);
           await new Promise((resolve) => {
@@ -1569,22 +1618,24 @@ async function processScheduledEmails() {
         );
       });
 
-      let sentCount = 0;
+      const outboxIds = [];
+
+      // Unsubscribed, bounced and complained contacts are skipped
+      const { allowed: deliverableRecipients } = await filterMarketingRecipients(recipients);
+      const baseUrl = process.env.BASE_URL || 'https://cdbhs-tournament-management-production.up.railway.app';
 
-      for (const recipient of recipients) {
+      for (const recipient of deliverableRecipients) {
         if (!recipient.email || !recipient.email.includes('@')) continue;
 
         try {
-          const emailBody = scheduled.body
-            .replace(/\{player_name\}/g, `${recipient.first_name} ${recipient.last_name}`)
-            .replace(/\{first_name\}/g, recipient.first_name || '')
-            .replace(/\{last_name\}/g, recipient.last_name || '')
-            .replace(/\{club\}/g, recipient.club || '');
-
-          const emailSubject = scheduled.subject
-            .replace(/\{player_name\}/g, `${recipient.first_name} ${recipient.last_name}`)
-            .replace(/\{first_name\}/g, recipient.first_name || '')
-            .replace(/\{last_name\}/g, recipient.last_name || '');
+          const recipientVariables = {
+            player_name: `${recipient.first_name} ${recipient.last_name}`,
+            first_name: recipient.first_name || '',
+            last_name: recipient.last_name || '',
+            club: recipient.club || ''
+          };
+          const emailBody = renderTemplate(scheduled.body, recipientVariables);
+          const emailSubject = renderTemplate(scheduled.subject, recipientVariables);
 
           // Build optional image HTML
           const imageHtml = scheduled.image_url ? `<div style="text-align: center; margin: 20px 0;"><img src="${scheduled.image_url}" alt="Image" style="max-width: 100%; height: auto; border-radius: 8px;"></div>` : '';
@@ -1596,7 +1647,7 @@ async function processScheduledEmails() {
           const orgShortName = emailSettings.organization_short_name || 'CDBHS';
           const replyToEmail = emailSettings.summary_email || 'cdbhs92@gmail.com';
 
-          await resend.emails.send({
+          outboxIds.push(await enqueueEmail(withUnsubscribe({
             from: `${senderName} <${senderEmail}>`,
             to: [recipient.email],
             subject: emailSubject,
@@ -1608,16 +1659,13 @@ async function processScheduledEmails() {
               <div style="padding: 20px; background: #f8f9fa;">${imageHtml}${emailBody.replace(/\n/g, '<br>')}</div>
               <div style="background: ${primaryColor}; color: white; padding: 10px; text-align: center; font-size: 12px;">${orgShortName} - ${replyToEmail}</div>
             </div>`
-          });
-
-          sentCount++;
-          await delay(1500);
+          }, baseUrl), { recipientName: `${recipient.first_name} ${recipient.last_name}` }));
         } catch (error) {
-          console.error(`[Email Scheduler] Error sending to ${recipient.email}:`, error.message);
+          console.error(`[Email Scheduler] Error preparing email for ${recipient.email}:`, error.message);
         }
       }
 
-      // Update scheduled email status
+      // Update scheduled email status once queued (the outbox resumes the delivery after a restart)
       await new Promise((resolve, reject) => {
         db.run(
           `UPDATE scheduled_emails SET status = 'completed', sent_at = CURRENT_TIMESTAMP WHERE id = $1`,
@@ -1634,6 +1682,8 @@ async function processScheduledEmails() {
         );
       });
 
+      const deliveries = await deliverQueued(outboxIds);
+      const sentCount = Object.values(deliveries).filter(d => d.status === 'sent').length;
       console.log(`[Email Scheduler] Sent ${sentCount}/${recipientIds.length} emails for scheduled ID ${scheduled.id}`);
     }
 
@@ -1682,6 +1732,10 @@ app.listen(PORT, '0.0.0.0', () => {
   // Also run once immediately on startup (after 30 seconds to let DB settle)
   setTimeout(() => processScheduledEmails(), 30000);
 
+  // Email outbox worker - resumes the messages queued before a restart, then checks every 30 seconds
+  setTimeout(() => startOutboxWorker(), 20000);
+  console.log('[Outbox] Worker starting - delivering queued emails every 30 seconds');
+
   // Tournament alerts scheduler - check every hour for upcoming tournaments
   setInterval(async () => {
     await checkTournamentAlerts();
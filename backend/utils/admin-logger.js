@@ -64,15 +64,18 @@ const ACTION_TYPES = {
   // Tournament imports/exports
   IMPORT_TOURNAMENT: 'IMPORT_TOURNAMENT',
   IMPORT_INSCRIPTIONS: 'IMPORT_INSCRIPTIONS',
+  ROLLBACK_IMPORT: 'ROLLBACK_IMPORT',
   EXPORT_DATA: 'EXPORT_DATA',
 
   // Poules/Convocations
   GENERATE_POULES: 'GENERATE_POULES',
   SAVE_POULES: 'SAVE_POULES',
   REGENERATE_POULES: 'REGENERATE_POULES',
+  WAITLIST_REPLACEMENT: 'WAITLIST_REPLACEMENT',
 
   // Tournaments
   CANCEL_TOURNAMENT: 'CANCEL_TOURNAMENT',
+  FINALIZE_MATCHES: 'FINALIZE_MATCHES',
 
   // Emails
   SEND_EMAIL: 'SEND_EMAIL',
@@ -86,6 +89,10 @@ const ACTION_TYPES = {
   ADD_INSCRIPTION: 'ADD_INSCRIPTION',
   DELETE_INSCRIPTION: 'DELETE_INSCRIPTION',
   UPDATE_PLAYER: 'UPDATE_PLAYER',
+  UPDATE_CLASSIFICATION: 'UPDATE_CLASSIFICATION',
+  MERGE_PLAYERS: 'MERGE_PLAYERS',
+  UNDO_MERGE_PLAYERS: 'UNDO_MERGE_PLAYERS',
+  NORMALIZE_LICENCES: 'NORMALIZE_LICENCES',
 
   // Settings
   UPDATE_SETTINGS: 'UPDATE_SETTINGS',
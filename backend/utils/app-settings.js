@@ -32,6 +32,8 @@ const defaults = {
   email_convocations: 'convocations@cdbhs.net',
   email_noreply: 'noreply@cdbhs.net',
   email_sender_name: 'CDBHS',
+  email_rate_per_minute: '40', // outbox throttling (1 email every 1.5 s)
+  email_max_attempts: '4', // outbox retries before a message is marked failed
 
   // Season settings
   season_cutoff_month: '8', // September (0-indexed)
@@ -0,0 +1,124 @@
+/**
+ * FFB Classification Proposals
+ *
+ * End of season review of player classifications (player_rankings): the
+ * season moyenne of each player in a game mode is compared with the
+ * moyenne_mini / moyenne_maxi bounds of their current classification
+ * (game_parameters). Above the maximum -> promotion, below the minimum ->
+ * demotion, towards the classification whose bounds fit the moyenne.
+ */
+
+const DEFAULT_MIN_TOURNAMENTS = 2;
+const DEFAULT_MAX_STEPS = 1;
+
+/**
+ * Classifications of a game mode ordered from the best (N3) to the lowest
+ * @param {Array} parameters - game_parameters rows of the mode ({ categorie, moyenne_mini, moyenne_maxi })
+ * @param {Object} levelOrder - ffb_rankings level_order keyed by code
+ * @returns {Array<{code, mini, maxi}>}
+ */
+function getClassificationLadder(parameters, levelOrder) {
+  return parameters
+    .map(p => ({
+      code: p.categorie.toUpperCase(),
+      mini: parseFloat(p.moyenne_mini),
+      maxi: parseFloat(p.moyenne_maxi)
+    }))
+    .sort((a, b) => (levelOrder[a.code] ?? 99) - (levelOrder[b.code] ?? 99));
+}
+
+/**
+ * Classification proposed for a season moyenne
+ * The target is the best classification whose minimum is reached (promotion)
+ * or the first lower one whose minimum is reached (demotion), limited to maxSteps levels.
+ * @param {number} moyenne - season moyenne in the game mode
+ * @param {string} currentRanking - current classification code (e.g. 'R3')
+ * @param {Array} ladder - output of getClassificationLadder()
+ * @param {number} maxSteps - maximum number of levels moved at once
+ * @returns {{direction, proposed, bounds}|null} null when the classification is kept
+ *   (or the current classification has no bounds for this mode)
+ */
+function proposeClassification(moyenne, currentRanking, ladder, maxSteps = DEFAULT_MAX_STEPS) {
+  const currentIndex = ladder.findIndex(c => c.code === (currentRanking || '').toUpperCase());
+  if (currentIndex === -1) {
+    return null;
+  }
+  const current = ladder[currentIndex];
+
+  let targetIndex = currentIndex;
+  if (moyenne > current.maxi && currentIndex > 0) {
+    // Best classification above whose minimum is reached, at least one level up
+    const reached = ladder.findIndex((c, idx) => idx < currentIndex && moyenne >= c.mini);
+    targetIndex = reached === -1 ? currentIndex - 1 : reached;
+    targetIndex = Math.max(targetIndex, currentIndex - maxSteps);
+  } else if (moyenne < current.mini && currentIndex < ladder.length - 1) {
+    // First classification below whose minimum is reached (lowest one otherwise)
+    const reached = ladder.findIndex((c, idx) => idx > currentIndex && moyenne >= c.mini);
+    targetIndex = reached === -1 ? ladder.length - 1 : reached;
+    targetIndex = Math.min(targetIndex, currentIndex + maxSteps);
+  }
+
+  if (targetIndex === currentIndex) {
+    return null;
+  }
+
+  return {
+    direction: targetIndex < currentIndex ? 'promotion' : 'demotion',
+    proposed: ladder[targetIndex].code,
+    bounds: { mini: current.mini, maxi: current.maxi }
+  };
+}
+
+/**
+ * Build the proposals for a season
+ * @param {Array} seasonStats - one row per player and game mode
+ *   ({ licence, player_name, game_mode_id, mode_code, current_ranking, total_points, total_reprises, tournaments_count })
+ * @param {Object} laddersByMode - output of getClassificationLadder() keyed by mode code
+ * @param {Object} options - { minTournaments, maxSteps }
+ * @returns {Array} proposals ({ licence, player_name, game_mode_id, current_ranking, proposed_ranking, direction, season_moyenne, ... })
+ */
+function buildProposals(seasonStats, laddersByMode, options = {}) {
+  const minTournaments = options.minTournaments ?? DEFAULT_MIN_TOURNAMENTS;
+  const maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+  const proposals = [];
+
+  seasonStats.forEach(stat => {
+    const reprises = Number(stat.total_reprises) || 0;
+    const ladder = laddersByMode[stat.mode_code];
+    if (!ladder || reprises === 0 || Number(stat.tournaments_count) < minTournaments) {
+      return;
+    }
+
+    const moyenne = Number(stat.total_points) / reprises;
+    const proposal = proposeClassification(moyenne, stat.current_ranking, ladder, maxSteps);
+    if (!proposal) {
+      return;
+    }
+
+    proposals.push({
+      licence: stat.licence,
+      player_name: stat.player_name,
+      game_mode_id: stat.game_mode_id,
+      mode_code: stat.mode_code,
+      current_ranking: stat.current_ranking.toUpperCase(),
+      proposed_ranking: proposal.proposed,
+      direction: proposal.direction,
+      season_moyenne: Math.round(moyenne * 1000) / 1000,
+      total_points: Number(stat.total_points),
+      total_reprises: reprises,
+      tournaments_count: Number(stat.tournaments_count),
+      moyenne_mini: proposal.bounds.mini,
+      moyenne_maxi: proposal.bounds.maxi
+    });
+  });
+
+  return proposals;
+}
+
+module.exports = {
+  DEFAULT_MIN_TOURNAMENTS,
+  DEFAULT_MAX_STEPS,
+  getClassificationLadder,
+  proposeClassification,
+  buildProposals
+};
@@ -0,0 +1,82 @@
+/**
+ * Convocation Responses
+ *
+ * Each convocation carries signed links that let the player confirm their
+ * presence or decline without logging in. The links are JWTs signed with a key
+ * derived from JWT_SECRET, so they cannot be used as an API access token, and
+ * expire at the end of the tournament day.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../routes/auth');
+const { normalizeLicence } = require('./licence');
+
+const RESPONSE_ACTIONS = ['confirm', 'decline'];
+const TOKEN_PURPOSE = 'convocation_response';
+// Without a tournament date (or for a past date) the links stay valid one week
+const DEFAULT_VALIDITY_SECONDS = 7 * 24 * 3600;
+
+const RESPONSE_SECRET = crypto.createHmac('sha256', JWT_SECRET).update(TOKEN_PURPOSE).digest('hex');
+
+/**
+ * Expiry of the links: end of the tournament day
+ * @returns {number} seconds since epoch
+ */
+function getExpiry(tournamentDate) {
+  const now = Math.floor(Date.now() / 1000);
+  if (tournamentDate) {
+    const end = new Date(tournamentDate);
+    end.setHours(23, 59, 59, 0);
+    const endSeconds = Math.floor(end.getTime() / 1000);
+    if (endSeconds > now) {
+      return endSeconds;
+    }
+  }
+  return now + DEFAULT_VALIDITY_SECONDS;
+}
+
+/**
+ * Signed token for a player's convocation response
+ * @param {Object} inscription - { inscription_id, tournoi_id, licence }
+ * @param {string|Date} tournamentDate - tournoi_ext.debut
+ */
+function createResponseToken(inscription, tournamentDate) {
+  return jwt.sign({
+    purpose: TOKEN_PURPOSE,
+    inscription_id: inscription.inscription_id,
+    tournoi_id: inscription.tournoi_id,
+    licence: normalizeLicence(inscription.licence),
+    exp: getExpiry(tournamentDate)
+  }, RESPONSE_SECRET);
+}
+
+/**
+ * @returns {Object|null} token payload, null when the token is invalid or expired
+ */
+function verifyResponseToken(token) {
+  try {
+    const payload = jwt.verify(token, RESPONSE_SECRET);
+    return payload.purpose === TOKEN_PURPOSE ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Confirm / decline URLs of a convocation (public page convocation-response.html)
+ */
+function buildResponseLinks(baseUrl, token) {
+  const url = `${baseUrl}/convocation-response.html?token=${encodeURIComponent(token)}`;
+  return {
+    confirmUrl: `${url}&action=confirm`,
+    declineUrl: `${url}&action=decline`
+  };
+}
+
+module.exports = {
+  RESPONSE_ACTIONS,
+  createResponseToken,
+  verifyResponseToken,
+  buildResponseLinks
+};
@@ -0,0 +1,170 @@
+/**
+ * Convocation Versions
+ *
+ * Every convocation send is stored as a numbered version of the tournament's
+ * composition (poule, venue and start time of each player). On a re-send, the
+ * new composition is compared with the latest version so that only the players
+ * whose convocation changed receive a "convocation modifiée" email.
+ *
+ * Each entry of a version records the delivery of the player's convocation
+ * (DELIVERY_STATUSES). Only a convocation that reached the player counts as
+ * unchanged on the next send: players whose email failed or was skipped are
+ * convoqued again.
+ */
+
+const db = require('../db-loader');
+const { normalizeLicence } = require('./licence');
+
+// Delivery of a player's convocation in a version:
+// queued (in the outbox), sent, failed, skipped (no email), unchanged (delivered by a previous version)
+const DELIVERY_STATUSES = ['queued', 'sent', 'failed', 'skipped', 'unchanged'];
+const DELIVERED_STATUSES = ['sent', 'unchanged'];
+
+// Fields of a player's convocation that are compared between versions
+const TRACKED_FIELDS = [
+  { key: 'poule_number', label: 'Poule' },
+  { key: 'location_name', label: 'Lieu' },
+  { key: 'location_address', label: 'Adresse' },
+  { key: 'start_time', label: 'Heure' }
+];
+
+/**
+ * Composition of a convocation, one entry per player
+ * @param {Array} poules - { number, locationNum, players: [{ licence, first_name, last_name }] }
+ * @param {Array} locations - { locationNum, name, street, zip_code, city, startTime }
+ * @returns {Array<{licence, player_name, poule_number, location_name, location_address, start_time}>}
+ */
+function buildComposition(poules, locations) {
+  const composition = [];
+  (poules || []).forEach(poule => {
+    const locNum = poule.locationNum || '1';
+    const loc = (locations || []).find(l => l.locationNum === locNum) || (locations || [])[0];
+    poule.players.forEach(p => {
+      composition.push({
+        licence: normalizeLicence(p.licence),
+        player_name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+        poule_number: poule.number,
+        location_name: loc?.name || '',
+        location_address: loc ? [loc.street, loc.zip_code, loc.city].filter(Boolean).join(' ') : '',
+        start_time: loc?.startTime || ''
+      });
+    });
+  });
+  return composition;
+}
+
+/**
+ * Latest stored version of a tournament's convocation
+ * @returns {Promise<{version, composition, created_at}|null>}
+ */
+async function getLatestVersion(tournoiId) {
+  const result = await db.query(`
+    SELECT version, composition, created_at
+    FROM convocation_versions
+    WHERE tournoi_id = $1
+    ORDER BY version DESC
+    LIMIT 1
+  `, [tournoiId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Compare two compositions
+ * A player with the same convocation is unchanged only if the previous one was delivered,
+ * otherwise undelivered (entries of versions without delivery status count as undelivered)
+ * @returns {{changed: Array<{licence, player_name, changes: Array<{field, label, before, after}>}>,
+ *   added: string[], removed: Array, unchanged: string[], undelivered: string[]}} licences are normalized
+ */
+function diffCompositions(previous, current) {
+  const previousByLicence = {};
+  (previous || []).forEach(entry => { previousByLicence[entry.licence] = entry; });
+  const currentLicences = new Set(current.map(entry => entry.licence));
+
+  const changed = [];
+  const added = [];
+  const unchanged = [];
+  const undelivered = [];
+  current.forEach(entry => {
+    const before = previousByLicence[entry.licence];
+    if (!before) {
+      added.push(entry.licence);
+      return;
+    }
+    const changes = TRACKED_FIELDS
+      .filter(f => String(before[f.key] ?? '') !== String(entry[f.key] ?? ''))
+      .map(f => ({ field: f.key, label: f.label, before: before[f.key], after: entry[f.key] }));
+    if (changes.length > 0) {
+      changed.push({ licence: entry.licence, player_name: entry.player_name, changes });
+    } else if (DELIVERED_STATUSES.includes(before.delivery)) {
+      unchanged.push(entry.licence);
+    } else {
+      undelivered.push(entry.licence);
+    }
+  });
+
+  const removed = (previous || []).filter(entry => !currentLicences.has(entry.licence));
+  return { changed, added, removed, unchanged, undelivered };
+}
+
+// Convocations of the version actually sent to the players
+const countSent = (composition) => composition.filter(entry => entry.delivery === 'sent').length;
+
+/**
+ * Store a new version of a tournament's convocation
+ * @param {number} tournoiId
+ * @param {Array} composition - output of buildComposition(), entries with their delivery status
+ * @param {Object} info - { changes (diff with the previous version), sentBy, notes }
+ * @returns {Promise<number>} version number
+ */
+async function saveVersion(tournoiId, composition, info = {}) {
+  const result = await db.query(`
+    INSERT INTO convocation_versions (tournoi_id, version, composition, changes, sent_count, sent_by, notes)
+    VALUES ($1, COALESCE((SELECT MAX(version) FROM convocation_versions WHERE tournoi_id = $1), 0) + 1, $2, $3, $4, $5, $6)
+    RETURNING version
+  `, [
+    tournoiId,
+    JSON.stringify(composition),
+    info.changes ? JSON.stringify(info.changes) : null,
+    countSent(composition),
+    info.sentBy || 'system',
+    info.notes || null
+  ]);
+  return result.rows[0].version;
+}
+
+/**
+ * Record the delivery of players' convocations in a version (sent_count follows)
+ * @param {number} tournoiId
+ * @param {number} version
+ * @param {Object} deliveryByLicence - normalized licence -> delivery status
+ */
+async function recordDelivery(tournoiId, version, deliveryByLicence) {
+  await db.transaction(async (tx) => {
+    const result = await tx.query(`
+      SELECT composition FROM convocation_versions
+      WHERE tournoi_id = $1 AND version = $2
+      FOR UPDATE
+    `, [tournoiId, version]);
+    if (result.rows.length === 0) {
+      return;
+    }
+    const composition = result.rows[0].composition.map(entry => (
+      deliveryByLicence[entry.licence] ? { ...entry, delivery: deliveryByLicence[entry.licence] } : entry
+    ));
+    await tx.query(`
+      UPDATE convocation_versions SET composition = $1, sent_count = $2
+      WHERE tournoi_id = $3 AND version = $4
+    `, [JSON.stringify(composition), countSent(composition), tournoiId, version]);
+  });
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  TRACKED_FIELDS,
+  normalizeLicence,
+  buildComposition,
+  getLatestVersion,
+  diffCompositions,
+  saveVersion,
+  recordDelivery
+};
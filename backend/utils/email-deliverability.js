@@ -0,0 +1,354 @@
+/**
+ * Email Deliverability
+ *
+ * Keeps track of whether each player contact can still be emailed:
+ * - delivery events (delivered, opened, bounced, complained) are received from the
+ *   mail provider webhook, or from the simulator in development, and stored in email_events
+ * - player_contacts.email_status becomes 'bounced' after a hard bounce (or repeated soft
+ *   bounces) and 'complained' after a spam complaint
+ * - marketing emails (composer, relances) carry a signed unsubscribe link and the
+ *   List-Unsubscribe headers (one-click, RFC 8058); unsubscribing sets email_optin = 0
+ *
+ * Marketing sends skip opted-out, bounced and complained contacts. Transactional emails
+ * (convocations, results) are not filtered.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db-loader');
+const { JWT_SECRET } = require('../routes/auth');
+
+const EMAIL_EVENT_TYPES = ['delivered', 'opened', 'bounced', 'complained', 'unsubscribed'];
+const EMAIL_STATUSES = ['valid', 'soft_bounce', 'bounced', 'complained'];
+// Soft bounces (mailbox full, server unavailable...) before the address is considered bounced
+const SOFT_BOUNCE_LIMIT = 3;
+// Svix signatures older than this are rejected (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const TOKEN_PURPOSE = 'unsubscribe';
+const UNSUBSCRIBE_SECRET = crypto.createHmac('sha256', JWT_SECRET).update(TOKEN_PURPOSE).digest('hex');
+
+// Resend event types (email.bounced, ...) and plain types for other providers
+const PROVIDER_EVENT_TYPES = {
+  'email.delivered': 'delivered',
+  'email.opened': 'opened',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  delivered: 'delivered',
+  opened: 'opened',
+  bounced: 'bounced',
+  bounce: 'bounced',
+  complained: 'complained',
+  complaint: 'complained',
+  spamreport: 'complained'
+};
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// ==================== PROVIDER EVENTS ====================
+
+/**
+ * Convert a webhook payload into events, one per recipient address
+ * Accepts the Resend format ({ type: 'email.bounced', data: { email_id, to, bounce } })
+ * and a plain format ({ type: 'bounced', email, message_id, bounce_type: 'hard'|'soft', reason })
+ * @returns {Array<{type, email, providerMessageId, permanent, detail}>} empty for ignored event types
+ */
+function normalizeProviderEvent(payload) {
+  const type = PROVIDER_EVENT_TYPES[(payload?.type || payload?.event || '').toLowerCase()];
+  if (!type) {
+    return [];
+  }
+
+  const data = payload.data || payload;
+  const recipients = [].concat(data.to || data.email || data.recipient || []);
+  const bounce = data.bounce || {};
+  const bounceType = (bounce.type || data.bounce_type || '').toLowerCase();
+  // Resend: Permanent / Transient / Undetermined - only transient bounces are soft
+  const permanent = !['transient', 'soft'].includes(bounceType);
+
+  return recipients.map(normalizeEmail).filter(email => email.includes('@')).map(email => ({
+    type,
+    email,
+    providerMessageId: data.email_id || data.message_id || null,
+    permanent,
+    detail: bounce.message || data.reason || (type === 'bounced' ? bounceType || null : null)
+  }));
+}
+
+/**
+ * Update the contacts of the event address
+ */
+async function updateContactStatus(event) {
+  switch (event.type) {
+    case 'delivered':
+      await db.query(`
+        UPDATE player_contacts
+        SET last_delivered_at = CURRENT_TIMESTAMP, soft_bounce_count = 0,
+            email_status = CASE WHEN email_status = 'soft_bounce' THEN 'valid' ELSE email_status END
+        WHERE LOWER(email) = $1
+      `, [event.email]);
+      break;
+    case 'opened':
+      await db.query(`
+        UPDATE player_contacts SET last_opened_at = CURRENT_TIMESTAMP WHERE LOWER(email) = $1
+      `, [event.email]);
+      break;
+    case 'bounced':
+      if (event.permanent) {
+        await db.query(`
+          UPDATE player_contacts
+          SET email_status = 'bounced', email_status_at = CURRENT_TIMESTAMP, email_status_detail = $2
+          WHERE LOWER(email) = $1 AND COALESCE(email_status, 'valid') != 'complained'
+        `, [event.email, event.detail]);
+      } else {
+        await db.query(`
+          UPDATE player_contacts
+          SET soft_bounce_count = COALESCE(soft_bounce_count, 0) + 1,
+              email_status = CASE WHEN COALESCE(soft_bounce_count, 0) + 1 >= $3 THEN 'bounced' ELSE 'soft_bounce' END,
+              email_status_at = CURRENT_TIMESTAMP, email_status_detail = $2
+          WHERE LOWER(email) = $1 AND COALESCE(email_status, 'valid') IN ('valid', 'soft_bounce')
+        `, [event.email, event.detail, SOFT_BOUNCE_LIMIT]);
+      }
+      break;
+    case 'complained':
+      // A spam complaint is also an opt-out
+      await db.query(`
+        UPDATE player_contacts
+        SET email_status = 'complained', email_status_at = CURRENT_TIMESTAMP, email_status_detail = $2,
+            email_optin = 0, unsubscribed_at = COALESCE(unsubscribed_at, CURRENT_TIMESTAMP)
+        WHERE LOWER(email) = $1
+      `, [event.email, event.detail]);
+      break;
+  }
+}
+
+/**
+ * Store an event and update the matching contacts
+ * @param {Object} event - normalized event ({ type, email, providerMessageId, permanent, detail })
+ * @param {Object} [options] - { payload, source: 'webhook' | 'simulator' | 'link' }
+ */
+async function recordEmailEvent(event, options = {}) {
+  await db.query(`
+    INSERT INTO email_events (event_type, email, provider_message_id, detail, payload, source)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    event.type,
+    event.email,
+    event.providerMessageId || null,
+    event.detail || null,
+    options.payload ? JSON.stringify(options.payload) : null,
+    options.source || 'webhook'
+  ]);
+  await updateContactStatus(event);
+}
+
+/**
+ * Process a webhook payload
+ * @returns {Promise<{processed: number}>} events recorded (0 for ignored event types)
+ */
+async function ingestProviderEvent(payload, source = 'webhook') {
+  const events = normalizeProviderEvent(payload);
+  for (const event of events) {
+    await recordEmailEvent(event, { payload, source });
+  }
+  return { processed: events.length };
+}
+
+/**
+ * Check the webhook request against EMAIL_WEBHOOK_SECRET:
+ * - a Resend / Svix signing secret (whsec_...) is checked against the svix-* headers
+ * - any other value is a shared token, sent in the X-Webhook-Token header or ?token=
+ * @param {Object} req - express request (req.rawBody holds the unparsed body)
+ * @returns {boolean}
+ */
+function verifyWebhookRequest(req) {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    return false;
+  }
+
+  if (secret.startsWith('whsec_')) {
+    const id = req.get('svix-id');
+    const timestamp = req.get('svix-timestamp');
+    const signatures = (req.get('svix-signature') || '').split(' ');
+    if (!id || !timestamp || req.rawBody === undefined) {
+      return false;
+    }
+    if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > WEBHOOK_TOLERANCE_SECONDS) {
+      return false;
+    }
+    const expected = crypto
+      .createHmac('sha256', Buffer.from(secret.slice('whsec_'.length), 'base64'))
+      .update(`${id}.${timestamp}.${req.rawBody}`)
+      .digest('base64');
+    return signatures.some(sig => safeEqual(sig.split(',')[1] || '', expected));
+  }
+
+  return safeEqual(req.get('x-webhook-token') || req.query.token || '', secret);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Webhook payload in the Resend format, for the simulator
+ */
+function buildSimulatedPayload(type, email, options = {}) {
+  const data = {
+    email_id: options.providerMessageId || `simulated-${crypto.randomBytes(6).toString('hex')}`,
+    to: [email],
+    subject: options.subject || 'Simulation'
+  };
+  if (type === 'bounced') {
+    data.bounce = {
+      type: options.soft ? 'Transient' : 'Permanent',
+      message: options.detail || (options.soft ? 'Mailbox full (simulation)' : 'Address does not exist (simulation)')
+    };
+  }
+  return { type: `email.${type}`, created_at: new Date().toISOString(), data };
+}
+
+// ==================== UNSUBSCRIBE ====================
+
+/**
+ * Signed unsubscribe token for an address (no expiry: the link must keep working)
+ */
+function createUnsubscribeToken(email) {
+  return jwt.sign({ purpose: TOKEN_PURPOSE, email: normalizeEmail(email) }, UNSUBSCRIBE_SECRET);
+}
+
+/**
+ * @returns {string|null} email address, null when the token is invalid
+ */
+function verifyUnsubscribeToken(token) {
+  try {
+    const payload = jwt.verify(token, UNSUBSCRIBE_SECRET);
+    return payload.purpose === TOKEN_PURPOSE ? payload.email : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Unsubscribe page (unsubscribe.html) and one-click URL (List-Unsubscribe-Post) of an address
+ */
+function buildUnsubscribeUrls(baseUrl, email) {
+  const token = encodeURIComponent(createUnsubscribeToken(email));
+  return {
+    pageUrl: `${baseUrl}/unsubscribe.html?token=${token}`,
+    oneClickUrl: `${baseUrl}/api/email-events/unsubscribe/${token}`
+  };
+}
+
+/**
+ * Add the unsubscribe footer and headers to a marketing message (single recipient)
+ */
+function withUnsubscribe(message, baseUrl) {
+  const recipient = [].concat(message.to)[0];
+  const { pageUrl, oneClickUrl } = buildUnsubscribeUrls(baseUrl, recipient);
+  return {
+    ...message,
+    html: `${message.html}
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 10px auto; text-align: center; font-size: 11px; color: #888;">
+        Vous ne souhaitez plus recevoir ces communications ? <a href="${pageUrl}" style="color: #888;">Se désinscrire</a>
+      </div>`,
+    headers: {
+      ...(message.headers || {}),
+      'List-Unsubscribe': `<${oneClickUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+/**
+ * Opt an address out of marketing emails
+ * @returns {Promise<number>} contacts updated
+ */
+async function unsubscribeEmail(email, source = 'link') {
+  const address = normalizeEmail(email);
+  const result = await db.query(`
+    UPDATE player_contacts
+    SET email_optin = 0, unsubscribed_at = COALESCE(unsubscribed_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE LOWER(email) = $1
+  `, [address]);
+  await db.query(`
+    INSERT INTO email_events (event_type, email, source) VALUES ('unsubscribed', $1, $2)
+  `, [address, source]);
+  return result.rowCount || 0;
+}
+
+/**
+ * Whether an address is currently unsubscribed
+ */
+async function isUnsubscribed(email) {
+  const result = await db.query(`
+    SELECT 1 FROM player_contacts WHERE LOWER(email) = $1 AND email_optin = 0 LIMIT 1
+  `, [normalizeEmail(email)]);
+  return result.rows.length > 0;
+}
+
+// ==================== MARKETING RECIPIENTS ====================
+
+/**
+ * Reason why a contact must not receive marketing emails, null when allowed
+ */
+function getMarketingBlockReason(contact) {
+  if (contact.email_optin === 0) return 'Désinscrit';
+  if (contact.email_status === 'complained') return 'Signalé comme spam';
+  if (contact.email_status === 'bounced') return 'Adresse en échec (bounce)';
+  return null;
+}
+
+/**
+ * Split marketing recipients into allowed and excluded ones, from the status of the
+ * contacts sharing their address (any opted-out or bounced contact excludes the address)
+ * @param {Array<{email}>} recipients
+ * @returns {Promise<{allowed: Array, excluded: Array<{recipient, reason}>}>}
+ */
+async function filterMarketingRecipients(recipients) {
+  const emails = [...new Set(recipients.map(r => normalizeEmail(r.email)).filter(Boolean))];
+  const reasons = {};
+  if (emails.length > 0) {
+    const result = await db.query(`
+      SELECT LOWER(email) as email, email_optin, email_status
+      FROM player_contacts
+      WHERE LOWER(email) = ANY($1)
+    `, [emails]);
+    result.rows.forEach(contact => {
+      const reason = getMarketingBlockReason(contact);
+      if (reason && !reasons[contact.email]) {
+        reasons[contact.email] = reason;
+      }
+    });
+  }
+
+  const allowed = [];
+  const excluded = [];
+  recipients.forEach(recipient => {
+    const reason = reasons[normalizeEmail(recipient.email)];
+    if (reason) excluded.push({ recipient, reason });
+    else allowed.push(recipient);
+  });
+  return { allowed, excluded };
+}
+
+module.exports = {
+  EMAIL_EVENT_TYPES,
+  EMAIL_STATUSES,
+  normalizeProviderEvent,
+  recordEmailEvent,
+  ingestProviderEvent,
+  verifyWebhookRequest,
+  buildSimulatedPayload,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrls,
+  withUnsubscribe,
+  unsubscribeEmail,
+  isUnsubscribed,
+  getMarketingBlockReason,
+  filterMarketingRecipients
+};
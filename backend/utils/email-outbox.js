@@ -0,0 +1,354 @@
+/**
+ * Email Outbox
+ *
+ * Bulk sends (campaigns, convocations, scheduled emails) are queued in the
+ * email_outbox table, one row per recipient message, then delivered through the
+ * mail transport:
+ * - throttled to app setting email_rate_per_minute (shared by every sender of the process)
+ * - retried with exponential backoff until email_max_attempts, then marked failed
+ * - resumed by the outbox worker after a restart (pending rows stay in the table)
+ *
+ * Campaign counts (email_campaigns.sent_count / failed_count) are recomputed from
+ * the outbox rows, so the campaign history can drill down to each recipient.
+ *
+ * Follow-up work that depends on a message's outcome (e.g. marking a player as
+ * convoqué) is stored with the message as a completion hook, so it also runs when
+ * the delivery ends after a restart.
+ */
+
+const db = require('../db-loader');
+const appSettings = require('./app-settings');
+const { getMailTransport } = require('./mail-transport');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+// Retries wait 10 s, 20 s, 40 s...
+const RETRY_BASE_SECONDS = 10;
+const WORKER_INTERVAL_MS = 30000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let nextSlotAt = 0;
+let workerBusy = false;
+const hookHandlers = {};
+
+/**
+ * Register a completion hook handler
+ * @param {string} name - hook name given to enqueueEmail (options.hook.name)
+ * @param {Function} handler - async (data, { outboxId, status }) => void, status is 'sent' or 'failed'
+ */
+function registerOutboxHook(name, handler) {
+  hookHandlers[name] = handler;
+}
+
+async function getOutboxSettings() {
+  const settings = await appSettings.getSettingsBatch(['email_rate_per_minute', 'email_max_attempts']);
+  const ratePerMinute = Math.max(1, parseInt(settings.email_rate_per_minute, 10) || 40);
+  return {
+    intervalMs: Math.ceil(60000 / ratePerMinute),
+    maxAttempts: Math.max(1, parseInt(settings.email_max_attempts, 10) || 4)
+  };
+}
+
+/**
+ * Wait for the next sending slot. The slot is reserved before waiting, so that
+ * concurrent deliveries (a request and the worker) stay under the rate limit.
+ */
+async function throttle(intervalMs) {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotAt);
+  nextSlotAt = slot + intervalMs;
+  if (slot > now) {
+    await delay(slot - now);
+  }
+}
+
+// Attachments are stored as base64 strings (JSONB)
+function serializeMessage(message) {
+  return {
+    ...message,
+    attachments: (message.attachments || []).map(att => ({
+      filename: att.filename,
+      content: Buffer.isBuffer(att.content) ? att.content.toString('base64') : att.content
+    }))
+  };
+}
+
+/**
+ * Queue a message for delivery
+ * @param {Object} message - mail transport message ({ from, to, replyTo, subject, html, attachments })
+ * @param {Object} [options] - { campaignId, recipientName, hook: { name, data } run once sent or failed }
+ * @returns {Promise<number>} outbox id
+ */
+async function enqueueEmail(message, options = {}) {
+  const { maxAttempts } = await getOutboxSettings();
+  const recipients = Array.isArray(message.to) ? message.to : [message.to];
+  const result = await db.query(`
+    INSERT INTO email_outbox (campaign_id, recipient_email, recipient_name, subject, message, max_attempts, hook)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [
+    options.campaignId || null,
+    recipients.join(', '),
+    options.recipientName || null,
+    message.subject || null,
+    JSON.stringify(serializeMessage(message)),
+    maxAttempts,
+    options.hook ? JSON.stringify(options.hook) : null
+  ]);
+  return result.rows[0].id;
+}
+
+/**
+ * Claim the next due message (optionally among the given ids)
+ * @returns {Promise<Object|null>} outbox row, now in status 'sending'
+ */
+async function claimNext(ids) {
+  const params = [];
+  let filter = '';
+  if (ids) {
+    params.push(ids);
+    filter = 'AND id = ANY($1)';
+  }
+  const result = await db.query(`
+    UPDATE email_outbox
+    SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM email_outbox
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP ${filter}
+      ORDER BY next_attempt_at, id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, params);
+  return result.rows[0] || null;
+}
+
+/**
+ * Recompute a campaign's counts and status from its outbox rows
+ * (only for campaigns sent through the outbox)
+ */
+async function refreshCampaign(campaignId) {
+  if (!campaignId) {
+    return;
+  }
+  await db.query(`
+    UPDATE email_campaigns c
+    SET sent_count = s.sent,
+        failed_count = s.failed,
+        status = CASE WHEN s.remaining = 0 THEN 'completed' ELSE 'sending' END,
+        sent_at = CASE WHEN s.remaining = 0 THEN COALESCE(c.sent_at, CURRENT_TIMESTAMP) ELSE c.sent_at END
+    FROM (
+      SELECT COUNT(*) FILTER (WHERE status = 'sent') as sent,
+             COUNT(*) FILTER (WHERE status = 'failed') as failed,
+             COUNT(*) FILTER (WHERE status IN ('pending', 'sending')) as remaining
+      FROM email_outbox
+      WHERE campaign_id = $1
+    ) s
+    WHERE c.id = $1
+  `, [campaignId]);
+}
+
+/**
+ * Run the completion hook of a sent or failed message (once; a failing handler is
+ * retried by the next worker start)
+ */
+async function runHook(row, status) {
+  if (!row.hook || row.hook_done) {
+    return;
+  }
+  const handler = hookHandlers[row.hook.name];
+  if (!handler) {
+    console.error(`[Outbox] No handler registered for hook ${row.hook.name} (message ${row.id})`);
+    return;
+  }
+  try {
+    await handler(row.hook.data, { outboxId: row.id, status });
+    await db.query('UPDATE email_outbox SET hook_done = TRUE WHERE id = $1', [row.id]);
+  } catch (error) {
+    console.error(`[Outbox] Hook ${row.hook.name} failed for message ${row.id}:`, error.message);
+  }
+}
+
+/**
+ * Send a claimed message; on failure it goes back to pending with a backoff, or to failed
+ */
+async function deliver(row, settings) {
+  await throttle(settings.intervalMs);
+  try {
+    const mailer = getMailTransport();
+    if (!mailer) {
+      throw new Error('Email non configuré');
+    }
+    const result = await mailer.send(row.message);
+    await db.query(`
+      UPDATE email_outbox
+      SET status = 'sent', sent_at = CURRENT_TIMESTAMP, provider_message_id = $1, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [result?.id || null, row.id]);
+    await runHook(row, 'sent');
+  } catch (error) {
+    const finalAttempt = row.attempts >= row.max_attempts;
+    const backoffSeconds = RETRY_BASE_SECONDS * Math.pow(2, row.attempts - 1);
+    console.error(`[Outbox] Message ${row.id} to ${row.recipient_email} failed (attempt ${row.attempts}/${row.max_attempts}):`, error.message);
+    await db.query(`
+      UPDATE email_outbox
+      SET status = $1, last_error = $2, updated_at = CURRENT_TIMESTAMP,
+          next_attempt_at = CURRENT_TIMESTAMP + ($3::int * INTERVAL '1 second')
+      WHERE id = $4
+    `, [finalAttempt ? 'failed' : 'pending', error.message, backoffSeconds, row.id]);
+    if (finalAttempt) {
+      await runHook(row, 'failed');
+    }
+  }
+  await refreshCampaign(row.campaign_id);
+}
+
+/**
+ * Deliver every due message of the outbox
+ * @returns {Promise<number>} messages processed
+ */
+async function processOutbox() {
+  const settings = await getOutboxSettings();
+  let processed = 0;
+  let row;
+  while ((row = await claimNext()) !== null) {
+    await deliver(row, settings);
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * Deliver the given messages and wait until each one is sent or failed (retries included)
+ * @param {number[]} ids - outbox ids
+ * @returns {Promise<Object>} outbox rows by id ({ status, attempts, last_error, sent_at, ... })
+ */
+async function deliverQueued(ids) {
+  if (ids.length === 0) {
+    return {};
+  }
+  const settings = await getOutboxSettings();
+  for (;;) {
+    const row = await claimNext(ids);
+    if (row) {
+      await deliver(row, settings);
+      continue;
+    }
+    const remaining = await db.query(`
+      SELECT COUNT(*) as count FROM email_outbox
+      WHERE id = ANY($1) AND status IN ('pending', 'sending')
+    `, [ids]);
+    if (parseInt(remaining.rows[0].count, 10) === 0) {
+      break;
+    }
+    // Waiting for a retry, or for a message being sent by the worker
+    await delay(1000);
+  }
+
+  const result = await db.query(`
+    SELECT id, recipient_email, recipient_name, status, attempts, last_error, sent_at
+    FROM email_outbox WHERE id = ANY($1)
+  `, [ids]);
+  const byId = {};
+  result.rows.forEach(r => { byId[r.id] = r; });
+  return byId;
+}
+
+/**
+ * Delivery status of each recipient of a campaign
+ */
+async function getCampaignDeliveries(campaignId) {
+  const result = await db.query(`
+    SELECT id, recipient_email, recipient_name, subject, status, attempts, max_attempts,
+           last_error, next_attempt_at, sent_at, created_at
+    FROM email_outbox
+    WHERE campaign_id = $1
+    ORDER BY recipient_name, recipient_email, id
+  `, [campaignId]);
+  return result.rows;
+}
+
+/**
+ * Queue the failed messages of a campaign again
+ * @returns {Promise<number>} messages queued
+ */
+async function retryFailed(campaignId) {
+  const result = await db.query(`
+    UPDATE email_outbox
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE campaign_id = $1 AND status = 'failed'
+  `, [campaignId]);
+  if (result.rowCount > 0) {
+    await refreshCampaign(campaignId);
+  }
+  return result.rowCount || 0;
+}
+
+/**
+ * Deliver the due messages in the background (no-op when a run is already in progress)
+ */
+async function runOutboxWorker() {
+  if (workerBusy) {
+    return;
+  }
+  workerBusy = true;
+  try {
+    const processed = await processOutbox();
+    if (processed > 0) {
+      console.log(`[Outbox] ${processed} message(s) processed`);
+    }
+  } catch (error) {
+    console.error('[Outbox] Error processing outbox:', error.message);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+/**
+ * Start the background delivery: messages left in 'sending' by a restart are queued
+ * again (they may have been sent just before the restart), the completion hooks
+ * interrupted by the restart are run, then the outbox is checked periodically
+ */
+async function startOutboxWorker() {
+  try {
+    const recovered = await db.query(`
+      UPDATE email_outbox SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending'
+    `);
+    if (recovered.rowCount > 0) {
+      console.log(`[Outbox] ${recovered.rowCount} interrupted message(s) queued again`);
+    }
+  } catch (error) {
+    console.error('[Outbox] Error recovering interrupted messages:', error.message);
+  }
+
+  try {
+    const pendingHooks = await db.query(`
+      SELECT * FROM email_outbox
+      WHERE hook IS NOT NULL AND hook_done = FALSE AND status IN ('sent', 'failed')
+      ORDER BY id
+    `);
+    for (const row of pendingHooks.rows) {
+      await runHook(row, row.status);
+    }
+  } catch (error) {
+    console.error('[Outbox] Error running interrupted hooks:', error.message);
+  }
+
+  setInterval(runOutboxWorker, WORKER_INTERVAL_MS);
+  runOutboxWorker();
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  registerOutboxHook,
+  enqueueEmail,
+  deliverQueued,
+  processOutbox,
+  refreshCampaign,
+  getCampaignDeliveries,
+  retryFailed,
+  runOutboxWorker,
+  startOutboxWorker
+};
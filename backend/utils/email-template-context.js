@@ -0,0 +1,480 @@
+/**
+ * Email Template Context
+ *
+ * Variables available to each kind of email template (used to validate templates
+ * and listed in the editor), the variable builders shared by the senders, and the
+ * preview context built from a real tournament (tournoi_ext).
+ */
+
+const db = require('../db-loader');
+const { validateTemplate } = require('./template-engine');
+const appSettings = require('./app-settings');
+const { resolveTournamentContext } = require('./tournament-context');
+const { getRankingRules } = require('./ranking-rules');
+const { normalizeLicence } = require('./licence');
+const { FINALE_TOURNAMENT_NUMBER, getQualifyingTournamentNumbers, getTournamentLabel } = require('./qualifying-rounds');
+
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('fr-FR') : '');
+const formatLongDate = (date) => (date
+  ? new Date(date).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+  : '');
+
+// ==================== VARIABLE CATALOG ====================
+
+const variable = (name, description, fields) => (fields ? { name, description, fields } : { name, description });
+
+const PLAYER_VARIABLES = [
+  variable('player_name', 'Prénom et nom du joueur'),
+  variable('first_name', 'Prénom'),
+  variable('last_name', 'Nom'),
+  variable('club', 'Club du joueur'),
+  variable('licence', 'Licence du joueur'),
+  variable('player_email', 'Email du joueur')
+];
+
+const ORGANIZATION_VARIABLES = [
+  variable('organization_name', 'Nom de l\'organisation'),
+  variable('organization_short_name', 'Sigle de l\'organisation'),
+  variable('organization_email', 'Email de contact')
+];
+
+// Variables of the historic flat templates (buildUniversalVariables in routes/email.js), kept valid everywhere
+const LEGACY_VARIABLES = [
+  'tournament_name', 'tournament', 'mode', 'category', 'tournament_date', 'date', 'location', 'lieu',
+  'tournament_lieu', 'rank_position', 'total_points', 'player_position', 'player_points', 'finale_name',
+  't1_date', 't1_position', 'deadline_date', 'club_name', 'time', 'num_players', 'num_tables'
+].map(name => variable(name, ''));
+
+const PLAYER_ROW_FIELDS = ['position', 'name', 'licence', 'club', 'match_points', 'moyenne', 'is_current'];
+
+const KIND_VARIABLES = {
+  general: [
+    variable('message', 'Message saisi dans le composeur')
+  ],
+  convocation: [
+    variable('category', 'Catégorie'),
+    variable('tournament', 'Tournoi (Tournoi 1, Finale...)'),
+    variable('date', 'Date du tournoi (texte)'),
+    variable('tournament_date', 'Date du tournoi (à formater avec | date)'),
+    variable('time', 'Heure de convocation'),
+    variable('location', 'Lieu'),
+    variable('location_address', 'Adresse du lieu'),
+    variable('poule', 'Numéro de poule du joueur'),
+    variable('is_finale', 'Vrai pour une finale'),
+    variable('poule_players', 'Joueurs de la poule du joueur', ['name', 'licence', 'club', 'is_current']),
+    variable('poules', 'Toutes les poules', ['number', 'location', 'time', 'players'])
+  ],
+  results: [
+    variable('tournament_name', 'Nom du tournoi'),
+    variable('tournament_date', 'Date du tournoi'),
+    variable('tournament_lieu', 'Lieu du tournoi'),
+    variable('category', 'Catégorie'),
+    variable('player_position', 'Classement du joueur au tournoi'),
+    variable('player_points', 'Points du joueur'),
+    variable('ranking_position', 'Position au classement général'),
+    variable('qualified', 'Vrai si le joueur est dans les qualifiés pour la finale'),
+    variable('qualified_count', 'Nombre de qualifiés pour la finale'),
+    variable('is_final_tournament', 'Vrai après le dernier tournoi qualificatif'),
+    variable('results', 'Résultats du tournoi', PLAYER_ROW_FIELDS),
+    variable('rankings', 'Classement général', PLAYER_ROW_FIELDS)
+  ],
+  relance: [
+    variable('category', 'Catégorie'),
+    variable('tournament_date', 'Date du tournoi'),
+    variable('tournament_lieu', 'Lieu du tournoi'),
+    variable('deadline_date', 'Date limite d\'inscription'),
+    variable('finale_date', 'Date de la finale'),
+    variable('finale_lieu', 'Lieu de la finale'),
+    variable('qualified_count', 'Nombre de qualifiés'),
+    variable('rank_position', 'Position au classement'),
+    variable('total_points', 'Points au classement'),
+    variable('t1_position', 'Classement au tournoi 1'),
+    variable('t1_points', 'Points au tournoi 1'),
+    variable('t1_date', 'Date du tournoi 1'),
+    variable('inscription_method', 'Bouton ou texte d\'inscription')
+  ],
+  finale_convocation: [
+    variable('finale_name', 'Nom de la finale'),
+    variable('finale_date', 'Date de la finale'),
+    variable('finale_heure', 'Heure de la finale'),
+    variable('finale_lieu', 'Lieu de la finale'),
+    variable('category', 'Catégorie'),
+    variable('rank_position', 'Position au classement'),
+    variable('finalists', 'Joueurs qualifiés pour la finale', PLAYER_ROW_FIELDS)
+  ],
+  finale_results: [
+    variable('tournament_label', 'Tournoi (Finale Départementale...)'),
+    variable('category', 'Catégorie'),
+    variable('tournament_date', 'Date du tournoi'),
+    variable('location', 'Lieu')
+  ]
+};
+
+/**
+ * Kind of context a template is rendered with
+ * @returns {'general'|'convocation'|'results'|'relance'|'finale_convocation'|'finale_results'}
+ */
+function getTemplateKind(templateKey) {
+  const key = templateKey || '';
+  if (key === 'convocation' || key === 'convocation-finale') return 'convocation';
+  if (key === 'results' || key === 'tournament_results') return 'results';
+  if (key === 'finale_results') return 'finale_results';
+  if (key.startsWith('relance_')) return 'relance';
+  if (key === 'finale_convocation') return 'finale_convocation';
+  return 'general';
+}
+
+/**
+ * Variables available for a template (player, organization, legacy and the template kind's own)
+ * @returns {Array<{name, description, fields}>}
+ */
+function getTemplateVariables(templateKey) {
+  const byName = {};
+  [...LEGACY_VARIABLES, ...PLAYER_VARIABLES, ...ORGANIZATION_VARIABLES, ...KIND_VARIABLES[getTemplateKind(templateKey)]]
+    .forEach(v => { byName[v.name] = v; });
+  return Object.values(byName);
+}
+
+// Syntax errors and unknown variables of a template, by part (subject, body...)
+// Errors block the save, unknown variables are only reported as warnings
+function checkTemplate(templateKey, parts) {
+  const knownVariables = getTemplateVariables(templateKey);
+  const errors = [];
+  const unknownVariables = new Set();
+  Object.entries(parts).forEach(([label, text]) => {
+    const result = validateTemplate(text || '', knownVariables);
+    result.errors.forEach(error => errors.push(`${label} : ${error}`));
+    result.unknownVariables.forEach(name => unknownVariables.add(name));
+  });
+  return { valid: errors.length === 0, errors, unknownVariables: [...unknownVariables] };
+}
+
+// ==================== VARIABLE BUILDERS ====================
+
+function organizationVariables(settings = {}, contactEmail = '') {
+  return {
+    organization_name: settings.organization_name || 'Comité Départemental de Billard',
+    organization_short_name: settings.organization_short_name || 'CDB',
+    organization_email: settings.summary_email || settings.email_communication || contactEmail || ''
+  };
+}
+
+/**
+ * Variables of a player's convocation
+ * @param {Object} data - { player, category, tournament, date, tournamentDate, location, pouleNumber, poules, locations, isFinale }
+ *   poules: [{ number, locationNum, players: [{ licence, first_name, last_name, club }] }]
+ *   locations: [{ locationNum, name, street, zip_code, city, startTime }]
+ */
+function buildConvocationVariables(data, settings, contactEmail) {
+  const { player, poules = [], locations = [] } = data;
+  const licence = normalizeLicence(player.licence);
+  const locationOf = (poule) => locations.find(l => l.locationNum === (poule.locationNum || '1')) || locations[0];
+  const playerRow = (p) => ({
+    name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+    licence: p.licence,
+    club: p.club || '',
+    is_current: normalizeLicence(p.licence) === licence
+  });
+  const playerPoule = poules.find(p => p.number === data.pouleNumber);
+  const location = data.location;
+
+  return {
+    player_name: `${player.first_name || ''} ${player.last_name || ''}`.trim(),
+    first_name: player.first_name,
+    last_name: player.last_name,
+    club: player.club || '',
+    licence: player.licence || '',
+    category: data.category,
+    tournament: data.tournament,
+    date: data.date,
+    tournament_date: data.tournamentDate || '',
+    time: location?.startTime?.replace(':', 'H') || '14H00',
+    location: location?.name || 'A definir',
+    location_address: location?.street ? [location.street, location.zip_code, location.city].filter(Boolean).join(' ') : '',
+    poule: data.pouleNumber,
+    is_finale: !!data.isFinale,
+    poule_players: playerPoule ? playerPoule.players.map(playerRow) : [],
+    poules: poules.map(poule => ({
+      number: poule.number,
+      location: locationOf(poule)?.name || '',
+      time: locationOf(poule)?.startTime?.replace(':', 'H') || '',
+      players: poule.players.map(playerRow)
+    })),
+    ...organizationVariables(settings, contactEmail)
+  };
+}
+
+/**
+ * Variables of a participant's tournament results email
+ * @param {Object} data - { tournament, results, rankings, participant, qualifiedCount, isFinalTournament }
+ *   results: tournament_results rows (position, display_name, match_points, points, reprises)
+ *   rankings: rankings rows (rank_position, player_name, total_match_points, avg_moyenne)
+ */
+function buildResultsVariables(data, settings, contactEmail) {
+  const { tournament, results, rankings, participant } = data;
+  const licence = normalizeLicence(participant.licence);
+  const playerRanking = rankings.find(r => normalizeLicence(r.licence) === licence);
+
+  return {
+    player_name: participant.display_name || participant.player_name || '',
+    first_name: participant.first_name || (participant.player_name || '').split(' ')[0] || '',
+    last_name: participant.last_name || '',
+    licence: participant.licence || '',
+    tournament_name: tournament.display_name,
+    tournament_date: formatDate(tournament.tournament_date),
+    tournament_lieu: tournament.location || '',
+    category: tournament.display_name,
+    player_position: participant.position,
+    player_points: participant.points || '-',
+    ranking_position: playerRanking ? playerRanking.rank_position : '-',
+    qualified: !!playerRanking && playerRanking.rank_position <= data.qualifiedCount,
+    qualified_count: data.qualifiedCount,
+    is_final_tournament: !!data.isFinalTournament,
+    results: results.map(r => ({
+      position: r.position,
+      name: r.display_name || r.player_name,
+      licence: r.licence,
+      club: r.club || '',
+      match_points: r.match_points || '-',
+      moyenne: r.reprises > 0 ? (r.points / r.reprises).toFixed(3) : '-',
+      is_current: normalizeLicence(r.licence) === licence
+    })),
+    rankings: rankings.map(r => ({
+      position: r.rank_position,
+      name: r.player_name,
+      licence: r.licence,
+      club: r.club || '',
+      match_points: r.total_match_points || '-',
+      moyenne: r.avg_moyenne ? Number(r.avg_moyenne).toFixed(3) : '-',
+      is_current: normalizeLicence(r.licence) === licence
+    })),
+    ...organizationVariables(settings, contactEmail)
+  };
+}
+
+// ==================== PREVIEW ====================
+
+/**
+ * Results and general rankings of an internal tournament (same data as the results email)
+ */
+async function loadTournamentResults(tournament) {
+  const results = await db.query(`
+    SELECT tr.*, pc.first_name, pc.last_name, pc.club,
+           COALESCE(pc.first_name || ' ' || pc.last_name, tr.player_name) as display_name
+    FROM tournament_results tr
+    LEFT JOIN player_contacts pc ON tr.licence = pc.licence
+    WHERE tr.tournament_id = $1
+    ORDER BY tr.position ASC
+  `, [tournament.id]);
+  const rankings = await db.query(`
+    SELECT r.*, COALESCE(p.first_name || ' ' || p.last_name, r.licence) as player_name, p.club
+    FROM rankings r
+    LEFT JOIN players p ON r.licence = p.licence
+    WHERE r.season = $1 AND r.category_id = $2
+    ORDER BY r.rank_position ASC
+  `, [tournament.season, tournament.category_id]);
+  return { results: results.rows, rankings: rankings.rows };
+}
+
+/**
+ * Convocation poules of a tournament, in the format of the convocation sender
+ */
+async function loadConvocationPoules(tournoiId) {
+  const result = await db.query(`
+    SELECT cp.*, pc.first_name, pc.last_name
+    FROM convocation_poules cp
+    LEFT JOIN player_contacts pc ON cp.licence = pc.licence
+    WHERE cp.tournoi_id = $1
+    ORDER BY cp.poule_number, cp.player_order
+  `, [tournoiId]);
+
+  const poules = [];
+  const locations = [];
+  result.rows.forEach(row => {
+    let location = locations.find(l => l.name === row.location_name && l.startTime === row.start_time);
+    if (!location) {
+      location = { locationNum: String(locations.length + 1), name: row.location_name, street: row.location_address, startTime: row.start_time };
+      locations.push(location);
+    }
+    let poule = poules.find(p => p.number === row.poule_number);
+    if (!poule) {
+      poule = { number: row.poule_number, locationNum: location.locationNum, players: [] };
+      poules.push(poule);
+    }
+    const [firstName, ...lastName] = (row.player_name || '').split(' ');
+    poule.players.push({
+      licence: row.licence,
+      first_name: row.first_name || firstName,
+      last_name: row.last_name || lastName.join(' '),
+      club: row.club
+    });
+  });
+  return { poules, locations };
+}
+
+async function findContact(licence) {
+  if (!licence) return null;
+  const result = await db.query(
+    `SELECT * FROM player_contacts WHERE licence = $1`,
+    [normalizeLicence(licence)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Variables to preview a template against a real tournament
+ * @param {string} templateKey
+ * @param {Object} options - { tournoiId (tournoi_ext), licence (player to preview for, default: first player) }
+ * @returns {Promise<{variables: Object, player: string|null, warnings: string[]}>}
+ */
+async function buildPreviewVariables(templateKey, options = {}) {
+  const kind = getTemplateKind(templateKey);
+  const settings = await appSettings.getSettingsBatch([
+    'organization_name', 'organization_short_name', 'summary_email', 'email_communication'
+  ]);
+  const warnings = [];
+  const placeholder = { licence: '', first_name: 'Jean', last_name: 'Dupont', club: 'Club exemple' };
+
+  const tournoiResult = options.tournoiId
+    ? await db.query('SELECT * FROM tournoi_ext WHERE tournoi_id = $1', [options.tournoiId])
+    : { rows: [] };
+  const tournoi = tournoiResult.rows[0];
+  if (options.tournoiId && !tournoi) {
+    throw new Error('Tournoi introuvable');
+  }
+  if (!tournoi && kind !== 'general') {
+    warnings.push('Aucun tournoi sélectionné : les variables du tournoi sont vides');
+  }
+
+  const context = tournoi ? await resolveTournamentContext(tournoi) : { category: null, season: null, tournamentNumber: null };
+  const categoryName = context.category?.display_name || (tournoi ? `${tournoi.mode} ${tournoi.categorie}` : '');
+  const contact = await findContact(options.licence);
+  const base = {
+    ...organizationVariables(settings),
+    category: categoryName,
+    tournament_name: tournoi?.nom || '',
+    tournament_date: formatLongDate(tournoi?.debut),
+    tournament_lieu: tournoi?.lieu || '',
+    location: tournoi?.lieu || '',
+    mode: tournoi?.mode || ''
+  };
+  const playerVariables = (p) => ({
+    player_name: `${p.first_name || ''} ${p.last_name || ''}`.trim(),
+    first_name: p.first_name || '',
+    last_name: p.last_name || '',
+    club: p.club || '',
+    licence: p.licence || '',
+    player_email: p.email || ''
+  });
+
+  if (kind === 'convocation' && tournoi) {
+    const { poules, locations } = await loadConvocationPoules(tournoi.tournoi_id);
+    if (poules.length === 0) {
+      warnings.push('Pas encore de poules enregistrées pour ce tournoi');
+    }
+    const allPlayers = poules.flatMap(p => p.players.map(player => ({ ...player, pouleNumber: p.number, locationNum: p.locationNum })));
+    const player = allPlayers.find(p => normalizeLicence(p.licence) === normalizeLicence(options.licence))
+      || allPlayers[0] || { ...placeholder, ...(contact || {}) };
+    const tournamentLabel = getTournamentLabel(context.tournamentNumber) || tournoi.nom;
+    return {
+      variables: {
+        ...base,
+        ...buildConvocationVariables({
+          player,
+          category: categoryName,
+          tournament: tournamentLabel,
+          date: formatLongDate(tournoi.debut),
+          tournamentDate: tournoi.debut,
+          location: locations.find(l => l.locationNum === player.locationNum) || locations[0],
+          pouleNumber: player.pouleNumber,
+          poules,
+          locations,
+          isFinale: context.tournamentNumber === FINALE_TOURNAMENT_NUMBER
+        }, settings)
+      },
+      player: `${player.first_name || ''} ${player.last_name || ''}`.trim(),
+      warnings
+    };
+  }
+
+  if (kind === 'results' && tournoi) {
+    const tournamentResult = context.category
+      ? await db.query(`
+          SELECT t.*, c.display_name
+          FROM tournaments t JOIN categories c ON t.category_id = c.id
+          WHERE t.category_id = $1 AND t.season = $2 AND t.tournament_number = $3
+        `, [context.category.id, context.season, context.tournamentNumber])
+      : { rows: [] };
+    const tournament = tournamentResult.rows[0];
+    if (!tournament) {
+      warnings.push('Pas encore de résultats importés pour ce tournoi');
+    } else {
+      const { results, rankings } = await loadTournamentResults(tournament);
+      const participant = results.find(r => normalizeLicence(r.licence) === normalizeLicence(options.licence)) || results[0];
+      if (participant) {
+        const rules = await getRankingRules(tournament.category_id, tournament.season);
+        const lastQualifyingNumber = getQualifyingTournamentNumbers(rules.qualifying_rounds).slice(-1)[0];
+        return {
+          variables: {
+            ...base,
+            ...buildResultsVariables({
+              tournament,
+              results,
+              rankings,
+              participant,
+              qualifiedCount: rankings.length < 9 ? 4 : 6,
+              isFinalTournament: tournament.tournament_number === lastQualifyingNumber
+            }, settings)
+          },
+          player: participant.display_name,
+          warnings
+        };
+      }
+      warnings.push('Aucun résultat pour ce tournoi');
+    }
+  }
+
+  // General, relance and finale templates: tournament information and one player
+  const player = contact || placeholder;
+  const variables = { ...base, ...playerVariables(player) };
+  if (tournoi) {
+    const deadline = new Date(tournoi.debut);
+    deadline.setDate(deadline.getDate() - 7);
+    Object.assign(variables, {
+      deadline_date: formatDate(deadline),
+      finale_name: tournoi.nom || '',
+      finale_date: formatLongDate(tournoi.debut),
+      finale_lieu: tournoi.lieu || '',
+      finale_heure: '14H00',
+      tournament_label: getTournamentLabel(context.tournamentNumber)
+    });
+    if (context.category && player.licence) {
+      const ranking = await db.query(
+        `SELECT rank_position, total_match_points FROM rankings WHERE category_id = $1 AND season = $2 AND licence = $3`,
+        [context.category.id, context.season, normalizeLicence(player.licence)]
+      );
+      if (ranking.rows[0]) {
+        variables.rank_position = ranking.rows[0].rank_position;
+        variables.total_points = ranking.rows[0].total_match_points;
+      }
+    }
+  }
+  if (kind === 'general') {
+    variables.message = '';
+  }
+  return {
+    variables,
+    player: variables.player_name,
+    warnings: contact || !options.licence ? warnings : [...warnings, 'Joueur introuvable, données fictives utilisées']
+  };
+}
+
+module.exports = {
+  getTemplateKind,
+  getTemplateVariables,
+  checkTemplate,
+  buildConvocationVariables,
+  buildResultsVariables,
+  buildPreviewVariables
+};
@@ -0,0 +1,345 @@
+/**
+ * Finale Knockout Bracket
+ *
+ * Builds the final phase of a finale départementale (tournament_number FINALE_TOURNAMENT_NUMBER)
+ * once the poules are played: qualifiers are seeded by band (poule winners,
+ * then runners-up...) so that winners meet runners-up of other poules, paired
+ * in a single elimination bracket (byes for the top seeds when the count is
+ * not a power of two) with a 3rd place match, and final positions are derived from it.
+ *
+ * Rounds are identified by a short code; match N of a round feeds match
+ * ceil(N/2) of the next round (odd N -> player1, even N -> player2).
+ */
+
+const { normalizeLicence } = require('./licence');
+
+const MAX_BRACKET_SIZE = 16;
+
+// Round code by number of matches in the round
+const ROUND_BY_MATCH_COUNT = {
+  8: 'R16',
+  4: 'QF',
+  2: 'SF',
+  1: 'F'
+};
+
+const THIRD_PLACE_ROUND = '3P';
+
+// Display / processing order
+const ROUND_ORDER = ['R16', 'QF', 'SF', THIRD_PLACE_ROUND, 'F'];
+
+const ROUND_LABELS = {
+  R16: 'Huitièmes de finale',
+  QF: 'Quarts de finale',
+  SF: 'Demi-finales',
+  '3P': 'Match pour la 3e place',
+  F: 'Finale'
+};
+
+/**
+ * Smallest power of two holding all qualifiers
+ */
+function getBracketSize(qualifiersCount) {
+  let size = 2;
+  while (size < qualifiersCount) {
+    size *= 2;
+  }
+  return size;
+}
+
+/**
+ * Standard seed placement for a bracket of the given size
+ * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6] (1 and 2 can only meet in the final)
+ */
+function getSeedOrder(size) {
+  let order = [1, 2];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Seed the qualifiers of the poules
+ * Seed bands follow the poule position (all poule winners, then all runners-up...), ordered
+ * inside a band by season ranking, then moyenne. Two players of the same poule drawn against
+ * each other in the first round are separated by swapping the lower seed with the closest
+ * player of its band.
+ * @param {Array} qualifiers - ({ licence, poule_number, position, rank_position, moyenne })
+ * @returns {Array} qualifiers ordered by seed
+ */
+function seedQualifiers(qualifiers) {
+  const seeded = [...qualifiers].sort((a, b) =>
+    (a.position - b.position) ||
+    ((a.rank_position || Infinity) - (b.rank_position || Infinity)) ||
+    ((b.moyenne_ponderee ?? b.moyenne) - (a.moyenne_ponderee ?? a.moyenne))
+  );
+
+  // First round pairs as seed indexes (a missing opponent is a bye)
+  const seedOrder = getSeedOrder(getBracketSize(seeded.length));
+  const opponent = {};
+  for (let i = 0; i < seedOrder.length; i += 2) {
+    opponent[seedOrder[i] - 1] = seedOrder[i + 1] - 1;
+    opponent[seedOrder[i + 1] - 1] = seedOrder[i] - 1;
+  }
+  const samePoule = (idx) => {
+    const other = seeded[opponent[idx]];
+    return !!other && other.poule_number === seeded[idx].poule_number;
+  };
+  const swap = (i, j) => { [seeded[i], seeded[j]] = [seeded[j], seeded[i]]; };
+
+  seeded.forEach((_, idx) => {
+    if (!samePoule(idx) || opponent[idx] < idx) {
+      return;
+    }
+    const lower = opponent[idx];
+    const candidates = seeded
+      .map((q, i) => i)
+      .filter(i => i !== lower && i !== idx && seeded[i].position === seeded[lower].position)
+      .sort((a, b) => Math.abs(a - lower) - Math.abs(b - lower));
+    for (const candidate of candidates) {
+      swap(lower, candidate);
+      if (!samePoule(lower) && !samePoule(candidate)) {
+        return;
+      }
+      swap(lower, candidate);
+    }
+  });
+
+  return seeded;
+}
+
+/**
+ * Where the winner of a match goes
+ * @returns {{round, match_number, slot}|null}
+ */
+function getNextSlot(round, matchNumber) {
+  if (round === 'F' || round === THIRD_PLACE_ROUND) {
+    return null;
+  }
+  const matchCount = Number(Object.keys(ROUND_BY_MATCH_COUNT).find(k => ROUND_BY_MATCH_COUNT[k] === round));
+  return {
+    round: ROUND_BY_MATCH_COUNT[matchCount / 2],
+    match_number: Math.ceil(matchNumber / 2),
+    slot: matchNumber % 2 === 1 ? 'player1' : 'player2'
+  };
+}
+
+/**
+ * Build the bracket matches for seeded qualifiers
+ * @param {Array} qualifiers - ordered by seed ({ licence, player_name })
+ * @returns {Array} bracket match rows ({ round, match_number, player1_licence, player2_licence, player1_seed, player2_seed })
+ */
+function buildBracket(qualifiers) {
+  if (qualifiers.length < 2) {
+    throw new Error('Au moins 2 qualifiés sont nécessaires pour le tableau final');
+  }
+  if (qualifiers.length > MAX_BRACKET_SIZE) {
+    throw new Error(`Le tableau final est limité à ${MAX_BRACKET_SIZE} qualifiés`);
+  }
+
+  const size = getBracketSize(qualifiers.length);
+  const seedOrder = getSeedOrder(size);
+  const matches = [];
+
+  // All rounds, empty slots filled as results come in
+  for (let matchCount = size / 2; matchCount >= 1; matchCount /= 2) {
+    for (let n = 1; n <= matchCount; n++) {
+      matches.push({
+        round: ROUND_BY_MATCH_COUNT[matchCount],
+        match_number: n,
+        player1_licence: null,
+        player2_licence: null,
+        player1_seed: null,
+        player2_seed: null
+      });
+    }
+  }
+  if (size >= 4) {
+    matches.push({
+      round: THIRD_PLACE_ROUND,
+      match_number: 1,
+      player1_licence: null,
+      player2_licence: null,
+      player1_seed: null,
+      player2_seed: null
+    });
+  }
+
+  const firstRound = ROUND_BY_MATCH_COUNT[size / 2];
+  for (let n = 1; n <= size / 2; n++) {
+    const match = matches.find(m => m.round === firstRound && m.match_number === n);
+    const seed1 = seedOrder[(n - 1) * 2];
+    const seed2 = seedOrder[(n - 1) * 2 + 1];
+    const p1 = qualifiers[seed1 - 1];
+    const p2 = qualifiers[seed2 - 1];
+
+    match.player1_licence = p1 ? p1.licence : null;
+    match.player1_seed = p1 ? seed1 : null;
+    match.player2_licence = p2 ? p2.licence : null;
+    match.player2_seed = p2 ? seed2 : null;
+  }
+
+  return matches;
+}
+
+// Slot that will never be filled (missing seed in the first round, or the loser of a bye)
+const EMPTY = 'EMPTY';
+
+/**
+ * Resolve every bracket match from the first round seeding and the recorded winners
+ * Later rounds are filled with the winners (and the 3rd place match with the
+ * semi-final losers); a match with a single player is a bye and that player goes through.
+ * @param {Array} rows - bracket_matches rows
+ * @returns {Array} rows in play order with player1_licence/player2_licence, bye, ready,
+ *                  winner_licence and loser_licence resolved
+ */
+function resolveBracket(rows) {
+  const byKey = {};
+  rows.forEach(r => { byKey[`${r.round}-${r.match_number}`] = r; });
+
+  const matchCounts = Object.keys(ROUND_BY_MATCH_COUNT).map(Number).sort((a, b) => b - a);
+  const firstCount = matchCounts.find(c => byKey[`${ROUND_BY_MATCH_COUNT[c]}-1`]);
+  const firstRound = ROUND_BY_MATCH_COUNT[firstCount];
+  const resolved = {};
+
+  const resolveMatch = (row, player1, player2) => {
+    const known1 = player1 && player1 !== EMPTY;
+    const known2 = player2 && player2 !== EMPTY;
+    const bye = (known1 && player2 === EMPTY) || (known2 && player1 === EMPTY);
+    const ready = !!(known1 && known2);
+    let winner = null;
+    let loser = null;
+
+    if (bye) {
+      winner = known1 ? player1 : player2;
+      loser = EMPTY;
+    } else if (player1 === EMPTY && player2 === EMPTY) {
+      winner = EMPTY;
+      loser = EMPTY;
+    } else if (ready && row.winner_licence) {
+      winner = normalizeLicence(row.winner_licence) === normalizeLicence(player1) ? player1 : player2;
+      loser = winner === player1 ? player2 : player1;
+    }
+
+    return {
+      ...row,
+      player1_licence: known1 ? player1 : null,
+      player2_licence: known2 ? player2 : null,
+      bye,
+      ready: ready && !bye,
+      winner_licence: winner === EMPTY ? null : winner,
+      loser_licence: loser === EMPTY ? null : loser,
+      _winner: winner,
+      _loser: loser
+    };
+  };
+
+  for (let count = firstCount; count >= 1; count /= 2) {
+    const round = ROUND_BY_MATCH_COUNT[count];
+    for (let n = 1; n <= count; n++) {
+      const row = byKey[`${round}-${n}`];
+      if (!row) continue;
+
+      let player1;
+      let player2;
+      if (round === firstRound) {
+        player1 = row.player1_licence || EMPTY;
+        player2 = row.player2_licence || EMPTY;
+      } else {
+        const prevRound = ROUND_BY_MATCH_COUNT[count * 2];
+        player1 = resolved[`${prevRound}-${n * 2 - 1}`]?._winner || null;
+        player2 = resolved[`${prevRound}-${n * 2}`]?._winner || null;
+      }
+      resolved[`${round}-${n}`] = resolveMatch(row, player1, player2);
+    }
+
+    if (round === 'SF' && byKey[`${THIRD_PLACE_ROUND}-1`]) {
+      resolved[`${THIRD_PLACE_ROUND}-1`] = resolveMatch(
+        byKey[`${THIRD_PLACE_ROUND}-1`],
+        resolved['SF-1']?._loser || null,
+        resolved['SF-2']?._loser || null
+      );
+    }
+  }
+
+  return ROUND_ORDER.flatMap(round =>
+    Object.values(resolved)
+      .filter(m => m.round === round)
+      .sort((a, b) => a.match_number - b.match_number)
+      .map(({ _winner, _loser, ...m }) => m)
+  );
+}
+
+/**
+ * Matches whose pairing depends on the result of the given match
+ */
+function getDependentMatches(round, matchNumber) {
+  const dependents = [];
+  const next = getNextSlot(round, matchNumber);
+  if (next) {
+    dependents.push({ round: next.round, match_number: next.match_number });
+  }
+  if (round === 'SF') {
+    dependents.push({ round: THIRD_PLACE_ROUND, match_number: 1 });
+  }
+  return dependents;
+}
+
+/**
+ * Final positions from the bracket
+ * Finalists 1-2, 3rd place match 3-4, then players eliminated earlier by round
+ * (ordered inside a round by the tournament standings), then everyone else
+ * @param {Array} bracket - output of resolveBracket()
+ * @param {Array} standings - overall standings of the tournament ({ licence, ... }) in order
+ * @returns {Array<{licence, position}>}
+ */
+function computeFinalPositions(bracket, standings) {
+  const placed = [];
+  const place = (licence) => {
+    if (licence && !placed.some(p => normalizeLicence(p) === normalizeLicence(licence))) {
+      placed.push(licence);
+    }
+  };
+  const standingIndex = (licence) => {
+    const idx = standings.findIndex(s => normalizeLicence(s.licence) === normalizeLicence(licence));
+    return idx === -1 ? Infinity : idx;
+  };
+
+  ['F', THIRD_PLACE_ROUND].forEach(round => {
+    const match = bracket.find(m => m.round === round);
+    if (match && match.winner_licence && !match.bye) {
+      place(match.winner_licence);
+      place(match.loser_licence);
+    }
+  });
+
+  // Losers of earlier rounds, latest round first
+  ['SF', 'QF', 'R16'].forEach(round => {
+    bracket
+      .filter(m => m.round === round && m.loser_licence)
+      .map(m => m.loser_licence)
+      .sort((a, b) => standingIndex(a) - standingIndex(b))
+      .forEach(place);
+  });
+
+  // Everyone else (not qualified, or bracket incomplete) in tournament order
+  standings.forEach(s => place(s.licence));
+
+  return placed.map((licence, idx) => ({ licence, position: idx + 1 }));
+}
+
+module.exports = {
+  ROUND_ORDER,
+  ROUND_LABELS,
+  THIRD_PLACE_ROUND,
+  getBracketSize,
+  getSeedOrder,
+  getNextSlot,
+  seedQualifiers,
+  buildBracket,
+  resolveBracket,
+  getDependentMatches,
+  computeFinalPositions
+};
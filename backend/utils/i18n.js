@@ -0,0 +1,449 @@
+/**
+ * Languages of player communications
+ *
+ * - Fixed labels of emails, convocation PDFs and Excel exports, in each supported language
+ * - Language preference of a player: player_accounts.language (chosen in the Player App),
+ *   then players.language (set by the committee), French otherwise
+ * - Per-language variants of email_templates (email_template_translations);
+ *   French is the email_templates row itself
+ */
+
+const db = require('../db-loader');
+const { normalizeLicence } = require('./licence');
+
+const DEFAULT_LANGUAGE = 'fr';
+const SUPPORTED_LANGUAGES = ['fr', 'en'];
+const LANGUAGE_LABELS = { fr: 'Français', en: 'English' };
+const LOCALES = { fr: 'fr-FR', en: 'en-GB' };
+
+const MESSAGES = {
+  fr: {
+    'common.tbd': 'A definir',
+    'common.date_tbd': 'Date a definir',
+    'common.tournament': 'Tournoi {number}',
+    'common.finale': 'Finale Departementale',
+
+    'pdf.title': 'CONVOCATION {label}',
+    'pdf.tournament': 'TOURNOI N°{number}',
+    'pdf.finale': 'FINALE DEPARTEMENTALE',
+    'pdf.season': 'SAISON {season}',
+    'pdf.date_tbd': 'DATE A DEFINIR',
+    'pdf.grand_coin': 'Grand Coin',
+    'pdf.petit_coin': 'Petit Coin',
+    'pdf.game_params': '{distance} points  /  {coin}  /  en {reprises} reprises',
+    'pdf.average_range': 'La moyenne qualificative pour cette catégorie est entre {min} et {max}',
+    'pdf.ranking_columns': 'Les colonnes Moyenne et Classement en face du nom de chaque joueur correspondent aux positions cumulées à la suite du dernier tournoi joué',
+    'pdf.player_poule': '{name} - Vous etes en POULE {number}',
+    'pdf.confirm': 'CONFIRMER MA PRESENCE',
+    'pdf.decline': 'JE NE POURRAI PAS VENIR',
+    'pdf.single_poule': 'POULE UNIQUE',
+    'pdf.poule': 'POULE {number}',
+    'pdf.your_poule': '{title} (VOTRE POULE)',
+    'pdf.col_licence': 'Licence',
+    'pdf.col_first_name': 'Prenom',
+    'pdf.col_last_name': 'Nom',
+    'pdf.col_club': 'Club',
+    'pdf.col_average': 'Moy.',
+    'pdf.col_rank': 'Class.',
+    'pdf.tables': '({count} table{plural})',
+    'pdf.finale_schedule': 'PROGRAMME DES MATCHS {tables} - Tous contre tous',
+    'pdf.match_order': 'ORDRE DES MATCHS',
+    'pdf.match': 'Match {number}:',
+    'pdf.same_club': "Les joueurs d'un meme club jouent ensemble au 1er tour",
+
+    'schedule.player': 'Joueur {number}',
+    'schedule.player_vs_loser': 'Joueur {player} vs Perdant Match {match}',
+    'schedule.player_vs_winner': 'Joueur {player} vs Gagnant Match {match}',
+    'schedule.losers': 'Perdants Match 1 et 2',
+    'schedule.winners': 'Gagnants Match 1 et 2',
+
+    'email.convocation': 'CONVOCATION',
+    'email.convocation_modified': 'CONVOCATION MODIFIÉE',
+    'email.convocation_modified_subject': 'Convocation modifiée - {subject}',
+    'email.convocation_modified_notice': 'Votre convocation a été modifiée',
+    'email.category': 'Catégorie',
+    'email.competition': 'Competition',
+    'email.date': 'Date',
+    'email.time': 'Heure',
+    'email.location': 'Lieu',
+    'email.your_poule': 'Votre poule',
+    'email.response_question': 'Merci de nous indiquer si vous serez présent(e) :',
+    'email.confirm': 'Je confirme ma présence',
+    'email.decline': 'Je ne pourrai pas venir',
+    'email.contact_label': 'Contact',
+    'email.contact_text': 'Pour toute question ou en cas d\'empêchement, contactez-nous à',
+    'email.inscription_confirmed': 'INSCRIPTION CONFIRMÉE',
+    'email.inscription_cancelled': 'DÉSINSCRIPTION CONFIRMÉE',
+    'email.tournament': 'Tournoi',
+    'email.mode': 'Mode',
+    'email.location_tbd': 'Lieu à définir',
+    'email.location_undefined': 'Non défini',
+    'email.date_tbd': 'Date à définir',
+    'email.waitlist_notice': 'Suite à un désistement, une place s\'est libérée : vous êtes convoqué(e) depuis la liste d\'attente.',
+    'email.to_confirm': 'À confirmer',
+    'email.add_to_calendar': 'Ajouter à mon calendrier',
+
+    'finale.convocation_title': 'Convocation Finale Départementale',
+    'finale.convocation_subject': 'Convocation Finale - {category} - {date}',
+    'finale.congratulations': 'Félicitations {name} !',
+    'finale.qualified': 'Vous êtes qualifié(e) pour la finale départementale !',
+    'finale.info': 'Informations de la Finale',
+    'finale.finalists': 'Liste des Finalistes',
+    'finale.podium': 'Podium de la Finale',
+    'finale.full_ranking': 'Classement Complet',
+    'finale.position_1': '1er',
+    'finale.position_2': '2ème',
+    'finale.position_3': '3ème',
+    'finale.match_points': '{points} pts match',
+    'finale.average_short': 'Moy',
+    'finale.best_serie': 'Meilleure Série',
+
+    'results.position': 'Pos',
+    'results.player': 'Joueur',
+    'results.club': 'Club',
+    'results.match_points': 'Pts Match',
+    'results.total_match_points': 'Total Pts Match',
+    'results.points': 'Points',
+    'results.reprises': 'Reprises',
+    'results.average': 'Moyenne',
+    'results.serie': 'Série',
+
+    'export.ranking': 'Classement',
+    'export.results': 'Résultats',
+    'export.poules': 'Poules',
+    'export.convocation': 'Convocation',
+    'export.tournament': 'Tournoi {number}',
+    'export.finale': 'Finale Départementale',
+    'export.season_exported': 'Saison {season} • Exporté le {date}',
+    'export.season_generated': 'Saison {season} • Généré le {date}',
+    'export.season': 'Saison {season}',
+    'export.position': 'Position',
+    'export.rank': 'Rang',
+    'export.licence': 'Licence',
+    'export.player': 'Joueur',
+    'export.first_name': 'Prénom',
+    'export.last_name': 'Nom',
+    'export.club': 'Club',
+    'export.match_points': 'Pts Match',
+    'export.points': 'Points',
+    'export.reprises': 'Reprises',
+    'export.average': 'Moyenne',
+    'export.best_serie': 'Meilleure Série',
+    'export.total_match_points': 'Total Pts Match',
+    'export.total_position_points': 'Total Pts Classement',
+    'export.total_points': 'Total Points',
+    'export.total_reprises': 'Total Reprises',
+    'export.absent_legend': '(*) Non-participation au tournoi concerné',
+    'export.ranking_rules': 'Règles de classement',
+    'export.finale_podium': 'PODIUM DE LA FINALE',
+    'export.podium_line': '{position} - {player} • {points} pts • Moy: {average} • Meilleure Série: {serie} • {club}',
+    'export.summary': 'Résumé:',
+    'export.player_count': 'Nombre de joueurs: {count}',
+    'export.configuration': 'Configuration: {description}',
+    'export.tables_needed': 'Tables nécessaires: {count}',
+    'export.poule_players': 'Poule {number} ({count} joueurs)',
+    'export.poule': 'Poule {number}',
+    'export.poule_column': 'Poule',
+    'export.initial_rank': 'Classement Initial',
+    'export.matches': 'Rencontres:',
+    'export.full_player_list': 'Liste complète des joueurs (ordre de classement)',
+
+    'rules.qualifying_rounds': '{count} tournois qualificatifs',
+    'rules.position_points': 'Points par place: {scale} (au-delà: 0)',
+    'rules.position_points_item': '{position}e: {points}',
+    'rules.match_points': 'Points de match cumulés (victoire 2, nul 1, défaite 0)',
+    'rules.best_of': 'Seuls les {count} meilleurs tournois sont retenus (moyenne calculée sur les tournois retenus)',
+    'rules.attendance_bonus': 'Bonus de participation: {points} point(s) par tournoi joué',
+    'rules.tiebreaks': 'Départage: {fields}',
+    'rules.tiebreaks_separator': ', puis ',
+    'rules.tiebreak_moyenne': 'Moyenne générale',
+    'rules.tiebreak_serie': 'Meilleure série',
+    'rules.tiebreak_points': 'Total des points',
+    'rules.tiebreak_match_points': 'Total des points de match',
+    'rules.tiebreak_tournaments_played': 'Nombre de tournois joués',
+
+    'change.poule_number': 'Poule',
+    'change.location_name': 'Lieu',
+    'change.location_address': 'Adresse',
+    'change.start_time': 'Heure'
+  },
+  en: {
+    'common.tbd': 'To be confirmed',
+    'common.date_tbd': 'Date to be confirmed',
+    'common.tournament': 'Tournament {number}',
+    'common.finale': 'Departmental Final',
+
+    'pdf.title': 'NOTICE OF SELECTION - {label}',
+    'pdf.tournament': 'TOURNAMENT No. {number}',
+    'pdf.finale': 'DEPARTMENTAL FINAL',
+    'pdf.season': 'SEASON {season}',
+    'pdf.date_tbd': 'DATE TO BE CONFIRMED',
+    'pdf.grand_coin': 'Large corner',
+    'pdf.petit_coin': 'Small corner',
+    'pdf.game_params': '{distance} points  /  {coin}  /  in {reprises} innings',
+    'pdf.average_range': 'The qualifying average for this category is between {min} and {max}',
+    'pdf.ranking_columns': 'The Average and Rank columns next to each player show the cumulative standings after the last tournament played',
+    'pdf.player_poule': '{name} - You are in POOL {number}',
+    'pdf.confirm': 'CONFIRM MY ATTENDANCE',
+    'pdf.decline': 'I CANNOT ATTEND',
+    'pdf.single_poule': 'SINGLE POOL',
+    'pdf.poule': 'POOL {number}',
+    'pdf.your_poule': '{title} (YOUR POOL)',
+    'pdf.col_licence': 'Licence',
+    'pdf.col_first_name': 'First name',
+    'pdf.col_last_name': 'Last name',
+    'pdf.col_club': 'Club',
+    'pdf.col_average': 'Avg.',
+    'pdf.col_rank': 'Rank',
+    'pdf.tables': '({count} table{plural})',
+    'pdf.finale_schedule': 'MATCH SCHEDULE {tables} - Round robin',
+    'pdf.match_order': 'MATCH ORDER',
+    'pdf.match': 'Match {number}:',
+    'pdf.same_club': 'Players from the same club play each other in the first round',
+
+    'schedule.player': 'Player {number}',
+    'schedule.player_vs_loser': 'Player {player} vs Loser of match {match}',
+    'schedule.player_vs_winner': 'Player {player} vs Winner of match {match}',
+    'schedule.losers': 'Losers of matches 1 and 2',
+    'schedule.winners': 'Winners of matches 1 and 2',
+
+    'email.convocation': 'NOTICE OF SELECTION',
+    'email.convocation_modified': 'UPDATED NOTICE OF SELECTION',
+    'email.convocation_modified_subject': 'Updated notice - {subject}',
+    'email.convocation_modified_notice': 'Your notice of selection has changed',
+    'email.category': 'Category',
+    'email.competition': 'Competition',
+    'email.date': 'Date',
+    'email.time': 'Time',
+    'email.location': 'Venue',
+    'email.your_poule': 'Your pool',
+    'email.response_question': 'Please let us know whether you will attend:',
+    'email.confirm': 'I will attend',
+    'email.decline': 'I cannot attend',
+    'email.contact_label': 'Contact',
+    'email.contact_text': 'For any question, or if you cannot attend, contact us at',
+    'email.inscription_confirmed': 'REGISTRATION CONFIRMED',
+    'email.inscription_cancelled': 'REGISTRATION CANCELLED',
+    'email.tournament': 'Tournament',
+    'email.mode': 'Discipline',
+    'email.location_tbd': 'Venue to be confirmed',
+    'email.location_undefined': 'Not set',
+    'email.date_tbd': 'Date to be confirmed',
+    'email.waitlist_notice': 'Following a withdrawal, a place has become available: you are selected from the waiting list.',
+    'email.to_confirm': 'To be confirmed',
+    'email.add_to_calendar': 'Add to my calendar',
+
+    'finale.convocation_title': 'Departmental Final - Notice of selection',
+    'finale.convocation_subject': 'Final notice - {category} - {date}',
+    'finale.congratulations': 'Congratulations {name}!',
+    'finale.qualified': 'You are qualified for the departmental final!',
+    'finale.info': 'Final details',
+    'finale.finalists': 'Finalists',
+    'finale.podium': 'Final podium',
+    'finale.full_ranking': 'Full standings',
+    'finale.position_1': '1st',
+    'finale.position_2': '2nd',
+    'finale.position_3': '3rd',
+    'finale.match_points': '{points} match pts',
+    'finale.average_short': 'Avg',
+    'finale.best_serie': 'Best run',
+
+    'results.position': 'Pos',
+    'results.player': 'Player',
+    'results.club': 'Club',
+    'results.match_points': 'Match pts',
+    'results.total_match_points': 'Total match pts',
+    'results.points': 'Points',
+    'results.reprises': 'Innings',
+    'results.average': 'Average',
+    'results.serie': 'Best run',
+
+    'export.ranking': 'Ranking',
+    'export.results': 'Results',
+    'export.poules': 'Pools',
+    'export.convocation': 'Notice',
+    'export.tournament': 'Tournament {number}',
+    'export.finale': 'Departmental final',
+    'export.season_exported': 'Season {season} • Exported on {date}',
+    'export.season_generated': 'Season {season} • Generated on {date}',
+    'export.season': 'Season {season}',
+    'export.position': 'Position',
+    'export.rank': 'Rank',
+    'export.licence': 'Licence',
+    'export.player': 'Player',
+    'export.first_name': 'First name',
+    'export.last_name': 'Last name',
+    'export.club': 'Club',
+    'export.match_points': 'Match pts',
+    'export.points': 'Points',
+    'export.reprises': 'Innings',
+    'export.average': 'Average',
+    'export.best_serie': 'Best run',
+    'export.total_match_points': 'Total match pts',
+    'export.total_position_points': 'Total ranking pts',
+    'export.total_points': 'Total points',
+    'export.total_reprises': 'Total innings',
+    'export.absent_legend': '(*) Did not play in that tournament',
+    'export.ranking_rules': 'Ranking rules',
+    'export.finale_podium': 'FINAL PODIUM',
+    'export.podium_line': '{position} - {player} • {points} pts • Avg: {average} • Best run: {serie} • {club}',
+    'export.summary': 'Summary:',
+    'export.player_count': 'Number of players: {count}',
+    'export.configuration': 'Configuration: {description}',
+    'export.tables_needed': 'Tables needed: {count}',
+    'export.poule_players': 'Pool {number} ({count} players)',
+    'export.poule': 'Pool {number}',
+    'export.poule_column': 'Pool',
+    'export.initial_rank': 'Initial rank',
+    'export.matches': 'Matches:',
+    'export.full_player_list': 'Full player list (ranking order)',
+
+    'rules.qualifying_rounds': '{count} qualifying tournaments',
+    'rules.position_points': 'Points per place: {scale} (below: 0)',
+    'rules.position_points_item': '#{position}: {points}',
+    'rules.match_points': 'Cumulated match points (win 2, draw 1, loss 0)',
+    'rules.best_of': 'Only the best {count} tournaments count (average computed on those tournaments)',
+    'rules.attendance_bonus': 'Attendance bonus: {points} point(s) per tournament played',
+    'rules.tiebreaks': 'Tiebreaks: {fields}',
+    'rules.tiebreaks_separator': ', then ',
+    'rules.tiebreak_moyenne': 'Overall average',
+    'rules.tiebreak_serie': 'Best run',
+    'rules.tiebreak_points': 'Total points',
+    'rules.tiebreak_match_points': 'Total match points',
+    'rules.tiebreak_tournaments_played': 'Tournaments played',
+
+    'change.poule_number': 'Pool',
+    'change.location_name': 'Venue',
+    'change.location_address': 'Address',
+    'change.start_time': 'Time'
+  }
+};
+
+/**
+ * Supported language code, French for anything else (null, 'EN', 'de'...)
+ */
+function normalizeLanguage(language) {
+  const code = String(language || '').trim().toLowerCase().slice(0, 2);
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * Fixed label in a language (French when missing), {param} placeholders replaced
+ * @param {string} language
+ * @param {string} key - e.g. 'pdf.season'
+ * @param {Object} params
+ */
+function translate(language, key, params = {}) {
+  const messages = MESSAGES[normalizeLanguage(language)];
+  const message = messages[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Date in the conventions of a language (toLocaleDateString options)
+ */
+function formatDate(language, date, options) {
+  return new Date(date).toLocaleDateString(LOCALES[normalizeLanguage(language)], options);
+}
+
+/**
+ * Language preference of players
+ * @param {string[]} licences
+ * @returns {Promise<Object>} normalized licence -> language (only players with a preference)
+ */
+async function getLanguagesByLicence(licences) {
+  const normalized = [...new Set((licences || []).map(normalizeLicence).filter(Boolean))];
+  if (normalized.length === 0) return {};
+
+  const result = await db.query(`
+    SELECT p.licence, COALESCE(pa.language, p.language) as language
+    FROM players p
+    LEFT JOIN player_accounts pa ON pa.licence = p.licence
+    WHERE p.licence = ANY($1)
+      AND COALESCE(pa.language, p.language) IS NOT NULL
+  `, [normalized]);
+
+  const languages = {};
+  result.rows.forEach(row => { languages[row.licence] = normalizeLanguage(row.language); });
+  return languages;
+}
+
+/**
+ * Language preference of the player with an email address (Player App account, then players)
+ */
+async function getLanguageByEmail(email) {
+  if (!email) return DEFAULT_LANGUAGE;
+  const result = await db.query(`
+    SELECT COALESCE(pa.language, p.language) as language
+    FROM players p
+    LEFT JOIN player_accounts pa ON pa.licence = p.licence
+    WHERE LOWER(pa.email) = LOWER($1) OR LOWER(p.email) = LOWER($1)
+    ORDER BY (pa.language IS NOT NULL) DESC
+    LIMIT 1
+  `, [email]);
+  return normalizeLanguage(result.rows[0]?.language);
+}
+
+/**
+ * Variant of an email template in a language
+ * @returns {Promise<{subject, body, outro}|null>} null for French or when the variant does not exist
+ */
+async function getTemplateTranslation(templateKey, language) {
+  const code = normalizeLanguage(language);
+  if (code === DEFAULT_LANGUAGE) return null;
+
+  const result = await db.query(
+    'SELECT * FROM email_template_translations WHERE template_key = $1 AND language = $2',
+    [templateKey, code]
+  );
+  const row = result.rows[0];
+  return row ? { subject: row.subject_template, body: row.body_template, outro: row.outro_template } : null;
+}
+
+/**
+ * Template to send to a recipient: the variant in their language, or the French template
+ * @param {string} templateKey
+ * @param {string} language - recipient language
+ * @param {Object} frenchTemplate - { subject, body, outro }, from email_templates or the defaults
+ * @returns {Promise<{subject, body, outro, language}>} language: language of the template actually used
+ */
+async function resolveTemplate(templateKey, language, frenchTemplate) {
+  const translation = await getTemplateTranslation(templateKey, language);
+  return translation
+    ? { ...translation, outro: translation.outro ?? frenchTemplate.outro, language: normalizeLanguage(language) }
+    : { ...frenchTemplate, language: DEFAULT_LANGUAGE };
+}
+
+/**
+ * resolveTemplate() for the recipients of a campaign: each language is loaded once
+ * @returns {function(string): Promise<{subject, body, outro, language}>}
+ */
+function createTemplateResolver(templateKey, frenchTemplate) {
+  const cache = {};
+  return (language) => {
+    const code = normalizeLanguage(language);
+    if (!cache[code]) {
+      cache[code] = resolveTemplate(templateKey, code, frenchTemplate);
+    }
+    return cache[code];
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_LABELS,
+  normalizeLanguage,
+  isSupportedLanguage,
+  translate,
+  formatDate,
+  getLanguagesByLicence,
+  getLanguageByEmail,
+  getTemplateTranslation,
+  resolveTemplate,
+  createTemplateResolver
+};
@@ -0,0 +1,320 @@
+/**
+ * Import Batches
+ *
+ * Every import (players, inscriptions, tournoi_ext, tournament results) is a batch
+ * of import_history, and so is the finalization of the poule matches, which rewrites
+ * tournament_results the same way. The rows it writes are recorded under the batch id in
+ * import_history_rows - inserted rows by their key, updated and deleted rows with
+ * their before-image (the whole row as it was, to_jsonb) - so that a wrong file can
+ * be rolled back: most recent change first, inserted rows are deleted and the others
+ * put back as they were, in one transaction.
+ *
+ * A batch cannot be rolled back once a later batch, not rolled back, changed the
+ * same rows: restoring the before-images would undo that batch too. Nor once a row it
+ * inserted or updated was changed since by anything else (an edit through the API):
+ * finishImportBatch() records the after-image of those rows, which must still match.
+ *
+ * The recorders take the queryable the import writes with (db, or the tx of
+ * db.transaction()) so that the rows and their records are committed together.
+ */
+
+const db = require('../db-loader');
+
+// Tables written by the imports, with their primary key
+const IMPORT_TABLES = {
+  players: 'licence',
+  inscriptions: 'inscription_id',
+  tournoi_ext: 'tournoi_id',
+  tournaments: 'id',
+  tournament_results: 'id'
+};
+
+const IMPORT_FILE_TYPE_LABELS = {
+  joueurs: 'Joueurs',
+  joueurs_rankings: 'Classements FFB',
+  inscriptions: 'Inscriptions',
+  tournois: 'Tournois',
+  resultats: 'Résultats de compétition',
+  finalisation: 'Finalisation des matchs'
+};
+
+// Count of the rollback summary for each recorded operation
+const ROLLBACK_COUNTS = { insert: 'inserted', update: 'updated', delete: 'deleted' };
+
+// Computed from tournament_results: deleted with a rolled-back player, then recomputed
+const RECOMPUTED_TABLES = ['rankings', 'player_ratings', 'player_rating_history'];
+
+/**
+ * Creates the import_history row of an import
+ * @returns {Promise<number>} import id
+ */
+async function startImportBatch(queryable, { fileType, recordCount, filename, importedBy }) {
+  const result = await queryable.query(`
+    INSERT INTO import_history (file_type, record_count, filename, imported_by, tracked)
+    VALUES ($1, $2, $3, $4, TRUE)
+    RETURNING id
+  `, [fileType, recordCount, filename, importedBy || 'unknown']);
+  return result.rows[0].id;
+}
+
+/**
+ * Records the before-image of the rows matching a condition, before they are updated or deleted
+ * @param {string} operation - 'update' | 'delete'
+ * @param {string} where - condition on the table (alias t), its parameters start at $2
+ * @returns {Promise<number>} rows recorded
+ */
+async function recordBeforeImages(queryable, importId, table, operation, where, params = []) {
+  const key = IMPORT_TABLES[table];
+  const result = await queryable.query(`
+    INSERT INTO import_history_rows (import_id, table_name, row_key, operation, before_image)
+    SELECT $1::int, '${table}', t.${key}::text, '${operation}', to_jsonb(t)
+    FROM ${table} t
+    WHERE ${where}
+    ORDER BY t.${key}
+  `, [importId, ...params]);
+  return result.rowCount;
+}
+
+// Before an UPDATE of one row
+function recordUpdate(queryable, importId, table, keyValue) {
+  return recordBeforeImages(queryable, importId, table, 'update', `t.${IMPORT_TABLES[table]} = $2`, [keyValue]);
+}
+
+// Before a DELETE of one row
+function recordDelete(queryable, importId, table, keyValue) {
+  return recordDeletes(queryable, importId, table, `t.${IMPORT_TABLES[table]} = $2`, [keyValue]);
+}
+
+// Before a DELETE of the rows matching a condition (see recordBeforeImages)
+function recordDeletes(queryable, importId, table, where, params) {
+  return recordBeforeImages(queryable, importId, table, 'delete', where, params);
+}
+
+// After an INSERT
+async function recordInsert(queryable, importId, table, keyValue) {
+  await queryable.query(`
+    INSERT INTO import_history_rows (import_id, table_name, row_key, operation)
+    VALUES ($1, $2, $3, 'insert')
+  `, [importId, table, String(keyValue)]);
+}
+
+/**
+ * Before an INSERT ... ON CONFLICT DO UPDATE: the before-image when the row exists,
+ * otherwise the row is recorded as inserted
+ */
+async function recordUpsert(queryable, importId, table, keyValue) {
+  const recorded = await recordUpdate(queryable, importId, table, keyValue);
+  if (recorded === 0) {
+    await recordInsert(queryable, importId, table, keyValue);
+  }
+}
+
+/**
+ * Records the after-image of the rows a batch inserted or updated, once it has written them all
+ */
+async function finishImportBatch(queryable, importId) {
+  for (const [table, key] of Object.entries(IMPORT_TABLES)) {
+    await queryable.query(`
+      UPDATE import_history_rows r
+      SET after_image = to_jsonb(t)
+      FROM ${table} t
+      WHERE r.import_id = $1 AND r.table_name = '${table}'
+        AND r.operation IN ('insert', 'update')
+        AND r.row_key = t.${key}::text
+    `, [importId]);
+  }
+}
+
+/**
+ * Rows a batch inserted or updated that no longer are as it wrote them (changed or deleted since)
+ * Batches recorded before the after-images are not checked
+ */
+async function findChangedRows(queryable, importId) {
+  const changed = [];
+  for (const [table, key] of Object.entries(IMPORT_TABLES)) {
+    const result = await queryable.query(`
+      SELECT DISTINCT r.row_key
+      FROM import_history_rows r
+      LEFT JOIN ${table} t ON t.${key}::text = r.row_key
+      WHERE r.import_id = $1 AND r.table_name = '${table}' AND r.after_image IS NOT NULL
+        AND (t.${key} IS NULL OR to_jsonb(t) <> r.after_image)
+      ORDER BY r.row_key
+    `, [importId]);
+    result.rows.forEach(row => changed.push({ table, key: row.row_key }));
+  }
+  return changed;
+}
+
+/**
+ * Imports, most recent first, with the rows recorded per table and operation
+ */
+async function getImportBatches(limit = 50) {
+  const result = await db.query(`
+    SELECT h.id, h.file_type, h.import_date, h.record_count, h.filename, h.imported_by,
+           h.tracked, h.rolled_back_by, h.rolled_back_at,
+           COALESCE((
+             SELECT json_agg(c ORDER BY c.table_name, c.operation)
+             FROM (
+               SELECT r.table_name, r.operation, COUNT(*)::int as count
+               FROM import_history_rows r
+               WHERE r.import_id = h.id
+               GROUP BY r.table_name, r.operation
+             ) c
+           ), '[]') as rows
+    FROM import_history h
+    ORDER BY h.import_date DESC, h.id DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows.map(row => ({ ...row, label: IMPORT_FILE_TYPE_LABELS[row.file_type] || row.file_type }));
+}
+
+/**
+ * Category/season pairs of the tournaments a batch wrote results for (rankings to recompute)
+ */
+async function getBatchRankingScopes(queryable, importId) {
+  const result = await queryable.query(`
+    SELECT DISTINCT t.category_id, t.season
+    FROM tournaments t
+    WHERE t.id IN (
+      SELECT row_key::int FROM import_history_rows
+      WHERE import_id = $1 AND table_name = 'tournaments'
+      UNION
+      SELECT (before_image->>'tournament_id')::int FROM import_history_rows
+      WHERE import_id = $1 AND table_name = 'tournament_results' AND before_image IS NOT NULL
+      UNION
+      SELECT tr.tournament_id FROM tournament_results tr
+      JOIN import_history_rows r ON r.table_name = 'tournament_results' AND r.row_key = tr.id::text
+      WHERE r.import_id = $1 AND r.operation = 'insert'
+    )
+  `, [importId]);
+  return result.rows;
+}
+
+// Puts a row back as it was before the import
+async function restoreRow(tx, row) {
+  const table = row.table_name;
+  const key = IMPORT_TABLES[table];
+
+  if (row.operation === 'insert') {
+    if (table === 'players') {
+      for (const computed of RECOMPUTED_TABLES) {
+        await tx.query(`DELETE FROM ${computed} WHERE licence = $1`, [row.row_key]);
+      }
+    }
+    return (await tx.query(`DELETE FROM ${table} WHERE ${key} = $1`, [row.row_key])).rowCount;
+  }
+
+  if (row.operation === 'delete') {
+    return (await tx.query(
+      `INSERT INTO ${table} SELECT * FROM jsonb_populate_record(NULL::${table}, $1)`,
+      [JSON.stringify(row.before_image)]
+    )).rowCount;
+  }
+
+  const columns = Object.keys(row.before_image).filter(column => column !== key);
+  return (await tx.query(`
+    UPDATE ${table} t SET (${columns.join(', ')}) = (
+      SELECT ${columns.map(column => `r.${column}`).join(', ')}
+      FROM jsonb_populate_record(NULL::${table}, $1) r
+    )
+    WHERE t.${key} = $2
+  `, [JSON.stringify(row.before_image), row.row_key])).rowCount;
+}
+
+/**
+ * Reverts the rows written by an import, in one transaction
+ * @returns {Promise<{fileType, filename, tables: Array<{table, inserted, updated, deleted}>, rankingScopes}>}
+ *   inserted / updated / deleted: rows the import had inserted (now deleted), updated or deleted (now restored)
+ * @throws {Error} with a status (404, 409) when the import cannot be rolled back
+ */
+async function rollbackImport(importId, rolledBackBy) {
+  try {
+    return await db.transaction(async (tx) => {
+      const batch = (await tx.query('SELECT * FROM import_history WHERE id = $1 FOR UPDATE', [importId])).rows[0];
+      if (!batch) {
+        throw Object.assign(new Error('Import introuvable'), { status: 404 });
+      }
+      if (batch.rolled_back_at) {
+        throw Object.assign(new Error('Cet import a déjà été annulé'), { status: 409 });
+      }
+      if (!batch.tracked) {
+        throw Object.assign(new Error('Cet import a été enregistré sans le détail des lignes modifiées, il ne peut pas être annulé'), { status: 409 });
+      }
+
+      const later = (await tx.query(`
+        SELECT h.id, h.file_type, h.filename
+        FROM import_history h
+        WHERE h.id > $1 AND h.rolled_back_at IS NULL
+          AND EXISTS (
+            SELECT 1 FROM import_history_rows r
+            JOIN import_history_rows o ON o.table_name = r.table_name AND o.row_key = r.row_key
+            WHERE r.import_id = h.id AND o.import_id = $1
+          )
+        ORDER BY h.id DESC
+        LIMIT 1
+      `, [importId])).rows[0];
+      if (later) {
+        throw Object.assign(new Error(
+          `L'import #${later.id} (${IMPORT_FILE_TYPE_LABELS[later.file_type] || later.file_type}, ${later.filename || 'sans nom'}) a modifié les mêmes lignes depuis : annulez-le d'abord`
+        ), { status: 409 });
+      }
+
+      // Restoring the before-images would silently discard the changes made since
+      const changed = await findChangedRows(tx, importId);
+      if (changed.length > 0) {
+        const sample = changed.slice(0, 5).map(row => `${row.table} ${row.key}`).join(', ');
+        throw Object.assign(new Error(
+          `${changed.length} ligne(s) écrite(s) par cet import ont été modifiées depuis (${sample}${changed.length > 5 ? ', ...' : ''}) : l'annuler écraserait ces modifications`
+        ), { status: 409, changed });
+      }
+
+      // Before the rows are reverted: a tournament created by the import is deleted
+      const rankingScopes = await getBatchRankingScopes(tx, importId);
+
+      const rows = (await tx.query(
+        'SELECT * FROM import_history_rows WHERE import_id = $1 ORDER BY id DESC',
+        [importId]
+      )).rows;
+
+      const tables = {};
+      for (const row of rows) {
+        const counts = tables[row.table_name] = tables[row.table_name] || { table: row.table_name, inserted: 0, updated: 0, deleted: 0 };
+        counts[ROLLBACK_COUNTS[row.operation]] += await restoreRow(tx, row);
+      }
+
+      await tx.query(
+        'UPDATE import_history SET rolled_back_by = $1, rolled_back_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [rolledBackBy || null, importId]
+      );
+
+      return {
+        fileType: batch.file_type,
+        filename: batch.filename,
+        tables: Object.values(tables),
+        rankingScopes
+      };
+    });
+  } catch (error) {
+    // Rows written since by something else than an import (foreign key, unique constraint)
+    if (!error.status && (error.code === '23503' || error.code === '23505')) {
+      throw Object.assign(new Error(
+        `Des données enregistrées depuis l'import empêchent de l'annuler (${error.table || error.detail || error.message})`
+      ), { status: 409 });
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  IMPORT_TABLES,
+  IMPORT_FILE_TYPE_LABELS,
+  startImportBatch,
+  recordUpdate,
+  recordDelete,
+  recordDeletes,
+  recordInsert,
+  recordUpsert,
+  finishImportBatch,
+  getImportBatches,
+  rollbackImport
+};
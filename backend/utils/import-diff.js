@@ -0,0 +1,111 @@
+/**
+ * Import Diffs
+ *
+ * The players and inscriptions imports can run as a dry run (dryRun=true): nothing is
+ * written and the response lists the changes the file would make, grouped in categories
+ * (new players, club changes...). The admin then posts the same file again with the
+ * categories to apply (accept=new_players,club_changes): the import computes the same
+ * changes against the current data and applies only those categories.
+ *
+ * Without accept, an import applies every category except the opt-in ones - removals,
+ * which the imports never did before (inscriptions missing from the IONOS file).
+ */
+
+const PLAYER_CHANGE_CATEGORIES = [
+  { key: 'new_players', label: 'Nouveaux joueurs' },
+  { key: 'club_changes', label: 'Changements de club' },
+  { key: 'classification_changes', label: 'Changements de classement' },
+  { key: 'name_changes', label: 'Changements de nom' },
+  { key: 'deactivated_players', label: 'Joueurs désactivés' },
+  { key: 'reactivated_players', label: 'Joueurs réactivés' }
+];
+
+const INSCRIPTION_CHANGE_CATEGORIES = [
+  { key: 'new_inscriptions', label: 'Nouvelles inscriptions' },
+  { key: 'changed_inscriptions', label: 'Inscriptions modifiées' },
+  { key: 'removed_inscriptions', label: 'Inscriptions absentes du fichier (suppression)', optIn: true }
+];
+
+function isDryRun(body) {
+  return body?.dryRun === 'true' || body?.dryRun === true;
+}
+
+/**
+ * Categories to apply, from the accept field (comma-separated string or array,
+ * empty = none). Unknown keys are rejected rather than ignored.
+ * @returns {Set<string>}
+ */
+function parseAcceptedCategories(accept, categories) {
+  if (accept === undefined || accept === null) {
+    return new Set(categories.filter(c => !c.optIn).map(c => c.key));
+  }
+
+  const known = new Set(categories.map(c => c.key));
+  const keys = (Array.isArray(accept) ? accept : String(accept).split(','))
+    .map(key => String(key).trim())
+    .filter(Boolean);
+
+  for (const key of keys) {
+    if (!known.has(key)) {
+      throw Object.assign(new Error(`Catégorie de changements inconnue : ${key}`), { status: 400 });
+    }
+  }
+  return new Set(keys);
+}
+
+// Values as compared and shown in the diff: dates as ISO strings, missing values as null
+function comparableValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+  return String(value).trim() || null;
+}
+
+/**
+ * Fields whose value changes
+ * @param {object} current - stored row
+ * @param {object} next - values from the file, keyed by column
+ * @param {object} [compare] - column -> (value) => comparable value, for columns stored in another form
+ * @returns {object} column -> {from, to}, empty when nothing changes
+ */
+function diffFields(current, next, compare = {}) {
+  const changes = {};
+  for (const [column, value] of Object.entries(next)) {
+    const normalize = compare[column] || comparableValue;
+    const from = normalize(current[column]);
+    const to = normalize(value);
+    if (from !== to) {
+      changes[column] = { from, to };
+    }
+  }
+  return changes;
+}
+
+function createChangeSet(categories) {
+  return Object.fromEntries(categories.map(c => [c.key, []]));
+}
+
+/**
+ * Categories of a change set for the response, in display order
+ * @returns {Array<{key, label, count, accepted, optIn, items}>}
+ */
+function summarizeChanges(categories, changeSet, accepted) {
+  return categories.map(c => ({
+    key: c.key,
+    label: c.label,
+    count: changeSet[c.key].length,
+    accepted: accepted.has(c.key),
+    optIn: !!c.optIn,
+    items: changeSet[c.key]
+  }));
+}
+
+module.exports = {
+  PLAYER_CHANGE_CATEGORIES,
+  INSCRIPTION_CHANGE_CATEGORIES,
+  isDryRun,
+  parseAcceptedCategories,
+  comparableValue,
+  diffFields,
+  createChangeSet,
+  summarizeChanges
+};
@@ -0,0 +1,228 @@
+/**
+ * Import Files
+ *
+ * Reads the files of the players, tournaments and inscriptions imports. A file is
+ * either a CSV - delimiter (; , tab |) and encoding (UTF-8, UTF-16, Windows-1252)
+ * detected from its content - or an Excel workbook (.xlsx, first worksheet).
+ * Both give the same rows of strings, so the imports and their column mappings
+ * (import_profiles) do not depend on the format.
+ *
+ * Federation exports opened and re-saved on Windows come back in Windows-1252:
+ * decoding them as UTF-8 is what corrupted accented names ("Ã©" for "é").
+ */
+
+const fs = require('fs');
+const { parse } = require('csv-parse');
+const ExcelJS = require('exceljs');
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+const DELIMITERS = [';', ',', '\t', '|'];
+const DELIMITER_LABELS = { ';': 'Point-virgule (;)', ',': 'Virgule (,)', '\t': 'Tabulation', '|': 'Barre verticale (|)' };
+
+// Lines looked at to detect the delimiter
+const DELIMITER_SAMPLE_LINES = 5;
+
+function getExtension(filename) {
+  const name = (filename || '').toLowerCase();
+  return name.includes('.') ? name.slice(name.lastIndexOf('.')) : '';
+}
+
+/**
+ * multer fileFilter accepting the import formats
+ */
+function importFileFilter(req, file, cb) {
+  const ext = getExtension(file.originalname);
+  if (IMPORT_EXTENSIONS.includes(ext)) {
+    cb(null, true);
+  } else if (ext === '.xls') {
+    cb(new Error('Format .xls non pris en charge : enregistrez le fichier en .xlsx ou en .csv'), false);
+  } else {
+    cb(new Error('Seuls les fichiers CSV ou Excel (.xlsx) sont acceptés'), false);
+  }
+}
+
+/**
+ * Decodes a text file: byte order mark first, then UTF-8 if the bytes are valid UTF-8,
+ * Windows-1252 otherwise (a superset of Latin-1)
+ * @returns {{text: string, encoding: string}}
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(buffer.subarray(3)), encoding: 'UTF-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'UTF-16' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'UTF-16' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'UTF-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'Windows-1252' };
+  }
+}
+
+/**
+ * Delimiter found the same number of times on each of the first lines (the most frequent
+ * when several are), fallbackDelimiter when none is found on every line (single column)
+ */
+function detectDelimiter(text, fallbackDelimiter = ';') {
+  const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, DELIMITER_SAMPLE_LINES);
+  if (lines.length === 0) return fallbackDelimiter;
+
+  let best = null;
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    const min = Math.min(...counts);
+    if (min === 0) continue;
+
+    // Same count on every line beats a higher but irregular count (a comma in a name)
+    const regular = counts.every(c => c === counts[0]);
+    const score = (regular ? 1000 : 0) + min;
+    if (!best || score > best.score || (score === best.score && delimiter === fallbackDelimiter)) {
+      best = { delimiter, score };
+    }
+  }
+  return best ? best.delimiter : fallbackDelimiter;
+}
+
+/**
+ * IONOS exports wrap whole lines in quotes and double the inner quotes:
+ * "field1;""field2""" becomes field1;"field2"
+ * @param {string} mode - 'always' or 'undelimited' (only lines without the delimiter are unwrapped)
+ */
+function unwrapQuotedLines(text, delimiter, mode) {
+  return text.split('\n').map(line => {
+    line = line.trim();
+    if (!line) return line;
+    if (line.startsWith('"') && line.endsWith('"') && (mode === 'always' || line.indexOf(delimiter) === -1)) {
+      line = line.slice(1, -1);
+    }
+    return line.replace(/""/g, '"');
+  }).join('\n');
+}
+
+// Excel dates in the formats the CSV exports use (DD/MM/YYYY [HH:MM])
+function formatExcelDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  const day = `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+  if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0) return day;
+  return `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatExcelDate(value);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.formula !== undefined || value.sharedFormula !== undefined) return cellToString(value.result);
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.error) return '';
+  }
+  return String(value);
+}
+
+async function readWorkbookRows(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const worksheet = workbook.worksheets.find(ws => ws.state !== 'hidden' && ws.actualRowCount > 0);
+  if (!worksheet) {
+    return { rows: [], sheet: null };
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      values.push(cellToString(row.getCell(col).value).trim());
+    }
+    // Trailing empty cells (formatted but empty columns)
+    while (values.length > 0 && values[values.length - 1] === '') values.pop();
+    if (values.length > 0) rows.push(values);
+  });
+
+  return { rows, sheet: worksheet.name };
+}
+
+// Rows to objects keyed by the header row (csv-parse columns: true)
+function rowsToObjects(rows) {
+  if (rows.length === 0) return [];
+  const headers = rows[0].map(h => (h || '').trim());
+  return rows.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, i) => { record[header] = row[i] !== undefined ? row[i] : ''; });
+    return record;
+  });
+}
+
+/**
+ * Reads an uploaded import file (req.file from multer)
+ * @param {object} options
+ * @param {string} [options.fallbackDelimiter] - CSV delimiter when none is detected (import profile's)
+ * @param {string} [options.unwrapQuotedLines] - 'always' | 'undelimited', see unwrapQuotedLines()
+ * @param {boolean} [options.columns] - records as objects keyed by the header row
+ * @param {boolean} [options.trim] - trim CSV values
+ * @returns {Promise<{records: Array, format: string, encoding: string|null, delimiter: string|null, sheet: string|null}>}
+ */
+async function readImportFile(file, options = {}) {
+  if (getExtension(file.originalname) === '.xlsx') {
+    const { rows, sheet } = await readWorkbookRows(file.path);
+    return {
+      records: options.columns ? rowsToObjects(rows) : rows,
+      format: 'xlsx',
+      encoding: null,
+      delimiter: null,
+      sheet
+    };
+  }
+
+  // Profiles saved from the configuration page store the tab as the two characters \t
+  const fallbackDelimiter = options.fallbackDelimiter === '\\t' ? '\t' : (options.fallbackDelimiter || ';');
+  const { text, encoding } = decodeText(fs.readFileSync(file.path));
+  const delimiter = detectDelimiter(text, fallbackDelimiter);
+  const content = options.unwrapQuotedLines ? unwrapQuotedLines(text, delimiter, options.unwrapQuotedLines) : text;
+
+  const parser = parse(content, {
+    delimiter,
+    columns: options.columns || false,
+    skip_empty_lines: true,
+    trim: options.trim || false,
+    quote: '"',
+    escape: '"',
+    relax_column_count: true,
+    relax_quotes: true
+  });
+
+  const records = [];
+  for await (const record of parser) {
+    records.push(record);
+  }
+
+  return { records, format: 'csv', encoding, delimiter, sheet: null };
+}
+
+/**
+ * What was detected, for import responses and previews
+ */
+function describeImportFile({ format, encoding, delimiter, sheet }) {
+  return {
+    format,
+    encoding,
+    delimiter,
+    delimiter_label: delimiter ? DELIMITER_LABELS[delimiter] : null,
+    sheet
+  };
+}
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  DELIMITER_LABELS,
+  importFileFilter,
+  decodeText,
+  detectDelimiter,
+  readImportFile,
+  describeImportFile
+};
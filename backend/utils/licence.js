@@ -0,0 +1,166 @@
+/**
+ * Licence Numbers
+ *
+ * FFB licences are stored in one canonical form - no whitespace, upper case
+ * ("01 234 56 a" -> "0123456A") - so tables can be joined with plain, indexed
+ * equality instead of REPLACE(licence, ' ', '') on both sides.
+ *
+ * Importers and APIs pass every licence they write through normalizeLicence().
+ * normalizeStoredLicences() rewrites the rows written before (run at startup by
+ * db-postgres.js and on demand), findNonCanonicalLicences() reports the rows it
+ * could not rewrite: a licence whose canonical form is already used by another
+ * row of the same player (duplicate to merge, see utils/player-merge.js).
+ *
+ * The functions touching the database take the queryable to use (db, a transaction
+ * or a pool client), since this module is also loaded by db-postgres.js.
+ */
+
+// SQL expression of the canonical form of a column: for the migration and the validation below, queries
+// compare stored licences with plain equality (only activity_logs, written by the Player App, needs it)
+const canonicalSql = (column) => `UPPER(REGEXP_REPLACE(${column}, '\\s', '', 'g'))`;
+
+/**
+ * Tables holding licences
+ * unique: other columns of a unique constraint including the licence - a row is not rewritten
+ * when the canonical licence already has a row with the same values ([] = one row per licence)
+ * playerReference: column referencing players(licence), rewritten together with the player
+ */
+const LICENCE_COLUMNS = [
+  { table: 'tournament_results', column: 'licence', unique: ['tournament_id'], playerReference: true },
+  { table: 'rankings', column: 'licence', unique: ['category_id', 'season'], playerReference: true },
+  { table: 'player_rankings', column: 'licence', unique: ['game_mode_id'], playerReference: true },
+  { table: 'inscriptions', column: 'licence', unique: ['tournoi_id'] },
+  { table: 'player_contacts', column: 'licence', unique: [] },
+  { table: 'player_accounts', column: 'licence', unique: [] },
+  { table: 'convocation_poules', column: 'licence', unique: ['tournoi_id', 'poule_number'] },
+  { table: 'matches', column: 'player1_licence' },
+  { table: 'matches', column: 'player2_licence' },
+  { table: 'bracket_matches', column: 'player1_licence' },
+  { table: 'bracket_matches', column: 'player2_licence' },
+  { table: 'bracket_matches', column: 'winner_licence' },
+  { table: 'ranking_snapshots', column: 'licence', unique: ['category_id', 'season', 'tournament_number'] },
+  { table: 'classification_proposals', column: 'licence', unique: ['season', 'game_mode_id'] },
+  { table: 'player_ratings', column: 'licence', unique: ['game_mode_id'] },
+  { table: 'player_rating_history', column: 'licence', unique: ['tournament_id'] },
+  { table: 'player_invitations', column: 'licence' },
+  { table: 'enrollment_requests', column: 'licence' },
+  { table: 'announcements', column: 'target_licence' },
+  { table: 'announcements', column: 'test_licence' }
+];
+
+/**
+ * Canonical form of a licence (null / undefined are kept as they are)
+ */
+function normalizeLicence(licence) {
+  if (licence === null || licence === undefined) return licence;
+  return String(licence).replace(/\s+/g, '').toUpperCase();
+}
+
+function isCanonicalLicence(licence) {
+  return licence === null || licence === undefined || licence === normalizeLicence(licence);
+}
+
+/**
+ * SQL condition: the canonical licence of row t already has a row with the same unique values
+ */
+function conflictSql(spec) {
+  const sameValues = spec.unique.map(col => `AND o.${col} IS NOT DISTINCT FROM t.${col}`).join(' ');
+  return `EXISTS (SELECT 1 FROM ${spec.table} o WHERE o.${spec.column} = ${canonicalSql(`t.${spec.column}`)} ${sameValues})`;
+}
+
+/**
+ * Rewrites the players whose licence is not canonical, with the rows referencing them
+ * A player whose canonical licence already exists is left untouched (duplicate).
+ */
+async function normalizePlayerLicences(queryable) {
+  const players = (await queryable.query(`
+    SELECT p.licence, ${canonicalSql('p.licence')} as canonical,
+           EXISTS (SELECT 1 FROM players o WHERE o.licence = ${canonicalSql('p.licence')}) as conflict
+    FROM players p
+    WHERE p.licence <> ${canonicalSql('p.licence')}
+  `)).rows;
+
+  let normalized = 0;
+  for (const player of players) {
+    if (player.conflict) continue;
+
+    // players.licence is referenced without ON UPDATE CASCADE: copy, re-point, delete
+    await queryable.query(`
+      INSERT INTO players
+      SELECT * FROM jsonb_populate_record(NULL::players,
+        (SELECT to_jsonb(p) || jsonb_build_object('licence', $2::text) FROM players p WHERE p.licence = $1))
+    `, [player.licence, player.canonical]);
+    for (const spec of LICENCE_COLUMNS.filter(s => s.playerReference)) {
+      await queryable.query(`UPDATE ${spec.table} SET ${spec.column} = $2 WHERE ${spec.column} = $1`, [player.licence, player.canonical]);
+    }
+    await queryable.query('DELETE FROM players WHERE licence = $1', [player.licence]);
+    normalized++;
+  }
+  return { normalized, skipped: players.length - normalized };
+}
+
+/**
+ * Rewrites every stored licence in its canonical form, except where that would create a duplicate
+ * @returns {Promise<{total, tables: Array<{table, column, normalized}>}>}
+ */
+async function normalizeStoredLicences(queryable) {
+  const players = await normalizePlayerLicences(queryable);
+  const tables = [{ table: 'players', column: 'licence', normalized: players.normalized }];
+
+  // Rows referencing players were rewritten with their player
+  for (const spec of LICENCE_COLUMNS.filter(s => !s.playerReference)) {
+    const result = await queryable.query(`
+      UPDATE ${spec.table} t
+      SET ${spec.column} = ${canonicalSql(`t.${spec.column}`)}
+      WHERE t.${spec.column} <> ${canonicalSql(`t.${spec.column}`)}
+        ${spec.unique ? `AND NOT ${conflictSql(spec)}` : ''}
+    `);
+    tables.push({ table: spec.table, column: spec.column, normalized: result.rowCount });
+  }
+
+  return {
+    total: tables.reduce((sum, t) => sum + t.normalized, 0),
+    tables: tables.filter(t => t.normalized > 0)
+  };
+}
+
+/**
+ * Rows whose licence is not in canonical form
+ * @param {number} sampleSize - rows listed per table
+ * @returns {Promise<{total, tables: Array<{table, column, count, samples: Array<{value, canonical, conflict}>}>}>}
+ *   conflict: the canonical licence is already used (merge the duplicate first)
+ */
+async function findNonCanonicalLicences(queryable, sampleSize = 20) {
+  const specs = [{ table: 'players', column: 'licence', unique: [] }, ...LICENCE_COLUMNS];
+  const tables = [];
+
+  for (const spec of specs) {
+    const where = `t.${spec.column} <> ${canonicalSql(`t.${spec.column}`)}`;
+    const count = parseInt((await queryable.query(
+      `SELECT COUNT(*) as count FROM ${spec.table} t WHERE ${where}`
+    )).rows[0].count, 10);
+    if (count === 0) continue;
+
+    const samples = (await queryable.query(`
+      SELECT t.${spec.column} as value, ${canonicalSql(`t.${spec.column}`)} as canonical,
+             ${spec.unique ? conflictSql(spec) : 'false'} as conflict
+      FROM ${spec.table} t
+      WHERE ${where}
+      ORDER BY t.${spec.column}
+      LIMIT $1
+    `, [sampleSize])).rows;
+
+    tables.push({ table: spec.table, column: spec.column, count, samples });
+  }
+
+  return { total: tables.reduce((sum, t) => sum + t.count, 0), tables };
+}
+
+module.exports = {
+  LICENCE_COLUMNS,
+  canonicalSql,
+  normalizeLicence,
+  isCanonicalLicence,
+  normalizeStoredLicences,
+  findNonCanonicalLicences
+};
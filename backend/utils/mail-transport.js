@@ -0,0 +1,173 @@
+/**
+ * Mail Transport
+ *
+ * Single entry point for sending emails, with interchangeable backends chosen by
+ * MAIL_TRANSPORT:
+ * - resend: Resend API (RESEND_API_KEY)
+ * - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+ * - file: development backend, every email is written as a .eml file in
+ *   MAIL_FILE_DIR with an index (index.jsonl, one line per email)
+ *
+ * Without MAIL_TRANSPORT, Resend is used when RESEND_API_KEY is set, then SMTP when
+ * SMTP_HOST is set; otherwise email is not configured and getMailTransport() returns null.
+ *
+ * Messages use the Resend fields: { from, to, cc, bcc, replyTo, subject, html, text,
+ * headers, attachments: [{ filename, content (Buffer or base64 string) }] }.
+ * send() resolves with { id, transport } and throws when the email was not accepted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_TRANSPORTS = ['resend', 'smtp', 'file'];
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', 'mail-sink');
+
+let cachedTransport = null;
+let cachedKey = null;
+
+function getTransportName() {
+  const configured = (process.env.MAIL_TRANSPORT || '').toLowerCase().trim();
+  if (configured) {
+    return MAIL_TRANSPORTS.includes(configured) ? configured : null;
+  }
+  if (process.env.RESEND_API_KEY) return 'resend';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return null;
+}
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+/**
+ * Message in the nodemailer format (SMTP and file backends)
+ */
+function toNodemailerMessage(message) {
+  return {
+    from: message.from,
+    to: toList(message.to),
+    cc: toList(message.cc),
+    bcc: toList(message.bcc),
+    replyTo: message.replyTo,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    headers: message.headers,
+    attachments: (message.attachments || []).map(att => ({
+      filename: att.filename,
+      content: att.content,
+      encoding: typeof att.content === 'string' ? 'base64' : undefined,
+      contentType: att.contentType
+    }))
+  };
+}
+
+function createResendTransport() {
+  if (!process.env.RESEND_API_KEY) {
+    console.log('[Mail] MAIL_TRANSPORT=resend but RESEND_API_KEY is not configured');
+    return null;
+  }
+  const { Resend } = require('resend');
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  return {
+    name: 'resend',
+    async send(message) {
+      const { data, error } = await resend.emails.send(message);
+      if (error) {
+        throw new Error(error.message || 'Resend error');
+      }
+      return { id: data?.id || null, transport: 'resend' };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    console.log('[Mail] MAIL_TRANSPORT=smtp but SMTP_HOST is not configured');
+    return null;
+  }
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      return { id: info.messageId || null, transport: 'smtp' };
+    }
+  };
+}
+
+function createFileTransport() {
+  const nodemailer = require('nodemailer');
+  const dir = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR;
+  // Builds the raw message without sending it
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      const info = await composer.sendMail(toNodemailerMessage(message));
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = `${id}.eml`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, file), info.message);
+      await fs.promises.appendFile(path.join(dir, 'index.jsonl'), JSON.stringify({
+        id,
+        file,
+        date: new Date().toISOString(),
+        from: message.from,
+        to: toList(message.to),
+        cc: toList(message.cc),
+        bcc: toList(message.bcc),
+        subject: message.subject,
+        attachments: (message.attachments || []).map(att => att.filename)
+      }) + '\n');
+
+      console.log(`[Mail] ${message.subject} -> ${toList(message.to).join(', ')} written to ${file}`);
+      return { id, transport: 'file' };
+    }
+  };
+}
+
+/**
+ * Configured mail transport
+ * @returns {{name: string, send: function(Object): Promise<{id, transport}>}|null} null when email is not configured
+ */
+function getMailTransport() {
+  const name = getTransportName();
+  // Rebuilt when the configuration changes (the transports themselves are reusable)
+  const key = [name, process.env.RESEND_API_KEY, process.env.SMTP_HOST, process.env.MAIL_FILE_DIR].join('|');
+  if (key === cachedKey) {
+    return cachedTransport;
+  }
+
+  if (name === 'resend') cachedTransport = createResendTransport();
+  else if (name === 'smtp') cachedTransport = createSmtpTransport();
+  else if (name === 'file') cachedTransport = createFileTransport();
+  else {
+    if (process.env.MAIL_TRANSPORT) {
+      console.log(`[Mail] Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}" (expected ${MAIL_TRANSPORTS.join(', ')})`);
+    }
+    cachedTransport = null;
+  }
+  cachedKey = key;
+  return cachedTransport;
+}
+
+function isMailConfigured() {
+  return getMailTransport() !== null;
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  getMailTransport,
+  isMailConfigured
+};
@@ -0,0 +1,110 @@
+/**
+ * Match Distances (handicap scoring)
+ *
+ * Every player plays to the distance of the tournament category, normal or
+ * reduced depending on the distance chosen for the convocation
+ * (tournoi_ext.selected_distance). In a mixed-level tournament (opens: handicap
+ * enabled, or a categorie without game_parameters) each player plays to the
+ * distance of their own FFB classification instead.
+ *
+ * A match is won by the player who reached the larger share of their distance,
+ * and moyennes are weighted back to the reference distance of the tournament
+ * category (distance_normale) so that players of different distances, or a
+ * reduced-distance tournament, can be ranked together.
+ */
+
+const db = require('../db-loader');
+const { MODE_TO_GAME_TYPE } = require('./tournament-context');
+const { normalizeLicence } = require('./licence');
+
+const DISTANCE_TYPES = ['normale', 'reduite'];
+
+const normalizeCode = (value) => (value || '').toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Distance to play for a classification
+ * @param {Object} gameParams - game_parameters row
+ * @param {string} selectedDistance - 'normale' | 'reduite' (reduite falls back to normale when not defined)
+ * @returns {number|null}
+ */
+function getDistanceFromParams(gameParams, selectedDistance) {
+  if (!gameParams) {
+    return null;
+  }
+  if (selectedDistance === 'reduite' && gameParams.distance_reduite) {
+    return gameParams.distance_reduite;
+  }
+  return gameParams.distance_normale;
+}
+
+/**
+ * Load what is needed to compute the distances of a tournament's players
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {string[]} licences - players of the tournament
+ * @returns {Promise<{selectedDistance, handicap, referenceDistance, categoryDistance, classificationByLicence, paramsByCategorie}>}
+ */
+async function loadDistanceContext(tournoi, licences) {
+  const rawMode = (tournoi.mode || '').toUpperCase().trim();
+  const gameType = normalizeCode(MODE_TO_GAME_TYPE[rawMode] || rawMode);
+  const selectedDistance = DISTANCE_TYPES.includes(tournoi.selected_distance) ? tournoi.selected_distance : 'normale';
+
+  const paramsResult = await db.query(
+    `SELECT * FROM game_parameters WHERE UPPER(REPLACE(mode, ' ', '')) = $1`,
+    [gameType]
+  );
+  const paramsByCategorie = {};
+  paramsResult.rows.forEach(p => { paramsByCategorie[normalizeCode(p.categorie)] = p; });
+
+  const classificationByLicence = {};
+  const normalizedLicences = licences.map(normalizeLicence);
+  if (normalizedLicences.length > 0) {
+    const placeholders = normalizedLicences.map((_, idx) => `$${idx + 2}`).join(', ');
+    const rankingsResult = await db.query(`
+      SELECT pr.licence, pr.ranking
+      FROM player_rankings pr
+      JOIN game_modes gm ON pr.game_mode_id = gm.id
+      WHERE UPPER(REPLACE(gm.code, ' ', '')) = $1
+        AND pr.licence IN (${placeholders})
+    `, [gameType, ...normalizedLicences]);
+    rankingsResult.rows.forEach(r => { classificationByLicence[r.licence] = normalizeCode(r.ranking); });
+  }
+
+  const categoryParams = paramsByCategorie[normalizeCode(tournoi.categorie)];
+  // Without category parameters (open), moyennes are weighted to the longest distance of the mode
+  const longestDistance = paramsResult.rows.reduce((max, p) => Math.max(max, p.distance_normale || 0), 0) || null;
+
+  return {
+    selectedDistance,
+    handicap: !!tournoi.handicap_distances || (!categoryParams && paramsResult.rows.length > 0),
+    referenceDistance: categoryParams ? categoryParams.distance_normale : longestDistance,
+    categoryDistance: getDistanceFromParams(categoryParams, selectedDistance),
+    classificationByLicence,
+    paramsByCategorie
+  };
+}
+
+/**
+ * Distance a player has to reach in this tournament
+ * With handicap, players without classification (or without parameters for it) play the category distance
+ * @returns {{distance: number|null, classification: string|null}}
+ */
+function getPlayerDistance(context, licence) {
+  const classification = context.classificationByLicence[normalizeLicence(licence)] || null;
+  if (!context.handicap) {
+    return { distance: context.categoryDistance, classification };
+  }
+  const params = classification ? context.paramsByCategorie[classification] : null;
+  const distance = getDistanceFromParams(params, context.selectedDistance);
+
+  return {
+    distance: distance || context.categoryDistance,
+    classification
+  };
+}
+
+module.exports = {
+  DISTANCE_TYPES,
+  getDistanceFromParams,
+  loadDistanceContext,
+  getPlayerDistance
+};
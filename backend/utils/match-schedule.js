@@ -0,0 +1,284 @@
+/**
+ * Poule Match Schedule
+ *
+ * Order of play inside a poule, resolution of the dynamic pairings
+ * ("Joueur 1 vs Perdant Match 1", "Gagnants Match 1 et 2") once results are
+ * known, and poule standings computed from match records.
+ *
+ * Schedule slots reference either a seed (player_order in the poule) or the
+ * winner/loser of an earlier match of the same poule.
+ */
+
+const { normalizeLicence } = require('./licence');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+
+// Match points awarded per game (FFB poule rules)
+const MATCH_POINTS = {
+  win: 2,
+  draw: 1,
+  loss: 0
+};
+
+const POULE_SCHEDULES = {
+  3: [
+    { player1: { seed: 2 }, player2: { seed: 3 }, description: 'Joueur 2 vs Joueur 3' },
+    { player1: { seed: 1 }, player2: { loser: 1 }, description: 'Joueur 1 vs Perdant Match 1' },
+    { player1: { seed: 1 }, player2: { winner: 1 }, description: 'Joueur 1 vs Gagnant Match 1' }
+  ],
+  4: [
+    { player1: { seed: 1 }, player2: { seed: 4 }, description: 'Joueur 1 vs Joueur 4' },
+    { player1: { seed: 2 }, player2: { seed: 3 }, description: 'Joueur 2 vs Joueur 3' },
+    { player1: { loser: 1 }, player2: { loser: 2 }, description: 'Perdants Match 1 et 2' },
+    { player1: { winner: 1 }, player2: { winner: 2 }, description: 'Gagnants Match 1 et 2' }
+  ],
+  5: [
+    { player1: { seed: 1 }, player2: { seed: 5 }, description: 'Joueur 1 vs Joueur 5' },
+    { player1: { seed: 2 }, player2: { seed: 4 }, description: 'Joueur 2 vs Joueur 4' },
+    { player1: { seed: 3 }, player2: { loser: 1 }, description: 'Joueur 3 vs Perdant Match 1' },
+    { player1: { seed: 3 }, player2: { loser: 2 }, description: 'Joueur 3 vs Perdant Match 2' },
+    { player1: { winner: 1 }, player2: { winner: 2 }, description: 'Gagnants Match 1 et 2' }
+  ]
+};
+
+const isDynamicSlot = (slot) => slot.seed === undefined;
+
+/**
+ * Get the slot-based schedule for a poule
+ * Sizes without a fixed schedule are played as a round-robin
+ * @param {number} pouleSize
+ * @returns {Array<{matchNumber, player1, player2, description, dynamic}>}
+ */
+function getPouleSchedule(pouleSize) {
+  let schedule = POULE_SCHEDULES[pouleSize];
+
+  if (!schedule) {
+    schedule = [];
+    for (let i = 1; i <= pouleSize; i++) {
+      for (let j = i + 1; j <= pouleSize; j++) {
+        schedule.push({ player1: { seed: i }, player2: { seed: j }, description: `Joueur ${i} vs Joueur ${j}` });
+      }
+    }
+  }
+
+  return schedule.map((match, index) => ({
+    matchNumber: index + 1,
+    player1: match.player1,
+    player2: match.player2,
+    description: match.description,
+    dynamic: isDynamicSlot(match.player1) || isDynamicSlot(match.player2)
+  }));
+}
+
+/**
+ * Description of a dynamic pairing in a language ("Joueur 1 vs Perdant Match 1")
+ */
+function describeDynamicMatch(match, language) {
+  const { player1, player2 } = match;
+  if (player1.loser && player2.loser) {
+    return translate(language, 'schedule.losers');
+  }
+  if (player1.winner && player2.winner) {
+    return translate(language, 'schedule.winners');
+  }
+  return player2.loser
+    ? translate(language, 'schedule.player_vs_loser', { player: player1.seed, match: player2.loser })
+    : translate(language, 'schedule.player_vs_winner', { player: player1.seed, match: player2.winner });
+}
+
+/**
+ * Legacy schedule format used by the poule Excel export
+ * (player numbers, 0 when the opponent depends on a previous match)
+ * @param {number} pouleSize
+ * @param {string} language - language of the dynamic pairing descriptions
+ */
+function generateMatchSchedule(pouleSize, language = DEFAULT_LANGUAGE) {
+  if (!POULE_SCHEDULES[pouleSize]) {
+    return getPouleSchedule(pouleSize).map(m => ({ player1: m.player1.seed, player2: m.player2.seed }));
+  }
+
+  return getPouleSchedule(pouleSize).map(m => {
+    const match = {
+      player1: m.player1.seed || 0,
+      player2: m.player2.seed || 0,
+      description: m.description
+    };
+    if (m.dynamic) {
+      match.dynamic = true;
+      match.description = describeDynamicMatch(m, language);
+    }
+    return match;
+  });
+}
+
+/**
+ * Compute match points for both players of a game
+ * More points at the end of the game wins, equal points is a draw.
+ * With distances (handicap), the larger share of one's own distance wins.
+ * @param {number} [player1Distance]
+ * @param {number} [player2Distance]
+ * @returns {{player1: number, player2: number}}
+ */
+function computeMatchPoints(player1Points, player2Points, player1Distance, player2Distance) {
+  let score1 = player1Points;
+  let score2 = player2Points;
+  if (player1Distance && player2Distance) {
+    // Cross-multiplied to compare points/distance ratios without rounding
+    score1 = Math.min(player1Points, player1Distance) * player2Distance;
+    score2 = Math.min(player2Points, player2Distance) * player1Distance;
+  }
+
+  if (score1 > score2) {
+    return { player1: MATCH_POINTS.win, player2: MATCH_POINTS.loss };
+  }
+  if (score1 < score2) {
+    return { player1: MATCH_POINTS.loss, player2: MATCH_POINTS.win };
+  }
+  return { player1: MATCH_POINTS.draw, player2: MATCH_POINTS.draw };
+}
+
+/**
+ * Points weighted to the reference distance (points * reference / distance)
+ * Unchanged when either distance is unknown
+ */
+function weightPoints(points, distance, referenceDistance) {
+  if (!distance || !referenceDistance) {
+    return points;
+  }
+  return points * referenceDistance / distance;
+}
+
+/**
+ * Get winner and loser licences of a recorded match
+ * On a draw, the better seeded player is treated as the winner for the pairings
+ * @param {Object} record - matches row
+ * @param {Object} seedByLicence - normalized licence -> seed (player_order)
+ */
+function getMatchOutcome(record, seedByLicence = {}) {
+  const p1 = record.player1_licence;
+  const p2 = record.player2_licence;
+  let player1Wins = record.player1_match_points > record.player2_match_points;
+
+  if (record.player1_match_points === record.player2_match_points) {
+    const seed1 = seedByLicence[normalizeLicence(p1)] || Infinity;
+    const seed2 = seedByLicence[normalizeLicence(p2)] || Infinity;
+    player1Wins = seed1 <= seed2;
+  }
+
+  return player1Wins ? { winner: p1, loser: p2 } : { winner: p2, loser: p1 };
+}
+
+/**
+ * Resolve every scheduled match of a poule against the recorded results
+ * @param {Array} players - poule players ordered by seed ({ licence, player_name, ... })
+ * @param {Array} records - matches rows for this poule
+ * @returns {Array} scheduled matches with resolved licences, readiness and result
+ */
+function resolvePouleMatches(players, records = []) {
+  const recordByNumber = {};
+  records.forEach(r => { recordByNumber[r.match_number] = r; });
+
+  const seedByLicence = {};
+  players.forEach((p, idx) => { seedByLicence[normalizeLicence(p.licence)] = idx + 1; });
+
+  const resolveSlot = (slot) => {
+    if (slot.seed !== undefined) {
+      return players[slot.seed - 1]?.licence || null;
+    }
+    const previous = recordByNumber[slot.winner || slot.loser];
+    if (!previous) {
+      return null;
+    }
+    const outcome = getMatchOutcome(previous, seedByLicence);
+    return slot.winner ? outcome.winner : outcome.loser;
+  };
+
+  return getPouleSchedule(players.length).map(match => {
+    const record = recordByNumber[match.matchNumber] || null;
+    const player1Licence = record ? record.player1_licence : resolveSlot(match.player1);
+    const player2Licence = record ? record.player2_licence : resolveSlot(match.player2);
+
+    return {
+      match_number: match.matchNumber,
+      description: match.description,
+      dynamic: match.dynamic,
+      depends_on: [match.player1, match.player2]
+        .filter(isDynamicSlot)
+        .map(slot => slot.winner || slot.loser),
+      player1_licence: player1Licence,
+      player2_licence: player2Licence,
+      ready: !!(player1Licence && player2Licence),
+      result: record
+    };
+  });
+}
+
+/**
+ * Compute poule standings from recorded matches
+ * Order: match points DESC, weighted moyenne DESC, best serie DESC (same as the rankings)
+ * The weighted moyenne brings the points of each match back to the reference distance
+ * (equal to the moyenne when every match was played at that distance)
+ * @param {Array} players - poule players ({ licence, player_name })
+ * @param {Array} records - matches rows (player1_distance / player2_distance when known)
+ * @param {number} [referenceDistance] - distance the moyennes are weighted to
+ * @returns {Array} one entry per player with totals and position
+ */
+function computeStandings(players, records = [], referenceDistance = null) {
+  const stats = {};
+  players.forEach(p => {
+    stats[normalizeLicence(p.licence)] = {
+      licence: p.licence,
+      player_name: p.player_name,
+      matches_played: 0,
+      wins: 0,
+      match_points: 0,
+      points: 0,
+      weighted_points: 0,
+      reprises: 0,
+      serie: 0,
+      moyenne: 0
+    };
+  });
+
+  records.forEach(r => {
+    [1, 2].forEach(side => {
+      const entry = stats[normalizeLicence(r[`player${side}_licence`])];
+      if (!entry) return;
+      entry.matches_played++;
+      entry.match_points += r[`player${side}_match_points`] || 0;
+      entry.points += r[`player${side}_points`] || 0;
+      entry.weighted_points += weightPoints(r[`player${side}_points`] || 0, r[`player${side}_distance`], referenceDistance);
+      entry.reprises += r[`player${side}_reprises`] || 0;
+      entry.serie = Math.max(entry.serie, r[`player${side}_serie`] || 0);
+      if ((r[`player${side}_match_points`] || 0) === MATCH_POINTS.win) {
+        entry.wins++;
+      }
+    });
+  });
+
+  const standings = Object.values(stats).map(s => ({
+    ...s,
+    weighted_points: parseFloat(s.weighted_points.toFixed(3)),
+    moyenne: s.reprises > 0 ? parseFloat((s.points / s.reprises).toFixed(3)) : 0,
+    moyenne_ponderee: s.reprises > 0 ? parseFloat((s.weighted_points / s.reprises).toFixed(3)) : 0
+  }));
+
+  standings.sort((a, b) =>
+    (b.match_points - a.match_points) ||
+    (b.moyenne_ponderee - a.moyenne_ponderee) ||
+    (b.serie - a.serie)
+  );
+  standings.forEach((s, idx) => { s.position = idx + 1; });
+
+  return standings;
+}
+
+module.exports = {
+  MATCH_POINTS,
+  getPouleSchedule,
+  generateMatchSchedule,
+  computeMatchPoints,
+  weightPoints,
+  getMatchOutcome,
+  resolvePouleMatches,
+  computeStandings
+};
@@ -0,0 +1,561 @@
+/**
+ * Duplicate Players
+ *
+ * The same player sometimes exists under two licences (typo in an import,
+ * provisional licence, accents typed differently). Candidates are found with an
+ * accent- and typo-tolerant comparison of the names (first and last name, also
+ * swapped), completed by the club and the categories both licences played. Two
+ * licences entered in the same tournament are almost certainly two people: this
+ * lowers the score and is shown as a warning.
+ *
+ * Merging re-points every table to the kept licence in one transaction, then
+ * deletes the duplicate player. Rows the kept player already has (same tournament,
+ * same game mode...) are dropped instead; when they are results or entries of a
+ * tournament, the merge is refused unless those rows were confirmed from the
+ * preview. Everything needed to undo the merge is
+ * stored in player_merges. Rankings and ratings are computed data: the duplicate's
+ * rows are deleted and the caller recomputes them.
+ */
+
+const db = require('../db-loader');
+const { normalizeLicence } = require('./licence');
+
+const DEFAULT_MIN_SIMILARITY = 0.8;
+
+// Score removed when both licences entered the same tournament
+const SHARED_TOURNAMENT_PENALTY = 40;
+
+/**
+ * Tables holding a licence, re-pointed to the kept player
+ * key: primary key (to undo), columns: licence columns,
+ * unique: columns that identify a row of a player - when the kept player already
+ * has a row with the same values, the duplicate's row is deleted (undefined = no conflict possible),
+ * confirmDrop: dropped rows are a tournament both licences played - only with confirmation
+ */
+const MERGED_TABLES = [
+  { table: 'tournament_results', key: 'id', label: 'Résultats de tournois', columns: ['licence'], unique: ['tournament_id'], confirmDrop: true },
+  { table: 'inscriptions', key: 'inscription_id', label: 'Inscriptions', columns: ['licence'], unique: ['tournoi_id'], confirmDrop: true },
+  { table: 'convocation_poules', key: 'id', label: 'Poules convoquées', columns: ['licence'], unique: ['tournoi_id'], confirmDrop: true },
+  { table: 'matches', key: 'id', label: 'Matchs de poule', columns: ['player1_licence', 'player2_licence'] },
+  { table: 'bracket_matches', key: 'id', label: 'Matchs de tableau final', columns: ['player1_licence', 'player2_licence', 'winner_licence'] },
+  { table: 'ranking_snapshots', key: 'id', label: 'Historique des classements', columns: ['licence'], unique: ['category_id', 'season', 'tournament_number'] },
+  { table: 'player_rankings', key: 'id', label: 'Classifications FFB', columns: ['licence'], unique: ['game_mode_id'] },
+  { table: 'classification_proposals', key: 'id', label: 'Propositions de classification', columns: ['licence'], unique: ['season', 'game_mode_id'] },
+  { table: 'player_contacts', key: 'id', label: 'Fiche contact', columns: ['licence'], unique: [] },
+  { table: 'player_accounts', key: 'id', label: 'Compte Espace Joueur', columns: ['licence'], unique: [] },
+  { table: 'player_invitations', key: 'id', label: 'Invitations Espace Joueur', columns: ['licence'] },
+  { table: 'enrollment_requests', key: 'id', label: 'Demandes d\'inscription', columns: ['licence'] }
+];
+
+// Computed from tournament_results: the duplicate's rows are deleted, then recomputed
+const RECOMPUTED_TABLES = ['rankings', 'player_ratings', 'player_rating_history'];
+
+// players columns of the kept player filled from the duplicate when empty
+const FILLED_PLAYER_FIELDS = ['email', 'telephone', 'club'];
+
+/**
+ * Name without accents, punctuation or case ("Lefèvre-d'Arc" -> "LEFEVRE D ARC")
+ */
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions) between two strings
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two normalized strings, from 0 (nothing in common) to 1 (identical)
+ */
+function similarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshtein(a, b) / maxLength;
+}
+
+/**
+ * Similarity of two players' names, first/last names compared as typed and swapped
+ * @param {{first, last}} a - normalized names
+ * @param {{first, last}} b
+ */
+function nameSimilarity(a, b) {
+  const direct = (similarity(a.last, b.last) + similarity(a.first, b.first)) / 2;
+  const swapped = (similarity(a.last, b.first) + similarity(a.first, b.last)) / 2;
+  return Math.max(direct, swapped);
+}
+
+const countShared = (setA, setB) => [...setA].filter(value => setB.has(value)).length;
+
+/**
+ * Pairs of players that are probably the same person
+ * Score out of 100: name similarity (70), same club (15), shared categories (15), minus
+ * SHARED_TOURNAMENT_PENALTY when both licences entered the same tournament (listed in warnings).
+ * Players are compared within buckets of the first letter of their last name (and of their
+ * first name for swapped names), so a typo on the very first letter is not detected.
+ * Two licences that only differ by their format (spaces, case) always score 100.
+ * @param {Array} players - { licence, first_name, last_name, club, is_active }
+ * @param {Object} activity - by licence: { tournaments: Set, categories: Set, results, inscriptions }
+ *   (tournaments: 'result:<tournaments.id>' and 'inscription:<tournoi_ext id>')
+ * @param {Object} options - { minSimilarity }
+ * @returns {Array} candidates, best score first
+ */
+function findDuplicateCandidates(players, activity, options = {}) {
+  const minSimilarity = options.minSimilarity ?? DEFAULT_MIN_SIMILARITY;
+  const emptyActivity = { tournaments: new Set(), categories: new Set(), results: 0, inscriptions: 0 };
+
+  const entries = players.map(p => ({
+    player: p,
+    licence: p.licence,
+    canonical: normalizeLicence(p.licence),
+    first: normalizeName(p.first_name),
+    last: normalizeName(p.last_name),
+    club: normalizeName(p.club)
+  }));
+
+  const byLastInitial = {};
+  const byFirstInitial = {};
+  entries.forEach((entry, index) => {
+    (byLastInitial[entry.last[0]] = byLastInitial[entry.last[0]] || []).push(index);
+    (byFirstInitial[entry.first[0]] = byFirstInitial[entry.first[0]] || []).push(index);
+  });
+
+  const seen = new Set();
+  const candidates = [];
+
+  entries.forEach((a, i) => {
+    const others = [...(byLastInitial[a.last[0]] || []), ...(byFirstInitial[a.last[0]] || [])];
+    for (const j of others) {
+      if (j === i) continue;
+      const pairKey = i < j ? `${i}-${j}` : `${j}-${i}`;
+      if (seen.has(pairKey)) continue;
+      seen.add(pairKey);
+
+      const b = entries[j];
+      if (a.licence === b.licence) continue;
+
+      const nameScore = nameSimilarity(a, b);
+      if (nameScore < minSimilarity) continue;
+
+      const activityA = activity[a.licence] || emptyActivity;
+      const activityB = activity[b.licence] || emptyActivity;
+      const sameClub = !!a.club && a.club === b.club;
+      const sharedTournaments = countShared(activityA.tournaments, activityB.tournaments);
+      const sharedCategories = countShared(activityA.categories, activityB.categories);
+
+      const sameLicence = a.canonical === b.canonical;
+      const reasons = [`Noms similaires à ${Math.round(nameScore * 100)}%`];
+      if (sameLicence) reasons.unshift('Même licence, format différent');
+      if (sameClub) reasons.push('Même club');
+      if (sharedCategories > 0) reasons.push(`${sharedCategories} catégorie(s) en commun`);
+
+      const warnings = [];
+      if (sharedTournaments > 0) {
+        warnings.push(`${sharedTournaments} tournoi(s) où les deux licences sont inscrites ou classées : probablement deux joueurs différents`);
+      }
+
+      const describe = (entry, entryActivity) => ({
+        licence: entry.player.licence,
+        first_name: entry.player.first_name,
+        last_name: entry.player.last_name,
+        club: entry.player.club,
+        is_active: entry.player.is_active,
+        results_count: entryActivity.results,
+        inscriptions_count: entryActivity.inscriptions
+      });
+      const pair = [describe(a, activityA), describe(b, activityB)];
+      // The licence with the most history is suggested as the one to keep
+      pair.sort((x, y) => (y.results_count + y.inscriptions_count) - (x.results_count + x.inscriptions_count));
+
+      candidates.push({
+        score: sameLicence ? 100 : Math.max(0, Math.round(
+          nameScore * 70 + (sameClub ? 15 : 0) + (sharedCategories > 0 ? 15 : 0)
+          - (sharedTournaments > 0 ? SHARED_TOURNAMENT_PENALTY : 0)
+        )),
+        similarity: Math.round(nameScore * 100) / 100,
+        reasons,
+        warnings,
+        suggestedKeep: pair[0].licence,
+        players: pair
+      });
+    }
+  });
+
+  return candidates.sort((x, y) => y.score - x.score || y.similarity - x.similarity);
+}
+
+/**
+ * Tournaments, categories and counts of results / inscriptions per licence
+ */
+async function loadPlayerActivity() {
+  const [results, inscriptions] = await Promise.all([
+    db.query(`
+      SELECT tr.licence, tr.tournament_id, t.category_id
+      FROM tournament_results tr
+      JOIN tournaments t ON tr.tournament_id = t.id
+    `),
+    db.query(`
+      SELECT licence, tournoi_id
+      FROM inscriptions
+      WHERE licence IS NOT NULL AND (statut IS NULL OR statut != 'désinscrit')
+    `)
+  ]);
+
+  const activity = {};
+  const entry = (licence) => activity[licence] || (activity[licence] = {
+    tournaments: new Set(), categories: new Set(), results: 0, inscriptions: 0
+  });
+  results.rows.forEach(r => {
+    const e = entry(r.licence);
+    e.tournaments.add(`result:${r.tournament_id}`);
+    e.categories.add(r.category_id);
+    e.results++;
+  });
+  inscriptions.rows.forEach(i => {
+    const e = entry(i.licence);
+    e.tournaments.add(`inscription:${i.tournoi_id}`);
+    e.inscriptions++;
+  });
+  return activity;
+}
+
+/**
+ * Duplicate candidates among all players
+ */
+async function getDuplicateCandidates(options = {}) {
+  const [players, activity] = await Promise.all([
+    db.query('SELECT licence, first_name, last_name, club, is_active FROM players'),
+    loadPlayerActivity()
+  ]);
+  return findDuplicateCandidates(players.rows, activity, options);
+}
+
+/**
+ * Player with this licence as stored, or in its canonical form
+ * (a non-canonical licence left by the migration can only be found as stored)
+ */
+async function getPlayer(queryable, licence) {
+  const stored = String(licence || '').trim();
+  const result = await queryable.query(
+    'SELECT * FROM players WHERE licence IN ($1, $2) ORDER BY (licence = $1) DESC LIMIT 1',
+    [stored, normalizeLicence(stored)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * SQL condition matching the duplicate's rows that the kept player already has
+ */
+function conflictCondition(spec) {
+  const column = spec.columns[0];
+  const sameValues = spec.unique.map(col => `AND k.${col} IS NOT DISTINCT FROM d.${col}`).join(' ');
+  return `d.${column} = $1
+    AND EXISTS (SELECT 1 FROM ${spec.table} k WHERE k.${column} = $2 ${sameValues})`;
+}
+
+/**
+ * Both players and, for each table, the rows that would be moved or dropped
+ * @throws {Error} with a status (400, 404) when the merge is not possible
+ */
+async function loadMergePlan(queryable, keepLicence, mergeLicence) {
+  if (!keepLicence || !mergeLicence) {
+    throw Object.assign(new Error('Deux licences différentes sont requises'), { status: 400 });
+  }
+
+  const [keptPlayer, mergedPlayer] = await Promise.all([getPlayer(queryable, keepLicence), getPlayer(queryable, mergeLicence)]);
+  if (!keptPlayer || !mergedPlayer) {
+    throw Object.assign(new Error(`Joueur introuvable : ${!keptPlayer ? keepLicence : mergeLicence}`), { status: 404 });
+  }
+  if (keptPlayer.licence === mergedPlayer.licence) {
+    throw Object.assign(new Error('Deux licences différentes sont requises'), { status: 400 });
+  }
+
+  // Rows are matched on the licences as stored in players (canonical since the licence migration)
+  const keep = keptPlayer.licence;
+  const merge = mergedPlayer.licence;
+
+  const tables = [];
+  for (const spec of MERGED_TABLES) {
+    const licenceMatch = spec.columns.map(col => `${col} = $1`).join(' OR ');
+    const total = parseInt((await queryable.query(
+      `SELECT COUNT(*) as count FROM ${spec.table} WHERE ${licenceMatch}`,
+      [merge]
+    )).rows[0].count, 10);
+
+    let conflicts = [];
+    if (spec.unique && total > 0) {
+      conflicts = (await queryable.query(
+        `SELECT d.* FROM ${spec.table} d WHERE ${conflictCondition(spec)}`,
+        [merge, keep]
+      )).rows;
+    }
+
+    tables.push({ spec, moved: total - conflicts.length, conflicts });
+  }
+
+  return { keep, merge, keptPlayer, mergedPlayer, tables };
+}
+
+/**
+ * Rows of a tournament both licences played that the merge would drop, described for
+ * the confirmation (key: '<table>:<primary key>', the value to send back in confirmDropped)
+ */
+async function describeConfirmDrops(queryable, plan) {
+  const drops = [];
+  for (const { spec, conflicts } of plan.tables) {
+    if (!spec.confirmDrop || conflicts.length === 0) continue;
+    const ids = conflicts.map(row => row[spec.key]);
+
+    const described = spec.table === 'tournament_results'
+      ? (await queryable.query(`
+          SELECT tr.id as key, c.display_name || ' - tournoi ' || t.tournament_number || ' ' || t.season
+                 || ' : position ' || COALESCE(tr.position::text, '-') || ', ' || COALESCE(tr.match_points::text, '0') || ' pts match' as description
+          FROM tournament_results tr
+          JOIN tournaments t ON tr.tournament_id = t.id
+          LEFT JOIN categories c ON t.category_id = c.id
+          WHERE tr.id = ANY($1)
+        `, [ids])).rows
+      : (await queryable.query(`
+          SELECT d.${spec.key} as key, COALESCE(te.nom, 'Tournoi ' || d.tournoi_id) || COALESCE(' du ' || to_char(te.debut, 'DD/MM/YYYY'), '') as description
+          FROM ${spec.table} d
+          LEFT JOIN tournoi_ext te ON te.tournoi_id = d.tournoi_id
+          WHERE d.${spec.key} = ANY($1)
+        `, [ids])).rows;
+
+    described.forEach(row => drops.push({
+      key: `${spec.table}:${row.key}`,
+      table: spec.table,
+      label: spec.label,
+      description: row.description
+    }));
+  }
+  return drops;
+}
+
+/**
+ * What a merge would do, without changing anything
+ * confirmDrops: results and entries of shared tournaments that would be dropped,
+ * to confirm explicitly (see mergePlayers)
+ */
+async function previewMerge(keepLicence, mergeLicence) {
+  const plan = await loadMergePlan(db, keepLicence, mergeLicence);
+  const filledFields = FILLED_PLAYER_FIELDS.filter(field => !plan.keptPlayer[field] && plan.mergedPlayer[field]);
+
+  return {
+    kept: plan.keptPlayer,
+    merged: plan.mergedPlayer,
+    filledFields,
+    confirmDrops: await describeConfirmDrops(db, plan),
+    tables: plan.tables
+      .filter(t => t.moved > 0 || t.conflicts.length > 0)
+      .map(t => ({ table: t.spec.table, label: t.spec.label, moved: t.moved, dropped: t.conflicts.length }))
+  };
+}
+
+/**
+ * Category/season pairs in which the licences have results (rankings to recompute)
+ */
+async function getRankingScopes(licences) {
+  const result = await db.query(`
+    SELECT DISTINCT t.category_id, t.season
+    FROM tournament_results tr
+    JOIN tournaments t ON tr.tournament_id = t.id
+    WHERE tr.licence = ANY($1)
+  `, [licences]);
+  return result.rows;
+}
+
+/**
+ * Merges the duplicate player into the kept one, in a single transaction
+ * Both licences in the same tournament means two players: the duplicate's results and
+ * entries of that tournament are only dropped when every one of them is listed in
+ * confirmDropped (keys from previewMerge().confirmDrops).
+ * @param {Object} options - { confirmDropped: string[] }
+ * @returns {Promise<{mergeId, tables}>} tables: moved / dropped rows per table
+ * @throws {Error} with a status (400, 404, 409 with confirmDrops) when the merge is not possible
+ */
+async function mergePlayers(keepLicence, mergeLicence, mergedBy, options = {}) {
+  return db.transaction(async (tx) => {
+    const plan = await loadMergePlan(tx, keepLicence, mergeLicence);
+
+    const confirmDrops = await describeConfirmDrops(tx, plan);
+    const confirmed = new Set(options.confirmDropped || []);
+    const unconfirmed = confirmDrops.filter(drop => !confirmed.has(drop.key));
+    if (unconfirmed.length > 0) {
+      throw Object.assign(new Error(
+        `Les deux licences ont joué les mêmes tournois : la fusion supprimerait ${unconfirmed.length} résultat(s) ou inscription(s) du doublon `
+        + `(${unconfirmed.map(drop => drop.description).join(' ; ')}). Confirmez-les depuis l'aperçu de la fusion.`
+      ), { status: 409, confirmDrops });
+    }
+    const keptLicence = plan.keptPlayer.licence;
+    const moved = [];
+    const deleted = [];
+
+    for (const { spec, conflicts } of plan.tables) {
+      if (conflicts.length > 0) {
+        await tx.query(
+          `DELETE FROM ${spec.table} WHERE ${spec.key} = ANY($1)`,
+          [conflicts.map(row => row[spec.key])]
+        );
+        deleted.push({ table: spec.table, key: spec.key, rows: conflicts });
+      }
+
+      for (const column of spec.columns) {
+        const updated = await tx.query(
+          `UPDATE ${spec.table} SET ${column} = $1 WHERE ${column} = $2 RETURNING ${spec.key}`,
+          [keptLicence, plan.merge]
+        );
+        if (updated.rowCount > 0) {
+          moved.push({ table: spec.table, key: spec.key, column, ids: updated.rows.map(row => row[spec.key]) });
+        }
+      }
+    }
+
+    for (const table of RECOMPUTED_TABLES) {
+      await tx.query(`DELETE FROM ${table} WHERE licence = $1`, [plan.merge]);
+    }
+
+    // Contact details the kept player does not have yet
+    for (const field of FILLED_PLAYER_FIELDS) {
+      if (!plan.keptPlayer[field] && plan.mergedPlayer[field]) {
+        await tx.query(
+          `UPDATE players SET ${field} = $1 WHERE licence = $2`,
+          [plan.mergedPlayer[field], keptLicence]
+        );
+      }
+    }
+
+    await tx.query('DELETE FROM players WHERE licence = $1', [plan.mergedPlayer.licence]);
+
+    const record = await tx.query(`
+      INSERT INTO player_merges (kept_licence, merged_licence, kept_player, merged_player, moved, deleted, merged_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      keptLicence, plan.mergedPlayer.licence, JSON.stringify(plan.keptPlayer), JSON.stringify(plan.mergedPlayer),
+      JSON.stringify(moved), JSON.stringify(deleted), mergedBy || null
+    ]);
+
+    return {
+      mergeId: record.rows[0].id,
+      keptPlayer: plan.keptPlayer,
+      mergedPlayer: plan.mergedPlayer,
+      tables: plan.tables
+        .filter(t => t.moved > 0 || t.conflicts.length > 0)
+        .map(t => ({ table: t.spec.table, label: t.spec.label, moved: t.moved, dropped: t.conflicts.length }))
+    };
+  });
+}
+
+/**
+ * Merges, most recent first
+ */
+async function getMerges(limit = 50) {
+  const result = await db.query(`
+    SELECT id, kept_licence, merged_licence,
+           merged_player->>'first_name' as merged_first_name, merged_player->>'last_name' as merged_last_name,
+           kept_player->>'first_name' as kept_first_name, kept_player->>'last_name' as kept_last_name,
+           merged_by, merged_at, undone_by, undone_at
+    FROM player_merges
+    ORDER BY merged_at DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+/**
+ * Restores the duplicate player and points the moved rows back to their licence
+ * @throws {Error} with a status (404, 409) when the merge cannot be undone
+ */
+async function undoMerge(mergeId, undoneBy) {
+  return db.transaction(async (tx) => {
+    const record = (await tx.query('SELECT * FROM player_merges WHERE id = $1 FOR UPDATE', [mergeId])).rows[0];
+    if (!record) {
+      throw Object.assign(new Error('Fusion introuvable'), { status: 404 });
+    }
+    if (record.undone_at) {
+      throw Object.assign(new Error('Cette fusion a déjà été annulée'), { status: 409 });
+    }
+    const existing = await tx.query('SELECT 1 FROM players WHERE licence = $1', [record.merged_licence]);
+    if (existing.rows.length > 0) {
+      throw Object.assign(new Error(`La licence ${record.merged_licence} existe de nouveau, la fusion ne peut pas être annulée`), { status: 409 });
+    }
+
+    await tx.query(
+      'INSERT INTO players SELECT * FROM jsonb_populate_record(NULL::players, $1)',
+      [JSON.stringify(record.merged_player)]
+    );
+
+    // Contact details copied to the kept player, unless they were changed since
+    for (const field of FILLED_PLAYER_FIELDS) {
+      if (!record.kept_player[field] && record.merged_player[field]) {
+        await tx.query(
+          `UPDATE players SET ${field} = $1 WHERE licence = $2 AND ${field} IS NOT DISTINCT FROM $3`,
+          [record.kept_player[field], record.kept_licence, record.merged_player[field]]
+        );
+      }
+    }
+
+    let restored = 0;
+    for (const { table, rows } of record.deleted) {
+      for (const row of rows) {
+        const inserted = await tx.query(
+          `INSERT INTO ${table} SELECT * FROM jsonb_populate_record(NULL::${table}, $1) ON CONFLICT DO NOTHING`,
+          [JSON.stringify(row)]
+        );
+        restored += inserted.rowCount;
+      }
+    }
+
+    let reverted = 0;
+    for (const { table, key, column, ids } of record.moved) {
+      const updated = await tx.query(
+        `UPDATE ${table} SET ${column} = $1 WHERE ${key} = ANY($2) AND ${column} = $3`,
+        [record.merged_licence, ids, record.kept_licence]
+      );
+      reverted += updated.rowCount;
+    }
+
+    await tx.query(
+      'UPDATE player_merges SET undone_by = $1, undone_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [undoneBy || null, mergeId]
+    );
+
+    return { keptLicence: record.kept_licence, mergedLicence: record.merged_licence, restored, reverted };
+  });
+}
+
+module.exports = {
+  DEFAULT_MIN_SIMILARITY,
+  SHARED_TOURNAMENT_PENALTY,
+  MERGED_TABLES,
+  normalizeName,
+  nameSimilarity,
+  findDuplicateCandidates,
+  getDuplicateCandidates,
+  previewMerge,
+  mergePlayers,
+  getRankingScopes,
+  getMerges,
+  undoMerge
+};
@@ -0,0 +1,371 @@
+/**
+ * Player Rating (Elo)
+ *
+ * Performance rating per player and game mode, comparable across categories
+ * and seasons. Tournaments are replayed in chronological order; inside each
+ * poule (convocation_poules, the whole field when the poules are unknown) every
+ * player is compared with the others:
+ * - position component: tournament_results.position against the other players of the poule
+ * - moyenne component: moyenne within the category bounds (game_parameters mini/maxi)
+ * A first rating is seeded from the category level so that categories start apart.
+ *
+ * Ratings are fully recomputed (player_ratings = current, player_rating_history = one
+ * row per player and tournament) since a late import changes every later rating.
+ */
+
+const db = require('../db-loader');
+const { MODE_TO_GAME_TYPE, getSeasonFromDate, getTournamentNumberFromName } = require('./tournament-context');
+const { getClassificationLadder } = require('./classification-proposals');
+const { normalizeLicence } = require('./licence');
+
+const BASE_RATING = 1500;
+const LEVEL_STEP = 100;           // Initial gap between two consecutive categories of a mode
+const K_FACTOR = 24;
+const PROVISIONAL_K_FACTOR = 40;  // Faster convergence for the first tournaments
+const PROVISIONAL_TOURNAMENTS = 5;
+const MOYENNE_WEIGHT = 0.3;       // Share of the moyenne component in the rating change
+
+function normalizeCode(value) {
+  return (value || '').toUpperCase().replace(/ /g, '');
+}
+
+/**
+ * Expected score of a player against an opponent
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Moyenne within the category bounds, 0 (at or below mini) -> 1 (at or above maxi)
+ * @returns {number|null} null when the category has no bounds
+ */
+function getMoyenneScore(moyenne, bounds) {
+  if (!bounds || !(bounds.maxi > bounds.mini)) {
+    return null;
+  }
+  const score = (Number(moyenne) - bounds.mini) / (bounds.maxi - bounds.mini);
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Initial rating of a player first seen in a category
+ * @param {Array} ladder - classifications of the mode, best first (getClassificationLadder)
+ * @param {string} level - category level (e.g. 'R2')
+ */
+function getInitialRating(ladder, level) {
+  const index = (ladder || []).findIndex(c => c.code === normalizeCode(level));
+  return BASE_RATING - LEVEL_STEP * Math.max(index, 0);
+}
+
+/**
+ * Finishing order key: tournament position, match points when the position is unknown
+ */
+function compareResults(a, b) {
+  const posA = a.position > 0 ? a.position : Infinity;
+  const posB = b.position > 0 ? b.position : Infinity;
+  if (posA !== posB) {
+    return posA < posB ? 1 : -1;
+  }
+  if (posA === Infinity && a.match_points !== b.match_points) {
+    return a.match_points > b.match_points ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Rating changes of one tournament (all computed from the ratings before the tournament)
+ * @param {Array} results - { licence, position, match_points, moyenne, poule_number, rating, tournaments_played }
+ * @param {{mini, maxi}|null} bounds - category moyenne bounds
+ * @returns {Array} results with expected, actual, moyenne_score and delta
+ */
+function rateTournament(results, bounds) {
+  const poules = {};
+  results.forEach(r => {
+    const key = r.poule_number || 0;
+    (poules[key] = poules[key] || []).push(r);
+  });
+
+  const rated = [];
+  Object.values(poules).forEach(players => {
+    players.forEach(player => {
+      const opponents = players.filter(p => p !== player);
+      const moyenneScore = getMoyenneScore(player.moyenne, bounds);
+
+      let expected = 0.5;
+      let actual = null;
+      if (opponents.length > 0) {
+        expected = opponents.reduce((sum, o) => sum + expectedScore(player.rating, o.rating), 0) / opponents.length;
+        actual = opponents.reduce((sum, o) => sum + (compareResults(player, o) + 1) / 2, 0) / opponents.length;
+      }
+
+      // Components that can't be measured are left out (single player poule, category without bounds)
+      const components = [];
+      if (actual !== null) components.push({ weight: 1 - MOYENNE_WEIGHT, score: actual });
+      if (moyenneScore !== null) components.push({ weight: MOYENNE_WEIGHT, score: moyenneScore });
+      const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+
+      const k = player.tournaments_played < PROVISIONAL_TOURNAMENTS ? PROVISIONAL_K_FACTOR : K_FACTOR;
+      const delta = totalWeight > 0
+        ? k * components.reduce((sum, c) => sum + c.weight * (c.score - expected), 0) / totalWeight
+        : 0;
+
+      rated.push({ ...player, expected, actual, moyenne_score: moyenneScore, delta });
+    });
+  });
+
+  return rated;
+}
+
+/**
+ * Replay all tournaments and compute ratings
+ * @param {Array} tournaments - chronological ({ id, season, tournament_number, game_mode_id, level, bounds, poules, results })
+ *   poules: poule number keyed by licence; results: tournament_results rows
+ * @param {Object} laddersByMode - classification ladders keyed by game_mode_id
+ * @returns {{ratings: Array, history: Array}}
+ */
+function computeRatings(tournaments, laddersByMode) {
+  const current = {};
+  const history = [];
+
+  tournaments.forEach(t => {
+    const ladder = laddersByMode[t.game_mode_id];
+    const results = t.results.map(r => {
+      const licence = normalizeLicence(r.licence);
+      const state = current[`${licence}|${t.game_mode_id}`];
+      return {
+        licence,
+        player_name: r.player_name,
+        position: Number(r.position) || 0,
+        match_points: Number(r.match_points) || 0,
+        moyenne: Number(r.moyenne) || 0,
+        poule_number: t.poules[licence] || null,
+        rating: state ? state.rating : getInitialRating(ladder, t.level),
+        tournaments_played: state ? state.tournaments_played : 0
+      };
+    });
+
+    rateTournament(results, t.bounds).forEach(r => {
+      const key = `${r.licence}|${t.game_mode_id}`;
+      const ratingAfter = Math.round((r.rating + r.delta) * 100) / 100;
+      const state = current[key] || { licence: r.licence, game_mode_id: t.game_mode_id, peak_rating: ratingAfter };
+
+      current[key] = {
+        ...state,
+        player_name: r.player_name,
+        rating: ratingAfter,
+        peak_rating: Math.max(state.peak_rating, ratingAfter),
+        tournaments_played: r.tournaments_played + 1,
+        last_tournament_id: t.id
+      };
+
+      history.push({
+        licence: r.licence,
+        game_mode_id: t.game_mode_id,
+        tournament_id: t.id,
+        season: t.season,
+        poule_number: r.poule_number,
+        position: r.position,
+        moyenne_score: r.moyenne_score === null ? null : Math.round(r.moyenne_score * 1000) / 1000,
+        expected_score: Math.round(r.expected * 1000) / 1000,
+        rating_before: Math.round(r.rating * 100) / 100,
+        rating_after: ratingAfter,
+        rating_delta: Math.round((ratingAfter - r.rating) * 100) / 100
+      });
+    });
+  });
+
+  return { ratings: Object.values(current), history };
+}
+
+/**
+ * Poule numbers of the played tournaments, keyed by category/season/tournament number
+ * (convocation_poules belong to the IONOS tournament, see resolveTournamentContext)
+ */
+async function getPoulesByTournament() {
+  const result = await db.query(`
+    SELECT te.nom, te.mode, te.categorie, te.debut, cp.poule_number, cp.licence
+    FROM convocation_poules cp
+    JOIN tournoi_ext te ON cp.tournoi_id = te.tournoi_id
+  `);
+
+  const poules = {};
+  result.rows.forEach(row => {
+    const rawMode = (row.mode || '').toUpperCase().trim();
+    const gameType = MODE_TO_GAME_TYPE[rawMode] || rawMode;
+    const tournamentNumber = getTournamentNumberFromName(row.nom);
+    if (!tournamentNumber) return;
+
+    const key = `${normalizeCode(gameType)}|${normalizeCode(row.categorie)}|${getSeasonFromDate(row.debut)}|${tournamentNumber}`;
+    (poules[key] = poules[key] || {})[normalizeLicence(row.licence)] = row.poule_number;
+  });
+  return poules;
+}
+
+/**
+ * Load the tournaments in chronological order with their results, poules and bounds
+ */
+async function loadRatingInput() {
+  const [tournamentsResult, resultsResult, modesResult, paramsResult, levelsResult, poules] = await Promise.all([
+    db.query(`
+      SELECT t.id, t.season, t.tournament_number, c.game_type, c.level, gm.id as game_mode_id
+      FROM tournaments t
+      JOIN categories c ON t.category_id = c.id
+      JOIN game_modes gm ON UPPER(REPLACE(gm.code, ' ', '')) = UPPER(REPLACE(c.game_type, ' ', ''))
+      ORDER BY COALESCE(t.tournament_date, t.import_date), t.season, t.tournament_number, t.id
+    `),
+    db.query('SELECT tournament_id, licence, player_name, position, match_points, moyenne FROM tournament_results'),
+    db.query('SELECT id, code FROM game_modes'),
+    db.query('SELECT mode, categorie, moyenne_mini, moyenne_maxi FROM game_parameters'),
+    db.query('SELECT code, level_order FROM ffb_rankings'),
+    getPoulesByTournament()
+  ]);
+
+  const resultsByTournament = {};
+  resultsResult.rows.forEach(r => {
+    (resultsByTournament[r.tournament_id] = resultsByTournament[r.tournament_id] || []).push(r);
+  });
+
+  const levelOrder = {};
+  levelsResult.rows.forEach(r => { levelOrder[r.code.toUpperCase()] = r.level_order; });
+
+  const laddersByMode = {};
+  modesResult.rows.forEach(mode => {
+    const parameters = paramsResult.rows.filter(p => normalizeCode(p.mode) === normalizeCode(mode.code));
+    laddersByMode[mode.id] = getClassificationLadder(parameters, levelOrder);
+  });
+
+  const tournaments = tournamentsResult.rows
+    .filter(t => resultsByTournament[t.id])
+    .map(t => ({
+      id: t.id,
+      season: t.season,
+      tournament_number: t.tournament_number,
+      game_mode_id: t.game_mode_id,
+      level: t.level,
+      bounds: laddersByMode[t.game_mode_id].find(c => c.code === normalizeCode(t.level)) || null,
+      poules: poules[`${normalizeCode(t.game_type)}|${normalizeCode(t.level)}|${t.season}|${t.tournament_number}`] || {},
+      results: resultsByTournament[t.id]
+    }));
+
+  return { tournaments, laddersByMode };
+}
+
+async function runRatingRecalculation() {
+  const startedAt = Date.now();
+  const { tournaments, laddersByMode } = await loadRatingInput();
+  const { ratings, history } = computeRatings(tournaments, laddersByMode);
+
+  await db.transaction(async (tx) => {
+    await tx.query('DELETE FROM player_rating_history');
+    await tx.query('DELETE FROM player_ratings');
+
+    for (const r of ratings) {
+      await tx.query(`
+        INSERT INTO player_ratings (licence, game_mode_id, player_name, rating, peak_rating, tournaments_played, last_tournament_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [r.licence, r.game_mode_id, r.player_name, r.rating, r.peak_rating, r.tournaments_played, r.last_tournament_id]);
+    }
+
+    for (const h of history) {
+      await tx.query(`
+        INSERT INTO player_rating_history (
+          licence, game_mode_id, tournament_id, season, poule_number, position,
+          moyenne_score, expected_score, rating_before, rating_after, rating_delta
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        h.licence, h.game_mode_id, h.tournament_id, h.season, h.poule_number, h.position,
+        h.moyenne_score, h.expected_score, h.rating_before, h.rating_after, h.rating_delta
+      ]);
+    }
+  });
+
+  return {
+    tournaments: tournaments.length,
+    players: ratings.length,
+    historyRows: history.length,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+// Recalculations are chained: one started during another runs after it, on fresh data
+let ratingQueue = Promise.resolve();
+
+/**
+ * Recompute all ratings from the tournament results
+ * @returns {Promise<{tournaments, players, historyRows, durationMs}>}
+ */
+function recalculateRatings() {
+  const run = ratingQueue.then(runRatingRecalculation);
+  ratingQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Recompute the ratings in the background after results changed (errors are only logged)
+ */
+function scheduleRatingRecalculation() {
+  recalculateRatings().catch(err => console.error('Error recalculating player ratings:', err));
+}
+
+/**
+ * Current ratings of a player, one row per game mode
+ */
+async function getPlayerRatings(licence) {
+  const result = await db.query(`
+    SELECT pr.game_mode_id, gm.code as game_mode_code, gm.display_name as game_mode_name, gm.color as game_mode_color,
+           pr.rating, pr.peak_rating, pr.tournaments_played, pr.updated_at,
+           (SELECT COUNT(*) + 1 FROM player_ratings other
+            WHERE other.game_mode_id = pr.game_mode_id AND other.rating > pr.rating) as rating_rank
+    FROM player_ratings pr
+    JOIN game_modes gm ON pr.game_mode_id = gm.id
+    WHERE pr.licence = $1
+    ORDER BY gm.display_order
+  `, [normalizeLicence(licence)]);
+
+  return result.rows.map(r => ({
+    ...r,
+    rating: Math.round(Number(r.rating)),
+    peak_rating: Math.round(Number(r.peak_rating)),
+    provisional: r.tournaments_played < PROVISIONAL_TOURNAMENTS,
+    rating_rank: Number(r.rating_rank)
+  }));
+}
+
+/**
+ * Rating history of a player, chronological
+ * @param {number} [gameModeId] - restrict to one game mode
+ */
+async function getPlayerRatingHistory(licence, gameModeId) {
+  const params = [normalizeLicence(licence)];
+  let filter = '';
+  if (gameModeId) {
+    params.push(gameModeId);
+    filter = ' AND h.game_mode_id = $2';
+  }
+
+  const result = await db.query(`
+    SELECT h.game_mode_id, gm.display_name as game_mode_name, h.tournament_id, h.season,
+           t.tournament_number, t.tournament_date, c.display_name as category,
+           h.poule_number, h.position, h.rating_before, h.rating_after, h.rating_delta
+    FROM player_rating_history h
+    JOIN tournaments t ON h.tournament_id = t.id
+    JOIN categories c ON t.category_id = c.id
+    JOIN game_modes gm ON h.game_mode_id = gm.id
+    WHERE h.licence = $1${filter}
+    ORDER BY h.id
+  `, params);
+  return result.rows;
+}
+
+module.exports = {
+  BASE_RATING,
+  PROVISIONAL_TOURNAMENTS,
+  getMoyenneScore,
+  rateTournament,
+  computeRatings,
+  recalculateRatings,
+  scheduleRatingRecalculation,
+  getPlayerRatings,
+  getPlayerRatingHistory
+};
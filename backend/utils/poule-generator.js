@@ -0,0 +1,453 @@
+/**
+ * Poule Generator
+ *
+ * Single place where the poules of a tournament are composed, used by the
+ * official generation (generate-poules.html) and by the Player App simulation:
+ *
+ * 1. Seeding: CDBHS ranking of the season (rankings.rank_position) first, then
+ *    the players without ranking by inscription order. For T1, where no season
+ *    ranking exists yet, the players are seeded by FFB classification
+ *    (ffb_rankings.level_order of player_rankings) then inscription order.
+ *    Last minute players (not inscribed) come last.
+ * 2. Serpentine distribution of the seeds over the poule configuration.
+ * 3. Constraints, applied by swapping players of close seeds between poules:
+ *    - the top seeds (one per poule) are never moved, so they stay apart
+ *    - two players of the same club should not play in the same poule
+ *    Every swap is returned with its explanation; conflicts that cannot be
+ *    solved without breaking the seeding are reported as unresolved.
+ * 4. Venues: the poules are spread over the venues and start times within the
+ *    table inventory of the clubs (see venue-planner).
+ *
+ * A finale is a single poule (everyone plays everyone), no constraint applies.
+ */
+
+const db = require('../db-loader');
+const { MODE_TO_GAME_TYPE, resolveTournamentContext } = require('./tournament-context');
+const { FINALE_TOURNAMENT_NUMBER } = require('./qualifying-rounds');
+const { planTournamentVenues } = require('./venue-planner');
+const { normalizeLicence } = require('./licence');
+
+// Poule sizes and tables needed per number of players
+const POULE_CONFIG = {
+  3: { poules: [3], tables: 1 },
+  4: { poules: [4], tables: 2 },
+  5: { poules: [5], tables: 2 },
+  6: { poules: [3, 3], tables: 2 },
+  7: { poules: [3, 4], tables: 3 },
+  8: { poules: [3, 5], tables: 3 },
+  9: { poules: [3, 3, 3], tables: 3 },
+  10: { poules: [3, 3, 4], tables: 4 },
+  11: { poules: [3, 3, 5], tables: 4 },
+  12: { poules: [3, 3, 3, 3], tables: 4 },
+  13: { poules: [3, 3, 3, 4], tables: 5 },
+  14: { poules: [3, 3, 3, 5], tables: 5 },
+  15: { poules: [3, 3, 3, 3, 3], tables: 5 },
+  16: { poules: [3, 3, 3, 3, 4], tables: 6 },
+  17: { poules: [3, 3, 3, 3, 5], tables: 6 },
+  18: { poules: [3, 3, 3, 3, 3, 3], tables: 6 },
+  19: { poules: [3, 3, 3, 3, 3, 4], tables: 7 },
+  20: { poules: [3, 3, 3, 3, 3, 5], tables: 7 }
+};
+
+// Club comparison key, insensitive to case, spaces, dots and dashes (same rule as the club aliases lookup)
+const clubKey = (club) => (club || '').toUpperCase().replace(/[\s.-]/g, '');
+
+const playerName = (p) => `${p.last_name || ''} ${p.first_name || ''}`.trim() || p.licence;
+
+function formatPouleDescription(poules) {
+  if (poules.length === 0) return '-';
+  if (poules.length === 1) return `1 poule de ${poules[0]}`;
+  const counts = {};
+  poules.forEach(size => { counts[size] = (counts[size] || 0) + 1; });
+  const parts = [];
+  Object.keys(counts).sort((a, b) => a - b).forEach(size => {
+    const count = counts[size];
+    parts.push(`${count} poule${count > 1 ? 's' : ''} de ${size}`);
+  });
+  return `${parts.join(' et ')} (${poules.length} poules)`;
+}
+
+/**
+ * Poule configuration for a number of players
+ * @param {number} numPlayers
+ * @returns {{poules: number[], tables: number, description: string}}
+ */
+function getPouleConfig(numPlayers) {
+  if (numPlayers < 3) {
+    return { poules: [], tables: 0, description: 'Pas assez de joueurs' };
+  }
+  if (numPlayers > 20) {
+    const base = Math.floor(numPlayers / 3);
+    const remainder = numPlayers % 3;
+    const poules = Array(base).fill(3);
+    if (remainder === 1) {
+      poules[poules.length - 1] = 4;
+    } else if (remainder === 2) {
+      poules[poules.length - 1] = 5;
+    }
+    return {
+      poules,
+      tables: poules.length + 1,
+      description: formatPouleDescription(poules)
+    };
+  }
+  const config = POULE_CONFIG[numPlayers];
+  return { ...config, description: formatPouleDescription(config.poules) };
+}
+
+/**
+ * Serpentine distribution (1 2 3 / 3 2 1 / ...) of seeded players
+ * @param {Array} players - ordered by seed
+ * @param {number[]} pouleSizes
+ * @returns {Array<{number, size, players}>}
+ */
+function distributeSerpentine(players, pouleSizes) {
+  const numPoules = pouleSizes.length;
+  const poules = pouleSizes.map((size, i) => ({ number: i + 1, size, players: [] }));
+  let playerIndex = 0;
+  let round = 0;
+  while (playerIndex < players.length) {
+    const isLeftToRight = round % 2 === 0;
+    for (let i = 0; i < numPoules && playerIndex < players.length; i++) {
+      const pouleIndex = isLeftToRight ? i : (numPoules - 1 - i);
+      const poule = poules[pouleIndex];
+      if (poule.players.length < poule.size) {
+        poules[pouleIndex].players.push({ ...players[playerIndex], originalRank: playerIndex + 1 });
+        playerIndex++;
+      }
+    }
+    round++;
+  }
+  return poules;
+}
+
+const byTimestamp = (a, b) => {
+  if (!a.timestamp || !b.timestamp) {
+    return (a.timestamp ? 0 : 1) - (b.timestamp ? 0 : 1);
+  }
+  return new Date(a.timestamp) - new Date(b.timestamp);
+};
+
+/**
+ * Order players by seed
+ * @param {Array} players - { licence, first_name, last_name, club, timestamp } (no timestamp = last minute)
+ * @param {Object} seeding - output of loadSeedingData()
+ * @returns {Array} copies of the players with seed, rank, rank_display, isNew, seed_source and club_key
+ */
+function seedPlayers(players, seeding) {
+  const { rankByLicence, ffbByLicence, useFfb } = seeding;
+  const canonicalClubs = seeding.canonicalClubs || {};
+  const ranked = [];
+  const others = [];
+
+  players.forEach(p => {
+    const player = { ...p, club_key: canonicalClubs[clubKey(p.club)] || clubKey(p.club) };
+    const rank = rankByLicence[normalizeLicence(player.licence)];
+    if (rank) {
+      ranked.push({ ...player, rank, rank_display: `#${rank}`, isNew: false, seed_source: 'classement' });
+    } else {
+      const ffb = ffbByLicence[normalizeLicence(player.licence)];
+      others.push({
+        ...player,
+        rank: null,
+        rank_display: useFfb && ffb ? ffb.code : 'Nouveau',
+        ffb_classification: ffb ? ffb.code : null,
+        isNew: true,
+        seed_source: !player.timestamp ? 'derniere_minute' : (useFfb && ffb ? 'ffb' : 'inscription')
+      });
+    }
+  });
+
+  ranked.sort((a, b) => a.rank - b.rank);
+  if (useFfb) {
+    // Best classification first (lowest level_order), unclassified players after
+    const levelOf = (p) => {
+      const ffb = ffbByLicence[normalizeLicence(p.licence)];
+      return ffb ? ffb.level_order : Number.MAX_SAFE_INTEGER;
+    };
+    others.sort((a, b) => {
+      if (!a.timestamp !== !b.timestamp) return byTimestamp(a, b);
+      return (levelOf(a) - levelOf(b)) || byTimestamp(a, b);
+    });
+  } else {
+    others.sort(byTimestamp);
+  }
+
+  return [...ranked, ...others].map((p, idx) => ({ ...p, seed: idx + 1, finalRank: idx + 1 }));
+}
+
+/**
+ * Swap players between poules so that no poule holds two players of the same club
+ * A player is only swapped with a player of another poule whose seed is at most maxSeedGap away,
+ * and a swap must not create another club conflict.
+ * @param {Array} poules - output of distributeSerpentine()
+ * @param {Object} options - { avoidSameClub, keepTopSeedsApart, maxSeedGap }
+ * @returns {{swaps: Array, unresolved: Array}} poules are modified in place
+ */
+function applyConstraints(poules, options = {}) {
+  // Both constraints apply unless explicitly disabled
+  const avoidSameClub = options.avoidSameClub !== false;
+  const keepTopSeedsApart = options.keepTopSeedsApart !== false;
+  const maxSeedGap = options.maxSeedGap || poules.length;
+  const swaps = [];
+  const unresolved = [];
+
+  if (!avoidSameClub || poules.length < 2) {
+    return { swaps, unresolved };
+  }
+
+  // Top seeds are spread one per poule by the serpentine: they never move
+  const isPinned = (p) => keepTopSeedsApart && p.seed <= poules.length;
+  const keyOf = (p) => p.club_key || clubKey(p.club);
+  const hasClub = (poule, key, except) => poule.players.some(p => p !== except && keyOf(p) === key);
+  const skipped = new Set();
+
+  const findConflict = () => {
+    for (const poule of poules) {
+      const seen = new Set();
+      for (const p of poule.players) {
+        const key = keyOf(p);
+        if (!key) continue;
+        if (seen.has(key) && !skipped.has(`${poule.number}|${key}`)) {
+          return { poule, key };
+        }
+        seen.add(key);
+      }
+    }
+    return null;
+  };
+
+  let conflict;
+  while ((conflict = findConflict())) {
+    const { poule, key } = conflict;
+    // Move the lowest seeds of the club first
+    const movable = poule.players
+      .filter(p => keyOf(p) === key && !isPinned(p))
+      .sort((a, b) => b.seed - a.seed);
+
+    let best = null;
+    for (const mover of movable) {
+      for (const other of poules) {
+        if (other === poule || hasClub(other, key)) continue;
+        for (const partner of other.players) {
+          const gap = Math.abs(partner.seed - mover.seed);
+          if (isPinned(partner) || gap > maxSeedGap) continue;
+          const partnerKey = keyOf(partner);
+          if (partnerKey && hasClub(poule, partnerKey, mover)) continue;
+          if (!best || gap < best.gap) {
+            best = { mover, partner, target: other, gap };
+          }
+        }
+      }
+      if (best) break;
+    }
+
+    if (!best) {
+      skipped.add(`${poule.number}|${key}`);
+      const players = poule.players.filter(p => keyOf(p) === key);
+      unresolved.push({
+        constraint: 'same_club',
+        poule: poule.number,
+        club: players[0].club,
+        players: players.map(p => ({ licence: p.licence, name: playerName(p), seed: p.seed })),
+        explanation: `Poule ${poule.number} : ${players.map(playerName).join(', ')} (club ${players[0].club}) restent ensemble, aucun échange possible sans bouleverser la hiérarchie`
+      });
+      continue;
+    }
+
+    const { mover, partner, target } = best;
+    poule.players[poule.players.indexOf(mover)] = partner;
+    target.players[target.players.indexOf(partner)] = mover;
+    swaps.push({
+      constraint: 'same_club',
+      club: mover.club,
+      player: { licence: mover.licence, name: playerName(mover), seed: mover.seed, from: poule.number, to: target.number },
+      swappedWith: { licence: partner.licence, name: playerName(partner), seed: partner.seed, from: target.number, to: poule.number },
+      explanation: `${playerName(mover)} (n°${mover.seed}) passe de la poule ${poule.number} à la poule ${target.number}, ` +
+        `échangé avec ${playerName(partner)} (n°${partner.seed}) : deux joueurs du club ${mover.club} dans la poule ${poule.number}`
+    });
+  }
+
+  // Keep the seed order inside each poule
+  poules.forEach(p => p.players.sort((a, b) => a.seed - b.seed));
+  return { swaps, unresolved };
+}
+
+/**
+ * Compose the poules of seeded players
+ * @param {Array} seededPlayers - output of seedPlayers()
+ * @param {Object} options - { isFinale, avoidSameClub, keepTopSeedsApart, maxSeedGap }
+ * @returns {{config, poules, swaps, unresolved}}
+ */
+function composePoules(seededPlayers, options = {}) {
+  if (options.isFinale) {
+    return {
+      config: {
+        poules: [seededPlayers.length],
+        tables: 1,
+        description: `1 poule unique de ${seededPlayers.length} joueurs (Finale)`
+      },
+      poules: [{
+        number: 1,
+        size: seededPlayers.length,
+        players: seededPlayers.map((p, idx) => ({ ...p, originalRank: idx + 1 }))
+      }],
+      swaps: [],
+      unresolved: []
+    };
+  }
+
+  const config = getPouleConfig(seededPlayers.length);
+  const poules = distributeSerpentine(seededPlayers, config.poules);
+  const { swaps, unresolved } = applyConstraints(poules, options);
+  return { config, poules, swaps, unresolved };
+}
+
+/**
+ * Load what is needed to seed the players of a tournament
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {string[]} licences - players to seed
+ * @returns {Promise<{context, rankByLicence, ffbByLicence, canonicalClubs, useFfb}>}
+ */
+async function loadSeedingData(tournoi, licences) {
+  const context = await resolveTournamentContext(tournoi);
+  const normalizedLicences = licences.map(normalizeLicence).filter(Boolean);
+
+  const rankByLicence = {};
+  if (context.category) {
+    const rankingsResult = await db.query(
+      `SELECT licence, rank_position FROM rankings WHERE category_id = $1 AND season = $2`,
+      [context.category.id, context.season]
+    );
+    rankingsResult.rows.forEach(r => { rankByLicence[normalizeLicence(r.licence)] = r.rank_position; });
+  }
+
+  const ffbByLicence = {};
+  if (normalizedLicences.length > 0) {
+    const rawMode = (tournoi.mode || '').toUpperCase().trim();
+    const gameType = (MODE_TO_GAME_TYPE[rawMode] || rawMode).replace(/\s/g, '');
+    const placeholders = normalizedLicences.map((_, idx) => `$${idx + 2}`).join(', ');
+    const ffbResult = await db.query(`
+      SELECT pr.licence, UPPER(pr.ranking) as code, fr.level_order
+      FROM player_rankings pr
+      JOIN game_modes gm ON pr.game_mode_id = gm.id
+      JOIN ffb_rankings fr ON UPPER(fr.code) = UPPER(pr.ranking)
+      WHERE UPPER(REPLACE(gm.code, ' ', '')) = $1
+        AND pr.licence IN (${placeholders})
+    `, [gameType, ...normalizedLicences]);
+    ffbResult.rows.forEach(r => { ffbByLicence[r.licence] = { code: r.code, level_order: r.level_order }; });
+  }
+
+  // Club aliases, so that two spellings of the same club are recognized
+  const aliasesResult = await db.query('SELECT alias, canonical_name FROM club_aliases');
+  const canonicalClubs = {};
+  aliasesResult.rows.forEach(a => { canonicalClubs[clubKey(a.alias)] = clubKey(a.canonical_name); });
+
+  return {
+    context,
+    rankByLicence,
+    ffbByLicence,
+    canonicalClubs,
+    // No season ranking yet (T1): the FFB classification gives the seeds
+    useFfb: Object.keys(rankByLicence).length === 0
+  };
+}
+
+/**
+ * Generate the poules of a tournament from its inscriptions
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {Object} options
+ * @param {string[]} [options.licences] - selected players (inscribed or last minute);
+ *   defaults to every inscription that is not forfait nor désinscrit
+ * @param {boolean} [options.avoidSameClub=true]
+ * @param {boolean} [options.keepTopSeedsApart=true]
+ * @param {number} [options.maxSeedGap] - maximum seed difference of a swap (default: number of poules)
+ * @param {Array} [options.venues] - { club_id, start_time } venues of the day (default: the host club)
+ * @returns {Promise<Object>} seeding method, config, poules (with their locationNum), swaps,
+ *   unresolved conflicts and venue plan
+ */
+async function generatePoules(tournoi, options = {}) {
+  const inscriptionsResult = await db.query(`
+    SELECT i.licence, i.timestamp, i.forfait, i.statut,
+           p.first_name, p.last_name, p.club
+    FROM inscriptions i
+    LEFT JOIN players p ON i.licence = p.licence
+    WHERE i.tournoi_id = $1
+  `, [tournoi.tournoi_id]);
+
+  let players;
+  if (Array.isArray(options.licences)) {
+    const inscriptionByLicence = {};
+    inscriptionsResult.rows.forEach(i => { inscriptionByLicence[normalizeLicence(i.licence)] = i; });
+    const selected = [...new Set(options.licences.map(normalizeLicence).filter(Boolean))];
+
+    // Last minute players are not inscribed: their details come from the players table
+    const missing = selected.filter(l => !inscriptionByLicence[l]);
+    const extraByLicence = {};
+    if (missing.length > 0) {
+      const placeholders = missing.map((_, idx) => `$${idx + 1}`).join(', ');
+      const extraResult = await db.query(`
+        SELECT licence, first_name, last_name, club FROM players
+        WHERE licence IN (${placeholders})
+      `, missing);
+      extraResult.rows.forEach(p => { extraByLicence[normalizeLicence(p.licence)] = p; });
+    }
+
+    players = selected.map(licence => {
+      const source = inscriptionByLicence[licence] || extraByLicence[licence] || { licence };
+      return {
+        licence: source.licence,
+        first_name: source.first_name || '',
+        last_name: source.last_name || '',
+        club: source.club || '',
+        timestamp: inscriptionByLicence[licence] ? source.timestamp : null
+      };
+    });
+  } else {
+    players = inscriptionsResult.rows
+      .filter(i => i.forfait !== 1 && i.statut !== 'désinscrit')
+      .map(i => ({
+        licence: i.licence,
+        first_name: i.first_name || '',
+        last_name: i.last_name || '',
+        club: i.club || '',
+        timestamp: i.timestamp
+      }));
+  }
+
+  const seeding = await loadSeedingData(tournoi, players.map(p => p.licence));
+  const isFinale = seeding.context.tournamentNumber === FINALE_TOURNAMENT_NUMBER;
+
+  const seeded = seedPlayers(players, seeding);
+  const { config, poules, swaps, unresolved } = composePoules(seeded, { ...options, isFinale });
+
+  const venuePlan = await planTournamentVenues(tournoi, poules.map(p => ({ number: p.number, size: p.players.length })), options.venues);
+  poules.forEach(p => { p.locationNum = venuePlan.assignments[p.number] || '1'; });
+
+  return {
+    tournoi_id: tournoi.tournoi_id,
+    season: seeding.context.season,
+    category_id: seeding.context.category ? seeding.context.category.id : null,
+    tournament_number: seeding.context.tournamentNumber,
+    is_finale: isFinale,
+    seeding_method: seeding.useFfb ? 'ffb' : 'classement',
+    player_count: seeded.length,
+    config,
+    poules,
+    swaps,
+    unresolved,
+    venue_plan: venuePlan
+  };
+}
+
+module.exports = {
+  POULE_CONFIG,
+  getPouleConfig,
+  formatPouleDescription,
+  distributeSerpentine,
+  seedPlayers,
+  applyConstraints,
+  composePoules,
+  loadSeedingData,
+  generatePoules
+};
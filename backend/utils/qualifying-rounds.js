@@ -0,0 +1,91 @@
+/**
+ * Qualifying Rounds
+ *
+ * A season has N qualifying tournaments (3 by default, configurable per
+ * category/season through the ranking rules) followed by the finale.
+ * The finale keeps tournament_number 4 for compatibility with existing data,
+ * so qualifying rounds are numbered 1, 2, 3, then 5, 6, ... (round 4 = tournament_number 5).
+ */
+
+const FINALE_TOURNAMENT_NUMBER = 4;
+const DEFAULT_QUALIFYING_ROUNDS = 3;
+const MAX_QUALIFYING_ROUNDS = 6;
+
+/**
+ * Round index (1-based) -> tournament_number
+ */
+function roundToTournamentNumber(round) {
+  return round < FINALE_TOURNAMENT_NUMBER ? round : round + 1;
+}
+
+/**
+ * tournament_number -> round index (null for the finale)
+ */
+function tournamentNumberToRound(tournamentNumber) {
+  const number = parseInt(tournamentNumber, 10);
+  if (number === FINALE_TOURNAMENT_NUMBER) {
+    return null;
+  }
+  return number < FINALE_TOURNAMENT_NUMBER ? number : number - 1;
+}
+
+/**
+ * Whether a tournament designates the finale
+ * @param {number|string} tournament - tournament_number, or 'Finale' (competition selects)
+ */
+function isFinaleTournament(tournament) {
+  return String(tournament).toLowerCase() === 'finale' || parseInt(tournament, 10) === FINALE_TOURNAMENT_NUMBER;
+}
+
+/**
+ * tournament_number values of the qualifying rounds
+ * @param {number} count - number of qualifying rounds
+ * @returns {number[]} e.g. 5 -> [1, 2, 3, 5, 6]
+ */
+function getQualifyingTournamentNumbers(count = DEFAULT_QUALIFYING_ROUNDS) {
+  const numbers = [];
+  for (let round = 1; round <= count; round++) {
+    numbers.push(roundToTournamentNumber(round));
+  }
+  return numbers;
+}
+
+/**
+ * Display label of a tournament
+ * @param {number} tournamentNumber
+ * @param {boolean} short - "T4" / "Finale" instead of "Tournoi 4" / "Finale Départementale"
+ */
+function getTournamentLabel(tournamentNumber, short = false) {
+  const round = tournamentNumberToRound(tournamentNumber);
+  if (round === null) {
+    return short ? 'Finale' : 'Finale Départementale';
+  }
+  return short ? `T${round}` : `Tournoi ${round}`;
+}
+
+/**
+ * Rounds description for the rankings API / exports
+ * @param {number} count - number of qualifying rounds
+ * @param {number[]} playedNumbers - tournament_number values already imported
+ * @returns {Array<{round, tournament_number, label, played}>}
+ */
+function describeQualifyingRounds(count, playedNumbers = []) {
+  return getQualifyingTournamentNumbers(count).map((tournamentNumber, idx) => ({
+    round: idx + 1,
+    tournament_number: tournamentNumber,
+    label: getTournamentLabel(tournamentNumber, true),
+    played: playedNumbers.includes(tournamentNumber)
+  }));
+}
+
+module.exports = {
+  FINALE_TOURNAMENT_NUMBER,
+  DEFAULT_QUALIFYING_ROUNDS,
+  MAX_QUALIFYING_ROUNDS,
+  roundToTournamentNumber,
+  tournamentNumberToRound,
+  isFinaleTournament,
+  getQualifyingTournamentNumbers,
+  getTournamentLabel,
+  describeQualifyingRounds
+};
@@ -0,0 +1,142 @@
+/**
+ * Ranking History
+ *
+ * recalculateRankings() replaces the rankings rows, so a copy of the standings
+ * is kept in ranking_snapshots after each recalculation, keyed by the latest
+ * qualifying tournament included. Snapshots give the standings at any past
+ * point of the season and the position movement between two tournaments.
+ */
+
+const db = require('../db-loader');
+const { normalizeLicence } = require('./licence');
+
+/**
+ * Save the standings of a category/season
+ * The snapshot replaces any previous one for the same tournament; snapshots of
+ * tournaments that are no longer in the results (deleted) are removed.
+ * @param {number} categoryId
+ * @param {string} season
+ * @param {Array} results - output of computeRankings(), in ranking order
+ * @param {number[]} playedNumbers - tournament_number values included in the results
+ * @param {Object} executor - db or a transaction (anything with query())
+ * @returns {Promise<number|null>} tournament_number of the snapshot (null when nothing was played)
+ */
+async function saveRankingSnapshot(categoryId, season, results, playedNumbers, executor = db) {
+  if (playedNumbers.length === 0) {
+    await executor.query('DELETE FROM ranking_snapshots WHERE category_id = $1 AND season = $2', [categoryId, season]);
+    return null;
+  }
+
+  const tournamentNumber = Math.max(...playedNumbers);
+  const playedPlaceholders = playedNumbers.map((_, idx) => `$${idx + 4}`).join(', ');
+
+  await executor.query(`
+    DELETE FROM ranking_snapshots
+    WHERE category_id = $1 AND season = $2
+      AND (tournament_number = $3 OR tournament_number NOT IN (${playedPlaceholders}))
+  `, [categoryId, season, tournamentNumber, ...playedNumbers]);
+
+  for (let i = 0; i < results.length; i++) {
+    const r = results[i];
+    await executor.query(`
+      INSERT INTO ranking_snapshots (
+        category_id, season, tournament_number, licence, player_name,
+        rank_position, total_match_points, avg_moyenne, best_serie, tournament_points
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      categoryId, season, tournamentNumber, r.licence, r.player_name,
+      i + 1, r.total_points, r.avg_moyenne, r.best_serie, JSON.stringify(r.tournament_points)
+    ]);
+  }
+
+  return tournamentNumber;
+}
+
+/**
+ * Snapshots available for a category/season
+ * @returns {Promise<Array<{tournament_number, players_count, created_at}>>}
+ */
+async function getSnapshotList(categoryId, season) {
+  const result = await db.query(`
+    SELECT tournament_number, COUNT(*)::int as players_count, MAX(created_at) as created_at
+    FROM ranking_snapshots
+    WHERE category_id = $1 AND season = $2
+    GROUP BY tournament_number
+    ORDER BY tournament_number
+  `, [categoryId, season]);
+  return result.rows;
+}
+
+/**
+ * Standings saved after a tournament
+ * @returns {Promise<Array>} snapshot rows in ranking order (empty when no snapshot)
+ */
+async function getRankingSnapshot(categoryId, season, tournamentNumber) {
+  const result = await db.query(`
+    SELECT licence, player_name, rank_position, total_match_points, avg_moyenne, best_serie,
+           tournament_points, created_at
+    FROM ranking_snapshots
+    WHERE category_id = $1 AND season = $2 AND tournament_number = $3
+    ORDER BY rank_position
+  `, [categoryId, season, tournamentNumber]);
+  return result.rows;
+}
+
+/**
+ * Positions of the latest snapshot before a tournament
+ * @returns {Promise<{tournament_number, positions: Object}|null>} positions keyed by licence
+ */
+async function getPreviousPositions(categoryId, season, tournamentNumber) {
+  const previous = await db.query(`
+    SELECT MAX(tournament_number) as tournament_number
+    FROM ranking_snapshots
+    WHERE category_id = $1 AND season = $2 AND tournament_number < $3
+  `, [categoryId, season, tournamentNumber]);
+
+  const previousNumber = previous.rows[0]?.tournament_number;
+  if (!previousNumber) {
+    return null;
+  }
+
+  const rows = await getRankingSnapshot(categoryId, season, previousNumber);
+  const positions = {};
+  rows.forEach(r => { positions[normalizeLicence(r.licence)] = r.rank_position; });
+
+  return { tournament_number: previousNumber, positions };
+}
+
+/**
+ * Add position movement to ranking rows
+ * movement: 'up' / 'down' / 'same', 'new' for a player absent from the previous
+ * standings, null when there is no previous snapshot; movement_delta > 0 = places gained
+ * @param {Array} rows - ranking rows ({ licence, rank_position })
+ * @param {{positions}|null} previous - output of getPreviousPositions()
+ */
+function applyMovement(rows, previous) {
+  return rows.map(row => {
+    if (!previous) {
+      return { ...row, previous_position: null, movement: null, movement_delta: 0 };
+    }
+
+    const previousPosition = previous.positions[normalizeLicence(row.licence)] ?? null;
+    if (previousPosition === null) {
+      return { ...row, previous_position: null, movement: 'new', movement_delta: 0 };
+    }
+
+    const delta = previousPosition - row.rank_position;
+    return {
+      ...row,
+      previous_position: previousPosition,
+      movement: delta > 0 ? 'up' : (delta < 0 ? 'down' : 'same'),
+      movement_delta: delta
+    };
+  });
+}
+
+module.exports = {
+  saveRankingSnapshot,
+  getSnapshotList,
+  getRankingSnapshot,
+  getPreviousPositions,
+  applyMovement
+};
@@ -0,0 +1,257 @@
+/**
+ * Ranking Rules
+ *
+ * Season ranking rules stored per category/season in ranking_rules and applied
+ * by recalculateRankings(). Lookup order: category + season, category (all
+ * seasons), season (all categories), global rule, then DEFAULT_RANKING_RULES
+ * (the historical CDBHS ranking).
+ */
+
+const db = require('../db-loader');
+const { DEFAULT_QUALIFYING_ROUNDS, MAX_QUALIFYING_ROUNDS } = require('./qualifying-rounds');
+const { normalizeLicence } = require('./licence');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+
+// Tiebreak criteria available after the ranking points (all DESC)
+const TIEBREAK_FIELDS = {
+  moyenne: 'Moyenne générale',
+  serie: 'Meilleure série',
+  points: 'Total des points',
+  match_points: 'Total des points de match',
+  tournaments_played: 'Nombre de tournois joués'
+};
+
+const POINTS_SYSTEMS = {
+  match_points: 'Points de match cumulés',
+  position_points: 'Points selon la place obtenue à chaque tournoi'
+};
+
+const DEFAULT_RANKING_RULES = {
+  qualifying_rounds: DEFAULT_QUALIFYING_ROUNDS,
+  points_system: 'match_points',
+  position_points: [],
+  best_of: null,
+  attendance_bonus: 0,
+  tiebreaks: ['moyenne', 'serie']
+};
+
+/**
+ * Validate a rules object
+ * @returns {string[]} error messages (empty when valid)
+ */
+function validateRankingRules(rules) {
+  const errors = [];
+  if (!rules || typeof rules !== 'object') {
+    return ['Règles de classement invalides'];
+  }
+
+  if (rules.qualifying_rounds !== undefined && rules.qualifying_rounds !== null) {
+    const rounds = Number(rules.qualifying_rounds);
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_QUALIFYING_ROUNDS) {
+      errors.push(`Le nombre de tournois qualificatifs doit être compris entre 1 et ${MAX_QUALIFYING_ROUNDS}`);
+    }
+  }
+  if (rules.points_system !== undefined && !POINTS_SYSTEMS[rules.points_system]) {
+    errors.push(`Système de points inconnu: ${rules.points_system}`);
+  }
+  if (rules.points_system === 'position_points') {
+    if (!Array.isArray(rules.position_points) || rules.position_points.length === 0) {
+      errors.push('Le barème de points par place est requis');
+    } else if (rules.position_points.some(p => !Number.isInteger(Number(p)) || Number(p) < 0)) {
+      errors.push('Le barème de points par place doit contenir des entiers positifs');
+    }
+  }
+  if (rules.best_of !== undefined && rules.best_of !== null) {
+    if (!Number.isInteger(Number(rules.best_of)) || Number(rules.best_of) < 1) {
+      errors.push('Le nombre de tournois retenus doit être un entier positif');
+    }
+  }
+  if (rules.attendance_bonus !== undefined && (!Number.isInteger(Number(rules.attendance_bonus)) || Number(rules.attendance_bonus) < 0)) {
+    errors.push('Le bonus de participation doit être un entier positif');
+  }
+  if (rules.tiebreaks !== undefined) {
+    if (!Array.isArray(rules.tiebreaks)) {
+      errors.push('Les critères de départage doivent être une liste');
+    } else {
+      rules.tiebreaks
+        .filter(t => !TIEBREAK_FIELDS[t])
+        .forEach(t => errors.push(`Critère de départage inconnu: ${t}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge stored rules over the defaults and coerce types
+ */
+function normalizeRankingRules(rules = {}) {
+  const merged = { ...DEFAULT_RANKING_RULES, ...rules };
+  return {
+    qualifying_rounds: parseInt(merged.qualifying_rounds, 10) || DEFAULT_QUALIFYING_ROUNDS,
+    points_system: merged.points_system,
+    position_points: (merged.position_points || []).map(Number),
+    best_of: merged.best_of ? parseInt(merged.best_of, 10) : null,
+    attendance_bonus: Number(merged.attendance_bonus) || 0,
+    tiebreaks: [...new Set(merged.tiebreaks || [])]
+  };
+}
+
+/**
+ * Get the rules applying to a category/season
+ * @returns {Promise<Object>} normalized rules, with source_id (null when defaults)
+ */
+async function getRankingRules(categoryId, season) {
+  const result = await db.query(`
+    SELECT id, rules FROM ranking_rules
+    WHERE (category_id = $1 OR category_id IS NULL)
+      AND (season = $2 OR season IS NULL)
+    ORDER BY (category_id IS NULL), (season IS NULL)
+    LIMIT 1
+  `, [categoryId, season]);
+
+  const row = result.rows[0];
+  if (!row) {
+    return { ...normalizeRankingRules(), source_id: null };
+  }
+
+  const stored = typeof row.rules === 'string' ? JSON.parse(row.rules) : row.rules;
+  return { ...normalizeRankingRules(stored), source_id: row.id };
+}
+
+/**
+ * Ranking points earned in one tournament
+ */
+function getTournamentPoints(result, rules) {
+  if (rules.points_system === 'position_points') {
+    const position = parseInt(result.position, 10);
+    return position > 0 ? (rules.position_points[position - 1] || 0) : 0;
+  }
+  return result.match_points || 0;
+}
+
+// Points the moyenne is computed from: weighted to the reference distance when the result
+// comes from the match finalization (handicap / reduced distance), raw points otherwise
+const moyennePoints = (result) => Number(result.weighted_points ?? result.points) || 0;
+
+/**
+ * Compute the season ranking from per-tournament results
+ * @param {Array} results - one row per player and tournament
+ *   ({ licence, player_name, tournament_number, match_points, points, weighted_points, reprises, serie, position })
+ * @param {Object} rules - normalized rules
+ * @returns {Array} players in ranking order ({ licence, player_name, total_points, avg_moyenne,
+ *   best_serie, tournament_points: { [number]: points }, tournaments_played, counted_tournaments })
+ */
+function computeRankings(results, rules) {
+  const byPlayer = {};
+  results.forEach(r => {
+    const licence = normalizeLicence(r.licence || '');
+    if (!byPlayer[licence]) {
+      byPlayer[licence] = { licence, player_name: r.player_name, tournaments: [] };
+    }
+    byPlayer[licence].tournaments.push({
+      ...r,
+      ranking_points: getTournamentPoints(r, rules)
+    });
+  });
+
+  const ranked = Object.values(byPlayer).map(player => {
+    // Drop the worst tournaments when only the best N count
+    const sorted = [...player.tournaments].sort((a, b) =>
+      (b.ranking_points - a.ranking_points) ||
+      ((b.reprises > 0 ? moyennePoints(b) / b.reprises : 0) - (a.reprises > 0 ? moyennePoints(a) / a.reprises : 0))
+    );
+    const counted = rules.best_of ? sorted.slice(0, rules.best_of) : sorted;
+
+    const sum = (list, field) => list.reduce((total, t) => total + (Number(t[field]) || 0), 0);
+    const countedPoints = sum(counted, 'points');
+    const countedReprises = sum(counted, 'reprises');
+    const countedMoyennePoints = counted.reduce((total, t) => total + moyennePoints(t), 0);
+
+    const tournamentPoints = {};
+    player.tournaments.forEach(t => { tournamentPoints[t.tournament_number] = t.ranking_points; });
+
+    return {
+      licence: player.licence,
+      player_name: player.player_name,
+      total_points: sum(counted, 'ranking_points') + rules.attendance_bonus * player.tournaments.length,
+      match_points: sum(counted, 'match_points'),
+      points: countedPoints,
+      reprises: countedReprises,
+      avg_moyenne: countedReprises > 0 ? countedMoyennePoints / countedReprises : 0,
+      best_serie: Math.max(0, ...player.tournaments.map(t => Number(t.serie) || 0)),
+      tournament_points: tournamentPoints,
+      tournaments_played: player.tournaments.length,
+      counted_tournaments: counted.map(t => t.tournament_number).sort((a, b) => a - b)
+    };
+  });
+
+  const tiebreakValue = {
+    moyenne: p => p.avg_moyenne,
+    serie: p => p.best_serie,
+    points: p => p.points,
+    match_points: p => p.match_points,
+    tournaments_played: p => p.tournaments_played
+  };
+
+  ranked.sort((a, b) => {
+    if (b.total_points !== a.total_points) {
+      return b.total_points - a.total_points;
+    }
+    for (const field of rules.tiebreaks) {
+      const diff = tiebreakValue[field](b) - tiebreakValue[field](a);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  });
+
+  return ranked;
+}
+
+/**
+ * Human readable description of the rules (ranking export, rankings page)
+ * @param {string} language - language of the lines (French by default)
+ * @returns {string[]}
+ */
+function describeRankingRules(rules, language = DEFAULT_LANGUAGE) {
+  const lines = [];
+
+  if (rules.qualifying_rounds !== DEFAULT_QUALIFYING_ROUNDS) {
+    lines.push(translate(language, 'rules.qualifying_rounds', { count: rules.qualifying_rounds }));
+  }
+
+  if (rules.points_system === 'position_points') {
+    const scale = rules.position_points
+      .map((p, idx) => translate(language, 'rules.position_points_item', { position: idx + 1, points: p }))
+      .join(', ');
+    lines.push(translate(language, 'rules.position_points', { scale }));
+  } else {
+    lines.push(translate(language, 'rules.match_points'));
+  }
+
+  if (rules.best_of) {
+    lines.push(translate(language, 'rules.best_of', { count: rules.best_of }));
+  }
+  if (rules.attendance_bonus > 0) {
+    lines.push(translate(language, 'rules.attendance_bonus', { points: rules.attendance_bonus }));
+  }
+  if (rules.tiebreaks.length > 0) {
+    const fields = rules.tiebreaks
+      .map(t => translate(language, `rules.tiebreak_${t}`))
+      .join(translate(language, 'rules.tiebreaks_separator'));
+    lines.push(translate(language, 'rules.tiebreaks', { fields }));
+  }
+
+  return lines;
+}
+
+module.exports = {
+  TIEBREAK_FIELDS,
+  POINTS_SYSTEMS,
+  DEFAULT_RANKING_RULES,
+  validateRankingRules,
+  normalizeRankingRules,
+  getRankingRules,
+  computeRankings,
+  describeRankingRules
+};
@@ -0,0 +1,516 @@
+/**
+ * Email Template Engine
+ *
+ * Sandboxed template language of email_templates, compatible with the existing
+ * {variable} placeholders:
+ * - {player_name}, {player.club}                 variables and object fields
+ * - {tournament_date | date:"long"}              filters (see FILTERS)
+ * - {#if qualified}...{#elif rank <= 6}...{#else}...{/if}
+ * - {#each results as r}{loop.index}. {r.name}{#else}Aucun résultat{/each}
+ *
+ * Templates are parsed, never evaluated: expressions can only read the variables
+ * given to render() (own properties only) and call the filters below.
+ * Quill HTML is accepted: encoded braces (&#123;var&#125;), entities inside tags
+ * (&quot;, &gt;) and formatting tags inside braces ({<strong>var</strong>}).
+ * Double braces ({{var}}, finale results templates) are read as {var}.
+ */
+
+class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (ligne ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line || null;
+  }
+}
+
+const MONTHS = ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'];
+const WEEKDAYS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+// Dates come as Date, ISO strings (database) or dd/mm/yyyy (already formatted)
+function toDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value !== 'string' || !value) return null;
+  const fr = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (fr) return new Date(parseInt(fr[3], 10), parseInt(fr[2], 10) - 1, parseInt(fr[1], 10));
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!iso) return null;
+  // Date-only values are local dates (no timezone shift)
+  const date = value.length === 10
+    ? new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10))
+    : new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const FILTERS = {
+  // date:"long" samedi 12 octobre 2026, "short" 12/10/2026, "day" 12 octobre, "weekday" samedi, "month" octobre 2026
+  date: (value, format = 'short') => {
+    const d = toDate(value);
+    if (!d) return value;
+    switch (format) {
+      case 'long': return `${WEEKDAYS[d.getDay()]} ${d.getDate()} ${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+      case 'day': return `${d.getDate()} ${MONTHS[d.getMonth()]}`;
+      case 'weekday': return WEEKDAYS[d.getDay()];
+      case 'month': return `${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+      default: return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+    }
+  },
+  // 14:00 -> 14H00
+  time: (value) => (value ? String(value).slice(0, 5).replace(':', 'H') : value),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value ?? '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  number: (value, decimals) => {
+    const n = parseFloat(value);
+    if (isNaN(n)) return value;
+    return decimals === undefined ? String(n) : n.toFixed(parseInt(decimals, 10));
+  },
+  escape: (value) => escapeHtml(value ?? ''),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  length: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  // joueur{count|plural} -> joueurs when count > 1
+  plural: (value, suffix = 's', singular = '') => (parseFloat(value) > 1 ? suffix : singular)
+};
+
+// ==================== PARSER ====================
+
+const TAG_PATTERN = /\{\s*([#/]?[A-Za-z_@][^{}\n]*?)\s*\}/g;
+const PATH_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+// A variable path, optionally followed by filters
+const OUTPUT_PATTERN = /^[A-Za-z_][\w.]*\s*(\|.*)?$/;
+
+const ENTITIES = { '&quot;': '"', '&#39;': "'", '&apos;': "'", '&gt;': '>', '&lt;': '<', '&nbsp;': ' ', '&amp;': '&' };
+
+/**
+ * Undo what the Quill editor does to placeholders
+ */
+function normalizeQuill(template) {
+  return template
+    .replace(/&#123;/g, '{')
+    .replace(/&#125;/g, '}')
+    .replace(/\{\{([^{}]*)\}\}/g, '{$1}')
+    // {<strong>var</strong>} -> <strong>{var}</strong>
+    .replace(/\{((?:<[^>]+>)+)([^{}<>]+)((?:<\/[^>]+>)*)\}/g, '$1{$2}$3')
+    .replace(/\{((?:<[^>]+>)*)([^{}<>]+)((?:<\/[^>]+>)+)\}/g, '$1{$2}$3');
+}
+
+function decodeTag(source) {
+  return source
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(quot|#39|apos|gt|lt|nbsp|amp);/g, entity => ENTITIES[entity])
+    .trim();
+}
+
+/**
+ * Split on a separator outside of quoted strings
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Literal (string, number, boolean) or variable path
+ */
+function parseOperand(text, line) {
+  if (/^(["']).*\1$/.test(text)) return { literal: text.slice(1, -1) };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: parseFloat(text) };
+  if (text === 'true' || text === 'false') return { literal: text === 'true' };
+  if (!PATH_PATTERN.test(text)) {
+    throw new TemplateError(`Expression invalide "${text}"`, line);
+  }
+  return { path: text.split('.') };
+}
+
+// {value | filter:"arg":2 | filter}
+function parseOutput(source, line) {
+  const [valueText, ...filterTexts] = splitOutsideQuotes(source, '|');
+  const value = parseOperand(valueText, line);
+  const filters = filterTexts.map(text => {
+    const [name, ...args] = splitOutsideQuotes(text, ':');
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+      throw new TemplateError(`Filtre inconnu "${name}"`, line);
+    }
+    return { name, args: args.map(arg => parseOperand(arg, line)) };
+  });
+  return { value, filters };
+}
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+
+// a, not a, a == "x", a > 3, combined with and / or (and binds tighter)
+function parseCondition(source, line) {
+  if (!source) {
+    throw new TemplateError('Condition manquante', line);
+  }
+  const tokens = source.match(/"[^"]*"|'[^']*'|==|!=|>=|<=|>|<|[^\s=!<>]+/g) || [];
+  let pos = 0;
+
+  const parseComparison = () => {
+    let negate = false;
+    while (tokens[pos] === 'not') {
+      negate = !negate;
+      pos++;
+    }
+    if (pos >= tokens.length) {
+      throw new TemplateError(`Condition incomplète "${source}"`, line);
+    }
+    const left = parseOperand(tokens[pos++], line);
+    if (COMPARISON_OPERATORS.includes(tokens[pos])) {
+      const operator = tokens[pos++];
+      if (pos >= tokens.length) {
+        throw new TemplateError(`Condition incomplète "${source}"`, line);
+      }
+      return { negate, left, operator, right: parseOperand(tokens[pos++], line) };
+    }
+    return { negate, left };
+  };
+
+  const parseAnd = () => {
+    const terms = [parseComparison()];
+    while (tokens[pos] === 'and') {
+      pos++;
+      terms.push(parseComparison());
+    }
+    return terms;
+  };
+
+  const anyOf = [parseAnd()];
+  while (tokens[pos] === 'or') {
+    pos++;
+    anyOf.push(parseAnd());
+  }
+  if (pos < tokens.length) {
+    throw new TemplateError(`Condition invalide "${source}"`, line);
+  }
+  return { anyOf };
+}
+
+/**
+ * Parse a template into a tree of nodes:
+ * text, output, if ({ branches: [{ condition, body }], elseBody }), each ({ path, alias, body, elseBody })
+ */
+function parse(template) {
+  const source = normalizeQuill(template || '');
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  let current = root.body;
+  let lastIndex = 0;
+  let match;
+
+  const lineAt = (index) => source.slice(0, index).split('\n').length;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const line = lineAt(match.index);
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = decodeTag(match[1]);
+    const block = stack[stack.length - 1];
+
+    if (tag.startsWith('#if ') || tag === '#if') {
+      const node = { type: 'if', branches: [{ condition: parseCondition(tag.slice(3).trim(), line), body: [] }], elseBody: null, line };
+      current.push(node);
+      stack.push(node);
+      current = node.branches[0].body;
+    } else if (tag.startsWith('#elif ') || tag === '#elif') {
+      if (block.type !== 'if' || block.elseBody) {
+        throw new TemplateError('{#elif} sans {#if} correspondant', line);
+      }
+      const branch = { condition: parseCondition(tag.slice(5).trim(), line), body: [] };
+      block.branches.push(branch);
+      current = branch.body;
+    } else if (tag === '#else') {
+      if ((block.type !== 'if' && block.type !== 'each') || block.elseBody) {
+        throw new TemplateError('{#else} sans {#if} ou {#each} correspondant', line);
+      }
+      block.elseBody = [];
+      current = block.elseBody;
+    } else if (tag.startsWith('#each')) {
+      const each = tag.match(/^#each\s+([A-Za-z_][\w.]*)\s+as\s+([A-Za-z_]\w*)$/);
+      if (!each) {
+        throw new TemplateError(`Boucle invalide "{${tag}}", syntaxe : {#each liste as element}`, line);
+      }
+      if (each[2] === 'loop') {
+        throw new TemplateError('"loop" est réservé, choisissez un autre nom d\'élément', line);
+      }
+      const node = { type: 'each', path: each[1].split('.'), alias: each[2], body: [], elseBody: null, line };
+      current.push(node);
+      stack.push(node);
+      current = node.body;
+    } else if (tag === '/if' || tag === '/each') {
+      if (block.type !== tag.slice(1)) {
+        throw new TemplateError(`{${tag}} inattendu`, line);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.type === 'root' ? parent.body
+        : parent.type === 'each' ? (parent.elseBody || parent.body)
+          : (parent.elseBody || parent.branches[parent.branches.length - 1].body);
+    } else if (tag.startsWith('#') || tag.startsWith('/')) {
+      throw new TemplateError(`Bloc inconnu "{${tag}}"`, line);
+    } else if (OUTPUT_PATTERN.test(tag)) {
+      current.push({ type: 'output', expression: parseOutput(tag, line), line });
+    } else {
+      // Not a placeholder ({ texte entre accolades }), kept as is
+      current.push({ type: 'text', value: match[0] });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`{#${open.type}} non fermé par {/${open.type}}`, open.line);
+  }
+  if (lastIndex < source.length) {
+    root.body.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root;
+}
+
+// Parsed templates, the same templates are rendered once per recipient
+const cache = new Map();
+const CACHE_SIZE = 200;
+
+function compile(template) {
+  const key = template || '';
+  let tree = cache.get(key);
+  if (!tree) {
+    tree = parse(key);
+    if (cache.size >= CACHE_SIZE) cache.clear();
+    cache.set(key, tree);
+  }
+  return tree;
+}
+
+// ==================== RENDERING ====================
+
+// Own properties only: templates cannot reach prototypes (constructor, __proto__...)
+function resolvePath(path, scopes) {
+  let value;
+  const scope = scopes.find(s => s && Object.prototype.hasOwnProperty.call(s, path[0]));
+  if (!scope) return undefined;
+  value = scope[path[0]];
+  for (const key of path.slice(1)) {
+    if (value === null || value === undefined) return undefined;
+    if (key === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+      value = value.length;
+    } else if (typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)) {
+      value = value[key];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+const evaluate = (operand, scopes) => ('literal' in operand ? operand.literal : resolvePath(operand.path, scopes));
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value && value !== '0';
+}
+
+function compare(left, operator, right) {
+  const bothNumeric = left !== '' && right !== '' && !isNaN(left) && !isNaN(right) && left !== null && right !== null;
+  const a = bothNumeric ? parseFloat(left) : String(left ?? '');
+  const b = bothNumeric ? parseFloat(right) : String(right ?? '');
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '<': return a < b;
+    case '>=': return a >= b;
+    default: return a <= b;
+  }
+}
+
+function testCondition(condition, scopes) {
+  return condition.anyOf.some(terms => terms.every(term => {
+    const left = evaluate(term.left, scopes);
+    const result = term.operator
+      ? compare(left, term.operator, evaluate(term.right, scopes))
+      : isTruthy(left);
+    return term.negate ? !result : result;
+  }));
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'output': {
+        let value = evaluate(node.expression.value, scopes);
+        for (const filter of node.expression.filters) {
+          value = FILTERS[filter.name](value, ...filter.args.map(arg => evaluate(arg, scopes)));
+        }
+        output += formatValue(value);
+        break;
+      }
+      case 'if': {
+        const branch = node.branches.find(b => testCondition(b.condition, scopes));
+        const body = branch ? branch.body : node.elseBody;
+        if (body) output += renderNodes(body, scopes);
+        break;
+      }
+      case 'each': {
+        const list = resolvePath(node.path, scopes);
+        if (!Array.isArray(list) || list.length === 0) {
+          if (node.elseBody) output += renderNodes(node.elseBody, scopes);
+          break;
+        }
+        list.forEach((item, index) => {
+          const loop = { index: index + 1, first: index === 0, last: index === list.length - 1, count: list.length };
+          output += renderNodes(node.body, [{ [node.alias]: item, loop }, ...scopes]);
+        });
+        break;
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} template
+ * @param {Object} variables
+ * @returns {string}
+ * @throws {TemplateError} when the template is invalid
+ */
+function renderTemplate(template, variables = {}) {
+  if (!template || typeof template !== 'string') return template || '';
+  return renderNodes(compile(template).body, [variables]);
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Variables used by a template, loop elements are reported as their list
+ * @param {Object} aliases - loop element -> list name (null: not checked, e.g. nested lists)
+ * @returns {Array<{name, field, line}>} name: root variable, field: first field (list items and objects)
+ */
+function collectReferences(nodes, aliases = {}) {
+  const references = [];
+  const addPath = (path, line) => {
+    if (Object.prototype.hasOwnProperty.call(aliases, path[0])) {
+      if (aliases[path[0]]) {
+        references.push({ name: aliases[path[0]], field: path[1] || null, line });
+      }
+      return;
+    }
+    references.push({ name: path[0], field: path[1] || null, line });
+  };
+  const addOperand = (operand, line) => {
+    if (operand.path) addPath(operand.path, line);
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'output') {
+      addOperand(node.expression.value, node.line);
+      node.expression.filters.forEach(f => f.args.forEach(arg => addOperand(arg, node.line)));
+    } else if (node.type === 'if') {
+      node.branches.forEach(branch => {
+        branch.condition.anyOf.forEach(terms => terms.forEach(term => {
+          addOperand(term.left, node.line);
+          if (term.right) addOperand(term.right, node.line);
+        }));
+        references.push(...collectReferences(branch.body, aliases));
+      });
+      if (node.elseBody) references.push(...collectReferences(node.elseBody, aliases));
+    } else if (node.type === 'each') {
+      addPath(node.path, node.line);
+      const isRootList = node.path.length === 1 && !Object.prototype.hasOwnProperty.call(aliases, node.path[0]);
+      references.push(...collectReferences(node.body, {
+        ...aliases,
+        [node.alias]: isRootList ? node.path[0] : null,
+        loop: null
+      }));
+      if (node.elseBody) references.push(...collectReferences(node.elseBody, aliases));
+    }
+  }
+  return references;
+}
+
+/**
+ * Check a template against the variables available for it
+ * @param {string} template
+ * @param {Array<{name, description, fields}>} [knownVariables] - fields: keys of list items / objects
+ * @returns {{valid: boolean, errors: string[], unknownVariables: string[], variables: string[]}}
+ */
+function validateTemplate(template, knownVariables) {
+  let tree;
+  try {
+    tree = parse(template || '');
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return { valid: false, errors: [error.message], unknownVariables: [], variables: [] };
+    }
+    throw error;
+  }
+
+  const references = collectReferences(tree.body);
+  const variables = [...new Set(references.map(r => r.name))];
+  const unknown = new Set();
+
+  if (knownVariables) {
+    const known = {};
+    knownVariables.forEach(v => { known[v.name] = v; });
+    references.forEach(ref => {
+      const variable = known[ref.name];
+      if (!variable) {
+        unknown.add(ref.name);
+      } else if (ref.field && variable.fields && ref.field !== 'length' && !variable.fields.includes(ref.field)) {
+        unknown.add(`${ref.name}.${ref.field}`);
+      }
+    });
+  }
+
+  return { valid: true, errors: [], unknownVariables: [...unknown], variables };
+}
+
+module.exports = {
+  TemplateError,
+  FILTERS,
+  renderTemplate,
+  validateTemplate
+};
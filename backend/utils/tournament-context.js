@@ -0,0 +1,78 @@
+/**
+ * Tournament Context Helper
+ *
+ * Links an external tournament (tournoi_ext, from IONOS) to the internal
+ * ranking model: category, season and tournament number (qualifying rounds, 4 = finale).
+ */
+
+const db = require('../db-loader');
+const { FINALE_TOURNAMENT_NUMBER, roundToTournamentNumber } = require('./qualifying-rounds');
+
+// IONOS mode names -> categories.game_type (same mapping as the poule simulation)
+const MODE_TO_GAME_TYPE = {
+  'LIBRE': 'LIBRE',
+  '3BANDES': '3BANDES',
+  '3 BANDES': '3BANDES',
+  'BANDE': 'BANDE',
+  'BANDES': 'BANDE',
+  '1BANDE': 'BANDE',
+  '1 BANDE': 'BANDE',
+  'CADRE': 'CADRE'
+};
+
+/**
+ * Get season string for a date (season runs September -> August)
+ * @param {Date|string} date
+ * @returns {string} e.g. "2025-2026"
+ */
+function getSeasonFromDate(date) {
+  const d = date ? new Date(date) : new Date();
+  const year = d.getFullYear();
+  const month = d.getMonth();
+  return month >= 8 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+}
+
+/**
+ * Get tournament number from a tournoi_ext name
+ * "T1", "Tournoi 2", "TOURNOI3" -> round number (see utils/qualifying-rounds),
+ * anything containing "FINALE" -> the finale
+ * @param {string} nom
+ * @returns {number|null}
+ */
+function getTournamentNumberFromName(nom) {
+  const name = (nom || '').toUpperCase();
+  if (name.includes('FINALE')) {
+    return FINALE_TOURNAMENT_NUMBER;
+  }
+  const match = name.match(/\bT(?:OURNOI|OUR)?\s*(\d+)/);
+  return match ? roundToTournamentNumber(parseInt(match[1], 10)) : null;
+}
+
+/**
+ * Resolve the internal category/season/tournament number of a tournoi_ext row
+ * @param {Object} tournoi - tournoi_ext row (needs nom, mode, categorie, debut)
+ * @returns {Promise<{category: Object|null, season: string, tournamentNumber: number|null}>}
+ */
+async function resolveTournamentContext(tournoi) {
+  const rawMode = (tournoi.mode || '').toUpperCase().trim();
+  const gameType = MODE_TO_GAME_TYPE[rawMode] || rawMode;
+  const level = (tournoi.categorie || '').toUpperCase().trim();
+
+  const categoryResult = await db.query(
+    `SELECT * FROM categories WHERE UPPER(game_type) = $1 AND UPPER(level) = $2`,
+    [gameType, level]
+  );
+
+  return {
+    category: categoryResult.rows[0] || null,
+    season: getSeasonFromDate(tournoi.debut),
+    tournamentNumber: getTournamentNumberFromName(tournoi.nom)
+  };
+}
+
+module.exports = {
+  MODE_TO_GAME_TYPE,
+  getSeasonFromDate,
+  getTournamentNumberFromName,
+  resolveTournamentContext
+};
@@ -0,0 +1,240 @@
+/**
+ * Venue Planner
+ *
+ * Spreads the poules of a tournament day over its venues, using the table
+ * inventory of each club (clubs.tables_grand_coin / clubs.tables_petit_coin).
+ * The table size comes from the tournament (tournoi_ext.grand_coin).
+ *
+ * A venue is a club and a start time: the same club given with two start times
+ * is two sessions, each one using all its tables. Each poule goes to the venue
+ * that is the least loaded once it is placed (tables used / tables of the venue,
+ * the poules using the most tables first),
+ * so that the poules are spread over the venues in proportion to their tables,
+ * and gets its own tables there. When the tables are missing, the plan says it
+ * does not fit and why.
+ */
+
+const db = require('../db-loader');
+
+const TABLE_SIZES = {
+  grand_coin: { column: 'tables_grand_coin', label: 'grand coin' },
+  petit_coin: { column: 'tables_petit_coin', label: 'petit coin' }
+};
+
+const DEFAULT_START_TIME = '13:30';
+
+// Start time of a session: 13:30, 13h30 or 13H30
+const START_TIME_PATTERN = /^([01]?\d|2[0-3])[:hH]([0-5]\d)$/;
+
+const normalizeName = (value) => (value || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase().replace(/[\s.'-]/g, '');
+
+/**
+ * Start time in the HH:MM form of the convocations
+ * @returns {string|null} null when the value is not a time
+ */
+function normalizeStartTime(value) {
+  const match = typeof value === 'string' ? value.trim().match(START_TIME_PATTERN) : null;
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Check the venues requested for a plan (see loadVenues())
+ * @returns {string|null} error message, null when the venues are valid
+ */
+function validateVenues(requested) {
+  if (requested === undefined) {
+    return null;
+  }
+  if (!Array.isArray(requested)) {
+    return 'venues doit être une liste de lieux';
+  }
+  for (const entry of requested) {
+    if (!entry || typeof entry !== 'object' || entry.club_id === undefined || entry.club_id === null) {
+      return 'Chaque lieu doit indiquer son club (club_id)';
+    }
+    if (entry.start_times !== undefined && !Array.isArray(entry.start_times)) {
+      return 'start_times doit être une liste d\'horaires';
+    }
+    const startTimes = [...(entry.start_times || []), ...(entry.start_time !== undefined ? [entry.start_time] : [])];
+    const invalid = startTimes.find(t => normalizeStartTime(t) === null);
+    if (invalid !== undefined) {
+      return `Horaire invalide : ${JSON.stringify(invalid)} (format attendu HH:MM)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tables used by a poule: a poule of 3 plays its matches in turn on one table,
+ * poules of 4 or 5 use 2 tables, a finale of 6 uses 3 tables
+ * @param {number} size - players in the poule
+ * @returns {number}
+ */
+function tablesForPoule(size) {
+  return Math.max(1, Math.floor(size / 2));
+}
+
+function getTableSize(tournoi) {
+  return tournoi && tournoi.grand_coin ? 'grand_coin' : 'petit_coin';
+}
+
+/**
+ * Tables of a club for a table size
+ * @returns {number|null} null when the inventory of the club is not filled in
+ */
+function getClubTables(club, tableSize) {
+  const value = club[TABLE_SIZES[tableSize].column];
+  return value === null || value === undefined ? null : parseInt(value, 10);
+}
+
+/**
+ * Club hosting the tournament, found from tournoi_ext.lieu (name, display name or city)
+ */
+function findHostClub(clubs, lieu) {
+  const target = normalizeName(lieu);
+  if (!target) {
+    return null;
+  }
+  return clubs.find(c => {
+    const names = [c.name, c.display_name, c.city].map(normalizeName).filter(Boolean);
+    return names.some(n => n === target || n.includes(target) || target.includes(n));
+  }) || null;
+}
+
+/**
+ * Place the poules on the venues
+ * @param {Array<{number, size}>} poules
+ * @param {Array} venues - { locationNum, club_id, name, start_time, tables (null = unknown) }
+ * @param {string} tableSize - 'grand_coin' | 'petit_coin'
+ * @returns {{table_size, tables_needed, tables_available, fits, venues, assignments, tables_by_poule, warnings}}
+ *   assignments: poule number -> locationNum, tables_by_poule: poule number -> table numbers at its venue
+ */
+function planVenues(poules, venues, tableSize) {
+  const label = TABLE_SIZES[tableSize].label;
+  const warnings = [];
+  const slots = venues.map(v => ({ ...v, tables_used: 0, poules: [] }));
+  const assignments = {};
+  const tablesByPoule = {};
+  let fits = slots.length > 0;
+
+  if (slots.length === 0) {
+    warnings.push('Aucun lieu sélectionné : les poules ne sont pas réparties');
+  }
+  slots.filter(s => s.tables === null).forEach(s => {
+    warnings.push(`Inventaire des tables ${label} non renseigné pour ${s.name} : capacité non vérifiée`);
+  });
+
+  const free = (slot) => (slot.tables === null ? Infinity : slot.tables - slot.tables_used);
+  // A venue whose inventory is unknown is balanced as the largest known one
+  const tablesNeeded = poules.reduce((sum, p) => sum + tablesForPoule(p.size), 0);
+  const knownTables = slots.filter(s => s.tables !== null).map(s => s.tables);
+  const assumedTables = Math.max(1, knownTables.length > 0 ? Math.max(...knownTables) : tablesNeeded);
+  const loadWith = (slot, needed) => (slot.tables_used + needed) / (slot.tables === null ? assumedTables : Math.max(1, slot.tables));
+
+  // The poules using the most tables are placed first, while the venues still have room for them
+  [...poules].sort((a, b) => tablesForPoule(b.size) - tablesForPoule(a.size) || a.number - b.number).forEach(poule => {
+    if (slots.length === 0) {
+      return;
+    }
+    const needed = tablesForPoule(poule.size);
+    let slot = slots
+      .filter(s => free(s) >= needed)
+      .reduce((best, s) => (!best || loadWith(s, needed) < loadWith(best, needed) ? s : best), null);
+    if (!slot) {
+      // Does not fit anywhere: keep it on the venue with the most free tables and report it
+      fits = false;
+      slot = slots.reduce((best, s) => (free(s) > free(best) ? s : best), slots[0]);
+      warnings.push(`Poule ${poule.number} (${needed} table${needed > 1 ? 's' : ''}) : plus assez de tables ${label} disponibles, ` +
+        `placée à ${slot.name} ${slot.start_time.replace(':', 'H')} en surnombre`);
+    }
+    tablesByPoule[poule.number] = Array.from({ length: needed }, (_, idx) => slot.tables_used + idx + 1);
+    slot.tables_used += needed;
+    slot.poules.push(poule.number);
+    assignments[poule.number] = slot.locationNum;
+  });
+  slots.forEach(s => s.poules.sort((a, b) => a - b));
+
+  const unknown = slots.some(s => s.tables === null);
+  const tablesAvailable = unknown ? null : slots.reduce((sum, s) => sum + s.tables, 0);
+
+  if (!fits && tablesAvailable !== null && tablesAvailable < tablesNeeded) {
+    warnings.push(`Le tournoi nécessite ${tablesNeeded} tables ${label}, seulement ${tablesAvailable} disponibles : ` +
+      'ajoutez un lieu ou un horaire supplémentaire');
+  }
+
+  return {
+    table_size: tableSize,
+    tables_needed: tablesNeeded,
+    tables_available: tablesAvailable,
+    fits,
+    venues: slots,
+    assignments,
+    tables_by_poule: tablesByPoule,
+    warnings
+  };
+}
+
+/**
+ * Venues of a tournament with their table inventory
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {Array} [requested] - { club_id, start_time | start_times } in order of preference
+ *   (checked by validateVenues()); defaults to the club hosting the tournament
+ * @returns {Promise<Array>} one venue per club and start time, numbered as the convocation locations (locationNum)
+ */
+async function loadVenues(tournoi, requested) {
+  const tableSize = getTableSize(tournoi);
+  const clubsResult = await db.query('SELECT * FROM clubs ORDER BY name');
+  const clubs = clubsResult.rows;
+
+  let entries = Array.isArray(requested) ? requested : [];
+  if (entries.length === 0) {
+    const host = findHostClub(clubs, tournoi.lieu);
+    entries = host ? [{ club_id: host.id }] : [];
+  }
+
+  const venues = [];
+  entries.forEach(entry => {
+    const club = clubs.find(c => String(c.id) === String(entry.club_id));
+    if (!club) {
+      return;
+    }
+    const startTimes = Array.isArray(entry.start_times) && entry.start_times.length > 0
+      ? entry.start_times
+      : [entry.start_time || DEFAULT_START_TIME];
+    startTimes.forEach(startTime => {
+      venues.push({
+        locationNum: String(venues.length + 1),
+        club_id: club.id,
+        name: club.display_name || club.name,
+        start_time: normalizeStartTime(startTime) || DEFAULT_START_TIME,
+        tables: getClubTables(club, tableSize)
+      });
+    });
+  });
+  return venues;
+}
+
+/**
+ * Plan the venues of a tournament's poules
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {Array<{number, size}>} poules
+ * @param {Array} [requested] - see loadVenues()
+ */
+async function planTournamentVenues(tournoi, poules, requested) {
+  const venues = await loadVenues(tournoi, requested);
+  return planVenues(poules, venues, getTableSize(tournoi));
+}
+
+module.exports = {
+  TABLE_SIZES,
+  normalizeStartTime,
+  validateVenues,
+  tablesForPoule,
+  getTableSize,
+  getClubTables,
+  planVenues,
+  loadVenues,
+  planTournamentVenues
+};
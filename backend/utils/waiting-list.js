@@ -0,0 +1,154 @@
+/**
+ * Waiting List
+ *
+ * Before the convocations, the players inscribed beyond the capacity of the
+ * tournament (tournoi_ext.max_players) wait for a place. Once the convocations
+ * are sent, every active inscription that was not convoked is on the waiting list.
+ * The list is ordered by inscription timestamp or by seeding
+ * (tournoi_ext.waitlist_order, same seeding as the poule generator).
+ *
+ * When a convoked player withdraws, the first waiting player takes their place
+ * in the saved poule (convocation_poules) - after an admin confirmed it.
+ */
+
+const db = require('../db-loader');
+const { seedPlayers, loadSeedingData } = require('./poule-generator');
+const { normalizeLicence } = require('./licence');
+
+const WAITLIST_ORDERS = ['timestamp', 'ranking'];
+
+/**
+ * Inscriptions of a tournament that are neither forfait nor désinscrit
+ */
+async function getActiveInscriptions(tournoiId) {
+  const result = await db.query(`
+    SELECT i.inscription_id, i.licence, i.timestamp, i.convoque,
+           COALESCE(NULLIF(i.email, ''), pc.email) as email,
+           COALESCE(p.first_name, pc.first_name, '') as first_name,
+           COALESCE(p.last_name, pc.last_name, '') as last_name,
+           COALESCE(p.club, pc.club, '') as club
+    FROM inscriptions i
+    LEFT JOIN players p ON i.licence = p.licence
+    LEFT JOIN player_contacts pc ON i.licence = pc.licence
+    WHERE i.tournoi_id = $1
+      AND (i.forfait IS NULL OR i.forfait != 1)
+      AND (i.statut IS NULL OR i.statut != 'désinscrit')
+  `, [tournoiId]);
+  return result.rows;
+}
+
+/**
+ * Players holding a place and players waiting for one
+ * @param {Object} tournoi - tournoi_ext row
+ * @returns {Promise<{capacity, order, convocationSent, confirmed: Array, waiting: Array}>}
+ *   waiting players carry their waitlist_position (1 = next to be promoted)
+ */
+async function getWaitingList(tournoi) {
+  const inscriptions = await getActiveInscriptions(tournoi.tournoi_id);
+  const order = WAITLIST_ORDERS.includes(tournoi.waitlist_order) ? tournoi.waitlist_order : 'timestamp';
+  const capacity = tournoi.max_players || null;
+  const convocationSent = !!tournoi.convocation_sent_at;
+
+  let ordered;
+  if (order === 'ranking') {
+    const seeding = await loadSeedingData(tournoi, inscriptions.map(i => i.licence));
+    ordered = seedPlayers(inscriptions, seeding);
+  } else {
+    ordered = [...inscriptions].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  let confirmed;
+  let waiting;
+  if (convocationSent) {
+    confirmed = ordered.filter(i => i.convoque === 1);
+    waiting = ordered.filter(i => i.convoque !== 1);
+  } else if (capacity) {
+    confirmed = ordered.slice(0, capacity);
+    waiting = ordered.slice(capacity);
+  } else {
+    confirmed = ordered;
+    waiting = [];
+  }
+
+  return {
+    capacity,
+    order,
+    convocationSent,
+    confirmed,
+    waiting: waiting.map((p, idx) => ({ ...p, waitlist_position: idx + 1 }))
+  };
+}
+
+/**
+ * Replacement of a convoked player by the first waiting player
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {string} withdrawnLicence
+ * @returns {Promise<{slot, withdrawn, replacement, waitingCount}|null>} null when the player is not in a saved poule
+ */
+async function planReplacement(tournoi, withdrawnLicence) {
+  const slotResult = await db.query(`
+    SELECT cp.*, i.inscription_id, i.forfait, i.statut
+    FROM convocation_poules cp
+    LEFT JOIN inscriptions i ON i.tournoi_id = cp.tournoi_id
+      AND i.licence = cp.licence
+    WHERE cp.tournoi_id = $1 AND cp.licence = $2
+  `, [tournoi.tournoi_id, normalizeLicence(withdrawnLicence)]);
+  const slot = slotResult.rows[0];
+  if (!slot) {
+    return null;
+  }
+
+  const { waiting } = await getWaitingList(tournoi);
+  return {
+    slot,
+    withdrawn: {
+      licence: slot.licence,
+      name: slot.player_name,
+      club: slot.club,
+      poule_number: slot.poule_number
+    },
+    replacement: waiting[0] || null,
+    waitingCount: waiting.length
+  };
+}
+
+/**
+ * Promote the planned replacement: takes the withdrawn player's place in convocation_poules,
+ * becomes convoked with the same convocation details, and the withdrawn player is marked forfait
+ * @param {Object} tournoi - tournoi_ext row
+ * @param {Object} plan - output of planReplacement() with a replacement
+ */
+async function applyReplacement(tournoi, plan) {
+  const { slot, replacement } = plan;
+
+  await db.transaction(async (tx) => {
+    await tx.query(`
+      UPDATE convocation_poules SET licence = $1, player_name = $2, club = $3
+      WHERE id = $4
+    `, [replacement.licence, `${replacement.first_name} ${replacement.last_name}`.trim(), replacement.club || '', slot.id]);
+
+    // A withdrawal after the convocation is a forfait (désinscrit players keep their statut)
+    await tx.query(`
+      UPDATE inscriptions SET forfait = 1
+      WHERE tournoi_id = $1 AND licence = $2
+        AND (statut IS NULL OR statut != 'désinscrit')
+    `, [tournoi.tournoi_id, normalizeLicence(slot.licence)]);
+
+    await tx.query(`
+      UPDATE inscriptions
+      SET convoque = 1,
+          convocation_poule = $1,
+          convocation_lieu = $2,
+          convocation_adresse = $3,
+          convocation_heure = $4
+      WHERE inscription_id = $5
+    `, [String(slot.poule_number), slot.location_name || null, slot.location_address || null, slot.start_time || null, replacement.inscription_id]);
+  });
+}
+
+module.exports = {
+  WAITLIST_ORDERS,
+  getWaitingList,
+  planReplacement,
+  applyReplacement
+};
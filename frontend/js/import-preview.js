@@ -0,0 +1,103 @@
+// Import preview utility functions
+// The players and inscriptions imports first run as a dry run: the changes the file would
+// make are listed by category, and only the categories left checked are then applied.
+
+// Items listed per category (the counts are always complete)
+const IMPORT_PREVIEW_ITEM_LIMIT = 200;
+
+const IMPORT_FIELD_LABELS = {
+  club: 'Club',
+  first_name: 'Prénom',
+  last_name: 'Nom',
+  rank_libre: 'Libre',
+  rank_cadre: 'Cadre',
+  rank_bande: 'Bande',
+  rank_3bandes: '3 Bandes',
+  is_active: 'Actif',
+  joueur_id: 'ID joueur',
+  tournoi_id: 'Tournoi',
+  timestamp: 'Date d\'inscription',
+  email: 'Email',
+  telephone: 'Téléphone',
+  licence: 'Licence',
+  convoque: 'Convoqué',
+  forfait: 'Forfait',
+  commentaire: 'Commentaire'
+};
+
+function escapePreviewHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One line of a category: who, where, and the values changed
+ */
+function describeImportPreviewItem(item) {
+  const name = item.playerName || item.name;
+  let html = name
+    ? `<strong>${escapePreviewHtml(name)}</strong> (${escapePreviewHtml(item.licence)})`
+    : `Licence <strong>${escapePreviewHtml(item.licence)}</strong>`;
+
+  if (item.tournoiNom) {
+    html += ` - ${escapePreviewHtml(item.tournoiNom)}`;
+  } else if (item.club) {
+    html += ` - ${escapePreviewHtml(item.club)}`;
+  }
+
+  if (item.changes) {
+    const changes = Object.entries(item.changes).map(([field, change]) =>
+      `${escapePreviewHtml(IMPORT_FIELD_LABELS[field] || field)} : ${escapePreviewHtml(change.from ?? '-')} → <strong>${escapePreviewHtml(change.to ?? '-')}</strong>`
+    );
+    html += `<br><span style="color: #666; font-size: 12px;">${changes.join(' ; ')}</span>`;
+  }
+  return html;
+}
+
+/**
+ * Renders the categories of a dry-run response as checkboxes, checked when applied by default
+ */
+function renderImportPreview(container, data) {
+  const categories = data.categories || [];
+
+  container.innerHTML = categories.map(category => {
+    const items = category.items.slice(0, IMPORT_PREVIEW_ITEM_LIMIT);
+    const more = category.count - items.length;
+
+    return `
+      <div style="padding: 12px 15px; margin-bottom: 10px; border: 1px solid #dee2e6; border-radius: 8px; background: ${category.count > 0 ? '#fff' : '#f8f9fa'};">
+        <label style="display: flex; align-items: center; gap: 10px; cursor: ${category.count > 0 ? 'pointer' : 'default'};">
+          <input type="checkbox" class="import-category" value="${category.key}"
+            ${category.count === 0 ? 'disabled' : ''} ${category.accepted && category.count > 0 ? 'checked' : ''}
+            style="width: 18px; height: 18px;">
+          <span style="font-weight: 600; color: ${category.count > 0 ? '#333' : '#999'};">${escapePreviewHtml(category.label)}</span>
+          <span style="padding: 2px 8px; border-radius: 10px; font-size: 12px; background: ${category.count > 0 ? 'var(--color-primary, #1F4788)' : '#ccc'}; color: white;">${category.count}</span>
+          ${category.optIn && category.count > 0 ? '<span style="font-size: 12px; color: #e67e22;">non appliqué sauf si coché</span>' : ''}
+        </label>
+        ${category.count > 0 ? `
+          <details style="margin-top: 8px;">
+            <summary style="cursor: pointer; font-size: 13px; color: var(--color-primary, #1F4788);">Voir le détail</summary>
+            <ul style="margin: 8px 0 0 20px; padding: 0; font-size: 13px; max-height: 300px; overflow-y: auto;">
+              ${items.map(item => `<li style="margin-bottom: 4px;">${describeImportPreviewItem(item)}</li>`).join('')}
+            </ul>
+            ${more > 0 ? `<p style="font-size: 12px; color: #999; margin: 5px 0 0 0;">... et ${more} autre(s)</p>` : ''}
+          </details>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Keys of the checked categories, for the accept field of the import
+ */
+function getAcceptedImportCategories(container) {
+  return Array.from(container.querySelectorAll('.import-category:checked')).map(cb => cb.value);
+}
+
+function countImportPreviewChanges(data) {
+  return (data.categories || []).reduce((sum, category) => sum + category.count, 0);
+}